@@ -20,11 +20,132 @@ module.exports = {
   
   // Storage Configuration
   STORAGE_DIR: './data',
+  // Vector store persistence backend: 'json' (documents/chunks/customers .json files) or 'sqlite'
+  STORAGE_BACKEND: 'json',
+  SQLITE_FILE: './data/vector-store.sqlite',
+  
+  // Conversation store: chat history, journeys and journey state (stage, collected data) survive restarts
+  // BACKEND: 'json' | 'sqlite' | 'memory'; records expire TTL_HOURS after their last update (0 = never)
+  CONVERSATION_STORE: {
+    BACKEND: 'json',
+    FILE: './data/conversations.json',
+    SQLITE_FILE: './data/conversations.sqlite',
+    TTL_HOURS: 72,
+    SWEEP_INTERVAL_MINUTES: 15
+  },
+  
+  // Scheduled message queue (follow-ups, reminders), persisted so jobs survive restarts
+  // Failed sends are retried with exponential backoff (BACKOFF_BASE_SECONDS * 2^(attempt-1), capped at BACKOFF_MAX_SECONDS);
+  // after MAX_ATTEMPTS a job moves to the dead-letter list. Sent/cancelled jobs are kept RETENTION_DAYS
+  SCHEDULER: {
+    BACKEND: 'json', // 'json' | 'sqlite' | 'memory'
+    FILE: './data/scheduled-jobs.json',
+    SQLITE_FILE: './data/scheduled-jobs.sqlite',
+    POLL_INTERVAL_SECONDS: 5,
+    MAX_ATTEMPTS: 5,
+    BACKOFF_BASE_SECONDS: 30,
+    BACKOFF_MAX_SECONDS: 1800,
+    RETENTION_DAYS: 7
+  },
+  
+  // Send policy for scheduled (proactive) messages: outside the window they are deferred to the next
+  // window start; customers can override these (and set doNotDisturb / doNotDisturbUntil) through
+  // `contactPreferences` on their customer record. MAX_MESSAGES_PER_DAY: 0 = unlimited
+  SEND_POLICY: {
+    TIMEZONE: 'Asia/Kolkata',
+    WINDOW_START: '09:00',
+    WINDOW_END: '21:00',
+    MAX_MESSAGES_PER_DAY: 5
+  },
+  
+  // Outbound messaging. A journey's communicationMode (WHATSAPP | SMS | EMAIL | IN_APP) picks the channel;
+  // the recipient comes from the customer record (whatsappNumber / phone / email); a customer without an
+  // address for the channel gets nothing. USE_OUTBOX writes every message to
+  // OUTBOX_DIR (JSON Lines) instead of delivering it, e.g. COMMUNICATION_USE_OUTBOX=true npm start
+  COMMUNICATION: {
+    DEFAULT_CHANNEL: 'WHATSAPP',
+    USE_OUTBOX: process.env.COMMUNICATION_USE_OUTBOX === 'true',
+    OUTBOX_DIR: './data/outbox',
+    WHATSAPP: {
+      API_ENDPOINT: 'http://localhost:9000/api/bot/whatsapp/incoming-messages',
+      API_KEY: process.env.WHATSAPP_API_KEY || '',
+      SENDER: '917503513591'
+    },
+    SMS: {
+      BASE_URL: 'https://api.infobip.com',
+      API_KEY: process.env.SMS_API_KEY || '',
+      SENDER: ''
+    },
+    EMAIL: {
+      SMTP_HOST: process.env.SMTP_HOST || '',
+      SMTP_PORT: 587,
+      SMTP_USER: process.env.SMTP_USER || '',
+      SMTP_PASSWORD: process.env.SMTP_PASSWORD || '',
+      FROM: 'Policy Assistant <no-reply@example.com>'
+    },
+    IN_APP: {
+      MAX_PER_CUSTOMER: 50
+    }
+  },
+  
+  // Event journeys (data/journeyDefinitions.json, e.g. NEW_CUSTOMER_ONBOARDING). System events are queued on the
+  // scheduler timeOffsetDays after the event they depend on; user events fire when the customer taps a CTA.
+  // Per-customer progress is kept in DATA_FILE. DAY_SECONDS shortens a journey "day" for demos,
+  // e.g. EVENT_JOURNEY_DAY_SECONDS=60 npm start
+  EVENT_JOURNEYS: {
+    DEFINITIONS_FILE: './data/journeyDefinitions.json',
+    DATA_FILE: './data/journeyData.json',
+    CHANNEL: 'IN_APP',
+    DAY_SECONDS: Number(process.env.EVENT_JOURNEY_DAY_SECONDS) || 86400
+  },
+  
+  // Inbound WhatsApp (POST /api/webhook/whatsapp, Infobip inbound message format). Senders are matched to
+  // customers by whatsappNumber / phone / customer ID; unknown numbers are ignored unless
+  // FALLBACK_CUSTOMER_ID is set. Media (images, documents) is only downloaded from MEDIA_BASE_URL's host
+  // (the Infobip account base URL, sent MEDIA_API_KEY) or a host in MEDIA_HOSTS (sent no credentials)
+  WHATSAPP_INBOUND: {
+    MEDIA_API_KEY: process.env.INFOBIP_API_KEY || '',
+    MEDIA_BASE_URL: process.env.INFOBIP_BASE_URL || 'https://api.infobip.com',
+    MEDIA_HOSTS: (process.env.INFOBIP_MEDIA_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+    FALLBACK_CUSTOMER_ID: null
+  },
   
   // Vector Database Configuration
   VECTOR_DIMENSION: 768,
   SIMILARITY_THRESHOLD: 0.4,
   
+  // Approximate nearest-neighbour (IVF) index used by chunk search
+  // Stores smaller than MIN_INDEX_SIZE chunks stay untrained and are searched linearly
+  VECTOR_INDEX: {
+    MIN_INDEX_SIZE: 1000,
+    NUM_LISTS: 0, // 0 = sqrt(number of vectors), capped at 64
+    NUM_PROBES: 8
+  },
+  
+  // Retrieval Configuration for policy queries
+  // DEFAULT_MODE: 'vector' | 'keyword' | 'hybrid'; FUSION: 'rrf' (reciprocal rank) | 'weighted'
+  RETRIEVAL: {
+    DEFAULT_MODE: 'hybrid',
+    FUSION: 'rrf',
+    RRF_K: 60,
+    VECTOR_WEIGHT: 0.6
+  },
+  
+  // Rerank Configuration (optional stage between retrieval and prompting)
+  // DEFAULT_STRATEGY: 'none' | 'local' | 'llm'; MMR_LAMBDA: 1 = relevance only, lower = more diverse
+  RERANK: {
+    DEFAULT_STRATEGY: 'none',
+    CANDIDATES: 20,
+    MMR_LAMBDA: 0.7
+  },
+  
+  // LLM Provider Configuration
+  // 'gemini' (Google AI) or 'fake' (offline: scripted completions, hash embeddings; no API key or network needed)
+  // LLM_PROVIDER / FAKE_LLM_SCRIPT environment variables override these, e.g. LLM_PROVIDER=fake npm start
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini',
+  GENERATION_MODEL: 'gemini-2.5-flash-lite',
+  FAKE_LLM_SCRIPT: process.env.FAKE_LLM_SCRIPT || './sample-data/fake-llm-script.json',
+  
   // Embedding Configuration
   // Uses text-embedding-004 for text embeddings and gemini-1.5-pro for multimodal content
   EMBEDDING_CONFIG: {
@@ -32,7 +153,46 @@ module.exports = {
     MULTIMODAL_MODEL: 'gemini-1.5-pro'
   },
   
+  // Authentication. Secrets are read from the environment only (see env.example); a surface whose
+  // secret is unset stays open, except /api/admin, which is refused while any other secret is set and
+  // ADMIN_API_KEYS is not. API_KEYS / ADMIN_API_KEYS are comma-separated lists: customer keys
+  // (`<key>:<customerId>|<customerId>...`, or `<key>:*` for every customer) open /api/customers for their
+  // customers, admin keys open /api/customers and /api/admin. The Dialogflow webhooks accept basic
+  // auth (DIALOGFLOW_WEBHOOK_USERNAME / _PASSWORD) or the DIALOGFLOW_WEBHOOK_SECRET in SECRET_HEADER.
+  // Inbound WhatsApp messages and delivery reports must carry an HMAC-SHA256 of the raw body
+  // (hex, optionally "sha256=" prefixed) in SIGNATURE_HEADER when INBOUND_WEBHOOK_SECRET is set
+  AUTH: {
+    API_KEYS: process.env.API_KEYS || '',
+    ADMIN_API_KEYS: process.env.ADMIN_API_KEYS || '',
+    DIALOGFLOW: {
+      USERNAME: process.env.DIALOGFLOW_WEBHOOK_USERNAME || '',
+      PASSWORD: process.env.DIALOGFLOW_WEBHOOK_PASSWORD || '',
+      SECRET: process.env.DIALOGFLOW_WEBHOOK_SECRET || '',
+      SECRET_HEADER: 'X-Webhook-Secret'
+    },
+    INBOUND_WEBHOOK_SECRET: process.env.INBOUND_WEBHOOK_SECRET || '',
+    SIGNATURE_HEADER: 'X-Signature'
+  },
+  
   // Dialogflow Configuration
-  DEFAULT_CUSTOMER_ID: '9830323302'
+  // Customer used when a webhook request names none (payload customerId, session ID or caller number)
+  DEFAULT_CUSTOMER_ID: '9830323302',
+  // Intent routing for POST /api/webhook/dialogflow: intent display name -> handler
+  // (health_checkup | claim | reschedule | policy_qa). Names are matched case-insensitively with spaces,
+  // dots and dashes treated as underscores. Unrouted intents continue the customer's active journey,
+  // or go to DEFAULT_HANDLER when there is none
+  DIALOGFLOW: {
+    ROUTES: {
+      health_checkup: 'health_checkup',
+      book_health_checkup: 'health_checkup',
+      claim: 'claim',
+      hospital_admission: 'claim',
+      reschedule_health_checkup: 'reschedule',
+      reschedule: 'reschedule',
+      policy_question: 'policy_qa',
+      policy_qa: 'policy_qa'
+    },
+    DEFAULT_HANDLER: 'health_checkup'
+  }
 };
 
@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const path = require('path');
+const CONFIG = require('./config/constants');
+const ConversationStore = require('./src/services/conversationStore');
+const JourneyGraph = require('./src/services/journeyGraph');
+
+/**
+ * Export a journey diagram as Mermaid or Graphviz DOT
+ *
+ * Usage: node export-journey-graph.js <journeyId> [--format mermaid|dot] [--visits] [--out file]
+ *        node export-journey-graph.js --list
+ *        node export-journey-graph.js --help
+ *   --visits  label stages with how many stored conversations reached them
+ *             (read from the conversation store in config/constants.js)
+ *   --out     write to a file instead of stdout
+ */
+
+const USAGE = [
+  'Usage: node export-journey-graph.js <journeyId> [--format mermaid|dot] [--visits] [--out file]',
+  '       node export-journey-graph.js --list',
+  '       node export-journey-graph.js --help',
+  '',
+  '  --format  mermaid (default) or dot',
+  '  --visits  label stages with how many stored conversations reached them',
+  '  --out     write to a file instead of stdout',
+  '  --list    list journey IDs',
+  ''
+].join('\n');
+
+function parseArgs(argv) {
+  const options = { format: 'mermaid', visits: false, list: false, help: false, out: null, journeyId: null, unknown: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--visits') options.visits = true;
+    else if (arg === '--list') options.list = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('-')) options.unknown.push(arg);
+    else options.journeyId = arg;
+  }
+  return options;
+}
+
+async function loadVisits(journeyId) {
+  const store = new ConversationStore({
+    backend: CONFIG.CONVERSATION_STORE.BACKEND,
+    file: CONFIG.CONVERSATION_STORE.FILE,
+    sqliteFile: CONFIG.CONVERSATION_STORE.SQLITE_FILE,
+    ttlHours: CONFIG.CONVERSATION_STORE.TTL_HOURS
+  });
+  // Keep stdout for the diagram; the store logs its load summary
+  const log = console.log;
+  console.log = console.error;
+  try {
+    await store.initialize();
+    const visits = JourneyGraph.countVisits(store, journeyId);
+    await store.close();
+    return visits;
+  } finally {
+    console.log = log;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  if (options.unknown.length > 0) {
+    console.error(`Unknown option: ${options.unknown.join(', ')}\n`);
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  if (options.list) {
+    JourneyGraph.loadJourneys().forEach(journey => {
+      console.log(`${journey.id}\t${journey.kind}\t${journey.title}`);
+    });
+    return 0;
+  }
+
+  if (!options.journeyId || !JourneyGraph.FORMATS.includes(options.format)) {
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  const graph = JourneyGraph.build(options.journeyId);
+  if (!graph) {
+    console.error(`Journey not found: ${options.journeyId} (see --list)`);
+    return 1;
+  }
+
+  let visits = null;
+  if (options.visits) {
+    if (graph.kind === 'conversation') {
+      visits = await loadVisits(graph.id);
+    } else {
+      console.error(`⚠️ ${graph.id} keeps no stage state in the conversation store, exporting without visits`);
+    }
+  }
+
+  const diagram = options.format === 'dot' ? JourneyGraph.toDot(graph, visits) : JourneyGraph.toMermaid(graph, visits);
+  if (options.out) {
+    await fs.outputFile(path.resolve(options.out), diagram);
+    console.error(`✅ Wrote ${options.format} diagram of ${graph.id} to ${options.out}`);
+  } else {
+    process.stdout.write(diagram);
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Export failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,31 @@
+const path = require('path');
+const JourneyValidator = require('./src/services/journeyValidator');
+
+/**
+ * Lint journey definitions against data/journeySchema.json and the graph checks
+ *
+ * Usage: node lint-journeys.js [--strict] [file ...]
+ *   (defaults to data/healthCheckupJourney.json and data/intentBasedJouneys.json)
+ *   --strict  also fail on warnings
+ * Exits with 1 when a journey has errors (or warnings with --strict).
+ */
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const files = args.filter(arg => arg !== '--strict').map(file => path.resolve(file));
+
+const result = JourneyValidator.validateFiles(files.length > 0 ? files : undefined);
+let errorCount = 0;
+let warningCount = 0;
+
+result.journeys.forEach(journey => {
+  const status = journey.errors.length > 0 ? '❌' : journey.warnings.length > 0 ? '⚠️ ' : '✅';
+  console.log(`${status} ${journey.file}${journey.intent ? ` (${journey.intent})` : ''}`);
+  journey.errors.forEach(error => console.log(`   error    ${error}`));
+  journey.warnings.forEach(warning => console.log(`   warning  ${warning}`));
+  errorCount += journey.errors.length;
+  warningCount += journey.warnings.length;
+});
+
+console.log(`\n${result.journeys.length} journey(s), ${errorCount} error(s), ${warningCount} warning(s)`);
+process.exit(errorCount > 0 || (strict && warningCount > 0) ? 1 : 0);
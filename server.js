@@ -8,6 +8,10 @@ const CONFIG = require('./config/constants');
 
 // Import services and routes
 const CustomerService = require('./src/services/customerService');
+const WhatsAppInboundService = require('./src/services/whatsAppInboundService');
+const JourneyDispatcher = require('./src/services/journeyDispatcher');
+const AuthService = require('./src/services/authService');
+const JourneyValidator = require('./src/services/journeyValidator');
 const customersRouter = require('./src/routes/customers');
 const adminRouter = require('./src/routes/admin');
 const webhookRouter = require('./src/routes/webhook');
@@ -16,13 +20,123 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Configuration
 const config = {
   googleAiApiKey: CONFIG.GOOGLE_AI_API_KEY,
   storageDir: CONFIG.STORAGE_DIR,
+  storageBackend: CONFIG.STORAGE_BACKEND,
+  sqliteFile: CONFIG.SQLITE_FILE,
+  conversationStore: {
+    backend: CONFIG.CONVERSATION_STORE.BACKEND,
+    file: CONFIG.CONVERSATION_STORE.FILE,
+    sqliteFile: CONFIG.CONVERSATION_STORE.SQLITE_FILE,
+    ttlHours: CONFIG.CONVERSATION_STORE.TTL_HOURS,
+    sweepIntervalMinutes: CONFIG.CONVERSATION_STORE.SWEEP_INTERVAL_MINUTES
+  },
+  scheduler: {
+    backend: CONFIG.SCHEDULER.BACKEND,
+    file: CONFIG.SCHEDULER.FILE,
+    sqliteFile: CONFIG.SCHEDULER.SQLITE_FILE,
+    pollIntervalSeconds: CONFIG.SCHEDULER.POLL_INTERVAL_SECONDS,
+    maxAttempts: CONFIG.SCHEDULER.MAX_ATTEMPTS,
+    backoffBaseSeconds: CONFIG.SCHEDULER.BACKOFF_BASE_SECONDS,
+    backoffMaxSeconds: CONFIG.SCHEDULER.BACKOFF_MAX_SECONDS,
+    retentionDays: CONFIG.SCHEDULER.RETENTION_DAYS
+  },
+  sendPolicy: {
+    timezone: CONFIG.SEND_POLICY.TIMEZONE,
+    windowStart: CONFIG.SEND_POLICY.WINDOW_START,
+    windowEnd: CONFIG.SEND_POLICY.WINDOW_END,
+    maxMessagesPerDay: CONFIG.SEND_POLICY.MAX_MESSAGES_PER_DAY
+  },
+  communication: {
+    defaultChannel: CONFIG.COMMUNICATION.DEFAULT_CHANNEL,
+    useOutbox: CONFIG.COMMUNICATION.USE_OUTBOX,
+    outbox: { outboxDir: CONFIG.COMMUNICATION.OUTBOX_DIR },
+    whatsapp: {
+      apiEndpoint: CONFIG.COMMUNICATION.WHATSAPP.API_ENDPOINT,
+      apiKey: CONFIG.COMMUNICATION.WHATSAPP.API_KEY,
+      sender: CONFIG.COMMUNICATION.WHATSAPP.SENDER
+    },
+    sms: {
+      baseUrl: CONFIG.COMMUNICATION.SMS.BASE_URL,
+      apiKey: CONFIG.COMMUNICATION.SMS.API_KEY,
+      sender: CONFIG.COMMUNICATION.SMS.SENDER
+    },
+    email: {
+      host: CONFIG.COMMUNICATION.EMAIL.SMTP_HOST,
+      port: CONFIG.COMMUNICATION.EMAIL.SMTP_PORT,
+      user: CONFIG.COMMUNICATION.EMAIL.SMTP_USER,
+      password: CONFIG.COMMUNICATION.EMAIL.SMTP_PASSWORD,
+      from: CONFIG.COMMUNICATION.EMAIL.FROM
+    },
+    inApp: {
+      maxPerCustomer: CONFIG.COMMUNICATION.IN_APP.MAX_PER_CUSTOMER
+    }
+  },
+  eventJourneys: {
+    definitionsFile: CONFIG.EVENT_JOURNEYS.DEFINITIONS_FILE,
+    dataFile: CONFIG.EVENT_JOURNEYS.DATA_FILE,
+    channel: CONFIG.EVENT_JOURNEYS.CHANNEL,
+    daySeconds: CONFIG.EVENT_JOURNEYS.DAY_SECONDS
+  },
+  vectorIndex: {
+    minIndexSize: CONFIG.VECTOR_INDEX.MIN_INDEX_SIZE,
+    numLists: CONFIG.VECTOR_INDEX.NUM_LISTS,
+    numProbes: CONFIG.VECTOR_INDEX.NUM_PROBES
+  },
+  retrieval: {
+    defaultMode: CONFIG.RETRIEVAL.DEFAULT_MODE,
+    fusion: CONFIG.RETRIEVAL.FUSION,
+    rrfK: CONFIG.RETRIEVAL.RRF_K,
+    vectorWeight: CONFIG.RETRIEVAL.VECTOR_WEIGHT
+  },
+  rerank: {
+    defaultStrategy: CONFIG.RERANK.DEFAULT_STRATEGY,
+    candidates: CONFIG.RERANK.CANDIDATES,
+    mmrLambda: CONFIG.RERANK.MMR_LAMBDA
+  },
+  llm: {
+    provider: CONFIG.LLM_PROVIDER,
+    apiKey: CONFIG.GOOGLE_AI_API_KEY,
+    generationModel: CONFIG.GENERATION_MODEL,
+    embeddingModel: CONFIG.EMBEDDING_CONFIG.TEXT_MODEL,
+    fakeScript: CONFIG.FAKE_LLM_SCRIPT
+  },
+  whatsappInbound: {
+    mediaApiKey: CONFIG.WHATSAPP_INBOUND.MEDIA_API_KEY,
+    mediaBaseUrl: CONFIG.WHATSAPP_INBOUND.MEDIA_BASE_URL,
+    mediaHosts: CONFIG.WHATSAPP_INBOUND.MEDIA_HOSTS,
+    fallbackCustomerId: CONFIG.WHATSAPP_INBOUND.FALLBACK_CUSTOMER_ID,
+    uploadDir: CONFIG.UPLOAD_DIR,
+    maxMediaSize: CONFIG.MAX_FILE_SIZE
+  },
+  auth: {
+    apiKeys: CONFIG.AUTH.API_KEYS,
+    adminApiKeys: CONFIG.AUTH.ADMIN_API_KEYS,
+    dialogflow: {
+      username: CONFIG.AUTH.DIALOGFLOW.USERNAME,
+      password: CONFIG.AUTH.DIALOGFLOW.PASSWORD,
+      secret: CONFIG.AUTH.DIALOGFLOW.SECRET,
+      secretHeader: CONFIG.AUTH.DIALOGFLOW.SECRET_HEADER
+    },
+    signingSecret: CONFIG.AUTH.INBOUND_WEBHOOK_SECRET,
+    signatureHeader: CONFIG.AUTH.SIGNATURE_HEADER
+  },
+  dialogflow: {
+    routes: CONFIG.DIALOGFLOW.ROUTES,
+    defaultHandler: CONFIG.DIALOGFLOW.DEFAULT_HANDLER,
+    defaultCustomerId: CONFIG.DEFAULT_CUSTOMER_ID
+  },
   uploadDir: CONFIG.UPLOAD_DIR,
   port: CONFIG.PORT,
   nodeEnv: CONFIG.NODE_ENV,
@@ -33,8 +147,8 @@ const config = {
   }
 };
 
-// Validate required configuration
-if (!config.googleAiApiKey) {
+// Validate required configuration (the offline fake provider needs no key)
+if (config.llm.provider === 'gemini' && !config.googleAiApiKey) {
   console.error('Error: GOOGLE_AI_API_KEY is required in config/constants.js');
   process.exit(1);
 }
@@ -49,6 +163,9 @@ async function initializeServices() {
     // Ensure required directories exist
     await fs.ensureDir(config.storageDir);
     await fs.ensureDir(config.uploadDir);
+
+    // Check journey definitions before any conversation runs on them
+    reportJourneyValidation(JourneyValidator.validateFiles());
     
     // Initialize customer service
     customerService = new CustomerService(config);
@@ -56,6 +173,8 @@ async function initializeServices() {
     
     // Make customer service available to routes
     app.set('customerService', customerService);
+    app.set('whatsAppInboundService', new WhatsAppInboundService(customerService, config.whatsappInbound));
+    app.set('journeyDispatcher', new JourneyDispatcher(customerService, config.dialogflow));
     
     console.log('Services initialized successfully');
   } catch (error) {
@@ -64,9 +183,36 @@ async function initializeServices() {
   }
 }
 
+/**
+ * Log journey validation issues (the server still starts; see npm run lint:journeys)
+ * @param {Object} result - JourneyValidator.validateFiles() result
+ */
+function reportJourneyValidation(result) {
+  result.journeys.forEach(journey => {
+    const name = journey.intent || journey.file;
+    journey.errors.forEach(error => console.error(`❌ Journey ${name}: ${error}`));
+    journey.warnings.forEach(warning => console.warn(`⚠️ Journey ${name}: ${warning}`));
+  });
+  if (result.isValid) {
+    console.log(`✅ ${result.journeys.length} journey definition(s) valid`);
+  }
+}
+
+// Authentication (surfaces without a configured secret stay open)
+const authService = new AuthService(config.auth);
+app.set('authService', authService);
+authService.getOpenSurfaces().forEach(surface => {
+  console.warn(`⚠️ Authentication not configured, open: ${surface}`);
+});
+authService.getLockedSurfaces().forEach(surface => {
+  console.warn(`⚠️ ADMIN_API_KEYS not set, refusing every request to: ${surface}`);
+});
+app.use(['/api/webhook/dialogflow', '/api/webhook/dialogflow-cx'], authService.verifyDialogflow());
+app.use(['/api/webhook/whatsapp', '/api/webhook/delivery-reports'], authService.verifySignature());
+
 // Routes
-app.use('/api/customers', customersRouter);
-app.use('/api/admin', adminRouter);
+app.use('/api/customers', authService.requireRole('customer'), customersRouter);
+app.use('/api/admin', authService.requireRole('admin'), adminRouter);
 app.use('/api/webhook', webhookRouter);
 
 // Root endpoint
@@ -84,6 +230,8 @@ app.get('/', (req, res) => {
       admin: '/api/admin',
       health: '/api/admin/health',
       webhook: '/api/webhook/dialogflow',
+      dialogflowCxWebhook: '/api/webhook/dialogflow-cx',
+      whatsappWebhook: '/api/webhook/whatsapp',
       webhookHealth: '/api/webhook/health'
     },
     documentation: {
@@ -91,7 +239,13 @@ app.get('/', (req, res) => {
       query: 'POST /api/customers/:customerId/query - Query policy information',
       summary: 'GET /api/customers/:customerId/summary - Get policy summary',
       health: 'GET /api/admin/health - System health check',
-      dialogflow: 'POST /api/webhook/dialogflow - Dialogflow webhook integration (uses customer 9830323302)'
+      validateJourneys: 'GET|POST /api/admin/journeys/validate - Validate journey definitions (schema and lint)',
+      journeyGraph: 'GET /api/admin/journeys/:journeyId/graph - Journey diagram as Mermaid or DOT, optionally with stage visit counts',
+      eventJourney: 'POST /api/customers/:customerId/event-journey - Start an event journey (e.g. onboarding); POST .../event-journey/cta records a CTA tap',
+      eventJourneyProgress: 'GET /api/admin/event-journeys - Where each customer is in their event journey',
+      dialogflow: 'POST /api/webhook/dialogflow - Dialogflow webhook, routed to journeys by intent and session',
+      dialogflowCx: 'POST /api/webhook/dialogflow-cx - Dialogflow CX webhook, routed to journeys by fulfillment tag',
+      whatsapp: 'POST /api/webhook/whatsapp - Inbound WhatsApp messages from Infobip'
     }
   });
 });
@@ -105,7 +259,8 @@ app.get('/health', (req, res) => {
     memory: process.memoryUsage(),
     config: {
       nodeEnv: config.nodeEnv,
-      port: config.port
+      port: config.port,
+      llmProvider: config.llm.provider
     }
   });
 });
@@ -146,11 +301,23 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  if (customerService) {
+    await customerService.vectorStore.close();
+    await customerService.conversationStore.close();
+    await customerService.eventJourneyService.close();
+    await customerService.jobQueue.close();
+  }
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  if (customerService) {
+    await customerService.vectorStore.close();
+    await customerService.conversationStore.close();
+    await customerService.eventJourneyService.close();
+    await customerService.jobQueue.close();
+  }
   process.exit(0);
 });
 
@@ -0,0 +1,183 @@
+const fs = require('fs-extra');
+const path = require('path');
+const CONFIG = require('./config/constants');
+const ConversationStore = require('./src/services/conversationStore');
+const JourneySimulator = require('./src/services/journeySimulator');
+
+/**
+ * Run a journey offline with scripted customer turns, or replay a recorded
+ * conversation to catch regressions after prompt or transition changes
+ *
+ * Usage: node simulate-journey.js <scenario.json> [--record file] [--json] [--verbose]
+ *        node simulate-journey.js --journey <journeyId> "message" "message" ... [--record file]
+ *        node simulate-journey.js --from-store <conversationId> [--out file]
+ *        node simulate-journey.js --list
+ *        node simulate-journey.js --help
+ *   --record      save this run as a scenario with every turn's results as expectations
+ *   --from-store  replay a conversation from the conversation store in config/constants.js
+ *                 (--out also saves the extracted scenario)
+ *   --script      fake LLM script (default FAKE_LLM_SCRIPT)
+ *   --json        print the transcript as JSON
+ *   --verbose     keep the services' logging
+ * Exits with 1 when a turn does not match its expectations.
+ */
+
+const USAGE = [
+  'Usage: node simulate-journey.js <scenario.json> [--record file] [--json] [--verbose]',
+  '       node simulate-journey.js --journey <journeyId> "message" "message" ... [--record file]',
+  '       node simulate-journey.js --from-store <conversationId> [--out file]',
+  '       node simulate-journey.js --list',
+  '       node simulate-journey.js --help',
+  '',
+  '  --journey     play the messages that follow through this journey',
+  '  --record      save this run as a scenario with every turn\'s results as expectations',
+  '  --from-store  replay a conversation from the conversation store',
+  '  --out         with --from-store, also save the extracted scenario',
+  '  --script      fake LLM script (default FAKE_LLM_SCRIPT)',
+  '  --json        print the transcript as JSON',
+  '  --verbose     keep the services\' logging',
+  '  --list        list journey IDs',
+  ''
+].join('\n');
+
+const CLAIM_SUMMARY_FIELDS = ['policyNumber', 'memberFirstName', 'memberRelation', 'hospitalName', 'dateOfAdmission', 'diagnosis', 'estimatedCost'];
+
+function parseArgs(argv) {
+  const options = {
+    messages: [], record: null, out: null, script: CONFIG.FAKE_LLM_SCRIPT, json: false, verbose: false, list: false, help: false, unknown: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--journey') options.journey = argv[++i];
+    else if (arg === '--from-store') options.fromStore = argv[++i];
+    else if (arg === '--record') options.record = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--script') options.script = argv[++i];
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--list') options.list = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('-')) options.unknown.push(arg);
+    else options.messages.push(arg);
+  }
+  return options;
+}
+
+async function loadScenario(options) {
+  if (options.journey) {
+    return { journey: options.journey, turns: options.messages };
+  }
+  if (options.fromStore) {
+    const store = new ConversationStore({
+      backend: CONFIG.CONVERSATION_STORE.BACKEND,
+      file: CONFIG.CONVERSATION_STORE.FILE,
+      sqliteFile: CONFIG.CONVERSATION_STORE.SQLITE_FILE,
+      ttlHours: 0
+    });
+    await store.initialize();
+    const scenario = JourneySimulator.fromConversationStore(store, options.fromStore);
+    await store.close();
+    if (scenario && options.out) {
+      await fs.outputJson(path.resolve(options.out), scenario, { spaces: 2 });
+      process.stderr.write(`✅ Saved scenario for conversation ${options.fromStore} to ${options.out}\n`);
+    }
+    return scenario;
+  }
+  if (options.messages.length === 1) {
+    return fs.readJson(path.resolve(options.messages[0]));
+  }
+  return null;
+}
+
+function printTurn(turn, previousData, print) {
+  print(`\n[${turn.index}] 👤 ${turn.message}`);
+  print(`    stage     ${turn.fromStage || '(start)'} → ${turn.stage}`);
+  print(`    agent     ${truncate(turn.answer, 160)}`);
+
+  Object.entries(turn.collectedData)
+    .filter(([key, value]) => JSON.stringify(previousData[key]) !== JSON.stringify(value))
+    .forEach(([key, value]) => print(`    data      ${key} = ${JourneySimulator.preview(value)}`));
+
+  turn.sentMessages.forEach(message => print(`    sent      ${message.channel}: ${truncate(message.text, 140)}`));
+  turn.scheduledMessages.forEach(message => print(`    schedule  ${message.scheduledTime}: ${truncate(message.text, 120)}`));
+  turn.claims.forEach(claim => {
+    print(`    claim     ${CLAIM_SUMMARY_FIELDS.map(field => `${field}=${claim[field] ?? ''}`).join(', ')}`);
+  });
+}
+
+function truncate(text, length) {
+  const line = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 3)}...` : line;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  if (options.unknown.length > 0) {
+    console.error(`Unknown option: ${options.unknown.join(', ')}\n`);
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  const print = console.log;
+  if (!options.verbose) {
+    // The journey services log every step; keep the output to the transcript
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  const simulator = new JourneySimulator({ fakeScript: options.script });
+
+  if (options.list) {
+    simulator.getJourneyIds().forEach(journeyId => print(journeyId));
+    return 0;
+  }
+
+  const scenario = await loadScenario(options);
+  if (!scenario) {
+    process.stderr.write(options.fromStore
+      ? `Conversation not found in the conversation store: ${options.fromStore}\n`
+      : USAGE);
+    return 1;
+  }
+
+  const transcript = await simulator.run(scenario);
+  const result = JourneySimulator.compare(transcript, { ignore: scenario.ignore });
+
+  if (options.json) {
+    print(JSON.stringify({ ...transcript, ...result }, null, 2));
+  } else {
+    print(`▶ ${transcript.journey} (customer ${transcript.customerId}, ${transcript.turns.length} turn(s))`);
+    let previousData = {};
+    transcript.turns.forEach(turn => {
+      printTurn(turn, previousData, print);
+      previousData = turn.collectedData;
+    });
+    print('');
+    result.errors.forEach(error => print(`❌ ${error}`));
+    if (transcript.turns.some(turn => turn.expect)) {
+      print(`${result.errors.length} mismatch(es)`);
+    }
+  }
+
+  if (options.record) {
+    await fs.outputJson(path.resolve(options.record), JourneySimulator.toRecording(scenario, transcript), { spaces: 2 });
+    process.stderr.write(`✅ Recorded ${transcript.turns.length} turn(s) to ${options.record}\n`);
+  }
+
+  return result.isValid ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    process.stderr.write(`❌ Simulation failed: ${error.stack || error.message}\n`);
+    process.exit(1);
+  });
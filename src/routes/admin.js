@@ -1,5 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const MetadataFilter = require('../services/metadataFilter');
+const JobQueue = require('../services/jobQueue');
+const MessageOutbox = require('../services/messageOutbox');
+const JourneyValidator = require('../services/journeyValidator');
+const JourneyGraph = require('../services/journeyGraph');
+const EventJourneyService = require('../services/eventJourneyService');
 
 /**
  * GET /api/admin/stats
@@ -38,6 +44,16 @@ router.post('/search', async (req, res) => {
       });
     }
 
+    if (options.filter !== undefined) {
+      const filterValidation = MetadataFilter.validate(options.filter);
+      if (!filterValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid filter',
+          details: filterValidation.errors
+        });
+      }
+    }
+
     const results = await customerService.searchAllDocuments(query, options);
     
     res.json({
@@ -143,6 +159,7 @@ router.get('/health', async (req, res) => {
   try {
     const customerService = req.app.get('customerService');
     const stats = customerService.getStats();
+    const providerInfo = customerService.llmProvider.getInfo();
     
     const health = {
       status: 'healthy',
@@ -153,9 +170,16 @@ router.get('/health', async (req, res) => {
         geminiService: 'operational'
       },
       stats,
+      conversations: customerService.conversationStore.getInfo(),
+      scheduler: customerService.jobQueue.getInfo(),
+      communication: customerService.communicationService.getInfo(),
+      eventJourneys: customerService.eventJourneyService.getInfo(),
+      ...(req.app.get('authService') && { auth: req.app.get('authService').getInfo() }),
       models: {
-        textEmbedding: 'text-embedding-004',
-        multimodal: 'gemini-1.5-pro'
+        provider: providerInfo.provider,
+        generation: providerInfo.generationModel,
+        textEmbedding: providerInfo.embeddingModel,
+        multimodal: customerService.embeddingService.multimodalModel
       }
     };
     
@@ -170,4 +194,409 @@ router.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * Shape a scheduled message job for the admin API, showing the scripted
+ * text next to the humanized text that was (or will be) sent
+ * @param {Object} job - Job from the JobQueue
+ * @returns {Object} - Job summary
+ */
+function formatScheduledJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    conversationId: job.conversationId,
+    customerId: job.customerId,
+    status: job.status,
+    scheduledTime: job.scheduledTime,
+    nextAttemptAt: job.status === 'scheduled' ? job.nextAttemptAt : null,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    scriptedText: job.text,
+    humanizedText: job.result?.finalText || job.finalText || null,
+    ...(job.sentAt && { sentAt: job.sentAt }),
+    ...(job.messageId && { messageId: job.messageId, deliveryStatus: job.deliveryStatus }),
+    ...(job.ifNotRead && { ifNotRead: job.ifNotRead }),
+    ...(job.cancelledAt && { cancelledAt: job.cancelledAt }),
+    ...(job.cancelReason && { cancelReason: job.cancelReason }),
+    ...(job.deferrals && { deferrals: job.deferrals }),
+    ...(job.failedAt && { failedAt: job.failedAt }),
+    ...(job.lastError && { lastError: job.lastError }),
+    ...(job.failures && { failures: job.failures }),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Validate schedule list filters
+ * @param {Object} query - Query string parameters
+ * @returns {Object} - { isValid, errors }
+ */
+function validateScheduleFilter(query) {
+  const errors = [];
+
+  if (query.status !== undefined && !JobQueue.STATES.includes(query.status)) {
+    errors.push(`status must be one of: ${JobQueue.STATES.join(', ')}`);
+  }
+  ['from', 'to'].forEach(field => {
+    if (query[field] !== undefined && !JobQueue.toDate(query[field])) {
+      errors.push(`${field} must be an ISO 8601 timestamp`);
+    }
+  });
+  if (query.from && query.to && JobQueue.toDate(query.from) > JobQueue.toDate(query.to)) {
+    errors.push('from must not be after to');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Answer a JobQueue error with the status its code maps to
+ */
+function sendScheduleError(res, error, action) {
+  switch (error.status) {
+    case 404:
+      return res.status(404).json({ error: 'Scheduled message not found', code: error.code, message: error.message });
+    case 400:
+      return res.status(400).json({ error: `Invalid ${action} request`, code: error.code, details: [error.message] });
+    case 409:
+      return res.status(409).json({ error: `Cannot ${action} scheduled message`, code: error.code, message: error.message });
+    default:
+      console.error(`Error trying to ${action} scheduled message:`, error);
+      return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+}
+
+/**
+ * GET /api/admin/schedules
+ * List scheduled messages (including dead-lettered ones)
+ * Query: conversationId, customerId, status, type, from, to (ISO timestamps bounding scheduledTime)
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const { conversationId, customerId, status, type, from, to } = req.query;
+    const validation = validateScheduleFilter(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid schedule filter',
+        details: validation.errors
+      });
+    }
+
+    const jobQueue = req.app.get('customerService').jobQueue;
+    const filter = { conversationId, customerId, status, type, from, to };
+    const jobs = [...jobQueue.list(filter), ...jobQueue.getDeadLetters(filter)]
+      .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
+
+    res.json({
+      filter: Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== undefined)),
+      count: jobs.length,
+      jobs: jobs.map(formatScheduledJob),
+      queue: jobQueue.getInfo()
+    });
+  } catch (error) {
+    console.error('Error listing scheduled messages:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/schedules/:jobId
+ * Get one scheduled message
+ */
+router.get('/schedules/:jobId', async (req, res) => {
+  const job = req.app.get('customerService').jobQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Scheduled message not found', code: 'JOB_NOT_FOUND' });
+  }
+  res.json({ job: formatScheduledJob(job) });
+});
+
+/**
+ * POST /api/admin/schedules/:jobId/cancel
+ * Cancel a scheduled message that has not been sent yet
+ */
+router.post('/schedules/:jobId/cancel', async (req, res) => {
+  const jobQueue = req.app.get('customerService').jobQueue;
+  const job = jobQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Scheduled message not found', code: 'JOB_NOT_FOUND' });
+  }
+
+  const [cancelled] = jobQueue.cancel({ id: job.id, conversationId: job.conversationId });
+  if (!cancelled) {
+    return res.status(409).json({
+      error: 'Cannot cancel scheduled message',
+      code: 'JOB_NOT_SCHEDULED',
+      message: `Job ${job.id} is ${job.status}; only scheduled jobs can be cancelled`
+    });
+  }
+  res.json({ success: true, job: formatScheduledJob(cancelled) });
+});
+
+/**
+ * POST /api/admin/schedules/:jobId/reschedule
+ * Move a scheduled (or dead-lettered) message to a new send time
+ * Body: { sendAt } (ISO timestamp) or { delayInSeconds } (from now)
+ */
+router.post('/schedules/:jobId/reschedule', async (req, res) => {
+  const { sendAt, delayInSeconds } = req.body || {};
+  const errors = [];
+  if ((sendAt === undefined) === (delayInSeconds === undefined)) {
+    errors.push('Provide exactly one of sendAt or delayInSeconds');
+  } else if (sendAt !== undefined && !JobQueue.toDate(sendAt)) {
+    errors.push('sendAt must be an ISO 8601 timestamp');
+  } else if (delayInSeconds !== undefined && (typeof delayInSeconds !== 'number' || delayInSeconds < 0)) {
+    errors.push('delayInSeconds must be a non-negative number');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid reschedule request', details: errors });
+  }
+
+  try {
+    const runAt = sendAt !== undefined ? sendAt : Date.now() + delayInSeconds * 1000;
+    const job = req.app.get('customerService').jobQueue.reschedule(req.params.jobId, runAt);
+    res.json({ success: true, job: formatScheduledJob(job) });
+  } catch (error) {
+    sendScheduleError(res, error, 'reschedule');
+  }
+});
+
+/**
+ * POST /api/admin/schedules/:jobId/send-now
+ * Send a scheduled (or dead-lettered) message immediately and return the outcome
+ * Body: { force } - true to ignore quiet hours, do-not-disturb, the daily limit and ifNotRead conditions
+ */
+router.post('/schedules/:jobId/send-now', async (req, res) => {
+  const { force = false } = req.body || {};
+  if (typeof force !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid send request', details: ['force must be a boolean'] });
+  }
+
+  try {
+    const job = await req.app.get('customerService').jobQueue.runNow(req.params.jobId, { force });
+    res.json({ success: job.status === 'sent', job: formatScheduledJob(job) });
+  } catch (error) {
+    sendScheduleError(res, error, 'send');
+  }
+});
+
+/**
+ * GET /api/admin/messages
+ * Outbound messages with their delivery status, newest first
+ * Query: customerId, conversationId, status (sent, delivered, read, failed), channel
+ */
+router.get('/messages', async (req, res) => {
+  try {
+    const { customerId, conversationId, status, channel } = req.query;
+    if (status !== undefined && !MessageOutbox.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid message filter',
+        details: [`status must be one of: ${MessageOutbox.STATUSES.join(', ')}`]
+      });
+    }
+
+    const filter = { customerId, conversationId, status, channel: channel && channel.toUpperCase() };
+    const messages = req.app.get('customerService').communicationService.outbox.list(filter);
+
+    res.json({
+      filter: Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== undefined)),
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    console.error('Error listing outbound messages:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/messages/:messageId
+ * Get one outbound message with its status history
+ */
+router.get('/messages/:messageId', async (req, res) => {
+  const message = req.app.get('customerService').communicationService.outbox.get(req.params.messageId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  res.json({ message });
+});
+
+/**
+ * GET /api/admin/journeys/validate
+ * Validate the journey files (schema and lint checks)
+ */
+router.get('/journeys/validate', async (req, res) => {
+  try {
+    res.json({
+      ...JourneyValidator.validateFiles(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error validating journeys:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/journeys/validate
+ * Validate journey definitions before deploying them
+ * Body: a journey definition or an array of them
+ */
+router.post('/journeys/validate', async (req, res) => {
+  try {
+    const journeys = Array.isArray(req.body) ? req.body : [req.body];
+    if (journeys.length === 0 || journeys.some(journey => !journey || typeof journey !== 'object' || Object.keys(journey).length === 0)) {
+      return res.status(400).json({
+        error: 'Invalid journey definitions',
+        details: ['Body must be a journey definition or a non-empty array of them']
+      });
+    }
+
+    const results = journeys.map(journey => ({
+      intent: journey.intent || null,
+      ...JourneyValidator.validate(journey)
+    }));
+
+    res.json({
+      isValid: results.every(result => result.isValid),
+      journeys: results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error validating journeys:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/journeys
+ * List the loaded journeys (conversation and event journeys)
+ */
+router.get('/journeys', async (req, res) => {
+  try {
+    const journeys = JourneyGraph.loadJourneys().map(journey => ({
+      id: journey.id,
+      title: journey.title,
+      kind: journey.kind,
+      ...(journey.kind === 'conversation' && { stages: journey.definition.conversationFlow?.stages?.length || 0 }),
+      ...(journey.kind === 'events' && { events: journey.definition.events?.length || 0 })
+    }));
+
+    res.json({ count: journeys.length, journeys });
+  } catch (error) {
+    console.error('Error listing journeys:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/journeys/:journeyId/graph
+ * Render a journey's stages and transitions as a diagram
+ * Query: format (mermaid, dot; default mermaid), visits=true to overlay how
+ * many stored conversations reached each stage (for event journeys: how many
+ * customers were sent each event), raw=true for the diagram text alone
+ * (text/plain)
+ */
+router.get('/journeys/:journeyId/graph', async (req, res) => {
+  try {
+    const format = req.query.format || 'mermaid';
+    if (!JourneyGraph.FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid graph format',
+        details: [`format must be one of: ${JourneyGraph.FORMATS.join(', ')}`]
+      });
+    }
+
+    const graph = JourneyGraph.build(req.params.journeyId);
+    if (!graph) {
+      return res.status(404).json({ error: 'Journey not found' });
+    }
+
+    // Conversation journeys keep stage state in the conversation store, event journeys in their progress records
+    const customerService = req.app.get('customerService');
+    let visits = null;
+    if (req.query.visits === 'true') {
+      visits = graph.kind === 'conversation'
+        ? JourneyGraph.countVisits(customerService.conversationStore, graph.id)
+        : customerService.eventJourneyService.countVisits(graph.id);
+    }
+    const diagram = format === 'dot' ? JourneyGraph.toDot(graph, visits) : JourneyGraph.toMermaid(graph, visits);
+
+    if (req.query.raw === 'true') {
+      return res.type('text/plain').send(diagram);
+    }
+    res.json({
+      journeyId: graph.id,
+      kind: graph.kind,
+      format,
+      diagram,
+      ...(visits && { visits })
+    });
+  } catch (error) {
+    console.error('Error rendering journey graph:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/event-journeys
+ * Where each customer is in their event journey (e.g. onboarding), with the
+ * number of active customers waiting on each event
+ * Query: journeyId, status (active, completed, cancelled)
+ */
+router.get('/event-journeys', async (req, res) => {
+  try {
+    const { journeyId, status } = req.query;
+    if (status !== undefined && !EventJourneyService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid event journey filter',
+        details: [`status must be one of: ${EventJourneyService.STATUSES.join(', ')}`]
+      });
+    }
+
+    const customers = req.app.get('customerService').eventJourneyService.listProgress({ journeyId, status });
+    const byCurrentEvent = customers
+      .filter(customer => customer.status === 'active' && customer.currentEventId)
+      .reduce((counts, customer) => {
+        counts[customer.currentEventId] = (counts[customer.currentEventId] || 0) + 1;
+        return counts;
+      }, {});
+
+    res.json({
+      count: customers.length,
+      byStatus: EventJourneyService.STATUSES.reduce((counts, value) => {
+        counts[value] = customers.filter(customer => customer.status === value).length;
+        return counts;
+      }, {}),
+      byCurrentEvent,
+      customers
+    });
+  } catch (error) {
+    console.error('Error listing event journey progress:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,14 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const router = express.Router();
+const MetadataFilter = require('../services/metadataFilter');
+const CitationService = require('../services/citationService');
+const RetrievalService = require('../services/retrievalService');
+const RerankService = require('../services/rerankService');
+const SendPolicy = require('../services/sendPolicy');
+const CommunicationService = require('../services/communicationService');
+const JobQueue = require('../services/jobQueue');
+const AuthService = require('../services/authService');
 
 // Import constants
 const CONFIG = require('../../config/constants');
@@ -40,6 +48,62 @@ const upload = multer({
   }
 });
 
+/**
+ * Validate the body of a query request
+ * @param {Object} body - Request body ({ query, options })
+ * @returns {Object|null} - 400 response body, or null if valid
+ */
+function validateQueryRequest({ query, options = {} }) {
+  if (!query || typeof query !== 'string') {
+    return {
+      error: 'Query is required and must be a string'
+    };
+  }
+
+  if (options.filter !== undefined) {
+    const filterValidation = MetadataFilter.validate(options.filter);
+    if (!filterValidation.isValid) {
+      return {
+        error: 'Invalid filter',
+        details: filterValidation.errors
+      };
+    }
+  }
+
+  if (options.retrievalMode !== undefined && !RetrievalService.RETRIEVAL_MODES.includes(options.retrievalMode)) {
+    return {
+      error: 'Invalid retrievalMode',
+      details: [`retrievalMode must be one of: ${RetrievalService.RETRIEVAL_MODES.join(', ')}`]
+    };
+  }
+
+  if (options.fusion !== undefined && !RetrievalService.FUSION_METHODS.includes(options.fusion)) {
+    return {
+      error: 'Invalid fusion',
+      details: [`fusion must be one of: ${RetrievalService.FUSION_METHODS.join(', ')}`]
+    };
+  }
+
+  if (options.rerank !== undefined && !RerankService.STRATEGIES.includes(options.rerank)) {
+    return {
+      error: 'Invalid rerank',
+      details: [`rerank must be one of: ${RerankService.STRATEGIES.join(', ')}`]
+    };
+  }
+
+  if (options.channel !== undefined && !CitationService.CHANNELS.includes(String(options.channel).toUpperCase())) {
+    return {
+      error: 'Invalid channel',
+      details: [`channel must be one of: ${CitationService.CHANNELS.join(', ')}`]
+    };
+  }
+
+  return null;
+}
+
+// Customer API keys only reach the customers they are scoped to
+router.param('customerId', AuthService.authorizeCustomer);
+
 /**
  * GET /api/customers/:customerId
  * Get customer information
@@ -80,6 +144,16 @@ router.post('/:customerId', async (req, res) => {
     const { customerId } = req.params;
     const customerData = req.body;
     const customerService = req.app.get('customerService');
+
+    if (customerData.contactPreferences !== undefined) {
+      const validation = SendPolicy.validatePreferences(customerData.contactPreferences, customerService.sendPolicy.defaults);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid contact preferences',
+          details: validation.errors
+        });
+      }
+    }
     
     const customer = await customerService.addCustomer(customerId, customerData);
     
@@ -274,10 +348,9 @@ router.post('/:customerId/query', async (req, res) => {
     const { query, options = {}, intent } = req.body;
     const customerService = req.app.get('customerService');
     
-    if (!query || typeof query !== 'string') {
-      return res.status(400).json({
-        error: 'Query is required and must be a string'
-      });
+    const validationError = validateQueryRequest(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
     }
 
     const customer = customerService.getCustomer(customerId);
@@ -311,6 +384,72 @@ router.post('/:customerId/query', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/customers/:customerId/query/stream
+ * Streaming variant of /query using Server-Sent Events:
+ * `retrieval` (selected chunks), `delta` (answer text), `done` (full response), `error`
+ */
+router.post('/:customerId/query/stream', async (req, res) => {
+  const { customerId } = req.params;
+  const { query, options = {}, intent } = req.body;
+  const customerService = req.app.get('customerService');
+
+  const validationError = validateQueryRequest(req.body);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  const customer = customerService.getCustomer(customerId);
+  if (!customer) {
+    return res.status(404).json({
+      error: 'Customer not found',
+      customerId
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so deltas arrive immediately
+  });
+  res.flushHeaders();
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (!clientGone) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Pass intent through options if provided
+  const queryOptions = { ...options };
+  if (intent) {
+    queryOptions.intent = intent;
+  }
+
+  try {
+    await customerService.streamQueryDocuments(customerId, query, queryOptions, (event, data) => {
+      // The final event carries the same body as POST /query
+      sendEvent(event, event === 'done'
+        ? { customerId, query, ...(intent && { intent }), ...data }
+        : data);
+    });
+  } catch (error) {
+    console.error('Error streaming query:', error);
+    sendEvent('error', {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+
+  res.end();
+});
+
 /**
  * GET /api/customers/:customerId/summary
  * Get policy summary for a customer
@@ -375,6 +514,44 @@ router.get('/:customerId/suggested-questions', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/customers/:customerId/notifications
+ * In-app notifications (messages sent on the IN_APP channel), newest first.
+ * Query: unreadOnly=true, markRead=true
+ */
+router.get('/:customerId/notifications', async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const customerService = req.app.get('customerService');
+
+    const customer = customerService.getCustomer(customerId);
+    if (!customer) {
+      return res.status(404).json({
+        error: 'Customer not found',
+        customerId
+      });
+    }
+
+    const notifications = customerService.communicationService.getNotifications(customerId, {
+      unreadOnly: req.query.unreadOnly === 'true',
+      markRead: req.query.markRead === 'true'
+    });
+
+    res.json({
+      customerId,
+      count: notifications.length,
+      unreadCount: notifications.filter(notification => !notification.read).length,
+      notifications
+    });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/customers/:customerId/policy-timeline
  * Get policy timeline data
@@ -398,4 +575,156 @@ router.get('/:customerId/policy-timeline', async (req, res) => {
   }
 });
 
+/**
+ * Map event journey errors to a response by their `status` (see EventJourneyService):
+ * unknown journey/event 404, a bad CTA or start time 400, a step that does not fit the journey's state 409
+ */
+function sendEventJourneyError(res, error, action) {
+  switch (error.status) {
+    case 404:
+      return res.status(404).json({ error: 'Event journey not found', code: error.code, message: error.message });
+    case 400:
+      return res.status(400).json({ error: `Invalid ${action} request`, code: error.code, details: [error.message] });
+    case 409:
+      return res.status(409).json({ error: `Cannot ${action}`, code: error.code, message: error.message });
+    default:
+      console.error(`Error trying to ${action}:`, error);
+      return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+}
+
+/**
+ * GET /api/customers/:customerId/event-journey
+ * The customer's event journey progress (e.g. onboarding)
+ */
+router.get('/:customerId/event-journey', async (req, res) => {
+  const { customerId } = req.params;
+  const eventJourneyService = req.app.get('customerService').eventJourneyService;
+  const record = eventJourneyService.getProgress(customerId);
+  if (!record) {
+    return res.status(404).json({ error: 'Event journey not found', customerId });
+  }
+  res.json({
+    ...eventJourneyService.summarize(record),
+    journey: record
+  });
+});
+
+/**
+ * POST /api/customers/:customerId/event-journey
+ * Start an event journey; its first events are queued timeOffsetDays from startAt
+ * Body: { journeyId (default NEW_CUSTOMER_ONBOARDING), channel (default EVENT_JOURNEYS.CHANNEL), startAt, restart }
+ */
+router.post('/:customerId/event-journey', async (req, res) => {
+  const { customerId } = req.params;
+  const { journeyId = 'NEW_CUSTOMER_ONBOARDING', channel, startAt, restart = false } = req.body || {};
+  const customerService = req.app.get('customerService');
+
+  const errors = [];
+  if (typeof journeyId !== 'string' || !journeyId) {
+    errors.push('journeyId must be a non-empty string');
+  }
+  if (channel !== undefined && !CommunicationService.CHANNELS.includes(CommunicationService.normalizeChannel(channel))) {
+    errors.push(`channel must be one of: ${CommunicationService.CHANNELS.join(', ')}`);
+  }
+  if (startAt !== undefined && !JobQueue.toDate(startAt)) {
+    errors.push('startAt must be an ISO 8601 timestamp');
+  }
+  if (typeof restart !== 'boolean') {
+    errors.push('restart must be a boolean');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid event journey request', details: errors });
+  }
+
+  if (!customerService.getCustomer(customerId)) {
+    return res.status(404).json({ error: 'Customer not found', customerId });
+  }
+
+  try {
+    const record = customerService.eventJourneyService.startJourney(customerId, journeyId, {
+      ...(channel && { channel: CommunicationService.normalizeChannel(channel) }),
+      startAt,
+      restart
+    });
+    res.status(201).json({
+      success: true,
+      ...customerService.eventJourneyService.summarize(record),
+      scheduledEvents: record.scheduledEvents
+    });
+  } catch (error) {
+    sendEventJourneyError(res, error, 'start event journey');
+  }
+});
+
+/**
+ * POST /api/customers/:customerId/event-journey/cta
+ * Record a CTA tap on a sent event and send the event it leads to
+ * Body: { eventId (event the CTA belongs to), action (target event ID or CTA label), userData (merged into the journey's userData) }
+ */
+router.post('/:customerId/event-journey/cta', async (req, res) => {
+  const { eventId, action, userData } = req.body || {};
+  const errors = [];
+  if (typeof eventId !== 'string' || !eventId) {
+    errors.push('eventId is required');
+  }
+  if (typeof action !== 'string' || !action) {
+    errors.push('action is required (target event ID or CTA label)');
+  }
+  if (userData !== undefined && (typeof userData !== 'object' || userData === null || Array.isArray(userData))) {
+    errors.push('userData must be an object');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid CTA request', details: errors });
+  }
+
+  try {
+    const eventJourneyService = req.app.get('customerService').eventJourneyService;
+    const { record, cta, fired } = await eventJourneyService.recordCtaClick(req.params.customerId, { eventId, action, userData });
+    res.json({
+      success: true,
+      cta,
+      fired,
+      ...eventJourneyService.summarize(record)
+    });
+  } catch (error) {
+    sendEventJourneyError(res, error, 'record CTA');
+  }
+});
+
+/**
+ * POST /api/customers/:customerId/event-journey/events/:eventId
+ * Send an event outside a CTA (e.g. the app reports the coverage was viewed);
+ * the event it depends on must have been sent
+ * Body: { userData }
+ */
+router.post('/:customerId/event-journey/events/:eventId', async (req, res) => {
+  const { userData } = req.body || {};
+  if (userData !== undefined && (typeof userData !== 'object' || userData === null || Array.isArray(userData))) {
+    return res.status(400).json({ error: 'Invalid event request', details: ['userData must be an object'] });
+  }
+
+  try {
+    const eventJourneyService = req.app.get('customerService').eventJourneyService;
+    const record = await eventJourneyService.triggerEvent(req.params.customerId, req.params.eventId, { userData });
+    res.json({ success: true, ...eventJourneyService.summarize(record) });
+  } catch (error) {
+    sendEventJourneyError(res, error, 'send event');
+  }
+});
+
+/**
+ * POST /api/customers/:customerId/event-journey/cancel
+ * Stop the customer's event journey and cancel its queued events
+ */
+router.post('/:customerId/event-journey/cancel', async (req, res) => {
+  try {
+    const eventJourneyService = req.app.get('customerService').eventJourneyService;
+    const record = eventJourneyService.cancelJourney(req.params.customerId);
+    res.json({ success: true, ...eventJourneyService.summarize(record) });
+  } catch (error) {
+    sendEventJourneyError(res, error, 'cancel event journey');
+  }
+});
+
 module.exports = router;
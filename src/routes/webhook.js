@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-// Import constants
-const CONFIG = require('../../config/constants');
+const CitationService = require('../services/citationService');
+const WhatsAppInboundService = require('../services/whatsAppInboundService');
+const MessageOutbox = require('../services/messageOutbox');
+const DialogflowEsAdapter = require('../services/dialogflowEsAdapter');
+const DialogflowCxAdapter = require('../services/dialogflowCxAdapter');
+const StructuredResponse = require('../services/structuredResponse');
 
 /**
  * Remove special characters from text for voice-friendly output
@@ -11,8 +15,8 @@ const CONFIG = require('../../config/constants');
  */
 function removeSpecialCharacters(text) {
   if (!text) return text;
-  // Remove special characters: * \ % $ # & ^ @
-  return text.replace(/[\*\\%\$#&\^@]/g, '');
+  // Remove citation markers like [1] (text-to-speech reads them out) and special characters: * \ % $ # & ^ @
+  return CitationService.stripMarkers(text).replace(/[\*\\%\$#&\^@]/g, '');
 }
 
 /**
@@ -82,184 +86,192 @@ async function normalizeUserMessage(text, geminiService) {
 }
 
 /**
- * Dialogflow Webhook Endpoint
- * Handles incoming requests from Dialogflow and integrates with existing RAG system
- * Always uses customer ID from constants
+ * Shared Dialogflow webhook handler. The adapter translates its API's
+ * request and response shapes; everything in between (Hindi normalization,
+ * customer resolution, journey routing, voice-friendly answers) is the same
+ * for ES and CX. Choices the journey offered are passed on as a structured
+ * response, which the adapter renders as chips, list cards and SSML.
+ * @param {BaseDialogflowAdapter} adapter - Dialogflow API adapter
+ * @returns {Function} - Express route handler
  */
-router.post('/dialogflow', async (req, res) => {
-  try {
-    console.log('Received Dialogflow webhook request:', JSON.stringify(req.body, null, 2));
+function handleDialogflowRequest(adapter) {
+  return async (req, res) => {
+    try {
+      console.log(`Received Dialogflow ${adapter.name} webhook request:`, JSON.stringify(req.body, null, 2));
+
+      const validation = adapter.validateRequest(req.body);
+      if (!validation.isValid) {
+        console.warn(`Invalid Dialogflow ${adapter.name} request:`, validation.errors);
+        const errorMsg = removeSpecialCharacters("I didn't understand your request. Please try again.");
+        return res.status(400).json(adapter.buildMessageResponse(errorMsg));
+      }
 
-    const { queryResult, session, queryParams } = req.body;
+      const turn = adapter.parseRequest(req.body);
+      console.log('Context parameters:', turn.context);
 
-    // Extract input contexts for context continuity
-    const inputContexts = req.body.queryResult?.outputContexts || [];
-    console.log('Input contexts:', JSON.stringify(inputContexts, null, 2));
+      // Get customer service instance from app
+      const customerService = req.app.get('customerService');
+      const journeyDispatcher = req.app.get('journeyDispatcher');
 
-    if (!queryResult || !queryResult.queryText) {
-      const errorMsg = removeSpecialCharacters("I didn't understand your request. Please try again.");
-      return res.status(400).json({
-        fulfillmentText: errorMsg,
-        fulfillmentMessages: [{
-          text: {
-            text: [errorMsg]
-          }
-        }]
+      if (!customerService || !journeyDispatcher) {
+        console.error('Customer service not available');
+        const errorMsg = removeSpecialCharacters("Sorry, the service is temporarily unavailable. Please try again later.");
+        return res.status(500).json(adapter.buildMessageResponse(errorMsg));
+      }
+
+      // Normalize user message: Convert Hindi to Hinglish using Gemini
+      if (customerService.geminiService) {
+        turn.queryText = await normalizeUserMessage(turn.queryText, customerService.geminiService);
+        console.log(`Normalized query text: ${turn.queryText}`);
+      } else {
+        console.log('GeminiService not available, skipping Hindi to Hinglish conversion');
+      }
+
+      // Resolve the customer from the request, then route by intent
+      const { customerId, source: customerSource } = journeyDispatcher.resolveCustomer(turn);
+      if (!customerId) {
+        throw new Error('No customer for this session and no default customer configured');
+      }
+
+      console.log(`Processing Dialogflow ${adapter.name} query for customer ${customerId} (from ${customerSource}), intent ${turn.intentName || '(none)'}: ${turn.queryText}`);
+
+      const { handler, result } = await journeyDispatcher.dispatch({
+        customerId,
+        intentName: turn.intentName,
+        text: turn.queryText,
+        parameters: turn.parameters
       });
-    }
 
-    // Extract query text from Dialogflow request
-    let queryText = queryResult.queryText;
+      console.log(`Dialogflow query result for ${customerId}:`, {
+        handler,
+        confidence: result.confidence,
+        queryType: result.queryType,
+        sourceChunks: result.sourceChunks?.length || 0
+      });
 
-    // Use customer ID from constants
-    const customerId = CONFIG.DEFAULT_CUSTOMER_ID;
+      // Format response for Dialogflow
+      const rawAnswerText = result.answer || "I couldn't find specific information about your query. Please contact customer service for more detailed assistance.";
 
-    // Get customer service instance from app
-    const customerService = req.app.get('customerService');
+      // Remove special characters for voice-friendly output
+      const answer = removeSpecialCharacters(rawAnswerText);
 
-    // Normalize user message: Convert Hindi to Hinglish using Gemini
-    if (customerService && customerService.geminiService) {
-      queryText = await normalizeUserMessage(queryText, customerService.geminiService);
-      console.log(`Normalized query text: ${queryText}`);
-    } else {
-      console.log('GeminiService not available, skipping Hindi to Hinglish conversion');
-    }
+      // Choices the journey offered (hospitals, packages, quick replies), rendered by the adapter
+      const response = StructuredResponse.create(answer, result.response?.choices);
 
-    console.log(`Processing Dialogflow query for customer ${customerId}: ${queryText}`);
-    // const healthCheckupService = req.app.get('healthCheckupService');
+      const dialogflowResponse = adapter.buildResponse(turn, { customerId, handler, answer, response, result });
 
-    if (!customerService) {
-      console.error('Customer service not available');
-      const errorMsg = removeSpecialCharacters("Sorry, the service is temporarily unavailable. Please try again later.");
-      return res.status(500).json({
-        fulfillmentText: errorMsg,
-        fulfillmentMessages: [{
-          text: {
-            text: [errorMsg]
-          }
-        }]
-      });
+      console.log('Sending Dialogflow response:', JSON.stringify(dialogflowResponse, null, 2));
+
+      res.json(dialogflowResponse);
+
+    } catch (error) {
+      console.error(`Error processing Dialogflow ${adapter.name} webhook:`, error);
+      console.error('Error stack:', error.stack);
+
+      const rawErrorText = `Sorry, I encountered an error while processing your request: ${error.message}. Please try again.`;
+      const errorText = removeSpecialCharacters(rawErrorText);
+
+      res.status(500).json(adapter.buildMessageResponse(errorText));
     }
+  };
+}
 
-    // Extract context parameters for enhanced query processing
-    let contextParams = {};
-    let conversationHistory = [];
+/**
+ * Dialogflow ES Webhook Endpoint
+ * Handles incoming requests from Dialogflow ES and routes them to a journey.
+ * The customer is taken from originalDetectIntentRequest.payload.customerId,
+ * a customerId intent or context parameter, the session ID (customer ID or
+ * phone number) or the telephony caller ID, else the default customer; a
+ * session or caller ID that belongs to another customer overrides the
+ * explicit ID.
+ * queryResult.intent.displayName picks the handler through the Dialogflow
+ * routing table (see JourneyDispatcher).
+ */
+router.post('/dialogflow', handleDialogflowRequest(new DialogflowEsAdapter()));
 
-    // Get context from input contexts
-    inputContexts.forEach(context => {
-      if (context.parameters) {
-        contextParams = { ...contextParams, ...context.parameters };
-      }
-    });
+/**
+ * Dialogflow CX Webhook Endpoint
+ * Handles Dialogflow CX WebhookRequests. The fulfillment tag (else the
+ * matched intent) picks the handler through the same routing table as ES;
+ * the customer comes from payload.customerId, the customerId session
+ * parameter, the session ID or the caller ID (the session and caller IDs
+ * override an explicit ID of another customer). The response updates the
+ * session parameters with customerId, currentStageId and collectedData.
+ */
+router.post('/dialogflow-cx', handleDialogflowRequest(new DialogflowCxAdapter()));
 
-    // Build conversation history from context
-    if (contextParams.lastQuery) {
-      conversationHistory.push({
-        query: contextParams.lastQuery,
-        answer: contextParams.lastAnswer,
-        timestamp: contextParams.lastQueryTime || new Date().toISOString()
+/**
+ * WhatsApp Webhook Endpoint
+ * Receives inbound WhatsApp messages from Infobip ({ results: [...] }).
+ * Text and button replies continue the sender's active journey; images and
+ * documents are stored as policy documents. Always answers 200 once the
+ * payload is valid, so Infobip does not redeliver messages that failed
+ * downstream; per-message outcomes are in `results`.
+ */
+router.post('/whatsapp', async (req, res) => {
+  try {
+    const validation = WhatsAppInboundService.validatePayload(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid WhatsApp webhook payload',
+        details: validation.errors
       });
     }
 
-    console.log('Context parameters:', contextParams);
-    console.log('Conversation history:', conversationHistory);
-
-    // Use existing queryDocuments functionality with context
-    const queryOptions = {
-      context: contextParams,
-      conversationHistory: conversationHistory
-    };
-    console.log("🏥 Routing to Health Checkup Journey Service");
-    
-    // Get health checkup service from customer service
-    const healthCheckupService = customerService.intentJourneyService?.healthCheckupService;
-    if (!healthCheckupService) {
-      throw new Error('Health checkup service not available');
+    const inboundService = req.app.get('whatsAppInboundService');
+    if (!inboundService) {
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'WhatsApp inbound service is not initialized'
+      });
     }
-    
-    const result = await healthCheckupService.processHealthCheckupQuery(
-      customerId,
-      queryText,
-    );
-    // const result = await customerService.queryDocuments(customerId, queryText, queryOptions);
-
-    console.log(`Dialogflow query result for ${customerId}:`, {
-      confidence: result.confidence,
-      queryType: result.queryType,
-      sourceChunks: result.sourceChunks?.length || 0
-    });
 
-    // Format response for Dialogflow
-    const rawAnswerText = result.answer || "I couldn't find specific information about your query. Please contact customer service for more detailed assistance.";
-
-    // Remove special characters for voice-friendly output
-    const answerText = removeSpecialCharacters(rawAnswerText);
-
-    // Enhanced context management for follow-up queries
-    const outputContexts = [
-      {
-        name: `${session}/contexts/customer-session`,
-        lifespanCount: 20, // Increased lifespan for better context retention
-        parameters: {
-          customerId: customerId,
-          lastQueryType: result.queryType,
-          confidence: result.confidence,
-          lastQuery: queryText,
-          lastAnswer: answerText,
-          lastQueryTime: new Date().toISOString(),
-          // Preserve existing context parameters
-          ...contextParams,
-          // Add conversation turn counter
-          conversationTurn: (contextParams.conversationTurn || 0) + 1
-        }
-      },
-      {
-        name: `${session}/contexts/conversation-history`,
-        lifespanCount: 15,
-        parameters: {
-          customerId: customerId,
-          conversationHistory: JSON.stringify([
-            ...conversationHistory,
-            {
-              query: queryText,
-              answer: answerText,
-              timestamp: new Date().toISOString(),
-              queryType: result.queryType,
-              confidence: result.confidence
-            }
-          ])
-        }
-      }
-    ];
+    console.log(`Received ${req.body.results.length} WhatsApp message(s)`);
+    const results = await inboundService.handlePayload(req.body);
 
-    const dialogflowResponse = {
-      fulfillmentText: answerText,
-      fulfillmentMessages: [{
-        text: {
-          text: [answerText]
-        }
-      }],
-      outputContexts: outputContexts
-    };
+    res.json({
+      received: results.length,
+      results
+    });
+  } catch (error) {
+    console.error('Error processing WhatsApp webhook:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
 
-    console.log('Sending Dialogflow response:', JSON.stringify(dialogflowResponse, null, 2));
+/**
+ * Delivery Report Webhook Endpoint
+ * Receives Infobip delivery reports ({ results: [{ messageId, status: { groupName }, doneAt }] })
+ * and seen reports ({ results: [{ messageId, seenAt }] }) and updates the
+ * status of the matching outbound messages. Reports for unknown message IDs
+ * are acknowledged with `updated: false`.
+ */
+router.post('/delivery-reports', async (req, res) => {
+  try {
+    const validation = MessageOutbox.validateReports(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid delivery report payload',
+        details: validation.errors
+      });
+    }
 
-    res.json(dialogflowResponse);
+    const customerService = req.app.get('customerService');
+    const results = req.body.results.map(report => customerService.communicationService.outbox.applyReport(report));
 
+    res.json({
+      received: results.length,
+      updated: results.filter(result => result.updated).length,
+      results
+    });
   } catch (error) {
-    console.error('Error processing Dialogflow webhook:', error);
-    console.error('Error stack:', error.stack);
-
-    const rawErrorText = `Sorry, I encountered an error while processing your request: ${error.message}. Please try again.`;
-    const errorText = removeSpecialCharacters(rawErrorText);
-
+    console.error('Error processing delivery reports:', error);
     res.status(500).json({
-      fulfillmentText: errorText,
-      fulfillmentMessages: [{
-        text: {
-          text: [errorText]
-        }
-      }]
+      error: 'Internal server error',
+      message: error.message
     });
   }
 });
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+
+/**
+ * Auth Service
+ * Express middleware guarding the API surfaces:
+ * - requireRole('customer' | 'admin'): API key in `X-API-Key` or
+ *   `Authorization: Bearer <key>`. Admin keys are accepted everywhere;
+ *   customer keys are refused on admin routes with 403
+ * - authorizeCustomer: router.param('customerId') handler that refuses a
+ *   customer key (403) for a customer outside its scope. Customer keys are
+ *   configured as `<key>:<customerId>|<customerId>...` (or `<key>:*` for a
+ *   key trusted with every customer); an entry without a scope is a
+ *   configuration error
+ * - verifyDialogflow(): the Dialogflow webhook's basic auth credentials or
+ *   shared secret header
+ * - verifySignature(): HMAC-SHA256 of the raw request body (Infobip-style
+ *   inbound messages and delivery reports)
+ *
+ * Secrets come from the environment. A surface whose secret is not set is
+ * left open (as before authentication existed) and reported at startup,
+ * except the admin API: once any secret is configured it needs an admin
+ * key, so it is refused entirely when ADMIN_API_KEYS is unset.
+ * Missing or wrong credentials get 401, a valid key without the role 403.
+ */
+class AuthService {
+  /**
+   * @param {Object} options - { apiKeys, adminApiKeys, dialogflow: { username, password, secret, secretHeader }, signingSecret, signatureHeader }
+   */
+  constructor(options = {}) {
+    this.apiKeys = AuthService.parseScopedKeys(options.apiKeys);
+    this.adminApiKeys = AuthService.parseKeys(options.adminApiKeys);
+    this.dialogflow = {
+      username: options.dialogflow?.username || null,
+      password: options.dialogflow?.password || null,
+      secret: options.dialogflow?.secret || null,
+      secretHeader: options.dialogflow?.secretHeader || 'X-Webhook-Secret'
+    };
+    this.signingSecret = options.signingSecret || null;
+    this.signatureHeader = options.signatureHeader || 'X-Signature';
+  }
+
+  /**
+   * Require an API key with a role
+   * @param {string} role - 'customer' or 'admin'
+   * @returns {Function} - Express middleware
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      // Customer routes accept admin keys too, so both lists must be empty for them to be open
+      const enabled = role === 'admin'
+        ? this.isAnyAuthConfigured()
+        : this.apiKeys.length > 0 || this.adminApiKeys.length > 0;
+      if (!enabled) {
+        return next();
+      }
+      if (role === 'admin' && this.adminApiKeys.length === 0) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'The admin API is disabled: authentication is configured but ADMIN_API_KEYS is not set'
+        });
+      }
+
+      const key = AuthService.getApiKey(req);
+      if (!key) {
+        return AuthService.unauthorized(res, 'API key required (X-API-Key header or Authorization: Bearer <key>)');
+      }
+
+      const isAdmin = AuthService.matchesAny(key, this.adminApiKeys);
+      const customerKey = AuthService.findKey(key, this.apiKeys);
+      if (!isAdmin && !customerKey) {
+        return AuthService.unauthorized(res, 'Invalid API key');
+      }
+      if (role === 'admin' && !isAdmin) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'This API key does not have the admin role'
+        });
+      }
+
+      req.auth = isAdmin
+        ? { role: 'admin', customerIds: null }
+        : { role: 'customer', customerIds: customerKey.customerIds };
+      next();
+    };
+  }
+
+  /**
+   * router.param('customerId') handler: a customer key may only reach the
+   * customers in its scope (req.auth.customerIds; null = every customer).
+   * Requests that passed without authentication (auth disabled) carry no req.auth.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   * @param {string} customerId - Route customer ID
+   */
+  static authorizeCustomer(req, res, next, customerId) {
+    const customerIds = req.auth?.customerIds;
+    if (customerIds && !customerIds.includes(customerId)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key does not have access to customer ${customerId}`
+      });
+    }
+    next();
+  }
+
+  /**
+   * Verify Dialogflow webhook requests (basic auth or shared secret header;
+   * either is enough when both are configured)
+   * @returns {Function} - Express middleware
+   */
+  verifyDialogflow() {
+    return (req, res, next) => {
+      const { username, password, secret, secretHeader } = this.dialogflow;
+      const basicEnabled = Boolean(username && password);
+      if (!basicEnabled && !secret) {
+        return next();
+      }
+
+      if (secret && req.get(secretHeader) && AuthService.safeEqual(req.get(secretHeader), secret)) {
+        return next();
+      }
+      if (basicEnabled) {
+        const credentials = AuthService.getBasicCredentials(req);
+        if (credentials &&
+          AuthService.safeEqual(credentials.username, username) &&
+          AuthService.safeEqual(credentials.password, password)) {
+          return next();
+        }
+        res.set('WWW-Authenticate', 'Basic realm="dialogflow-webhook"');
+      }
+
+      return AuthService.unauthorized(res, 'Invalid or missing Dialogflow webhook credentials');
+    };
+  }
+
+  /**
+   * Verify the HMAC-SHA256 signature of the raw request body. The header
+   * holds the hex digest, optionally prefixed with "sha256=".
+   * Needs req.rawBody (see the express.json verify hook in server.js).
+   * @returns {Function} - Express middleware
+   */
+  verifySignature() {
+    return (req, res, next) => {
+      if (!this.signingSecret) {
+        return next();
+      }
+
+      const header = req.get(this.signatureHeader);
+      if (!header) {
+        return AuthService.unauthorized(res, `Missing ${this.signatureHeader} signature header`);
+      }
+
+      const signature = String(header).replace(/^sha256=/i, '').trim();
+      const expected = AuthService.sign(req.rawBody || '', this.signingSecret);
+      if (!AuthService.safeEqual(signature.toLowerCase(), expected)) {
+        return AuthService.unauthorized(res, 'Invalid request signature');
+      }
+      next();
+    };
+  }
+
+  /**
+   * Whether any secret is configured (the admin API only stays open when none is)
+   * @returns {boolean}
+   */
+  isAnyAuthConfigured() {
+    const info = this.getInfo();
+    return info.customerApiKeys || info.dialogflow || info.inboundSignature;
+  }
+
+  /**
+   * Which protections are enabled (no secrets)
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      customerApiKeys: this.apiKeys.length > 0 || this.adminApiKeys.length > 0,
+      adminApiKeys: this.adminApiKeys.length > 0,
+      scopedCustomerApiKeys: this.apiKeys.filter(entry => entry.customerIds).length,
+      dialogflow: Boolean((this.dialogflow.username && this.dialogflow.password) || this.dialogflow.secret),
+      inboundSignature: Boolean(this.signingSecret)
+    };
+  }
+
+  /**
+   * Surfaces left open because their secret is not configured
+   * @returns {Array<string>} - Route prefixes
+   */
+  getOpenSurfaces() {
+    const info = this.getInfo();
+    return [
+      !info.customerApiKeys && '/api/customers',
+      !this.isAnyAuthConfigured() && '/api/admin',
+      !info.dialogflow && '/api/webhook/dialogflow, /api/webhook/dialogflow-cx',
+      !info.inboundSignature && '/api/webhook/whatsapp, /api/webhook/delivery-reports'
+    ].filter(Boolean);
+  }
+
+  /**
+   * Surfaces refused entirely because their secret is missing while others are set
+   * @returns {Array<string>} - Route prefixes
+   */
+  getLockedSurfaces() {
+    return this.isAnyAuthConfigured() && this.adminApiKeys.length === 0 ? ['/api/admin'] : [];
+  }
+
+  /**
+   * Hex HMAC-SHA256 of a body
+   * @param {Buffer|string} body - Raw request body
+   * @param {string} secret - Signing secret
+   * @returns {string} - Hex digest
+   */
+  static sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  static getApiKey(req) {
+    const header = req.headers['x-api-key'];
+    if (header) {
+      return String(header).trim();
+    }
+    const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+
+  static getBasicCredentials(req) {
+    const match = String(req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+    if (!match) {
+      return null;
+    }
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) {
+      return null;
+    }
+    return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+  }
+
+  static matchesAny(value, candidates) {
+    // Compare against every key so timing does not reveal which one matched
+    return candidates.reduce((matched, candidate) => AuthService.safeEqual(value, candidate) || matched, false);
+  }
+
+  static findKey(value, entries) {
+    // Same as matchesAny: every key is compared
+    return entries.reduce((found, entry) => (AuthService.safeEqual(value, entry.key) ? entry : found), null);
+  }
+
+  static safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  static parseKeys(keys) {
+    if (Array.isArray(keys)) {
+      return keys.map(key => String(key).trim()).filter(Boolean);
+    }
+    return String(keys || '').split(',').map(key => key.trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse customer API keys: `<key>:<customerId>|<customerId>...` or `<key>:*`
+   * @param {string|Array<string>} keys - Comma-separated list or array of entries
+   * @returns {Array<Object>} - [{ key, customerIds }] (customerIds null for `*`)
+   */
+  static parseScopedKeys(keys) {
+    return AuthService.parseKeys(keys).map((entry, index) => {
+      const separator = entry.lastIndexOf(':');
+      const key = separator > 0 ? entry.slice(0, separator).trim() : '';
+      const scope = separator > 0 ? entry.slice(separator + 1).split('|').map(id => id.trim()).filter(Boolean) : [];
+      if (!key || scope.length === 0) {
+        throw new Error(`API_KEYS entry ${index + 1} has no customer scope: use <key>:<customerId>|<customerId>... or <key>:* for every customer`);
+      }
+      return { key, customerIds: scope.includes('*') ? null : scope };
+    });
+  }
+
+  static unauthorized(res, message) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message
+    });
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,49 @@
+/**
+ * Base Channel Adapter
+ * Defines the contract CommunicationService uses to deliver a message on one
+ * channel. Adapters never throw for delivery failures: send() resolves to
+ * { success: false, error } so callers (and the job queue) can decide
+ * whether to retry.
+ */
+class BaseChannelAdapter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Channel name, e.g. 'WHATSAPP'
+   * @returns {string}
+   */
+  get channel() {
+    throw new Error(`${this.constructor.name} must implement channel`);
+  }
+
+  /**
+   * Pick this channel's address from a customer record
+   * @param {Object|null} customer - Customer record (may be null)
+   * @param {string} customerId - Customer ID
+   * @returns {string|null} - Recipient address, or null if the customer has none
+   */
+  resolveRecipient(customer, customerId) {
+    throw new Error(`${this.constructor.name} must implement resolveRecipient()`);
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - { recipient, text, subject, customerId, conversationId, contactName, channel }
+   * @returns {Promise<Object>} - { success, messageId, data } or { success: false, error }
+   */
+  async send(message) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  /**
+   * Describe the adapter for health output (no secrets)
+   * @returns {Object}
+   */
+  getInfo() {
+    return { channel: this.channel };
+  }
+}
+
+module.exports = BaseChannelAdapter;
@@ -0,0 +1,68 @@
+/**
+ * Base Dialogflow Adapter
+ * Defines the contract the Dialogflow webhook routes use to speak one
+ * Dialogflow API (ES or CX). An adapter only translates: parseRequest()
+ * turns a webhook body into a turn the JourneyDispatcher understands, and
+ * buildResponse() turns the journey's answer back into that API's response
+ * shape. Customer resolution and journey routing are shared by all adapters.
+ */
+class BaseDialogflowAdapter {
+  /**
+   * API name, e.g. 'ES'
+   * @returns {string}
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} must implement name`);
+  }
+
+  /**
+   * Validate a webhook body
+   * @param {Object} body - Request body
+   * @returns {Object} - { isValid, errors }
+   */
+  validateRequest(body) {
+    throw new Error(`${this.constructor.name} must implement validateRequest()`);
+  }
+
+  /**
+   * Flatten a webhook body into a turn
+   * @param {Object} body - Request body
+   * @returns {Object} - { queryText, intentName, session, sessionId, customerId, callerId, parameters, context }
+   */
+  parseRequest(body) {
+    throw new Error(`${this.constructor.name} must implement parseRequest()`);
+  }
+
+  /**
+   * Webhook response for a handled turn
+   * @param {Object} turn - Parsed turn (see parseRequest)
+   * @param {Object} outcome - { customerId, handler, answer, response, result }
+   *   (response: StructuredResponse of the answer and the journey's choices)
+   * @returns {Object} - Response body
+   */
+  buildResponse(turn, outcome) {
+    throw new Error(`${this.constructor.name} must implement buildResponse()`);
+  }
+
+  /**
+   * Webhook response carrying only a message (errors, invalid requests)
+   * @param {string} text - Message to speak
+   * @returns {Object} - Response body
+   */
+  buildMessageResponse(text) {
+    throw new Error(`${this.constructor.name} must implement buildMessageResponse()`);
+  }
+
+  /**
+   * Last path segment of a session name
+   * ("projects/p/agent/sessions/919876543210" -> "919876543210")
+   * @param {string} session - Session name
+   * @returns {string|null} - Session ID
+   */
+  static getSessionId(session) {
+    if (!session) return null;
+    return String(session).split('/').pop() || null;
+  }
+}
+
+module.exports = BaseDialogflowAdapter;
@@ -0,0 +1,76 @@
+/**
+ * Base LLM provider
+ * Defines the interface GeminiService and EmbeddingService use to reach a
+ * language model. Requests use the Gemini request shape
+ * ({ contents, generationConfig }) since every caller already builds it.
+ * Implementations: GeminiProvider (Google AI) and FakeLLMProvider (offline).
+ */
+class BaseLLMProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - { contents, generationConfig }
+   * @param {Object} options - { model } to override the default generation model
+   * @returns {Promise<Object>} - { text }
+   */
+  async generate(request, options = {}) {
+    throw new Error('generate must be implemented by the LLM provider');
+  }
+
+  /**
+   * Stream a completion as text deltas
+   * @param {Object} request - { contents, generationConfig }
+   * @param {Object} options - { model }
+   * @returns {AsyncIterable<string>} - Text deltas
+   */
+  async *generateStream(request, options = {}) {
+    throw new Error('generateStream must be implemented by the LLM provider');
+  }
+
+  /**
+   * Embed a text
+   * @param {string} text - Text to embed
+   * @returns {Promise<Object>} - { values, model, dimensions }
+   */
+  async embed(text) {
+    throw new Error('embed must be implemented by the LLM provider');
+  }
+
+  /**
+   * Embed several texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Object>>} - [{ values, model, dimensions }] in input order
+   */
+  async embedBatch(texts) {
+    throw new Error('embedBatch must be implemented by the LLM provider');
+  }
+
+  /**
+   * Describe the provider for health/stats endpoints
+   * @returns {Object} - Provider information
+   */
+  getInfo() {
+    return { provider: 'unknown' };
+  }
+
+  /**
+   * Concatenate the text parts of a request (for logging and scripted matching)
+   * @param {Object|string} request - Request or prompt string
+   * @returns {string} - Prompt text
+   */
+  static promptText(request) {
+    if (typeof request === 'string') {
+      return request;
+    }
+    return (request?.contents || [])
+      .flatMap(content => content.parts || [])
+      .map(part => part.text || '')
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+module.exports = BaseLLMProvider;
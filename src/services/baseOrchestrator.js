@@ -183,7 +183,29 @@ class BaseOrchestrator {
       
         return negativeRegex.test(text);
       }
-      
+
+    /**
+     * Check if user wants to skip
+     * @param {string} message - User message
+     * @returns {boolean}
+     */
+    isSkipResponse(message = "") {
+        const skip = ['skip', 'no preference', 'nothing', 'no requirements', 'none'];
+        return skip.some(word => String(message).toLowerCase().includes(word));
+    }
+
+    /**
+     * Response classes a journey's transition rules can test (see JourneyEngine)
+     * @returns {Object} - { positive, negative, skip }
+     */
+    getResponseClassifiers() {
+        return {
+            positive: message => this.isPositiveResponse(message),
+            negative: message => this.isNegativeResponse(message),
+            skip: message => this.isSkipResponse(message)
+        };
+    }
+
     /**
      * Parse date for various formats
      */
@@ -0,0 +1,104 @@
+/**
+ * Base Storage Adapter Class
+ * Defines the persistence contract used by VectorStore. VectorStore keeps its
+ * in-memory Maps as the read path and calls these methods for every mutation,
+ * so each adapter only has to persist the records that actually changed.
+ */
+class BaseStorageAdapter {
+  constructor(storageDir = './data') {
+    this.storageDir = storageDir;
+  }
+
+  /**
+   * Prepare the underlying storage (create directories, open connections)
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} must implement initialize()`);
+  }
+
+  /**
+   * Load every stored record
+   * @returns {Promise<Object>} - { documents, chunks, customers } as Maps keyed by ID
+   */
+  async loadAll() {
+    throw new Error(`${this.constructor.name} must implement loadAll()`);
+  }
+
+  /**
+   * Insert or replace a customer record
+   * @param {Object} customer - Customer record
+   */
+  async saveCustomer(customer) {
+    throw new Error(`${this.constructor.name} must implement saveCustomer()`);
+  }
+
+  /**
+   * Insert a document and the customer record that now references it
+   * @param {Object} document - Document record
+   * @param {Object|null} customer - Updated owning customer, if known
+   */
+  async saveDocument(document, customer = null) {
+    throw new Error(`${this.constructor.name} must implement saveDocument()`);
+  }
+
+  /**
+   * Insert chunks and the documents whose chunk lists changed
+   * @param {Array<Object>} chunks - Chunk records with embeddings
+   * @param {Array<Object>} documents - Updated parent documents
+   */
+  async saveChunks(chunks, documents = []) {
+    throw new Error(`${this.constructor.name} must implement saveChunks()`);
+  }
+
+  /**
+   * Delete a document with its chunks and persist the updated customer
+   * @param {Object} document - Document record being removed
+   * @param {Object|null} customer - Updated owning customer, if known
+   */
+  async deleteDocument(document, customer = null) {
+    throw new Error(`${this.constructor.name} must implement deleteDocument()`);
+  }
+
+  /**
+   * Load the persisted ANN index state
+   * @returns {Promise<Object|null>} - Index state saved by saveIndex(), or null
+   */
+  async loadIndex() {
+    throw new Error(`${this.constructor.name} must implement loadIndex()`);
+  }
+
+  /**
+   * Persist the ANN index state alongside the chunk store
+   * @param {Object|null} indexData - Serialised index (null clears it)
+   */
+  async saveIndex(indexData) {
+    throw new Error(`${this.constructor.name} must implement saveIndex()`);
+  }
+
+  /**
+   * Persist list assignments that changed since the last save, without
+   * rewriting the clustering; loadIndex() must return them merged in
+   * @param {Map<string, number|null>} changes - Chunk ID -> list number, null when removed
+   */
+  async saveIndexAssignments(changes) {
+    throw new Error(`${this.constructor.name} must implement saveIndexAssignments()`);
+  }
+
+  /**
+   * Release any held resources
+   */
+  async close() {}
+
+  /**
+   * Describe the adapter for stats and health output
+   * @returns {Object} - Adapter description
+   */
+  getInfo() {
+    return {
+      backend: 'unknown',
+      storageDir: this.storageDir
+    };
+  }
+}
+
+module.exports = BaseStorageAdapter;
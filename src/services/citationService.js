@@ -0,0 +1,272 @@
+const SectionChunker = require('./sectionChunker');
+
+const CITATION_CHANNELS = ['API', 'WHATSAPP', 'VOICE'];
+
+// "[1]", "[1, 3]", "[2-4]" and the occasional "[Source 2]"
+const MARKER_PATTERN = /\[(?:sources?\s*)?(\d+(?:\s*[,;\-–]\s*(?:sources?\s*)?\d+)*)\]/gi;
+
+/**
+ * Citation Service
+ * Turns the numbered [n] markers GeminiService asks the model to emit into a
+ * validated `citations` array, measures how many factual sentences carry a
+ * marker, and renders the markers for each channel: kept for the API, kept
+ * with a sources footer on WhatsApp, stripped for Dialogflow voice.
+ */
+class CitationService {
+  constructor() {
+    this.sentenceSplitter = new SectionChunker();
+  }
+
+  /**
+   * Remove citation markers from text (for channels that cannot show them)
+   * @param {string} text - Text with [n] markers
+   * @returns {string} - Text without markers
+   */
+  static stripMarkers(text) {
+    if (!text) return text;
+    return text
+      .replace(MARKER_PATTERN, '')
+      .replace(/[ \t]+([.,;:!?])/g, '$1')
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/[ \t]+\n/g, '\n')
+      .trim();
+  }
+
+  /**
+   * Validate the markers in an answer against the chunks it was generated from
+   * @param {string} answer - Model answer with [n] markers referring to [Source n]
+   * @param {Array<Object>} chunks - Chunks in the order they were given to the model
+   * @returns {Object} - { answer, citations, invalidMarkers, coverage }
+   */
+  extract(answer, chunks = []) {
+    const citations = [];
+    const citedSources = new Set();
+    const invalidMarkers = [];
+
+    // Markers keep the source number the model saw, so streamed text and the final answer agree
+    const normalizedAnswer = (answer || '').replace(MARKER_PATTERN, (match, numbers) => {
+      const markers = [];
+      for (const sourceNumber of this.parseMarkerNumbers(numbers)) {
+        const chunk = chunks[sourceNumber - 1];
+        if (!chunk) {
+          invalidMarkers.push(sourceNumber);
+          continue;
+        }
+        if (!citedSources.has(sourceNumber)) {
+          citedSources.add(sourceNumber);
+          citations.push(this.buildCitation(sourceNumber, chunk));
+        }
+        if (!markers.includes(sourceNumber)) {
+          markers.push(sourceNumber);
+        }
+      }
+      return markers.sort((a, b) => a - b).map(marker => `[${marker}]`).join('');
+    });
+
+    const cleanedAnswer = normalizedAnswer
+      .replace(/[ \t]+([.,;:!?])/g, '$1')
+      .replace(/[ \t]{2,}/g, ' ')
+      .trim();
+
+    if (invalidMarkers.length > 0) {
+      console.warn(`Dropped citation markers not backed by a supplied chunk: ${Array.from(new Set(invalidMarkers)).join(', ')}`);
+    }
+
+    return {
+      answer: cleanedAnswer,
+      citations,
+      invalidMarkers: Array.from(new Set(invalidMarkers)),
+      coverage: this.measureCoverage(cleanedAnswer)
+    };
+  }
+
+  /**
+   * Expand "1, 3" / "2-4" into source numbers
+   * @param {string} numbers - Marker contents
+   * @returns {Array<number>} - Source numbers
+   */
+  parseMarkerNumbers(numbers) {
+    const result = [];
+    for (const part of numbers.replace(/sources?/gi, '').split(/[,;]/)) {
+      const range = part.split(/[-–]/).map(value => parseInt(value.trim(), 10)).filter(value => !isNaN(value));
+      if (range.length === 2 && range[1] >= range[0] && range[1] - range[0] < 20) {
+        for (let value = range[0]; value <= range[1]; value++) {
+          result.push(value);
+        }
+      } else {
+        result.push(...range);
+      }
+    }
+    return result;
+  }
+
+  buildCitation(marker, chunk) {
+    return {
+      marker,
+      documentId: chunk.documentId,
+      filename: chunk.filename || null,
+      chunkId: chunk.id,
+      ...(chunk.section && { section: chunk.section }),
+      ...(chunk.clause && { clause: chunk.clause }),
+      text: (chunk.text || '').substring(0, 200)
+    };
+  }
+
+  /**
+   * Count factual sentences and how many of them carry a citation marker.
+   * Questions, short courtesy lines and headings are not counted as claims.
+   * @param {string} answer - Answer with normalized markers
+   * @returns {Object} - { claims, cited, uncited, ratio }
+   */
+  measureCoverage(answer) {
+    let claims = 0;
+    let cited = 0;
+    const markerOnly = /^(?:\[\d+\])+[.,;:]?$/;
+
+    for (const line of (answer || '').split('\n')) {
+      const sentences = this.sentenceSplitter.splitSentences(line);
+      sentences.forEach((sentence, index) => {
+        // A marker placed after the full stop belongs to the previous sentence
+        const nextIsMarker = index + 1 < sentences.length && markerOnly.test(sentences[index + 1]);
+        if (markerOnly.test(sentence)) {
+          return;
+        }
+
+        const plain = CitationService.stripMarkers(sentence);
+        const words = plain.split(/\s+/).filter(Boolean).length;
+        if (words < 5 || /\?\s*$/.test(plain) || /:$/.test(plain)) {
+          return;
+        }
+
+        claims++;
+        if (nextIsMarker || /\[\d+\]/.test(sentence)) {
+          cited++;
+        }
+      });
+    }
+
+    return {
+      claims,
+      cited,
+      uncited: claims - cited,
+      ratio: claims > 0 ? Math.round((cited / claims) * 100) / 100 : 1
+    };
+  }
+
+  /**
+   * Lower a retrieval-based confidence score by the share of uncited claims
+   * @param {number} confidence - Confidence from retrieval scores
+   * @param {Object} coverage - Result of measureCoverage
+   * @returns {number} - Adjusted confidence
+   */
+  adjustConfidence(confidence, coverage) {
+    if (!coverage || coverage.claims === 0) {
+      return confidence;
+    }
+    const uncitedShare = coverage.uncited / coverage.claims;
+    return Math.round(confidence * (1 - 0.5 * uncitedShare) * 100) / 100;
+  }
+
+  /**
+   * Rewrite markers the way extract() does, given only the number of sources:
+   * "[1, 3]" becomes "[1][3]" and numbers without a source are dropped
+   * @param {string} text - Text with [n] markers
+   * @param {number} sourceCount - Number of chunks the model was given
+   * @returns {string} - Text with normalized markers
+   */
+  normalizeMarkers(text, sourceCount) {
+    return text.replace(new RegExp(`([ \\t]*)${MARKER_PATTERN.source}`, 'gi'), (match, space, numbers) => {
+      const markers = Array.from(new Set(this.parseMarkerNumbers(numbers)))
+        .filter(marker => marker >= 1 && marker <= sourceCount)
+        .sort((a, b) => a - b);
+      return markers.length > 0 ? space + markers.map(marker => `[${marker}]`).join('') : '';
+    });
+  }
+
+  /**
+   * Create a filter for streamed answer deltas so they read like the final
+   * answer: markers are stripped for voice and, once setSources() is called
+   * with the retrieved chunk count, normalized and validated for the other
+   * channels. A marker split across deltas ("[" + "2]") is held back until it
+   * is complete. The WHATSAPP sources footer is not part of the stream; see
+   * renderSourcesFooter().
+   * @param {string} channel - 'API' | 'WHATSAPP' | 'VOICE'
+   * @returns {Object} - { setSources(count), push(delta) => text, flush() => text }
+   */
+  createStreamFilter(channel = 'API') {
+    const isVoice = (channel || 'API').toUpperCase() === 'VOICE';
+    let sourceCount = null;
+    let pending = '';
+
+    const transform = (text) => {
+      if (isVoice) {
+        return text.replace(new RegExp(`[ \\t]*${MARKER_PATTERN.source}`, 'gi'), '');
+      }
+      return sourceCount === null ? text : this.normalizeMarkers(text, sourceCount);
+    };
+
+    return {
+      setSources: (count) => {
+        sourceCount = count;
+      },
+      push: (delta) => {
+        pending += delta;
+        const openBracket = pending.lastIndexOf('[');
+        let holdFrom = openBracket !== -1 && pending.indexOf(']', openBracket) === -1 ? openBracket : pending.length;
+        // Keep trailing whitespace too, in case a marker follows it
+        while (holdFrom > 0 && /[ \t]/.test(pending.charAt(holdFrom - 1))) {
+          holdFrom--;
+        }
+        const ready = transform(pending.slice(0, holdFrom));
+        pending = pending.slice(holdFrom);
+        return ready;
+      },
+      flush: () => {
+        const rest = transform(pending);
+        pending = '';
+        return rest;
+      }
+    };
+  }
+
+  /**
+   * Sources footer appended to answers on channels that show one
+   * @param {Array<Object>} citations - Citations from extract()
+   * @param {string} channel - 'API' | 'WHATSAPP' | 'VOICE'
+   * @returns {string} - Footer including its leading blank line, or ''
+   */
+  renderSourcesFooter(citations = [], channel = 'API') {
+    if ((channel || 'API').toUpperCase() !== 'WHATSAPP' || citations.length === 0) {
+      return '';
+    }
+    const sources = citations.map(citation => {
+      const section = citation.section ? citation.section.split(' > ').pop() : null;
+      return `[${citation.marker}] ${[citation.filename, section].filter(Boolean).join(' - ') || 'Policy document'}`;
+    });
+    return `\n\n_Sources:_\n${sources.join('\n')}`;
+  }
+
+  /**
+   * Render an answer's citations for a delivery channel
+   * @param {string} answer - Answer with normalized [n] markers
+   * @param {Array<Object>} citations - Citations from extract()
+   * @param {string} channel - 'API' | 'WHATSAPP' | 'VOICE'
+   * @returns {string} - Answer text for the channel
+   */
+  render(answer, citations = [], channel = 'API') {
+    const normalizedChannel = (channel || 'API').toUpperCase();
+    if (!CITATION_CHANNELS.includes(normalizedChannel)) {
+      throw new Error(`Invalid channel: ${channel}. Supported: ${CITATION_CHANNELS.join(', ')}`);
+    }
+
+    if (normalizedChannel === 'VOICE') {
+      return CitationService.stripMarkers(answer);
+    }
+
+    return answer + this.renderSourcesFooter(citations, normalizedChannel);
+  }
+}
+
+CitationService.CHANNELS = CITATION_CHANNELS;
+
+module.exports = CitationService;
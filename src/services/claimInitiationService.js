@@ -2,10 +2,17 @@ const axios = require('axios');
 
 /**
  * Claim Initiation Service
- * Handles claim initiation API calls to Tata AIG
+ * Handles claim initiation API calls to Tata AIG. With `dryRun` the payload
+ * is kept in `dryRunClaims` and a made-up intimation ID is returned instead
+ * of calling the API (journey simulator).
  */
 class ClaimInitiationService {
+  /**
+   * @param {Object} config - { apiEndpoint, authToken, dryRun }
+   */
   constructor(config = {}) {
+    this.dryRun = config.dryRun || false;
+    this.dryRunClaims = [];
     this.apiEndpoint = config.apiEndpoint || 'https://alpha10bn.tataaig.com/servicing/api/health/claims/initiate-claim';
     this.authToken = config.authToken || 'efc5e17cca00f1b94a427d3e44541ae3:8f0be98a1e4095dfbc45edc032f238f9e119060c62ced63677fb6b7acaaf52ca1d6618742dd402bb1b8925cfe936f37603e284763062a607d876c565066e5ad14a09cb81562849fc9e6cc111f4495b28df1c85ef47023d982e4a454b3b25a9cb4f7d336aea74a225cad94ca620719eac62c80a3077636e600a033ad139d07cefcabbb567fb7b37c43164a45e5f70207c008162aa5f81c7f16e67b28cd93233cee5aade18c39fc76b05458a41ad24baf7c94967ed91954aea3e7e90cee8f739e7cf97fa0cbd1123c6fbeead174cb2d2bc9f3bbfa25843a8393995d9c2eb692fd54a0370d63f47337ee1af9bb5a3e8dc74fcbe6d2db4ddcdc9ea4a066770030fee8c4dcdd562e31a8e9382d71154b6d81da84ededfb953ad14f2ef490cbcd89c2fc8c3bfb7459706b0e56c4c029afd94c5a9e7b2a13dd1f08e983251f321035032e119eaf931d9dd7ac3e2e0c31d62facf18b332f1c23528c3bf1279cbe1b9cf14120a91a0b106ab28e3db2d4127c2c369868110ae3bfb4af754112d6aaa306942d6050a98e36d7ce095bf0f19be9cb3b568463952dfe1efdccecd7f1817ea411e1dfaf10817118ae07fed68619512397c5e73a7b48306c631c4a6ee583ffe393c8443df1fc26a79a81fc393d08d6993fa78831ac8533e7dc21f45a9fe5fa8be6b357c982cfb48909503fb47f1953e4937c3f2acb3b70f5d0668ee4d0830f1f5d55de2c2124176c583290c975fc6485a64eb7725d5b4ee5c522e9275b900750ef005199a371d806f6b3312b10db24b595f139bcef32882c70ebda33362f6159dda2819754fb5e85a145696e55ba9794ccd8a452ecbb2a1040d9e6ed369717a0c90fe03122233e5a138c39779f719725c85a5693edbd5abd78d3e9789490c4514c2733c44726928dedad7144ff770dd4389860867224fe5174a539fe68215903d259a28960286935621423322e34eb91882';
   }
@@ -118,6 +125,16 @@ class ClaimInitiationService {
 
     console.log('Initiating claim with payload:', JSON.stringify(payload, null, 2));
 
+    if (this.dryRun) {
+      const number = this.dryRunClaims.length + 1;
+      this.dryRunClaims.push(payload);
+      return {
+        success: true,
+        dryRun: true,
+        data: { data: { intimationId: `DRYRUN-${number}`, requestId: `DRYRUN-REQ-${number}` } }
+      };
+    }
+
     // Retry logic for network issues
     const maxRetries = 3;
     const retryDelay = 10000; // 2 seconds
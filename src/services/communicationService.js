@@ -1,87 +1,171 @@
+const WhatsAppChannelAdapter = require('./whatsAppChannelAdapter');
+const SmsChannelAdapter = require('./smsChannelAdapter');
+const EmailChannelAdapter = require('./emailChannelAdapter');
+const InAppChannelAdapter = require('./inAppChannelAdapter');
+const FileOutboxChannelAdapter = require('./fileOutboxChannelAdapter');
+const MessageOutbox = require('./messageOutbox');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
+
+const CHANNEL_ADAPTERS = {
+  WHATSAPP: WhatsAppChannelAdapter,
+  SMS: SmsChannelAdapter,
+  EMAIL: EmailChannelAdapter,
+  IN_APP: InAppChannelAdapter,
+  FILE: FileOutboxChannelAdapter
+};
+
+// Option key holding each channel's settings
+const CHANNEL_OPTIONS = {
+  WHATSAPP: 'whatsapp',
+  SMS: 'sms',
+  EMAIL: 'email',
+  IN_APP: 'inApp',
+  FILE: 'outbox'
+};
 
 /**
  * Communication Service
- * Handles WhatsApp communication through Infobip API
+ * Sends customer-facing messages on the channel a journey asked for
+ * (communicationMode: WHATSAPP, SMS, EMAIL or IN_APP). Each channel is a
+ * channel adapter; the recipient address is looked up from the customer
+ * record unless the caller passes one. With `useOutbox` every message is
+ * written to the file outbox instead of being delivered.
+ *
+ * Every send, successful or not, is recorded in the message outbox with its
+ * message ID so delivery reports can update its status later.
  */
 class CommunicationService {
+  /**
+   * @param {Object} config - { defaultChannel, useOutbox, getCustomer(customerId), conversationStore, whatsapp, sms, email, inApp, outbox }
+   */
   constructor(config = {}) {
-    this.apiEndpoint = config.apiEndpoint || 'http://localhost:9000/api/bot/whatsapp/incoming-messages';
+    this.defaultChannel = CommunicationService.normalizeChannel(config.defaultChannel) || 'WHATSAPP';
+    this.useOutbox = config.useOutbox === true;
+    this.getCustomer = config.getCustomer || (() => null);
+    this.config = config;
+    this.adapters = new Map();
+    this.outbox = new MessageOutbox({ conversationStore: config.conversationStore });
   }
 
   /**
-   * Send a WhatsApp message with static data
-   * @param {string} text - Message text to send
-   * @returns {Promise<Object>} - API response
+   * Adapter for a channel (created on first use)
+   * @param {string} channel - Channel name
+   * @returns {BaseChannelAdapter} - Adapter
    */
-  async sendMessage(text) {
-    const payload = {
-      id: `${uuidv4()}`,
-      channel: "WHATSAPP",
-      from: "7503513591",
-      to: "919136160375",
-      direction: "INBOUND",
-      conversationId: "bc67a8dd-3320-4c4b-a1b3-fe239101ba26",
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      content: {
-        text: text
-      },
-      singleSendMessage: {
-        from: {
-          phoneNumber: "917503513591",
-          type: "PHONE_NUMBER"
-        },
-        to: {
-          phoneNumber: "919136160375",
-          type: "PHONE_NUMBER"
-        },
-        content: {
-          url: "https://api.infobip.com/whatsapp/1/senders/919136160375/media/948397609810633",
-          caption: "TEST0010_3f714ac9-d876-42ff-bdde-3481f43cb9de.pdf",
-          context: null,
-          referral: null,
-          type: "TEXT"
-        },
-        contact: {
-          name: "Gitansh Sehgal"
-        },
-        identity: null,
-        channel: "WHATSAPP",
-        direction: "INBOUND"
-      },
-      contentType: "TEXT",
-      disableAIAgentCall:true
-    };
-
-    console.log('Sending message to:', this.apiEndpoint);
-    console.log('Message payload:', JSON.stringify(payload, null, 2));
-
-    try {
-      const response = await axios.post(this.apiEndpoint, payload, {
-        headers: {
-          'apikey': 'ABSFiHBIgxSeREDuBb8soBi5EAWKim6k7LlsGwBEd456BHR0lKYUCd4mfoSK',
-          'Content-Type': 'application/json'
-        }
-      });
+  getAdapter(channel) {
+    if (!this.adapters.has(channel)) {
+      const Adapter = CHANNEL_ADAPTERS[channel];
+      const options = {
+        ...(channel === 'IN_APP' && { conversationStore: this.config.conversationStore }),
+        ...(this.config[CHANNEL_OPTIONS[channel]] || {})
+      };
+      this.adapters.set(channel, new Adapter(options));
+    }
+    return this.adapters.get(channel);
+  }
 
-      console.log('Message sent successfully:', response.data);
+  /**
+   * Send a message to a customer
+   * @param {Object} message - { channel, customerId, recipient, text, subject, conversationId, jobId }
+   * @returns {Promise<Object>} - { success, channel, recipient, messageId, data } or { success: false, channel, error }
+   */
+  async send(message) {
+    const channel = CommunicationService.normalizeChannel(message.channel) || this.defaultChannel;
+    if (!CHANNEL_ADAPTERS[channel]) {
       return {
-        success: true,
-        data: response.data,
-        payload: payload
+        success: false,
+        channel,
+        error: `Unknown channel: ${message.channel}. Supported: ${CommunicationService.CHANNELS.join(', ')}`
       };
-    } catch (error) {
-      console.error('Error sending message:', error.response?.data || error.message);
+    }
+
+    const customer = message.customerId ? this.getCustomer(message.customerId) : null;
+    const adapter = this.getAdapter(channel);
+    const recipient = message.recipient || adapter.resolveRecipient(customer, message.customerId);
+    if (!recipient) {
       return {
         success: false,
-        error: error.response?.data || error.message,
-        payload: payload
+        channel,
+        error: `No ${channel} address for customer ${message.customerId || '(none)'}`
       };
     }
+
+    const target = this.useOutbox ? this.getAdapter('FILE') : adapter;
+    let result;
+    try {
+      result = await target.send({
+        ...message,
+        channel,
+        recipient,
+        contactName: customer?.name
+      });
+    } catch (error) {
+      console.error(`Error sending ${channel} message:`, error.message);
+      result = { success: false, error: error.message };
+    }
+
+    const messageId = result.messageId || uuidv4();
+    this.outbox.record({
+      ...message,
+      messageId,
+      channel,
+      recipient,
+      // In-app notifications are delivered as soon as they are stored
+      status: result.success ? (channel === 'IN_APP' ? 'delivered' : 'sent') : 'failed',
+      ...(!result.success && { error: typeof result.error === 'string' ? result.error : JSON.stringify(result.error) })
+    });
+
+    return { ...result, messageId, channel, recipient };
+  }
+
+  /**
+   * Send a text message (default channel unless options.channel is set)
+   * @param {string} text - Message text to send
+   * @param {Object} options - { channel, customerId, recipient, subject, conversationId }
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendMessage(text, options = {}) {
+    return this.send({ ...options, text });
+  }
+
+  /**
+   * In-app notifications for a customer
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { unreadOnly, markRead }
+   * @returns {Array<Object>} - Notifications, newest first
+   */
+  getNotifications(customerId, options = {}) {
+    const notifications = this.getAdapter('IN_APP').getNotifications(customerId, options);
+    if (options.markRead) {
+      notifications
+        .filter(notification => !notification.read)
+        .forEach(notification => this.outbox.updateStatus(notification.id, 'read'));
+    }
+    return notifications;
+  }
+
+  /**
+   * Describe the channels for health output
+   * @returns {Object} - Default channel, outbox mode and adapter info
+   */
+  getInfo() {
+    return {
+      defaultChannel: this.defaultChannel,
+      useOutbox: this.useOutbox,
+      channels: CommunicationService.CHANNELS.reduce((info, channel) => {
+        info[channel] = this.getAdapter(channel).getInfo();
+        return info;
+      }, {})
+    };
+  }
+
+  static normalizeChannel(channel) {
+    return typeof channel === 'string' && channel.trim()
+      ? channel.trim().toUpperCase().replace(/[\s-]/g, '_')
+      : null;
   }
 }
 
-module.exports = CommunicationService;
+CommunicationService.CHANNELS = Object.keys(CHANNEL_ADAPTERS).filter(channel => channel !== 'FILE');
 
+module.exports = CommunicationService;
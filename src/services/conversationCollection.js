@@ -0,0 +1,44 @@
+/**
+ * Conversation Collection
+ * A Map-shaped view of one ConversationStore namespace, so services that kept
+ * their conversation state in a Map can read and write through the store
+ * without changing their call sites. Values are live objects: mutate them and
+ * call set() again to persist the change and refresh the record's TTL.
+ */
+class ConversationCollection {
+  /**
+   * @param {ConversationStore} store - Owning store
+   * @param {string} namespace - Namespace, e.g. 'intent.states'
+   */
+  constructor(store, namespace) {
+    this.store = store;
+    this.namespace = namespace;
+  }
+
+  get(key) {
+    return this.store.get(this.namespace, key);
+  }
+
+  set(key, value) {
+    this.store.set(this.namespace, key, value);
+    return this;
+  }
+
+  has(key) {
+    return this.store.has(this.namespace, key);
+  }
+
+  delete(key) {
+    return this.store.delete(this.namespace, key);
+  }
+
+  keys() {
+    return this.store.keys(this.namespace)[Symbol.iterator]();
+  }
+
+  get size() {
+    return this.store.keys(this.namespace).length;
+  }
+}
+
+module.exports = ConversationCollection;
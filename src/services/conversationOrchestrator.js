@@ -1,4 +1,5 @@
 const BaseOrchestrator = require('./baseOrchestrator');
+const JourneyEngine = require('./journeyEngine');
 
 /**
  * Conversation Orchestrator
@@ -22,6 +23,10 @@ class ConversationOrchestrator {
         const dummyGeminiService = null; // Not needed for isPositiveResponse/isNegativeResponse
         const dummyHospitalService = null; // Not needed for isPositiveResponse/isNegativeResponse
         this.baseOrchestrator = new BaseOrchestrator(dummyIntentData, dummyGeminiService, dummyHospitalService);
+
+        this.journeyEngine = new JourneyEngine({
+            responses: this.baseOrchestrator.getResponseClassifiers()
+        });
     }
 
     /**
@@ -80,138 +85,14 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.`
 
     /**
      * Determine next stage based on current stage and collected data
+     * (evaluates the stage's transitionRules, see JourneyEngine)
      * @param {Object} currentStage - Current stage definition
      * @param {Object} collectedData - Data collected so far
      * @param {string} userResponse - User's latest response
      * @returns {string} - Next stage ID
      */
     determineNextStage(currentStage, collectedData, userResponse) {
-        const transitions = currentStage.transitions;
-
-        // Check if all required data for current stage is collected
-        const isDataComplete = this.isStageDataComplete(currentStage, collectedData);
-
-        // Stage-specific logic
-        switch (currentStage.id) {
-            case 'greeting':
-                // Check if user wants to proceed
-                if (this.baseOrchestrator.isNegativeResponse(userResponse)) {
-                    return transitions.no;
-                }
-                return transitions.yes || transitions.default;
-
-            case 'identify_patient':
-                if (collectedData.patientRelation) {
-                    return transitions.collected;
-                }
-                return currentStage.id; // Stay in same stage
-
-            case 'medical_reason':
-                if (collectedData.medicalReason) {
-                    return transitions.collected;
-                }
-                return currentStage.id;
-
-            case 'confirm_addmission_teleconsultation':
-                // Decide path: admission flow vs teleconsultation flow
-                if (userResponse.toLowerCase().includes('admission') || userResponse.toLowerCase().includes('admit')) {
-                    collectedData.addmissionProcessInterest = 'yes';
-                    return transitions.yes || currentStage.id;
-                } else if (userResponse.toLowerCase().includes('consultation') || userResponse.toLowerCase().includes('doctor')) {
-                    collectedData.addmissionProcessInterest = 'no';
-                    return transitions.no || currentStage.id;
-                }
-                return currentStage.id;
-
-            case 'show_hospitals':
-                // If hospital is selected, skip await_hospital_selection and go to confirm_admission
-                if (collectedData.selectedHospital) {
-                    return transitions.selected || transitions.shown;
-                }
-                return transitions.shown; // Move to await_hospital_selection
-
-            case 'await_hospital_selection':
-                if (collectedData.selectedHospital) {
-                    return transitions.collected;
-                }
-                return currentStage.id;
-
-            case 'confirm_admission':
-                if (collectedData.admissionConfirmed === true) {
-                    return transitions.yes;
-                } else if (collectedData.admissionConfirmed === false) {
-                    return transitions.no;
-                }
-                return currentStage.id;
-
-            case 'collect_admission_details':
-                const hasCost = !!collectedData.estimatedCost;
-                const hasDate = !!collectedData.admissionDate;
-
-                if (hasCost && hasDate) {
-                    return transitions.complete;
-                } else if (hasCost || hasDate) {
-                    return transitions.partial; // Partial data, stay in stage
-                }
-                return currentStage.id;
-
-            case 'collect_preferences':
-                if (collectedData.preferences || this.isSkipResponse(userResponse)) {
-                    return transitions.collected || transitions.skipped;
-                }
-                return currentStage.id;
-
-            case 'initiate_claim':
-                if (collectedData.intimationId) {
-                    return transitions.success;
-                } else if (collectedData.claimError) {
-                    return transitions.failure;
-                }
-                return currentStage.id;
-
-            case 'schedule_followups':
-                return transitions.complete; // Always complete
-
-            case 'teleconsultation_response':
-                if (collectedData.teleconsultationInterest === 'yes') {
-                    return transitions.yes;
-                } else if (collectedData.teleconsultationInterest === 'no') {
-                    return transitions.no;
-                }
-                // If not set in collectedData, check user response directly (case-insensitive)
-                const userResponseLower = (userResponse || '').toLowerCase();
-                if (this.baseOrchestrator.isPositiveResponse(userResponseLower)) {
-                    collectedData.teleconsultationInterest = 'yes';
-                    return transitions.yes;
-                } else if (this.baseOrchestrator.isNegativeResponse(userResponseLower)) {
-                    collectedData.teleconsultationInterest = 'no';
-                    return transitions.no;
-                }
-                return currentStage.id;
-
-            case 'collect_consultation_preferences':
-                const hasConsultationDate = !!collectedData.consultationDate;
-                const hasConsultationTime = !!collectedData.consultationTime;
-
-                if (hasConsultationDate && hasConsultationTime) {
-                    return transitions.collected;
-                }
-                return currentStage.id;
-
-            case 'confirm_consultation':
-                return transitions.complete; // Always complete
-
-            case 'admission_confirmed':
-            case 'close_politely':
-                if (userResponse.toLowerCase().includes('admission')||userResponse.toLowerCase().includes('admit')) {
-                    return transitions.initialIntent;
-                } else {
-                    return 'end';
-                }
-
-            default:
-                return currentStage.id;
-        }
+        return this.journeyEngine.nextStage(currentStage, collectedData, userResponse);
     }
 
     /**
@@ -498,16 +379,6 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.`
     }
 
 
-    /**
-     * Check if user wants to skip
-     * @param {string} message - User message
-     * @returns {boolean}
-     */
-    isSkipResponse(message) {
-        const skip = ['skip', 'no preference', 'nothing', 'no requirements', 'none'];
-        return skip.some(word => message.toLowerCase().includes(word));
-    }
-
     /**
      * Get prompt template for current stage
      * @param {Object} stage - Current stage
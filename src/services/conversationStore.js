@@ -0,0 +1,329 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ConversationCollection = require('./conversationCollection');
+
+const CONVERSATION_BACKENDS = ['json', 'sqlite', 'memory'];
+
+/**
+ * Conversation Store
+ * Single repository for conversation state that has to survive a restart:
+ * RAG chat history, journey records, journey message histories and
+ * orchestrator state (currentStageId, collectedData, stageHistory).
+ *
+ * Records live in namespaces ('intent.states', 'healthCheckup.journeys', ...)
+ * and are kept in memory as the read path. Every set()/delete() is written
+ * through to the backend:
+ * - json: one file, rewritten via temp file + rename; writes are coalesced
+ * - sqlite: one row per record (better-sqlite3, WAL mode)
+ * - memory: nothing is persisted (scripts and tests)
+ *
+ * A record expires `ttlHours` after its last write; expired records are
+ * dropped on read and by a periodic sweep.
+ */
+class ConversationStore {
+  /**
+   * @param {Object} options - { backend, file, sqliteFile, ttlHours, sweepIntervalMinutes }
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || 'json';
+    if (!CONVERSATION_BACKENDS.includes(this.backend)) {
+      throw new Error(`Unknown conversation store backend: ${this.backend}. Supported: ${CONVERSATION_BACKENDS.join(', ')}`);
+    }
+
+    this.file = options.file || './data/conversations.json';
+    this.sqliteFile = options.sqliteFile || './data/conversations.sqlite';
+    this.ttlMs = (options.ttlHours ?? 72) * 60 * 60 * 1000; // 0 = never expire
+    this.sweepIntervalMs = (options.sweepIntervalMinutes || 15) * 60 * 1000;
+
+    this.namespaces = new Map(); // namespace -> Map(key -> { value, updatedAt, expiresAt })
+    this.collections = new Map();
+    this.db = null;
+    this.sweepTimer = null;
+    this.writeQueue = Promise.resolve();
+    this.savePending = false;
+  }
+
+  /**
+   * Open the backend, load saved records and start the expiry sweep (runs once)
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        if (this.backend === 'sqlite') {
+          await this.openDatabase();
+        }
+        const loaded = await this.loadRecords();
+        const expired = this.sweep();
+
+        if (this.ttlMs > 0) {
+          this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+          this.sweepTimer.unref();
+        }
+
+        console.log(`Conversation store loaded ${loaded} records (${this.backend} backend, ${expired} expired)`);
+      })();
+    }
+    return this.initPromise;
+  }
+
+  async openDatabase() {
+    await fs.ensureDir(path.dirname(this.sqliteFile));
+
+    // Required lazily so the JSON backend works without the native module
+    const Database = require('better-sqlite3');
+    this.db = new Database(this.sqliteFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversation_records (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        expires_at INTEGER,
+        PRIMARY KEY (namespace, key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_conversation_records_expiry ON conversation_records (expires_at);
+    `);
+
+    this.statements = {
+      upsert: this.db.prepare('INSERT OR REPLACE INTO conversation_records (namespace, key, data, updated_at, expires_at) VALUES (?, ?, ?, ?, ?)'),
+      delete: this.db.prepare('DELETE FROM conversation_records WHERE namespace = ? AND key = ?'),
+      deleteExpired: this.db.prepare('DELETE FROM conversation_records WHERE expires_at IS NOT NULL AND expires_at <= ?')
+    };
+  }
+
+  /**
+   * Load persisted records into memory. Records written before the load
+   * finished are newer and win.
+   * @returns {Promise<number>} - Number of records loaded
+   */
+  async loadRecords() {
+    let rows = [];
+
+    if (this.backend === 'sqlite') {
+      rows = this.db.prepare('SELECT namespace, key, data, updated_at, expires_at FROM conversation_records').all()
+        .map(row => ({
+          namespace: row.namespace,
+          key: row.key,
+          record: { value: JSON.parse(row.data), updatedAt: row.updated_at, expiresAt: row.expires_at }
+        }));
+    } else if (this.backend === 'json' && await fs.pathExists(this.file)) {
+      const data = await fs.readJson(this.file);
+      for (const [namespace, records] of Object.entries(data.namespaces || {})) {
+        for (const [key, record] of Object.entries(records)) {
+          rows.push({ namespace, key, record });
+        }
+      }
+    }
+
+    let loaded = 0;
+    for (const { namespace, key, record } of rows) {
+      const records = this.getNamespace(namespace);
+      if (!records.has(key)) {
+        records.set(key, record);
+        loaded++;
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Map-shaped view of a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {ConversationCollection} - Collection view
+   */
+  collection(namespace) {
+    if (!this.collections.has(namespace)) {
+      this.collections.set(namespace, new ConversationCollection(this, namespace));
+    }
+    return this.collections.get(namespace);
+  }
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  isExpired(record, now = Date.now()) {
+    return record.expiresAt !== null && record.expiresAt !== undefined && record.expiresAt <= now;
+  }
+
+  /**
+   * Read a record
+   * @param {string} namespace - Namespace
+   * @param {string} key - Record key
+   * @returns {*} - Stored value, or undefined if missing or expired
+   */
+  get(namespace, key) {
+    const records = this.getNamespace(namespace);
+    const record = records.get(key);
+    if (!record) {
+      return undefined;
+    }
+    if (this.isExpired(record)) {
+      this.delete(namespace, key);
+      return undefined;
+    }
+    return record.value;
+  }
+
+  has(namespace, key) {
+    return this.get(namespace, key) !== undefined;
+  }
+
+  /**
+   * Insert or replace a record and restart its TTL
+   * @param {string} namespace - Namespace
+   * @param {string} key - Record key
+   * @param {*} value - JSON-serialisable value
+   */
+  set(namespace, key, value) {
+    const now = Date.now();
+    const record = {
+      value,
+      updatedAt: new Date(now).toISOString(),
+      expiresAt: this.ttlMs > 0 ? now + this.ttlMs : null
+    };
+    this.getNamespace(namespace).set(key, record);
+
+    if (this.backend === 'sqlite' && this.db) {
+      this.statements.upsert.run(namespace, key, JSON.stringify(value ?? null), record.updatedAt, record.expiresAt);
+    } else if (this.backend === 'json') {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Delete a record
+   * @returns {boolean} - Whether a record was removed
+   */
+  delete(namespace, key) {
+    const removed = this.getNamespace(namespace).delete(key);
+    if (removed) {
+      if (this.backend === 'sqlite' && this.db) {
+        this.statements.delete.run(namespace, key);
+      } else if (this.backend === 'json') {
+        this.scheduleSave();
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Keys of the live (unexpired) records in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Array<string>} - Keys
+   */
+  keys(namespace) {
+    const now = Date.now();
+    return Array.from(this.getNamespace(namespace).entries())
+      .filter(([, record]) => !this.isExpired(record, now))
+      .map(([key]) => key);
+  }
+
+  /**
+   * Drop every expired record
+   * @returns {number} - Number of records removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const records of this.namespaces.values()) {
+      for (const [key, record] of records) {
+        if (this.isExpired(record, now)) {
+          records.delete(key);
+          removed++;
+        }
+      }
+    }
+
+    if (this.backend === 'sqlite' && this.db) {
+      this.statements.deleteExpired.run(now);
+    } else if (removed > 0 && this.backend === 'json') {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * Queue a rewrite of the JSON file. Calls made while a write is waiting
+   * share it; the snapshot is taken when the write starts, so it also picks
+   * up in-place changes to stored objects.
+   * @returns {Promise<void>}
+   */
+  scheduleSave() {
+    if (this.savePending) {
+      return this.savePromise;
+    }
+    this.savePending = true;
+
+    const write = this.writeQueue.then(async () => {
+      this.savePending = false;
+      await this.writeAtomic(this.snapshot());
+    });
+
+    // Keep the queue alive after a failed write
+    this.writeQueue = write.catch(error => console.error('Error saving conversation store:', error));
+    this.savePromise = this.writeQueue;
+    return this.savePromise;
+  }
+
+  snapshot() {
+    const namespaces = {};
+    for (const [namespace, records] of this.namespaces) {
+      if (records.size > 0) {
+        namespaces[namespace] = Object.fromEntries(records);
+      }
+    }
+    return { version: 1, namespaces };
+  }
+
+  async writeAtomic(data) {
+    await fs.ensureDir(path.dirname(this.file));
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    await fs.writeJson(tempFile, data);
+    await fs.move(tempFile, this.file, { overwrite: true });
+  }
+
+  /**
+   * Stop the sweep, finish pending writes and close the database
+   */
+  async close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    await this.writeQueue;
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Describe the store for stats and health output
+   * @returns {Object} - Backend, location, TTL and live record counts per namespace
+   */
+  getInfo() {
+    const records = {};
+    for (const namespace of this.namespaces.keys()) {
+      records[namespace] = this.keys(namespace).length;
+    }
+    return {
+      backend: this.backend,
+      ...(this.backend === 'json' && { file: this.file }),
+      ...(this.backend === 'sqlite' && { sqliteFile: this.sqliteFile }),
+      ttlHours: this.ttlMs / (60 * 60 * 1000),
+      records
+    };
+  }
+}
+
+ConversationStore.BACKENDS = CONVERSATION_BACKENDS;
+
+module.exports = ConversationStore;
@@ -6,16 +6,53 @@ const ClaimDocumentService = require('./claimDocumentService');
 const HospitalService = require('./hospitalService');
 const PolicyTimelineService = require('./policyTimelineService');
 const IntentJourneyService = require('./intentJourneyService');
+const RetrievalService = require('./retrievalService');
+const RerankService = require('./rerankService');
+const CitationService = require('./citationService');
+const LLMProviderFactory = require('./llmProviderFactory');
+const ConversationStore = require('./conversationStore');
+const JobQueue = require('./jobQueue');
+const SendPolicy = require('./sendPolicy');
+const CommunicationService = require('./communicationService');
+const EventJourneyService = require('./eventJourneyService');
 const path = require('path');
 
 class CustomerService {
-  constructor(config) {
+  /**
+   * @param {Object} config - Service configuration (see server.js)
+   * @param {Object} dependencies - { llmProvider, conversationStore, jobQueue, communicationService } to inject; otherwise built from config.llm / config.conversationStore / config.scheduler / config.communication
+   *   (event journeys use config.eventJourneys)
+   */
+  constructor(config, dependencies = {}) {
     this.config = config;
+    this.llmProvider = dependencies.llmProvider || LLMProviderFactory.create({
+      apiKey: config.googleAiApiKey,
+      ...config.llm
+    });
     this.documentProcessor = new DocumentProcessor();
-    this.embeddingService = new EmbeddingService(config.googleAiApiKey, config.embeddingConfig);
-    this.vectorStore = new VectorStore(config.storageDir);
-    this.geminiService = new GeminiService(config.googleAiApiKey);
+    this.embeddingService = new EmbeddingService(this.llmProvider, config.embeddingConfig);
+    this.vectorStore = new VectorStore(config.storageDir, {
+      backend: config.storageBackend,
+      sqliteFile: config.sqliteFile,
+      index: config.vectorIndex
+    });
+    this.geminiService = new GeminiService(this.llmProvider);
+    this.retrievalService = new RetrievalService(this.vectorStore, this.embeddingService, config.retrieval);
+    this.rerankService = new RerankService(this.geminiService, config.rerank);
     this.claimDocumentService = new ClaimDocumentService();
+    this.conversationStore = dependencies.conversationStore || new ConversationStore(config.conversationStore);
+    this.jobQueue = dependencies.jobQueue || new JobQueue(config.scheduler);
+    this.sendPolicy = new SendPolicy({
+      ...config.sendPolicy,
+      // Per-customer overrides live on the customer record
+      getCustomerPreferences: (customerId) => this.vectorStore.getCustomer(customerId)?.contactPreferences
+    });
+    this.communicationService = dependencies.communicationService || new CommunicationService({
+      ...config.communication,
+      conversationStore: this.conversationStore,
+      // Recipient addresses (whatsappNumber, phone, email) live on the customer record
+      getCustomer: (customerId) => this.vectorStore.getCustomer(customerId)
+    });
     
     // Initialize hospital service
     this.hospitalService = new HospitalService();
@@ -24,10 +61,23 @@ class CustomerService {
     this.policyTimelineService = new PolicyTimelineService();
     
     // Initialize intent journey service
-    this.intentJourneyService = new IntentJourneyService(this.geminiService, this.hospitalService);
+    this.intentJourneyService = new IntentJourneyService(this.geminiService, this.hospitalService, {
+      conversationStore: this.conversationStore,
+      jobQueue: this.jobQueue,
+      sendPolicy: this.sendPolicy,
+      communicationService: this.communicationService
+    });
+    
+    // Time-offset journeys (journeyDefinitions.json), queued on the same job queue
+    this.eventJourneyService = new EventJourneyService(config.eventJourneys, {
+      jobQueue: this.jobQueue,
+      sendPolicy: this.sendPolicy,
+      communicationService: this.communicationService,
+      getCustomer: (customerId) => this.vectorStore.getCustomer(customerId)
+    });
     
-    // Conversation history storage (in-memory for now)
-    this.conversationHistory = new Map(); // customerId -> conversation array
+    // Conversation history, persisted through the conversation store
+    this.conversationHistory = this.conversationStore.collection('customer.history'); // customerId -> conversation array
   }
 
   /**
@@ -35,6 +85,11 @@ class CustomerService {
    */
   async initialize() {
     await this.vectorStore.initializeStorage();
+    await this.conversationStore.initialize();
+    await this.eventJourneyService.initialize();
+    // Send scheduled messages that fell due while the server was down
+    await this.jobQueue.initialize();
+    this.jobQueue.start();
     console.log('Customer service initialized');
   }
 
@@ -60,6 +115,7 @@ class CustomerService {
     if (conversation.length > 10) {
       conversation.splice(0, conversation.length - 10);
     }
+    this.conversationHistory.set(customerId, conversation);
   }
 
   /**
@@ -100,6 +156,29 @@ class CustomerService {
     return this.vectorStore.getCustomer(customerId);
   }
 
+  /**
+   * Find the customer a phone number belongs to. Matches the customer's
+   * `whatsappNumber` or `phone`, or a customer ID that is itself a phone
+   * number; numbers are compared on their last 10 digits so country codes
+   * and formatting don't matter.
+   * @param {string} phoneNumber - Phone number (e.g. 919876543210)
+   * @returns {Object|null} - Customer data
+   */
+  findCustomerByPhone(phoneNumber) {
+    const lastDigits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+    const target = lastDigits(phoneNumber);
+    if (target.length < 10) {
+      return null;
+    }
+
+    for (const customer of this.vectorStore.customers.values()) {
+      if ([customer.whatsappNumber, customer.phone, customer.id].some(value => lastDigits(value) === target)) {
+        return customer;
+      }
+    }
+    return null;
+  }
+
   /**
    * Process and store a policy document for a customer
    * @param {string} customerId - Customer ID
@@ -337,8 +416,18 @@ class CustomerService {
         similarityThreshold = 0.5, // Lowered to 0.5 for better recall on general queries
         includeContext = true,
         intent,
-        communicationMode = 'WHATSAPP'
+        communicationMode = 'WHATSAPP',
+        retrievalMode,
+        fusion,
+        filter,
+        rerank,
+        mmr,
+        mmrLambda,
+        rerankCandidates,
+        channel = 'API',
+        stream = null // { onRetrieval, onDelta } hooks, set by streamQueryDocuments
       } = options;
+      const onDelta = typeof stream?.onDelta === 'function' ? stream.onDelta : null;
 
       // Check if this is an intent-based journey query
       if (intent) {
@@ -374,62 +463,7 @@ class CustomerService {
         // Return static policy summary response
         return this.getStaticPolicySummary(customerId);
       } else if (queryAnalysis.type === 'reschedule_request') {
-        // Handle reschedule requests
-        // Add user message to conversation history
-        this.addToConversationHistory(customerId, 'user', query);
-        
-        // Parse the reschedule request
-        const parsedRequest = this.policyTimelineService.parseRescheduleRequest(query);
-        
-        if (!parsedRequest.date) {
-          // Ask for specific date if not provided
-          const clarificationResponse = "I can help you reschedule your health checkup! Could you please let me know the new date you'd prefer? For example, you can say 'reschedule to November 25' or 'change to next week'.";
-          
-          this.addToConversationHistory(customerId, 'assistant', clarificationResponse);
-          
-          return {
-            answer: clarificationResponse,
-            confidence: 1.0,
-            sourceChunks: [],
-            queryType: 'reschedule_clarification'
-          };
-        }
-        
-        // Attempt to reschedule
-        const rescheduleResult = this.policyTimelineService.rescheduleHealthCheckup(
-          parsedRequest.date,
-          parsedRequest.time
-        );
-        
-        let response;
-        if (rescheduleResult.success) {
-          response = `Perfect! I've successfully rescheduled your health checkup from ${rescheduleResult.originalDate} to ${rescheduleResult.newDate}. ${rescheduleResult.updatedEvent.details}`;
-        } else {
-          // Check if we have alternative slots to offer
-          if (rescheduleResult.alternativeSlots && rescheduleResult.alternativeSlots.length > 0) {
-            response = `${rescheduleResult.message}\n\nHowever, I found available slots on these dates:\n\n`;
-            
-            rescheduleResult.alternativeSlots.forEach(slot => {
-              response += `📅 **${slot.date}**\n`;
-              response += `⏰ Available time slots: ${slot.timeSlots.join(', ')}\n\n`;
-            });
-            
-            response += `Would you like to book any of these alternative dates? Just let me know which date and time works for you!`;
-          } else {
-            response = `I'm sorry, but I couldn't reschedule your appointment. ${rescheduleResult.message} Please contact our customer service team for assistance.`;
-          }
-        }
-        
-        // Add assistant response to conversation history
-        this.addToConversationHistory(customerId, 'assistant', response);
-        
-        return {
-          answer: response,
-          confidence: rescheduleResult.success ? 1.0 : 0.8,
-          sourceChunks: [],
-          queryType: 'reschedule_result',
-          rescheduleDetails: rescheduleResult
-        };
+        return this.handleRescheduleRequest(customerId, query);
       } else if (queryAnalysis.type === 'conversational') {
         // Add user message to conversation history
         this.addToConversationHistory(customerId, 'user', query);
@@ -441,7 +475,8 @@ class CustomerService {
         const conversationalResponse = await this.geminiService.generateConversationalResponse(
           query, 
           customerId, 
-          conversationHistory
+          conversationHistory,
+          { onDelta }
         );
         
         // Add assistant response to conversation history
@@ -567,7 +602,8 @@ Your health checkup is all set! The sample collection team will visit during the
             customerId,
             conversationHistory,
             null, // No claim documents
-            hospitalRecommendations // Pass hospital data to Gemini
+            hospitalRecommendations, // Pass hospital data to Gemini
+            { onDelta }
           );
           
           this.addToConversationHistory(customerId, 'assistant', response.answer);
@@ -589,26 +625,47 @@ Your health checkup is all set! The sample collection team will visit during the
       // Enhance query with conversation context for better similarity search
       const enhancedQuery = this.enhanceQueryWithContext(processedQuery, customerId);
       
-      // Generate query embedding using the enhanced query
-      const queryEmbeddingResult = await this.embeddingService.generateEmbedding(enhancedQuery);
-      
-      // Search for similar chunks
-      const relevantChunks = this.vectorStore.searchSimilarChunks(
-        customerId, 
-        queryEmbeddingResult.values, 
-        topK, 
-        similarityThreshold
-      );
+      // Retrieve chunks by embedding similarity and/or BM25 keyword match
+      const rerankOptions = { rerank, mmr, mmrLambda, candidates: rerankCandidates, topK };
+      const shouldRerank = this.rerankService.isEnabled(rerankOptions);
+      const retrieval = await this.retrievalService.retrieve(customerId, enhancedQuery, {
+        topK: shouldRerank ? Math.max(topK, rerankCandidates || this.rerankService.candidates) : topK,
+        similarityThreshold,
+        retrievalMode,
+        fusion,
+        filter
+      });
+
+      // Optionally rerank the candidates (relevance model and/or MMR diversity) before prompting
+      const relevantChunks = shouldRerank
+        ? await this.rerankService.rerank(query, retrieval.chunks, rerankOptions)
+        : retrieval.chunks;
+      const queryEmbeddingResult = retrieval.embeddingResult;
 
       if (relevantChunks.length === 0) {
         return {
           answer: "I couldn't find specific information about your query in your policy documents. Please contact customer service for more detailed assistance or try rephrasing your question.",
           confidence: 0,
           sourceChunks: [],
-          queryType: 'no_match'
+          queryType: 'no_match',
+          ...(retrieval.filter && { filter: retrieval.filter })
         };
       }
 
+      // Carry filenames on the chunks so citations can name the document
+      const citedChunks = relevantChunks.map(chunk => ({
+        ...chunk,
+        filename: this.vectorStore.getDocument(chunk.documentId)?.filename || null
+      }));
+
+      if (typeof stream?.onRetrieval === 'function') {
+        stream.onRetrieval({
+          retrievalMode: retrieval.retrievalMode,
+          ...(retrieval.filter && { filter: retrieval.filter }),
+          sourceChunks: this.geminiService.formatSourceChunks(citedChunks)
+        });
+      }
+
       // Get conversation history for context-aware responses
       const conversationHistory = this.getConversationHistory(customerId, 3);
       
@@ -622,26 +679,32 @@ Your health checkup is all set! The sample collection team will visit during the
       // Generate response using Gemini with conversation context, claim documents, and hospital data
       const response = await this.geminiService.generateResponse(
         query, 
-        relevantChunks, 
+        citedChunks, 
         customerId,
         conversationHistory,
         claimDocuments,
-        hospitalRecommendations
+        hospitalRecommendations,
+        { onDelta }
       );
 
       console.log(`Generated response for customer ${customerId} with confidence ${response.confidence}`);
-      console.log(`Used embedding model: ${queryEmbeddingResult.model} for query processing`);
+      console.log(`Used ${retrieval.retrievalMode} retrieval${queryEmbeddingResult ? ` with embedding model ${queryEmbeddingResult.model}` : ''}`);
 
-      // Add assistant response to conversation history
-      this.addToConversationHistory(customerId, 'assistant', response.answer);
+      // Add assistant response to conversation history (markers mean nothing in later prompts)
+      this.addToConversationHistory(customerId, 'assistant', CitationService.stripMarkers(response.answer));
 
       return {
         ...response,
+        answer: this.geminiService.citationService.render(response.answer, response.citations, channel),
+        channel: channel.toUpperCase(),
         queryType: 'success',
         customerId,
         query,
-        embeddingModel: queryEmbeddingResult.model,
-        embeddingDimensions: queryEmbeddingResult.dimensions,
+        retrievalMode: retrieval.retrievalMode,
+        ...(retrieval.filter && { filter: retrieval.filter }),
+        ...(shouldRerank && { rerank: relevantChunks[0]?.rerankStrategy }),
+        embeddingModel: queryEmbeddingResult ? queryEmbeddingResult.model : null,
+        embeddingDimensions: queryEmbeddingResult ? queryEmbeddingResult.dimensions : 0,
         processedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -650,6 +713,123 @@ Your health checkup is all set! The sample collection team will visit during the
     }
   }
 
+  /**
+   * Handle a request to reschedule the pending health checkup
+   * @param {string} customerId - Customer ID
+   * @param {string} query - Customer message
+   * @param {Object} requested - { date, time } already extracted by the caller (e.g. Dialogflow parameters)
+   * @returns {Object} - Query result (reschedule_clarification or reschedule_result)
+   */
+  handleRescheduleRequest(customerId, query, requested = {}) {
+    // Add user message to conversation history
+    this.addToConversationHistory(customerId, 'user', query);
+    
+    // Parse the reschedule request; a date or time the caller already extracted wins
+    const parsedRequest = {
+      ...this.policyTimelineService.parseRescheduleRequest(query),
+      ...(requested.date && { date: requested.date }),
+      ...(requested.time && { time: requested.time })
+    };
+    
+    if (!parsedRequest.date) {
+      // Ask for specific date if not provided
+      const clarificationResponse = "I can help you reschedule your health checkup! Could you please let me know the new date you'd prefer? For example, you can say 'reschedule to November 25' or 'change to next week'.";
+      
+      this.addToConversationHistory(customerId, 'assistant', clarificationResponse);
+      
+      return {
+        answer: clarificationResponse,
+        confidence: 1.0,
+        sourceChunks: [],
+        queryType: 'reschedule_clarification'
+      };
+    }
+    
+    // Attempt to reschedule
+    const rescheduleResult = this.policyTimelineService.rescheduleHealthCheckup(
+      parsedRequest.date,
+      parsedRequest.time
+    );
+    
+    let response;
+    if (rescheduleResult.success) {
+      response = `Perfect! I've successfully rescheduled your health checkup from ${rescheduleResult.originalDate} to ${rescheduleResult.newDate}. ${rescheduleResult.updatedEvent.details}`;
+    } else {
+      // Check if we have alternative slots to offer
+      if (rescheduleResult.alternativeSlots && rescheduleResult.alternativeSlots.length > 0) {
+        response = `${rescheduleResult.message}\n\nHowever, I found available slots on these dates:\n\n`;
+        
+        rescheduleResult.alternativeSlots.forEach(slot => {
+          response += `📅 **${slot.date}**\n`;
+          response += `⏰ Available time slots: ${slot.timeSlots.join(', ')}\n\n`;
+        });
+        
+        response += `Would you like to book any of these alternative dates? Just let me know which date and time works for you!`;
+      } else {
+        response = `I'm sorry, but I couldn't reschedule your appointment. ${rescheduleResult.message} Please contact our customer service team for assistance.`;
+      }
+    }
+    
+    // Add assistant response to conversation history
+    this.addToConversationHistory(customerId, 'assistant', response);
+    
+    return {
+      answer: response,
+      confidence: rescheduleResult.success ? 1.0 : 0.8,
+      sourceChunks: [],
+      queryType: 'reschedule_result',
+      rescheduleDetails: rescheduleResult
+    };
+  }
+
+  /**
+   * Streaming variant of queryDocuments. Runs the same routing and emits
+   * events as the answer is produced:
+   * - retrieval: chunks selected for a policy query (before generation starts)
+   * - delta: answer text as the model generates it; answers that are not
+   *   generated token by token (static, reschedule, journey replies) arrive as one delta
+   * - done: the complete queryDocuments response (answer rendered for the
+   *   channel, confidence, citations, queryType)
+   * @param {string} customerId - Customer ID
+   * @param {string} query - Customer query
+   * @param {Object} options - Same options as queryDocuments
+   * @param {Function} emit - Called with (event, data)
+   * @returns {Promise<Object>} - Final query response
+   */
+  async streamQueryDocuments(customerId, query, options = {}, emit) {
+    const citationService = this.geminiService.citationService;
+    const citationFilter = citationService.createStreamFilter(options.channel);
+    let streamed = false;
+
+    const response = await this.queryDocuments(customerId, query, {
+      ...options,
+      stream: {
+        onRetrieval: (retrieval) => {
+          citationFilter.setSources(retrieval.sourceChunks.length);
+          emit('retrieval', retrieval);
+        },
+        onDelta: (delta) => {
+          streamed = true;
+          const text = citationFilter.push(delta);
+          if (text) {
+            emit('delta', { text });
+          }
+        }
+      }
+    });
+
+    // Streamed text is the raw answer with normalized markers; the channel's sources footer follows it
+    const rest = streamed
+      ? citationFilter.flush() + citationService.renderSourcesFooter(response.citations, response.channel)
+      : response.answer;
+    if (rest) {
+      emit('delta', { text: rest });
+    }
+    emit('done', response);
+
+    return response;
+  }
+
   /**
    * Get static policy summary for a customer
    * @param {string} customerId - Customer ID
@@ -1429,24 +1609,18 @@ Is there anything specific you'd like to know more about?`;
    */
   async searchAllDocuments(query, options = {}) {
     try {
-      const { topK = 10, similarityThreshold = 0.5 } = options;
+      const { topK = 10, similarityThreshold = 0.5, filter = null } = options;
       
       // Generate query embedding
       const queryEmbeddingResult = await this.embeddingService.generateEmbedding(query);
       
-      // Get all chunks
-      const allChunks = Array.from(this.vectorStore.chunks.values());
-      
-      // Calculate similarities
-      const similarities = allChunks.map(chunk => ({
-        ...chunk,
-        similarity: this.vectorStore.calculateCosineSimilarity(queryEmbeddingResult.values, chunk.embedding)
-      }));
-
-      return similarities
-        .filter(chunk => chunk.similarity >= similarityThreshold)
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, topK);
+      // Search every customer's chunks (ANN index with linear fallback)
+      return this.vectorStore.searchAllChunks(
+        queryEmbeddingResult.values,
+        topK,
+        similarityThreshold,
+        filter
+      );
     } catch (error) {
       console.error('Error searching all documents:', error);
       throw error;
@@ -0,0 +1,101 @@
+const BaseDialogflowAdapter = require('./baseDialogflowAdapter');
+const ResponseRenderer = require('./responseRenderer');
+
+/**
+ * Dialogflow CX Adapter
+ * Speaks the Dialogflow CX WebhookRequest/WebhookResponse API
+ * (POST /api/webhook/dialogflow-cx). The fulfillment tag set on the CX route
+ * or page picks the journey handler (falling back to the matched intent);
+ * session parameters and resolved intent parameters become the turn's
+ * parameters. Responses replace the agent's messages with the journey's
+ * answer and write customerId, currentStageId and collectedData back into
+ * the session parameters, so CX conditions can branch on the journey stage.
+ * Journey choices are added as a Dialogflow Messenger rich content payload
+ * and an SSML variant is sent as outputAudioText for voice.
+ */
+class DialogflowCxAdapter extends BaseDialogflowAdapter {
+  get name() {
+    return 'CX';
+  }
+
+  validateRequest(body) {
+    const errors = [];
+    if (!body || typeof body !== 'object') {
+      return { isValid: false, errors: ['Request body must be a WebhookRequest object'] };
+    }
+    if (!body.text && !body.transcript) {
+      errors.push('text (or transcript) is required');
+    }
+    if (!body.sessionInfo?.session) {
+      errors.push('sessionInfo.session is required');
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  parseRequest(body) {
+    const sessionParams = body.sessionInfo?.parameters || {};
+    const payload = body.payload || {};
+
+    // Intent parameters arrive as { originalValue, resolvedValue }
+    const intentParams = Object.entries(body.intentInfo?.parameters || {}).reduce((params, [name, value]) => {
+      params[name] = value && typeof value === 'object' && 'resolvedValue' in value ? value.resolvedValue : value;
+      return params;
+    }, {});
+
+    return {
+      queryText: body.text || body.transcript,
+      intentName: body.fulfillmentInfo?.tag || body.intentInfo?.displayName || null,
+      session: body.sessionInfo.session,
+      sessionId: BaseDialogflowAdapter.getSessionId(body.sessionInfo.session),
+      customerId: payload.customerId || intentParams.customerId || sessionParams.customerId || null,
+      callerId: payload.telephony?.caller_id || null,
+      parameters: { ...sessionParams, ...intentParams },
+      context: {
+        page: body.pageInfo?.displayName || null,
+        languageCode: body.languageCode || null
+      }
+    };
+  }
+
+  buildResponse(turn, outcome) {
+    const { result } = outcome;
+
+    const richContent = ResponseRenderer.toRichContent(outcome.response);
+    const messages = [
+      ...this.buildMessageResponse(outcome.answer).fulfillmentResponse.messages,
+      ...(richContent ? [{ payload: { richContent } }] : []),
+      { outputAudioText: { ssml: ResponseRenderer.toSsml(outcome.response) } }
+    ];
+
+    return {
+      fulfillmentResponse: {
+        messages,
+        mergeBehavior: 'REPLACE'
+      },
+      sessionInfo: {
+        parameters: {
+          customerId: outcome.customerId,
+          lastHandler: outcome.handler,
+          lastQueryType: result.queryType || null,
+          ...(result.currentStage && { currentStageId: result.currentStage }),
+          ...(result.collectedData && { collectedData: result.collectedData })
+        }
+      }
+    };
+  }
+
+  buildMessageResponse(text) {
+    return {
+      fulfillmentResponse: {
+        messages: [{
+          text: {
+            text: [text]
+          }
+        }],
+        mergeBehavior: 'REPLACE'
+      }
+    };
+  }
+}
+
+module.exports = DialogflowCxAdapter;
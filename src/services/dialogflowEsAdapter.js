@@ -0,0 +1,133 @@
+const BaseDialogflowAdapter = require('./baseDialogflowAdapter');
+const ResponseRenderer = require('./responseRenderer');
+
+/**
+ * Dialogflow ES Adapter
+ * Speaks the Dialogflow ES fulfillment API (POST /api/webhook/dialogflow):
+ * requests carry queryResult { queryText, intent.displayName, parameters,
+ * outputContexts }, responses are fulfillmentText/fulfillmentMessages plus
+ * two output contexts: customer-session (customer, last turn, turn counter)
+ * and conversation-history (the turns so far, as JSON). Journey choices are
+ * added as a Dialogflow Messenger rich content payload, and every answer has
+ * an SSML variant for the telephony integration.
+ */
+class DialogflowEsAdapter extends BaseDialogflowAdapter {
+  get name() {
+    return 'ES';
+  }
+
+  validateRequest(body) {
+    if (!body || !body.queryResult || !body.queryResult.queryText) {
+      return { isValid: false, errors: ['queryResult.queryText is required'] };
+    }
+    return { isValid: true, errors: [] };
+  }
+
+  parseRequest(body) {
+    const { queryResult, session } = body;
+    const payload = body.originalDetectIntentRequest?.payload || {};
+    const parameters = queryResult.parameters || {};
+
+    // Parameters of all input contexts, for context continuity
+    let contextParams = {};
+    (queryResult.outputContexts || []).forEach(context => {
+      if (context.parameters) {
+        contextParams = { ...contextParams, ...context.parameters };
+      }
+    });
+
+    // Build conversation history from context
+    const conversationHistory = [];
+    if (contextParams.lastQuery) {
+      conversationHistory.push({
+        query: contextParams.lastQuery,
+        answer: contextParams.lastAnswer,
+        timestamp: contextParams.lastQueryTime || new Date().toISOString()
+      });
+    }
+
+    return {
+      queryText: queryResult.queryText,
+      intentName: queryResult.intent?.displayName || null,
+      session,
+      sessionId: BaseDialogflowAdapter.getSessionId(session),
+      customerId: payload.customerId || parameters.customerId || contextParams.customerId || null,
+      callerId: payload.telephony?.caller_id || null,
+      parameters,
+      context: { ...contextParams, conversationHistory }
+    };
+  }
+
+  buildResponse(turn, outcome) {
+    const { result } = outcome;
+    const { conversationHistory, ...contextParams } = turn.context;
+
+    // Enhanced context management for follow-up queries
+    const outputContexts = [
+      {
+        name: `${turn.session}/contexts/customer-session`,
+        lifespanCount: 20, // Increased lifespan for better context retention
+        parameters: {
+          // Preserve existing context parameters
+          ...contextParams,
+          customerId: outcome.customerId,
+          lastIntent: turn.intentName,
+          lastHandler: outcome.handler,
+          lastQueryType: result.queryType,
+          confidence: result.confidence,
+          lastQuery: turn.queryText,
+          lastAnswer: outcome.answer,
+          lastQueryTime: new Date().toISOString(),
+          // Add conversation turn counter
+          conversationTurn: (contextParams.conversationTurn || 0) + 1
+        }
+      },
+      {
+        name: `${turn.session}/contexts/conversation-history`,
+        lifespanCount: 15,
+        parameters: {
+          customerId: outcome.customerId,
+          conversationHistory: JSON.stringify([
+            ...conversationHistory,
+            {
+              query: turn.queryText,
+              answer: outcome.answer,
+              timestamp: new Date().toISOString(),
+              queryType: result.queryType,
+              confidence: result.confidence
+            }
+          ])
+        }
+      }
+    ];
+
+    const richContent = ResponseRenderer.toRichContent(outcome.response);
+    const fulfillmentMessages = [
+      ...this.buildMessageResponse(outcome.answer).fulfillmentMessages,
+      ...(richContent ? [{ payload: { richContent } }] : []),
+      {
+        platform: 'TELEPHONY',
+        telephonySynthesizeSpeech: { ssml: ResponseRenderer.toSsml(outcome.response) }
+      }
+    ];
+
+    return {
+      fulfillmentText: outcome.answer,
+      fulfillmentMessages,
+      outputContexts
+    };
+  }
+
+  buildMessageResponse(text) {
+    return {
+      fulfillmentText: text,
+      fulfillmentMessages: [{
+        text: {
+          text: [text]
+        }
+      }]
+    };
+  }
+}
+
+module.exports = DialogflowEsAdapter;
@@ -2,11 +2,16 @@ const fs = require('fs-extra');
 const path = require('path');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const SectionChunker = require('./sectionChunker');
 
 class DocumentProcessor {
   constructor() {
     this.chunkSize = 1000; // characters per chunk
     this.chunkOverlap = 200; // overlap between chunks
+    this.sectionChunker = new SectionChunker({
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap
+    });
   }
 
   /**
@@ -143,17 +148,75 @@ class DocumentProcessor {
   }
 
   /**
-   * Clean and normalize text content
+   * Clean and normalize text content. Line breaks are kept so the section
+   * chunker can see headings, lists and tables. Literal tabs stay as column
+   * separators; runs of spaces only become tabs on lines detected as table
+   * rows by detectTableRows, everywhere else they collapse to one space.
    * @param {string} text - Raw text content
    * @returns {string} - Cleaned text
    */
   cleanText(text) {
-    return text
-      .replace(/\s+/g, ' ') // Replace multiple whitespaces with single space
-      .replace(/\n+/g, '\n') // Replace multiple newlines with single newline
+    const lines = text
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u0000/g, '')
+      .split('\n');
+    const tableRows = this.detectTableRows(lines);
+    const normalizeCell = cell => cell.replace(/\s+/g, ' ').trim();
+
+    return lines
+      .map((line, index) => {
+        const separator = tableRows.has(index) ? /\t+| {2,}/ : (line.includes('\t') ? /\t+/ : null);
+        if (!separator) {
+          return normalizeCell(line);
+        }
+        return line.split(separator).map(normalizeCell).filter(Boolean).join('\t');
+      })
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n') // Keep at most one blank line between paragraphs
       .trim();
   }
 
+  /**
+   * Find space-aligned table rows: at least two consecutive lines that split
+   * on column gaps (2+ spaces) into the same number (3+) of cells whose
+   * columns line up. Justified prose also has 2+ space gaps, but its word
+   * boundaries do not line up from one line to the next.
+   * @param {Array<string>} lines - Raw lines
+   * @returns {Set<number>} - Indexes of lines that are table rows
+   */
+  detectTableRows(lines) {
+    const layouts = lines.map(line => {
+      const cells = [];
+      const cellPattern = /\S+(?: \S+)*/g;
+      const spaced = line.replace(/\t/g, '  ');
+      let match;
+      while ((match = cellPattern.exec(spaced)) !== null) {
+        cells.push({ start: match.index, end: match.index + match[0].length });
+      }
+      return cells;
+    });
+    // Columns are left- or right-aligned; allow a couple of characters of drift
+    const aligned = (a, b) => a.length >= 3 && a.length === b.length &&
+      a.every((cell, k) => Math.abs(cell.start - b[k].start) <= 2 || Math.abs(cell.end - b[k].end) <= 2);
+    const rows = new Set();
+
+    let start = 0;
+    while (start < lines.length) {
+      let end = start + 1;
+      while (end < lines.length && aligned(layouts[end - 1], layouts[end])) {
+        end++;
+      }
+      if (end - start >= 2) {
+        for (let index = start; index < end; index++) {
+          rows.add(index);
+        }
+      }
+      start = end;
+    }
+
+    return rows;
+  }
+
   /**
    * Split content into chunks for vector processing (supports multimodal)
    * @param {Object|string} content - Content to chunk (text string or multimodal object)
@@ -194,7 +257,12 @@ class DocumentProcessor {
             chunkIndex,
             type: 'multimodal',
             length: textChunk.length,
-            imageCount: chunkImages.length
+            imageCount: chunkImages.length,
+            ...(textChunk.sectionPath && {
+              section: textChunk.section,
+              sectionPath: textChunk.sectionPath
+            }),
+            ...(textChunk.clause && { clause: textChunk.clause })
           });
           chunkIndex++;
         });
@@ -224,79 +292,44 @@ class DocumentProcessor {
   }
 
   /**
-   * Split text into chunks for vector processing (original method)
+   * Split text into chunks for vector processing. Structured policy wordings
+   * are chunked per section (see SectionChunker); anything else falls back to
+   * sentence chunking.
    * @param {string} text - Text to chunk
    * @param {string} documentId - Document ID
    * @param {string} customerId - Customer ID
    * @returns {Array<Object>} - Array of text chunks with metadata
    */
   chunkText(text, documentId, customerId) {
-    const chunks = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    
-    let currentChunk = '';
-    let chunkIndex = 0;
-    
-    for (const sentence of sentences) {
-      const trimmedSentence = sentence.trim();
-      if (!trimmedSentence) continue;
-      
-      const potentialChunk = currentChunk + (currentChunk ? '. ' : '') + trimmedSentence;
-      
-      if (potentialChunk.length <= this.chunkSize) {
-        currentChunk = potentialChunk;
-      } else {
-        // Save current chunk if it has content
-        if (currentChunk.trim()) {
-          chunks.push({
-            id: `${documentId}_chunk_${chunkIndex}`,
-            text: currentChunk.trim() + '.',
-            documentId,
-            customerId,
-            chunkIndex,
-            length: currentChunk.length
-          });
-          chunkIndex++;
-        }
-        
-        // Start new chunk with overlap
-        const overlapText = this.getOverlapText(currentChunk, this.chunkOverlap);
-        currentChunk = overlapText + (overlapText ? '. ' : '') + trimmedSentence;
-      }
+    const sectionChunks = this.sectionChunker.chunk(text, documentId, customerId);
+    if (sectionChunks) {
+      console.log(`Chunked ${documentId} by section structure into ${sectionChunks.length} chunks`);
+      return sectionChunks;
     }
-    
-    // Add the last chunk if it has content
-    if (currentChunk.trim()) {
-      chunks.push({
-        id: `${documentId}_chunk_${chunkIndex}`,
-        text: currentChunk.trim() + '.',
-        documentId,
-        customerId,
-        chunkIndex,
-        length: currentChunk.length
-      });
-    }
-    
-    return chunks;
+
+    return this.chunkSentences(text, documentId, customerId);
   }
 
   /**
-   * Get overlap text from the end of a chunk
-   * @param {string} text - Text to get overlap from
-   * @param {number} overlapSize - Size of overlap in characters
-   * @returns {string} - Overlap text
+   * Split unstructured text into overlapping sentence-packed chunks
+   * @param {string} text - Text to chunk
+   * @param {string} documentId - Document ID
+   * @param {string} customerId - Customer ID
+   * @returns {Array<Object>} - Array of text chunks with metadata
    */
-  getOverlapText(text, overlapSize) {
-    if (text.length <= overlapSize) return text;
-    
-    const overlapText = text.slice(-overlapSize);
-    const lastSentenceStart = overlapText.lastIndexOf('. ');
-    
-    if (lastSentenceStart !== -1) {
-      return overlapText.slice(lastSentenceStart + 2);
-    }
-    
-    return overlapText;
+  chunkSentences(text, documentId, customerId) {
+    const sentences = this.sectionChunker.splitSentences(text);
+
+    return this.sectionChunker
+      .packSentences(sentences, this.chunkSize, this.chunkOverlap)
+      .map((chunkText, chunkIndex) => ({
+        id: `${documentId}_chunk_${chunkIndex}`,
+        text: chunkText,
+        documentId,
+        customerId,
+        chunkIndex,
+        length: chunkText.length
+      }));
   }
 
   /**
@@ -0,0 +1,81 @@
+const BaseChannelAdapter = require('./baseChannelAdapter');
+
+/**
+ * Email channel adapter
+ * Sends plain-text email over SMTP with nodemailer. The recipient is the
+ * customer's `email`.
+ */
+class EmailChannelAdapter extends BaseChannelAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.host = options.host || null;
+    this.port = options.port || 587;
+    this.secure = options.secure ?? this.port === 465;
+    this.user = options.user || null;
+    this.password = options.password || process.env.SMTP_PASSWORD || null;
+    this.from = options.from || this.user;
+    this.defaultSubject = options.defaultSubject || 'Message from your policy assistant';
+    this.transporter = null;
+  }
+
+  get channel() {
+    return 'EMAIL';
+  }
+
+  resolveRecipient(customer) {
+    return customer?.email || null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      // Required lazily so the other channels work without nodemailer
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        ...(this.user && { auth: { user: this.user, pass: this.password } })
+      });
+    }
+    return this.transporter;
+  }
+
+  async send({ recipient, text, subject }) {
+    if (!this.host) {
+      return { success: false, error: 'SMTP host is not configured' };
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: this.from,
+        to: recipient,
+        subject: subject || this.defaultSubject,
+        text
+      });
+
+      return {
+        success: true,
+        messageId: info.messageId,
+        data: { accepted: info.accepted, rejected: info.rejected }
+      };
+    } catch (error) {
+      console.error('Error sending email:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  getInfo() {
+    return {
+      channel: this.channel,
+      host: this.host,
+      port: this.port,
+      from: this.from,
+      configured: Boolean(this.host)
+    };
+  }
+}
+
+module.exports = EmailChannelAdapter;
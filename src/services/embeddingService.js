@@ -1,13 +1,16 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
+const LLMProviderFactory = require('./llmProviderFactory');
 
 class EmbeddingService {
-  constructor(apiKey, options = {}) {
-    this.genAI = new GoogleGenerativeAI(apiKey);
+  /**
+   * @param {BaseLLMProvider|string} provider - Injected LLM provider, or a Gemini API key
+   * @param {Object} options - { multimodalModel }
+   */
+  constructor(provider, options = {}) {
+    this.provider = LLMProviderFactory.resolve(provider);
     
-    // Use only Gemini 1.5 Pro for all operations
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-pro' });
-    this.embeddingModel = this.genAI.getGenerativeModel({ model: 'text-embedding-004' }); // For text embeddings
+    // Gemini 1.5 Pro describes multimodal content; text embeddings come from the provider's embedding model
+    this.multimodalModel = options.multimodalModel || 'gemini-1.5-pro';
   }
 
   /**
@@ -57,18 +60,18 @@ class EmbeddingService {
       const prompt = this.buildMultimodalPrompt(content);
       parts.unshift({ text: prompt });
 
-      const result = await this.model.generateContent({
+      const result = await this.provider.generate({
         contents: [{ parts }]
-      });
+      }, { model: this.multimodalModel });
 
-      const generatedText = result.response.text();
+      const generatedText = result.text;
       
       // Now generate embeddings from the multimodal description
       const embeddingResult = await this.generateTextEmbedding(generatedText);
 
       return {
         values: embeddingResult.values,
-        model: 'gemini-1.5-pro',
+        model: this.multimodalModel,
         dimensions: embeddingResult.dimensions,
         multimodalDescription: generatedText,
         contentTypes: this.analyzeMultimodalContent(content)
@@ -89,19 +92,13 @@ class EmbeddingService {
   }
 
   /**
-   * Generate text-only embeddings using text-embedding-004
+   * Generate text-only embeddings with the provider's embedding model (text-embedding-004 for Gemini)
    * @param {string} text - Text to generate embeddings for
    * @returns {Promise<Object>} - Vector embeddings with metadata
    */
   async generateTextEmbedding(text) {
     try {
-      const result = await this.embeddingModel.embedContent(text);
-      
-      return {
-        values: result.embedding.values,
-        model: 'text-embedding-004',
-        dimensions: result.embedding.values.length
-      };
+      return await this.provider.embed(text);
     } catch (error) {
       console.error('Error generating text embedding:', error);
       throw error;
@@ -115,23 +112,7 @@ class EmbeddingService {
    */
   async generateEmbeddingsBatch(texts) {
     try {
-      const embeddings = [];
-      
-      // Process in smaller batches to avoid rate limits
-      const batchSize = 10;
-      for (let i = 0; i < texts.length; i += batchSize) {
-        const batch = texts.slice(i, i + batchSize);
-        const batchPromises = batch.map(text => this.generateEmbedding(text));
-        const batchEmbeddings = await Promise.all(batchPromises);
-        embeddings.push(...batchEmbeddings);
-        
-        // Add small delay between batches to respect rate limits
-        if (i + batchSize < texts.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
-      
-      return embeddings;
+      return await this.provider.embedBatch(texts);
     } catch (error) {
       console.error('Error generating batch embeddings:', error);
       throw error;
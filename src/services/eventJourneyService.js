@@ -0,0 +1,585 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JobQueue = require('./jobQueue');
+const SendPolicy = require('./sendPolicy');
+const CommunicationService = require('./communicationService');
+
+const EVENT_JOURNEY_STATUSES = ['active', 'completed', 'cancelled'];
+
+// Error codes thrown by the service and the HTTP status each maps to (SEND_FAILED has none: a 500)
+const ERROR_STATUSES = {
+  JOURNEY_NOT_FOUND: 404,
+  EVENT_NOT_FOUND: 404,
+  INVALID_START_TIME: 400,
+  UNKNOWN_CTA: 400,
+  JOURNEY_ALREADY_ACTIVE: 409,
+  JOURNEY_NOT_ACTIVE: 409,
+  EVENT_NOT_SENT: 409,
+  EVENT_ALREADY_SENT: 409,
+  EVENT_SENDING: 409,
+  DEPENDENCY_NOT_SENT: 409,
+  SEND_FAILED: null
+};
+
+/**
+ * Error with a `code` (see ERROR_STATUSES) and, for caller mistakes, the HTTP `status` to answer with
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function journeyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  if (ERROR_STATUSES[code]) {
+    error.status = ERROR_STATUSES[code];
+  }
+  return error;
+}
+
+/**
+ * Event Journey Service
+ * Runs the time-offset journeys in journeyDefinitions.json (e.g.
+ * NEW_CUSTOMER_ONBOARDING) for a customer. An event "fires" when its message
+ * is sent:
+ * - system events are queued on the JobQueue `timeOffsetDays` after the event
+ *   they depend on fired (root events: after the journey started) and go
+ *   through the SendPolicy like other proactive messages
+ * - user events only fire when the customer taps a CTA leading to them, or
+ *   when triggered directly once their `dependsOn` event has fired
+ * A CTA fires its action event straight away, whatever that event depends
+ * on, and a scheduled send of it is cancelled. The journey completes when an
+ * event with no CTAs and no dependants fires.
+ *
+ * Progress is one record per customer in the journey data file
+ * (journeyData.json): status, currentEventId (the event the journey waits
+ * for next), completedEvents, userData collected through CTAs, plus the
+ * scheduled sends, event log and CTA clicks.
+ *
+ * Errors carry a `code` and, when the caller is at fault, an HTTP `status`
+ * (404 unknown journey/event, 400 bad CTA or start time, 409 a step that
+ * does not fit the journey's state).
+ */
+class EventJourneyService {
+  /**
+   * @param {Object} config - { definitionsFile, dataFile, channel, daySeconds, jobType }
+   * @param {Object} dependencies - { jobQueue, sendPolicy, communicationService, getCustomer(customerId) }
+   */
+  constructor(config = {}, dependencies = {}) {
+    this.definitionsFile = config.definitionsFile || './data/journeyDefinitions.json';
+    this.dataFile = config.dataFile || './data/journeyData.json';
+    this.channel = config.channel || 'IN_APP';
+    this.dayMs = (config.daySeconds || 24 * 60 * 60) * 1000;
+    this.jobType = config.jobType || 'event_journey';
+
+    this.jobQueue = dependencies.jobQueue || new JobQueue();
+    this.sendPolicy = dependencies.sendPolicy || new SendPolicy();
+    this.communicationService = dependencies.communicationService || new CommunicationService();
+    this.getCustomer = dependencies.getCustomer || (() => null);
+
+    this.definitions = {};
+    this.records = new Map(); // customerId -> journey progress
+    this.sending = new Set(); // `${customerId}:${eventId}` of events whose message is being sent
+    this.writeQueue = Promise.resolve();
+    this.savePending = false;
+
+    this.jobQueue.registerHandler(this.jobType, (job, context) => this.sendScheduledEvent(job, context));
+  }
+
+  /**
+   * Load journey definitions and saved progress (runs once)
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        this.definitions = await fs.readJson(this.definitionsFile);
+        if (await fs.pathExists(this.dataFile)) {
+          const data = await fs.readJson(this.dataFile);
+          Object.entries(data).forEach(([customerId, record]) => this.records.set(customerId, record));
+        }
+        console.log(`Event journeys loaded: ${Object.keys(this.definitions).length} definitions, ${this.records.size} customer records`);
+      })();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * @param {string} journeyId - Journey ID
+   * @returns {Object|null} - Journey definition
+   */
+  getDefinition(journeyId) {
+    return this.definitions[journeyId] || null;
+  }
+
+  /**
+   * @param {Object} definition - Journey definition
+   * @param {string} eventId - Event ID
+   * @returns {Object|null} - Event definition
+   */
+  getEvent(definition, eventId) {
+    return definition.events.find(event => event.id === eventId) || null;
+  }
+
+  /**
+   * Start (or with `restart`, start over) a journey for a customer and queue
+   * its root events
+   * @param {string} customerId - Customer ID
+   * @param {string} journeyId - Journey ID
+   * @param {Object} options - { channel, startAt, restart, userData, policyData }
+   * @returns {Object} - Progress record
+   */
+  startJourney(customerId, journeyId, options = {}) {
+    const definition = this.getDefinition(journeyId);
+    if (!definition) {
+      throw journeyError('JOURNEY_NOT_FOUND', `Event journey not found: ${journeyId}`);
+    }
+
+    const existing = this.records.get(customerId);
+    if (existing?.status === 'active' && !options.restart) {
+      throw journeyError('JOURNEY_ALREADY_ACTIVE', `Customer ${customerId} is already on event journey ${existing.journeyId}`);
+    }
+    if (existing) {
+      this.cancelScheduledEvents(existing);
+    }
+
+    const startAt = options.startAt !== undefined ? JobQueue.toDate(options.startAt) : new Date();
+    if (!startAt) {
+      throw journeyError('INVALID_START_TIME', `Invalid job run time: ${options.startAt}`);
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      journeyId,
+      journeyName: definition.journeyName,
+      customerId,
+      status: 'active',
+      channel: options.channel || this.channel,
+      currentEventId: null,
+      completedEvents: [],
+      userData: options.userData || {},
+      ...(options.policyData && { policyData: options.policyData }),
+      scheduledEvents: {},
+      eventLog: [],
+      ctaClicks: [],
+      startedAt: startAt.toISOString(),
+      lastUpdatedAt: now
+    };
+
+    definition.events
+      .filter(event => !event.dependsOn && event.triggerType === 'system')
+      .forEach(event => this.scheduleEvent(record, event, startAt));
+    record.currentEventId = this.getNextEventId(record, definition, null);
+
+    this.saveRecord(record);
+    this.jobQueue.start();
+    console.log(`Started event journey ${journeyId} for customer ${customerId}`);
+    return record;
+  }
+
+  /**
+   * Record a CTA tap and fire the event it leads to
+   * @param {string} customerId - Customer ID
+   * @param {Object} click - { eventId (event the CTA belongs to), action (target event ID or CTA label), userData }
+   * @returns {Promise<Object>} - { record, cta, fired } (fired: false when the target event had already fired)
+   */
+  async recordCtaClick(customerId, { eventId, action, userData } = {}) {
+    const { record, definition } = this.getActiveJourney(customerId);
+    const event = this.getEvent(definition, eventId);
+    if (!event) {
+      throw journeyError('EVENT_NOT_FOUND', `Event not found in ${record.journeyId}: ${eventId}`);
+    }
+    if (!record.completedEvents.includes(eventId)) {
+      throw journeyError('EVENT_NOT_SENT', `Event ${eventId} has not been sent to customer ${customerId} yet`);
+    }
+
+    const cta = (event.ctas || []).find(item => item.action === action || item.label === action);
+    if (!cta) {
+      throw journeyError('UNKNOWN_CTA', `Event ${eventId} has no CTA "${action}"`);
+    }
+    const target = this.getEvent(definition, cta.action);
+    if (!target) {
+      throw journeyError('EVENT_NOT_FOUND', `Event not found in ${record.journeyId}: ${cta.action}`);
+    }
+
+    if (userData) {
+      record.userData = { ...record.userData, ...userData };
+    }
+    record.ctaClicks.push({ eventId, label: cta.label, action: cta.action, clickedAt: new Date().toISOString() });
+
+    if (record.completedEvents.includes(target.id)) {
+      this.saveRecord(record);
+      return { record, cta, fired: false };
+    }
+    try {
+      await this.fireEvent(record, definition, target, 'cta');
+    } catch (error) {
+      // Keep the click even though its event could not be sent
+      this.saveRecord(record);
+      throw error;
+    }
+    return { record, cta, fired: true };
+  }
+
+  /**
+   * Fire an event outside a CTA (e.g. the app reports the customer viewed
+   * their coverage). The event's dependsOn event must have fired.
+   * @param {string} customerId - Customer ID
+   * @param {string} eventId - Event ID
+   * @param {Object} options - { userData }
+   * @returns {Promise<Object>} - Progress record
+   */
+  async triggerEvent(customerId, eventId, options = {}) {
+    const { record, definition } = this.getActiveJourney(customerId);
+    const event = this.getEvent(definition, eventId);
+    if (!event) {
+      throw journeyError('EVENT_NOT_FOUND', `Event not found in ${record.journeyId}: ${eventId}`);
+    }
+    if (record.completedEvents.includes(eventId)) {
+      throw journeyError('EVENT_ALREADY_SENT', `Event ${eventId} has already been sent to customer ${customerId}`);
+    }
+    if (event.dependsOn && !record.completedEvents.includes(event.dependsOn)) {
+      throw journeyError('DEPENDENCY_NOT_SENT', `Event ${eventId} depends on ${event.dependsOn}, which has not been sent yet`);
+    }
+
+    if (options.userData) {
+      record.userData = { ...record.userData, ...options.userData };
+    }
+    await this.fireEvent(record, definition, event, 'trigger');
+    return record;
+  }
+
+  /**
+   * Stop a customer's journey and cancel its queued events
+   * @param {string} customerId - Customer ID
+   * @returns {Object} - Progress record
+   */
+  cancelJourney(customerId) {
+    const { record } = this.getActiveJourney(customerId);
+    this.cancelScheduledEvents(record);
+    record.status = 'cancelled';
+    record.currentEventId = null;
+    record.cancelledAt = new Date().toISOString();
+    this.saveRecord(record);
+    return record;
+  }
+
+  /**
+   * Send a queued system event (JobQueue handler; throws so the queue retries)
+   * @param {Object} job - { customerId, journeyId, eventId }
+   * @param {Object} context - { force: true } skips the send policy (admin send-now)
+   * @returns {Promise<Object>} - { eventId, messageId }, or a deferred/skipped outcome
+   */
+  async sendScheduledEvent(job, context = {}) {
+    await this.initialize();
+    const record = this.records.get(job.customerId);
+    if (!record || record.status !== 'active' || record.journeyId !== job.journeyId) {
+      return JobQueue.skipped('journey_not_active');
+    }
+    if (record.completedEvents.includes(job.eventId)) {
+      return JobQueue.skipped('event_already_sent');
+    }
+    if (record.scheduledEvents?.[job.eventId]?.jobId !== job.id) {
+      return JobQueue.skipped('event_rescheduled');
+    }
+    if (this.sending.has(`${job.customerId}:${job.eventId}`)) {
+      // A CTA or trigger is sending it right now; check again once that send has settled
+      return JobQueue.deferred(new Date(Date.now() + 60 * 1000), 'event_sending');
+    }
+
+    if (!context.force) {
+      const decision = this.sendPolicy.evaluate(job.customerId, {
+        sentTimes: this.jobQueue.list({ customerId: job.customerId, status: 'sent' }).map(sent => sent.sentAt)
+      });
+      if (decision.action === 'defer') {
+        return JobQueue.deferred(decision.until, decision.reason);
+      }
+      if (decision.action === 'cancel') {
+        return JobQueue.skipped(decision.reason);
+      }
+    }
+
+    const definition = this.getDefinition(record.journeyId);
+    const event = definition && this.getEvent(definition, job.eventId);
+    if (!event) {
+      return JobQueue.skipped('event_not_defined');
+    }
+
+    const entry = await this.fireEvent(record, definition, event, 'schedule', job.id);
+    return { eventId: event.id, messageId: entry.messageId };
+  }
+
+  /**
+   * Send an event's message, mark it fired and queue what depends on it.
+   * The event is marked as sending before the send is awaited, so a CTA,
+   * trigger or queued send of the same event arriving meanwhile is refused
+   * instead of sending it twice. Nothing is recorded when the send fails.
+   * @param {Object} record - Progress record
+   * @param {Object} definition - Journey definition
+   * @param {Object} event - Event to fire
+   * @param {string} trigger - 'schedule' | 'cta' | 'trigger'
+   * @param {string} jobId - Queue job that sent it (scheduled events)
+   * @returns {Promise<Object>} - Event log entry
+   */
+  async fireEvent(record, definition, event, trigger, jobId = null) {
+    const sendingKey = `${record.customerId}:${event.id}`;
+    if (this.sending.has(sendingKey)) {
+      throw journeyError('EVENT_SENDING', `Event ${event.id} is already being sent to customer ${record.customerId}`);
+    }
+
+    this.sending.add(sendingKey);
+    let sendResult;
+    try {
+      sendResult = await this.communicationService.sendMessage(this.renderMessage(event, record), {
+        channel: record.channel || this.channel,
+        customerId: record.customerId,
+        subject: event.title,
+        ...(jobId && { jobId })
+      });
+    } finally {
+      this.sending.delete(sendingKey);
+    }
+    if (!sendResult.success) {
+      const reason = typeof sendResult.error === 'string' ? sendResult.error : JSON.stringify(sendResult.error);
+      throw journeyError('SEND_FAILED', `${sendResult.channel} send failed: ${reason}`);
+    }
+
+    const firedAt = new Date();
+    const entry = {
+      eventId: event.id,
+      trigger,
+      channel: sendResult.channel,
+      messageId: sendResult.messageId,
+      firedAt: firedAt.toISOString()
+    };
+    record.eventLog.push(entry);
+    record.completedEvents.push(event.id);
+
+    // A CTA can fire an event that was also queued
+    const queued = record.scheduledEvents[event.id];
+    if (queued && queued.jobId !== jobId) {
+      this.jobQueue.cancel({ id: queued.jobId });
+    }
+    delete record.scheduledEvents[event.id];
+
+    const dependants = definition.events.filter(item => item.dependsOn === event.id && !record.completedEvents.includes(item.id));
+    if ((event.ctas || []).length === 0 && dependants.length === 0) {
+      this.cancelScheduledEvents(record);
+      record.status = 'completed';
+      record.completedAt = entry.firedAt;
+      record.currentEventId = null;
+    } else {
+      dependants
+        .filter(item => item.triggerType === 'system')
+        .forEach(item => this.scheduleEvent(record, item, firedAt));
+      record.currentEventId = this.getNextEventId(record, definition, event);
+      this.jobQueue.start();
+    }
+
+    this.saveRecord(record);
+    console.log(`Event journey ${record.journeyId}: ${event.id} sent to customer ${record.customerId} (${trigger})`);
+    return entry;
+  }
+
+  /**
+   * Queue a system event `timeOffsetDays` after `from`
+   * @param {Object} record - Progress record
+   * @param {Object} event - Event definition
+   * @param {Date} from - When the event it depends on fired
+   */
+  scheduleEvent(record, event, from) {
+    const job = this.jobQueue.enqueue({
+      id: `${record.customerId}_${event.id}_${Date.now()}`,
+      type: this.jobType,
+      customerId: record.customerId,
+      journeyId: record.journeyId,
+      eventId: event.id,
+      runAt: new Date(from.getTime() + (event.timeOffsetDays || 0) * this.dayMs)
+    });
+    record.scheduledEvents[event.id] = { jobId: job.id, sendAt: job.scheduledTime };
+  }
+
+  cancelScheduledEvents(record) {
+    Object.values(record.scheduledEvents || {}).forEach(({ jobId }) => this.jobQueue.cancel({ id: jobId }));
+    record.scheduledEvents = {};
+  }
+
+  /**
+   * The event the journey waits for: the next queued send, else the first
+   * unfired CTA target of the last event
+   */
+  getNextEventId(record, definition, lastEvent) {
+    const [queued] = Object.entries(record.scheduledEvents)
+      .sort(([, a], [, b]) => new Date(a.sendAt) - new Date(b.sendAt));
+    if (queued) {
+      return queued[0];
+    }
+    const cta = (lastEvent?.ctas || []).find(item => !record.completedEvents.includes(item.action));
+    return cta ? cta.action : null;
+  }
+
+  /**
+   * Event message with {{customerName}} filled in, followed by its questions
+   * and CTA labels
+   * @param {Object} event - Event definition
+   * @param {Object} record - Progress record
+   * @returns {string} - Message text
+   */
+  renderMessage(event, record) {
+    const customerName = this.getCustomerName(record);
+    const parts = [event.message.replace(/{{\s*customerName\s*}}/g, customerName)];
+    if ((event.questions || []).length > 0) {
+      parts.push(event.questions.map((question, index) => `${index + 1}. ${question}`).join('\n'));
+    }
+    if ((event.ctas || []).length > 0) {
+      parts.push(event.ctas.map(cta => `• ${cta.label}`).join('\n'));
+    }
+    return parts.join('\n\n');
+  }
+
+  getCustomerName(record) {
+    const fullName = this.getCustomer(record.customerId)?.name || record.policyData?.policyholderName;
+    return fullName ? fullName.split(' ')[0] : 'there';
+  }
+
+  getActiveJourney(customerId) {
+    const record = this.records.get(customerId);
+    if (!record) {
+      throw journeyError('JOURNEY_NOT_FOUND', `Event journey not found for customer ${customerId}`);
+    }
+    if (record.status !== 'active') {
+      throw journeyError('JOURNEY_NOT_ACTIVE', `Event journey ${record.journeyId} for customer ${customerId} is ${record.status}`);
+    }
+    const definition = this.getDefinition(record.journeyId);
+    if (!definition) {
+      throw journeyError('JOURNEY_NOT_FOUND', `Event journey not found: ${record.journeyId}`);
+    }
+    // Records written before the runner existed lack the runner's fields
+    record.scheduledEvents = record.scheduledEvents || {};
+    record.eventLog = record.eventLog || [];
+    record.ctaClicks = record.ctaClicks || [];
+    record.userData = record.userData || {};
+    return { record, definition };
+  }
+
+  /**
+   * @param {string} customerId - Customer ID
+   * @returns {Object|null} - Progress record
+   */
+  getProgress(customerId) {
+    return this.records.get(customerId) || null;
+  }
+
+  /**
+   * Where each customer is in their journey
+   * @param {Object} filter - { journeyId, status }
+   * @returns {Array<Object>} - Progress summaries, most recently updated first
+   */
+  listProgress(filter = {}) {
+    return [...this.records.values()]
+      .filter(record => !filter.journeyId || record.journeyId === filter.journeyId)
+      .filter(record => !filter.status || record.status === filter.status)
+      .sort((a, b) => new Date(b.lastUpdatedAt) - new Date(a.lastUpdatedAt))
+      .map(record => this.summarize(record));
+  }
+
+  /**
+   * @param {Object} record - Progress record
+   * @returns {Object} - Status, current event, progress and the next queued send
+   */
+  summarize(record) {
+    const definition = this.getDefinition(record.journeyId);
+    const events = definition?.events || [];
+    const next = record.currentEventId ? record.scheduledEvents?.[record.currentEventId] : null;
+    const lastEventId = record.completedEvents[record.completedEvents.length - 1] || null;
+    const lastEvent = lastEventId ? events.find(event => event.id === lastEventId) : null;
+
+    return {
+      customerId: record.customerId,
+      journeyId: record.journeyId,
+      status: record.status,
+      currentEventId: record.currentEventId,
+      ...(record.currentEventId && { currentEventTitle: events.find(event => event.id === record.currentEventId)?.title }),
+      ...(next && { nextSendAt: next.sendAt }),
+      lastEventId,
+      ...(record.status === 'active' && lastEvent && { availableCtas: (lastEvent.ctas || []).map(cta => cta.label) }),
+      completedEvents: record.completedEvents.length,
+      totalEvents: events.length,
+      startedAt: record.startedAt,
+      lastUpdatedAt: record.lastUpdatedAt,
+      ...(record.completedAt && { completedAt: record.completedAt })
+    };
+  }
+
+  /**
+   * Number of customers each event was sent to (journey graph visit counts)
+   * @param {string} journeyId - Journey ID
+   * @returns {Object} - { eventId: count }
+   */
+  countVisits(journeyId) {
+    const visits = {};
+    this.records.forEach(record => {
+      if (record.journeyId === journeyId) {
+        new Set(record.completedEvents).forEach(eventId => {
+          visits[eventId] = (visits[eventId] || 0) + 1;
+        });
+      }
+    });
+    return visits;
+  }
+
+  saveRecord(record) {
+    record.lastUpdatedAt = new Date().toISOString();
+    this.records.set(record.customerId, record);
+    return this.scheduleSave();
+  }
+
+  /**
+   * Queue a rewrite of the journey data file; calls made while a write is
+   * waiting share it
+   * @returns {Promise<void>}
+   */
+  scheduleSave() {
+    if (this.savePending) {
+      return this.savePromise;
+    }
+    this.savePending = true;
+
+    const write = this.writeQueue.then(async () => {
+      this.savePending = false;
+      await fs.ensureDir(path.dirname(this.dataFile));
+      const tempFile = `${this.dataFile}.${process.pid}.tmp`;
+      await fs.writeJson(tempFile, Object.fromEntries(this.records), { spaces: 2 });
+      await fs.move(tempFile, this.dataFile, { overwrite: true });
+    });
+
+    // Keep the queue alive after a failed write
+    this.writeQueue = write.catch(error => console.error('Error saving event journey data:', error));
+    this.savePromise = this.writeQueue;
+    return this.savePromise;
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Describe the service for health output
+   * @returns {Object} - Journeys, files, channel and customers per status
+   */
+  getInfo() {
+    const records = [...this.records.values()];
+    return {
+      journeys: Object.keys(this.definitions),
+      dataFile: this.dataFile,
+      channel: this.channel,
+      daySeconds: this.dayMs / 1000,
+      customers: EVENT_JOURNEY_STATUSES.reduce((counts, status) => {
+        counts[status] = records.filter(record => record.status === status).length;
+        return counts;
+      }, {})
+    };
+  }
+}
+
+EventJourneyService.STATUSES = EVENT_JOURNEY_STATUSES;
+
+module.exports = EventJourneyService;
@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const BaseLLMProvider = require('./baseLLMProvider');
+
+/**
+ * Deterministic offline LLM provider
+ * Completions come from a script: queued responses are returned first, in
+ * order, then the first rule whose `match` (case-insensitive substring) or
+ * `pattern` (regular expression) matches the prompt, then a default reply.
+ * Embeddings are feature-hashed bags of words and word bigrams, so texts that
+ * share terms get similar vectors and the same text always gets the same one.
+ *
+ * Script file format:
+ * { "default": "...", "rules": [{ "match": "health checkup", "response": "..." },
+ *                               { "pattern": "^Score every", "response": [{ "index": 1, "score": 8 }] }] }
+ * Non-string responses are returned as JSON.
+ */
+class FakeLLMProvider extends BaseLLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.dimensions = options.dimensions || 768;
+    this.defaultResponse = options.defaultResponse || 'I can help you with that. (offline response from the fake LLM provider)';
+    this.rules = [];
+    this.queue = [];
+    this.calls = []; // [{ type, prompt|text, model }] for assertions in scripts
+
+    if (options.script) {
+      this.loadScript(options.script);
+    }
+  }
+
+  /**
+   * Load rules from a script object or a JSON file path
+   * @param {Object|string} script - Script object or path to a JSON script
+   */
+  loadScript(script) {
+    const data = typeof script === 'string' ? fs.readJsonSync(script) : script;
+    if (data.default !== undefined) {
+      this.defaultResponse = this.formatResponse(data.default);
+    }
+    for (const rule of data.rules || []) {
+      this.addRule(rule.pattern ? new RegExp(rule.pattern, 'i') : rule.match, rule.response);
+    }
+  }
+
+  /**
+   * Add a scripted completion
+   * @param {string|RegExp} match - Substring (case-insensitive) or regular expression tested against the prompt
+   * @param {string|Object|Function} response - Completion, JSON-serialisable value, or (prompt) => completion
+   */
+  addRule(match, response) {
+    this.rules.push({ match, response });
+  }
+
+  /**
+   * Queue completions returned (in order) before any rule is consulted
+   * @param {...(string|Object)} responses - Completions
+   */
+  enqueue(...responses) {
+    this.queue.push(...responses);
+  }
+
+  formatResponse(response) {
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  resolve(prompt) {
+    if (this.queue.length > 0) {
+      return this.formatResponse(this.queue.shift());
+    }
+
+    const lowerPrompt = prompt.toLowerCase();
+    for (const rule of this.rules) {
+      const matched = rule.match instanceof RegExp
+        ? rule.match.test(prompt)
+        : lowerPrompt.includes(String(rule.match).toLowerCase());
+      if (matched) {
+        return this.formatResponse(typeof rule.response === 'function' ? rule.response(prompt) : rule.response);
+      }
+    }
+
+    return this.defaultResponse;
+  }
+
+  async generate(request, options = {}) {
+    const prompt = BaseLLMProvider.promptText(request);
+    this.calls.push({ type: 'generate', prompt, model: options.model || null });
+    return { text: this.resolve(prompt) };
+  }
+
+  async *generateStream(request, options = {}) {
+    const { text } = await this.generate(request, options);
+    // Word-sized deltas, like a real token stream
+    for (const delta of text.match(/\S+\s*|\s+/g) || []) {
+      yield delta;
+    }
+  }
+
+  async embed(text) {
+    this.calls.push({ type: 'embed', text });
+    return {
+      values: this.hashEmbedding(text),
+      model: 'fake-hash-embedding',
+      dimensions: this.dimensions
+    };
+  }
+
+  async embedBatch(texts) {
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+
+  /**
+   * Feature-hash words and word bigrams into a unit vector
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} - Embedding
+   */
+  hashEmbedding(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = (text || '').toLowerCase().match(/[a-z0-9\u0900-\u097F]+/g) || [];
+    const features = [
+      ...words.map(word => ({ feature: word, weight: 1 })),
+      ...words.slice(1).map((word, i) => ({ feature: `${words[i]} ${word}`, weight: 0.5 }))
+    ];
+
+    for (const { feature, weight } of features) {
+      const hash = this.fnv1a(feature);
+      const sign = (hash >>> 31) === 0 ? 1 : -1;
+      vector[hash % this.dimensions] += sign * weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(value => value / norm);
+  }
+
+  fnv1a(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  getInfo() {
+    return {
+      provider: 'fake',
+      generationModel: 'fake-scripted',
+      embeddingModel: 'fake-hash-embedding',
+      rules: this.rules.length,
+      queued: this.queue.length
+    };
+  }
+}
+
+module.exports = FakeLLMProvider;
@@ -0,0 +1,63 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const BaseChannelAdapter = require('./baseChannelAdapter');
+
+/**
+ * File outbox adapter
+ * Appends every message to a JSON Lines file per day in `outboxDir` instead
+ * of delivering it. Used in development and tests: set
+ * COMMUNICATION.USE_OUTBOX and every channel is routed here.
+ */
+class FileOutboxChannelAdapter extends BaseChannelAdapter {
+  /**
+   * @param {Object} options - { outboxDir }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.outboxDir = options.outboxDir || './data/outbox';
+  }
+
+  get channel() {
+    return 'FILE';
+  }
+
+  resolveRecipient(customer, customerId) {
+    return customerId || customer?.id || null;
+  }
+
+  async send(message) {
+    const entry = {
+      id: uuidv4(),
+      channel: message.channel || this.channel,
+      recipient: message.recipient,
+      ...(message.customerId && { customerId: message.customerId }),
+      ...(message.conversationId && { conversationId: message.conversationId }),
+      ...(message.subject && { subject: message.subject }),
+      text: message.text,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await fs.ensureDir(this.outboxDir);
+      await fs.appendFile(this.getFile(), `${JSON.stringify(entry)}\n`);
+      return { success: true, messageId: entry.id, data: entry };
+    } catch (error) {
+      console.error('Error writing to outbox:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getFile(date = new Date()) {
+    return path.join(this.outboxDir, `${date.toISOString().slice(0, 10)}.jsonl`);
+  }
+
+  getInfo() {
+    return {
+      channel: this.channel,
+      outboxDir: this.outboxDir
+    };
+  }
+}
+
+module.exports = FileOutboxChannelAdapter;
@@ -0,0 +1,80 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseLLMProvider = require('./baseLLMProvider');
+
+/**
+ * Google Gemini LLM provider
+ * Errors from the SDK are passed through unchanged so callers can retry on
+ * error.status (429/502/503).
+ */
+class GeminiProvider extends BaseLLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.genAI = new GoogleGenerativeAI(options.apiKey);
+    this.generationModel = options.generationModel || 'gemini-2.5-flash-lite';
+    this.embeddingModel = options.embeddingModel || 'text-embedding-004';
+    this.batchSize = options.batchSize || 100; // batchEmbedContents limit
+    this.models = new Map(); // model name -> GenerativeModel
+  }
+
+  getModel(name) {
+    if (!this.models.has(name)) {
+      this.models.set(name, this.genAI.getGenerativeModel({ model: name }));
+    }
+    return this.models.get(name);
+  }
+
+  async generate(request, options = {}) {
+    const result = await this.getModel(options.model || this.generationModel).generateContent(request);
+    return { text: result.response.text() };
+  }
+
+  async *generateStream(request, options = {}) {
+    const result = await this.getModel(options.model || this.generationModel).generateContentStream(request);
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  async embed(text) {
+    const result = await this.getModel(this.embeddingModel).embedContent(text);
+    return {
+      values: result.embedding.values,
+      model: this.embeddingModel,
+      dimensions: result.embedding.values.length
+    };
+  }
+
+  async embedBatch(texts) {
+    const model = this.getModel(this.embeddingModel);
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const result = await model.batchEmbedContents({
+        requests: batch.map(text => ({
+          content: { role: 'user', parts: [{ text }] }
+        }))
+      });
+      embeddings.push(...result.embeddings.map(embedding => ({
+        values: embedding.values,
+        model: this.embeddingModel,
+        dimensions: embedding.values.length
+      })));
+    }
+
+    return embeddings;
+  }
+
+  getInfo() {
+    return {
+      provider: 'gemini',
+      generationModel: this.generationModel,
+      embeddingModel: this.embeddingModel
+    };
+  }
+}
+
+module.exports = GeminiProvider;
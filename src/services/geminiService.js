@@ -1,9 +1,12 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LLMProviderFactory = require('./llmProviderFactory');
+const CitationService = require('./citationService');
 
 class GeminiService {
-  constructor(apiKey) {
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' }); // Using Gemini 2.5 Flash Lite
+  /**
+   * @param {BaseLLMProvider|string} provider - Injected LLM provider (Gemini 2.5 Flash Lite by default), or a Gemini API key
+   */
+  constructor(provider) {
+    this.provider = LLMProviderFactory.resolve(provider);
     
     // Configuration for text generation
     this.generationConfig = {
@@ -17,6 +20,8 @@ class GeminiService {
     this.responseCache = new Map();
     this.conversationalCache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+
+    this.citationService = new CitationService();
   }
 
   /**
@@ -72,6 +77,16 @@ class GeminiService {
     });
   }
 
+  /**
+   * Generate content through the provider (no retries)
+   * @param {Object} requestConfig - { contents, generationConfig }
+   * @returns {Promise<Object>} - Result shaped like the Gemini SDK's ({ response: { text() } })
+   */
+  async generateContent(requestConfig) {
+    const { text } = await this.provider.generate(requestConfig);
+    return { response: { text: () => text } };
+  }
+
   /**
    * Generate content with retry logic for rate limits and service unavailability
    * @param {Object} requestConfig - Request configuration for generateContent
@@ -82,7 +97,7 @@ class GeminiService {
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        return await this.model.generateContent(requestConfig);
+        return await this.generateContent(requestConfig);
       } catch (error) {
         lastError = error;
         
@@ -109,6 +124,47 @@ class GeminiService {
     throw lastError;
   }
 
+  /**
+   * Stream content with the same retry policy as generateContentWithRetry.
+   * Retries only happen before the first delta has been emitted.
+   * @param {Object} requestConfig - { contents, generationConfig }
+   * @param {Function} onDelta - Called with each text delta
+   * @returns {Promise<Object>} - Result shaped like generateContent's ({ response })
+   */
+  async generateContentStreamWithRetry(requestConfig, onDelta, maxRetries = 3) {
+    let lastError;
+    
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      let emitted = false;
+      let text = '';
+      try {
+        for await (const delta of this.provider.generateStream(requestConfig)) {
+          emitted = true;
+          text += delta;
+          onDelta(delta);
+        }
+        return { response: { text: () => text } };
+      } catch (error) {
+        lastError = error;
+        
+        const isRetryable = !emitted && (error.status === 429 || error.status === 503 || error.status === 502);
+        
+        if (!isRetryable || attempt === maxRetries) {
+          break;
+        }
+        
+        const baseDelay = 1000; // 1 second
+        const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000;
+        
+        console.log(`API error (${error.status}), retrying stream in ${Math.round(delay)}ms... (attempt ${attempt}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    
+    console.error('All streaming attempts failed:', lastError);
+    throw lastError;
+  }
+
   /**
    * Generate response using retrieved context and user query
    * @param {string} query - User query
@@ -117,9 +173,11 @@ class GeminiService {
    * @param {Array<Object>} conversationHistory - Recent conversation history for context
    * @param {Object} claimDocuments - Optional claim document requirements
    * @param {Object} hospitalRecommendations - Optional hospital recommendations
+   * @param {Object} options - { onDelta } to stream the answer text as it is generated
    * @returns {Promise<Object>} - Generated response with metadata
    */
-  async generateResponse(query, relevantChunks, customerId, conversationHistory = [], claimDocuments = null, hospitalRecommendations = null) {
+  async generateResponse(query, relevantChunks, customerId, conversationHistory = [], claimDocuments = null, hospitalRecommendations = null, options = {}) {
+    const { onDelta = null } = options;
     try {
       // Check cache first (only for simple policy queries without conversation history)
       const shouldCache = conversationHistory.length === 0 && !claimDocuments && !hospitalRecommendations;
@@ -129,6 +187,9 @@ class GeminiService {
         cacheKey = this.generateCacheKey(query, customerId, relevantChunks);
         const cachedResponse = this.getCachedResponse(cacheKey);
         if (cachedResponse) {
+          if (onDelta) {
+            onDelta(cachedResponse.answer);
+          }
           return cachedResponse;
         }
       }
@@ -140,24 +201,31 @@ class GeminiService {
       
       const prompt = this.buildPrompt(query, context, customerId, detectedLanguage, conversationHistory, claimDocuments, hospitalRecommendations);
       
-      console.log('Making Gemini API call for policy response...');
-      const result = await this.generateContentWithRetry({
+      console.log(`Making Gemini API call for policy response${onDelta ? ' (streaming)' : ''}...`);
+      const requestConfig = {
         contents: [{ role: 'user', parts: [{ text: prompt }] }],
         generationConfig: this.generationConfig
-      });
+      };
+      const result = onDelta
+        ? await this.generateContentStreamWithRetry(requestConfig, onDelta)
+        : await this.generateContentWithRetry(requestConfig);
 
       const response = result.response;
       const text = response.text();
 
+      // Validate [n] markers against the supplied chunks and measure citation coverage
+      const { answer, citations, invalidMarkers, coverage } = this.citationService.extract(text, relevantChunks);
+
       const finalResponse = {
-        answer: text,
-        sourceChunks: relevantChunks.map(chunk => ({
-          documentId: chunk.documentId,
-          chunkId: chunk.id,
-          similarity: chunk.similarity,
-          text: chunk.text.substring(0, 200) + '...'
-        })),
-        confidence: this.calculateConfidence(relevantChunks),
+        answer,
+        citations,
+        citationCoverage: {
+          ...coverage,
+          ...(invalidMarkers.length > 0 && { invalidMarkers })
+        },
+        sourceChunks: this.formatSourceChunks(relevantChunks),
+        // Uncited claims may not be grounded in the policy, so they pull confidence down
+        confidence: this.citationService.adjustConfidence(this.calculateConfidence(relevantChunks), coverage),
         generatedAt: new Date().toISOString()
       };
       
@@ -173,6 +241,37 @@ class GeminiService {
     }
   }
 
+  /**
+   * Summarise chunks for API responses (scores, provenance and a text preview)
+   * @param {Array<Object>} chunks - Retrieved chunks
+   * @returns {Array<Object>} - Source chunk summaries
+   */
+  formatSourceChunks(chunks) {
+    return (chunks || []).map(chunk => ({
+      documentId: chunk.documentId,
+      ...(chunk.filename && { filename: chunk.filename }),
+      chunkId: chunk.id,
+      ...(chunk.section && {
+        section: chunk.section,
+        ...(chunk.clause && { clause: chunk.clause })
+      }),
+      similarity: chunk.similarity,
+      ...(chunk.fusedScore !== undefined && {
+        keywordScore: chunk.keywordScore,
+        fusedScore: chunk.fusedScore
+      }),
+      ...(chunk.retrievalSources && { retrievalSources: chunk.retrievalSources }),
+      ...(chunk.rerankScore !== undefined && {
+        preRerankRank: chunk.preRerankRank,
+        preRerankScore: chunk.preRerankScore,
+        rerankRank: chunk.rerankRank,
+        rerankScore: chunk.rerankScore,
+        rerankStrategy: chunk.rerankStrategy
+      }),
+      text: chunk.text.substring(0, 200) + '...'
+    }));
+  }
+
   /**
    * Build context from relevant chunks
    * @param {Array<Object>} chunks - Relevant chunks
@@ -188,7 +287,8 @@ class GeminiService {
     chunks.forEach((chunk, index) => {
       // Clean the chunk text by removing common document artifacts
       const cleanedText = this.cleanDocumentText(chunk.text);
-      context += `[Source ${index + 1}]:\n${cleanedText}\n\n`;
+      const sectionLabel = chunk.section ? ` (${chunk.section})` : '';
+      context += `[Source ${index + 1}]${sectionLabel}:\n${cleanedText}\n\n`;
     });
 
     return context;
@@ -362,11 +462,12 @@ IMPORTANT - Content Filtering Rules:
 - DO NOT include email addresses, phone numbers, or website URLs unless I specifically ask for contact information
 - DO NOT include document headers, footers, or metadata
 - DO NOT reference document names like "Customer Information Sheet", "Policy Schedule", "as per your CIS", etc.
-- DO NOT use technical references like "Source 1", "Source 2", "(Source X)" in responses
+- CITATIONS: End every statement that comes from my policy information with the number of the source it came from in square brackets, e.g. "Room rent is covered up to 1% of your sum insured [2]." Use several markers for several sources, e.g. [1][3]. Only use numbers of the sources listed above, and don't add markers to greetings, questions or offers of help
+- DO NOT write the word "Source" in responses - only the bracketed numbers
 - Focus ONLY on the substantive policy content that answers my question
 - Present information in a clean, readable format without document artifacts
 - AVOID REPETITIVE INFORMATION: Don't repeat the same policy exclusions, terms, or details multiple times in a single response
-- SPEAK NATURALLY: Use conversational language like "your policy shows", "I can see that", "according to your coverage" instead of citing document sources
+- SPEAK NATURALLY: Use conversational language like "your policy shows", "I can see that", "according to your coverage" instead of naming documents - the bracketed numbers are the only source references
 
 LANGUAGE REQUIREMENT:
 - I asked my question in: ${detectedLanguage}
@@ -464,9 +565,11 @@ My Personal Policy Assistant Response:`;
    * @param {string} query - User's conversational input
    * @param {string} customerId - Customer ID for context
    * @param {Array} conversationHistory - Recent conversation history
+   * @param {Object} options - { onDelta } to stream the reply as it is generated
    * @returns {Promise<string>} - Natural conversational response
    */
-  async generateConversationalResponse(query, customerId, conversationHistory = []) {
+  async generateConversationalResponse(query, customerId, conversationHistory = [], options = {}) {
+    const { onDelta = null } = options;
     try {
       // Check for simple static responses first to avoid API calls
       const staticResponse = this.getStaticConversationalResponse(query);
@@ -511,13 +614,16 @@ Examples:
 My Personal Assistant Response:`;
 
       console.log('Making Gemini API call for conversational response...');
-      const result = await this.generateContentWithRetry({
+      const requestConfig = {
         contents: [{ role: 'user', parts: [{ text: prompt }] }],
         generationConfig: {
           temperature: 0.7,
           maxOutputTokens: 150
         }
-      });
+      };
+      const result = onDelta
+        ? await this.generateContentStreamWithRetry(requestConfig, onDelta)
+        : await this.generateContentWithRetry(requestConfig);
 
       const response = result.response.text().trim();
       
@@ -607,7 +713,7 @@ ${documentContent}
 
 Please provide a clear, organized summary:`;
 
-      const result = await this.model.generateContent({
+      const result = await this.generateContent({
         contents: [{ role: 'user', parts: [{ text: prompt }] }],
         generationConfig: {
           ...this.generationConfig,
@@ -650,7 +756,7 @@ etc.
 
 Questions:`;
 
-      const result = await this.model.generateContent({
+      const result = await this.generateContent({
         contents: [{ role: 'user', parts: [{ text: prompt }] }],
         generationConfig: this.generationConfig
       });
@@ -704,7 +810,7 @@ Question: ${query}
 
 Answer:`;
 
-      const result = await this.model.generateContent({
+      const result = await this.generateContent({
         contents: [{ role: 'user', parts: [{ text: prompt }] }],
         generationConfig: {
           temperature: 0,
@@ -733,7 +839,7 @@ Answer:`;
 
       const fullPrompt = `${systemPrompt}\n\nCustomer Message: ${userMessage}\n\nYour Response:`;
 
-      const result = await this.model.generateContent({
+      const result = await this.generateContent({
         contents: [{ role: 'user', parts: [{ text: fullPrompt }] }],
         generationConfig: {
           temperature: 0.9, // High temperature for creative, engaging conversation
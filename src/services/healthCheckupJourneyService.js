@@ -1,19 +1,31 @@
 const fs = require('fs-extra');
 const path = require('path');
 const HealthCheckupOrchestrator = require('./healthCheckupOrchestrator');
+const ConversationStore = require('./conversationStore');
 
 /**
  * Health Checkup Journey Service
  * Manages the HEALTH_CHECKUP_BOOKING_JOURNEY intent specifically
  */
 class HealthCheckupJourneyService {
-    constructor(geminiService, hospitalService) {
+    /**
+     * @param {Object} dependencies - { conversationStore, jobQueue, sendPolicy, communicationService } shared with IntentJourneyService
+     */
+    constructor(geminiService, hospitalService, dependencies = {}) {
         this.geminiService = geminiService;
         this.hospitalService = hospitalService;
         this.intentData = null;
-        this.customerJourneys = new Map(); // Store journey data by customerId (like claim event intent)
-        this.conversationHistories = new Map(); // Store conversation histories by conversationId
-        this.conversationStates = new Map(); // Store conversation state by conversationId
+        // Persisted through the shared conversation store so bookings resume after a restart
+        this.conversationStore = dependencies.conversationStore || new ConversationStore({ backend: 'memory' });
+        this.customerJourneys = this.conversationStore.collection('healthCheckup.journeys'); // Store journey data by customerId (like claim event intent)
+        this.conversationHistories = this.conversationStore.collection('healthCheckup.histories'); // Store conversation histories by conversationId
+        this.conversationStates = this.conversationStore.collection('healthCheckup.states'); // Store conversation state by conversationId
+        // Shared durable queue, send policy and channels for reminders (omitted = the orchestrator's scheduling agent keeps its own)
+        this.scheduling = {
+            ...(dependencies.jobQueue && { jobQueue: dependencies.jobQueue }),
+            ...(dependencies.sendPolicy && { sendPolicy: dependencies.sendPolicy }),
+            ...(dependencies.communicationService && { communicationService: dependencies.communicationService })
+        };
         this.orchestrator = null;
         this.loadHealthCheckupData();
     }
@@ -28,7 +40,7 @@ class HealthCheckupJourneyService {
             console.log(`Loaded health checkup journey data for intent: ${this.intentData.intent}`);
             
             // Initialize orchestrator
-            this.orchestrator = new HealthCheckupOrchestrator(this.intentData, this.geminiService, this.hospitalService, this);
+            this.orchestrator = new HealthCheckupOrchestrator(this.intentData, this.geminiService, this.hospitalService, this, this.scheduling);
             console.log(`Initialized health checkup orchestrator`);
         } catch (error) {
             console.error('Error loading health checkup journey data:', error);
@@ -80,18 +92,22 @@ class HealthCheckupJourneyService {
                 customerId,
                 query,
                 conversationHistory,
-                conversationState
+                conversationState,
+                conversationId
             );
 
             // Update stored state and history
             this.conversationStates.set(conversationId, result.conversationState);
             this.conversationHistories.set(conversationId, result.conversationHistory);
+            journeyData.updatedAt = new Date().toISOString();
+            this.customerJourneys.set(customerId, journeyData);
             
             console.log(`✅ Updated conversation state - New stage: ${result.conversationState?.currentStageId}`);
             console.log(`✅ Updated conversation history - New length: ${result.conversationHistory?.length}`);
 
             return {
                 answer: result.answer,
+                response: result.response,
                 conversationId: result.conversationId,
                 intent: this.intentData.intent,
                 status: 'active',
@@ -1,22 +1,53 @@
 const BaseOrchestrator = require('./baseOrchestrator');
 const SchedulingAgent = require('./schedulingAgent');
+const JourneyEngine = require('./journeyEngine');
+const StructuredResponse = require('./structuredResponse');
 const fs = require('fs-extra');
 const path = require('path');
 
+// Words that name an insured member by their relationship to the policyholder
+const RELATIONSHIP_WORDS = {
+    Self: ['self', 'myself'],
+    Spouse: ['spouse', 'wife', 'husband'],
+    Daughter: ['daughter'],
+    Son: ['son']
+};
+
 /**
  * Health Checkup Journey Orchestrator
- * Manages the HEALTH_CHECKUP_BOOKING_JOURNEY conversation flow
+ * Manages the HEALTH_CHECKUP_BOOKING_JOURNEY conversation flow. Stage
+ * transitions come from the journey's transitionRules (JourneyEngine), with
+ * the selectFirstHealthCheckupPlan and selectPolicyholder actions registered
+ * here. The prompts, the plan catalogue and the reminders scheduled on
+ * confirm_appointment stay in this class: they call services, which engine
+ * actions do not (see README, Stage Transitions, for the scope).
  */
 class HealthCheckupOrchestrator extends BaseOrchestrator {
-    constructor(intentData, geminiService, hospitalService, intentJourneyService = null) {
+    /**
+     * @param {Object} scheduling - { jobQueue, sendPolicy, communicationService } for the scheduling agent
+     */
+    constructor(intentData, geminiService, hospitalService, intentJourneyService = null, scheduling = {}) {
         super(intentData, geminiService, hospitalService);
         this.stages = intentData.conversationFlow.stages;
         this.recommendedActions = intentData.recomendedAction || [];
         this.healthCheckupPlans = this.loadHealthCheckupPlans();
+        this.journeyEngine = new JourneyEngine({
+            responses: this.getResponseClassifiers(),
+            actions: {
+                selectFirstHealthCheckupPlan: collectedData => this.selectFirstHealthCheckupPlan(collectedData),
+                selectPolicyholder: collectedData => this.selectPolicyholder(collectedData)
+            }
+        });
+        if (scheduling.communicationService) {
+            this.communicationService = scheduling.communicationService;
+        }
 
         // Reinitialize scheduling agent with the correct intentJourneyService
-        if (intentJourneyService) {
-            this.schedulingAgent = new SchedulingAgent(geminiService, intentJourneyService);
+        if (intentJourneyService || scheduling.jobQueue) {
+            this.schedulingAgent = new SchedulingAgent(geminiService, intentJourneyService, {
+                ...scheduling,
+                jobType: 'health_checkup_message'
+            });
         }
     }
 
@@ -38,10 +69,47 @@ class HealthCheckupOrchestrator extends BaseOrchestrator {
         }
     }
 
+    /**
+     * Journey action: mark the first plan as the selected package
+     */
+    selectFirstHealthCheckupPlan(collectedData) {
+        if (this.healthCheckupPlans && this.healthCheckupPlans.length > 0) {
+            collectedData.selectedPackage = this.healthCheckupPlans[0].name;
+            collectedData.selectedPlanDetails = this.healthCheckupPlans[0];
+        }
+        console.log(`   ✅ Package accepted`);
+    }
+
+    /**
+     * Journey action: book for the policyholder (the insured member whose relationship is Self)
+     */
+    selectPolicyholder(collectedData) {
+        const self = this.getInsuredMembers().find(member => member.relationship === 'Self');
+        const name = self ? self.firstName : this.policyInfo?.policyholder?.split(' ')[0];
+        if (!name) {
+            console.warn('   ⚠️ No policyholder in the policy info; member not selected');
+            return;
+        }
+        collectedData.selectedMembers = [name];
+        console.log(`   ✅ Member selected: ${name}`);
+    }
+
+    /**
+     * Insured members from the customer's policy
+     * @returns {Array<Object>} - { firstName, relationship }
+     */
+    getInsuredMembers() {
+        return (this.policyInfo?.insuredMembers || []).map(member => ({
+            firstName: member.name.split(' ')[0],
+            relationship: member.relationship
+        }));
+    }
+
     /**
      * Override system prompts for health checkup journey
      */
     getSystemPrompts(query) {
+        const memberNames = this.getInsuredMembers().map(member => member.firstName).join(', ');
         let prompts = `**Your RULES:**
 
 1. **Role & Tone:** TATA AIG * *Proactive TATA AIG Health Insurance Calling Agent*. Be professional, empathetic, and supportive. Prioritize clarity and conciseness.peak naturally, like on a real call. Keep responses short and easy to understand. Acknowledge the user's message before transitioning to the next step. Assume the user may be stressed and avoid overly formal language. Never greet again after the first message in a session.
@@ -52,7 +120,7 @@ class HealthCheckupOrchestrator extends BaseOrchestrator {
 
 4. **Tone:** Sound warm, polite, and calm. Avoid robotic or scripted phrasing. Add empathy when needed (e.g., “I understand that” or “No worries, I’ll help you with that”).
 
-5. **Policy Data:** Whenever possible, use the *actual names* of family members (Vineet, Punita, Aradhya, Akshat) instead of generic roles (e.g., use "Punita" instead of "your wife").
+5. **Policy Data:** Whenever possible, use the *actual names* of family members (${memberNames}) instead of generic roles (e.g., a name instead of "your wife").
 
 6. **Process Focus:** Always guide the customer to the immediate next required step in the TATA AIG process. Do not jump ahead or discuss steps not yet relevant.
 
@@ -81,8 +149,10 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
 
     /**
      * Process the health checkup journey with orchestrator
+     * @param {string} journeyConversationId - Conversation ID of the customer's journey; new states use it so
+     *   scheduled reminders are linked to the journey's conversation history
      */
-    async processHealthCheckupJourney(customerId, query, conversationHistory = [], conversationState = null) {
+    async processHealthCheckupJourney(customerId, query, conversationHistory = [], conversationState = null, journeyConversationId = null) {
         try {
             console.log(`\n🏥 Processing Health Checkup Journey for customer: ${customerId}`);
             console.log(`Query: "${query}"`);
@@ -94,7 +164,7 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
                     currentStageId: 'greeting',
                     collectedData: {},
                     stageHistory: [],
-                    conversationId: this.generateConversationId()
+                    conversationId: journeyConversationId || this.generateConversationId()
                 };
             }
 
@@ -116,7 +186,8 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
                 conversationState,
                 conversationHistory,
                 query,
-                isFirstMessage
+                isFirstMessage,
+                customerId
             );
 
             // Add AI response to conversation history
@@ -139,6 +210,7 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
 
             return {
                 answer: aiResponse,
+                response: this.buildStructuredResponse(conversationState, aiResponse),
                 conversationId: conversationState.conversationId,
                 conversationState: conversationState,
                 conversationHistory: conversationHistory
@@ -150,10 +222,43 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
         }
     }
 
+    /**
+     * Structured response for the stage the customer is now in: the package on offer
+     * and quick replies for the answers each stage expects
+     * @param {Object} conversationState - Conversation state after this turn
+     * @param {string} text - Answer text
+     * @returns {Object} - { text, choices }
+     */
+    buildStructuredResponse(conversationState, text) {
+        switch (conversationState.currentStageId) {
+            case 'greeting':
+                return StructuredResponse.create(text, StructuredResponse.quickReplies(['Yes, book a health checkup', 'Not now']));
+
+            case 'identify_member': {
+                const members = this.getInsuredMembers().map(member => member.firstName);
+                return StructuredResponse.create(text, StructuredResponse.quickReplies([...members, 'Everyone']));
+            }
+
+            case 'show_package_options':
+                // Only the first plan is offered (and selected on acceptance)
+                return StructuredResponse.create(text, [
+                    ...StructuredResponse.packageChoices(this.healthCheckupPlans.slice(0, 1)),
+                    ...StructuredResponse.quickReplies(['No, thanks'])
+                ]);
+
+            case 'offer_health_manager_call':
+                return StructuredResponse.create(text, StructuredResponse.quickReplies(['Yes, please call me', 'No, thanks']));
+
+            default:
+                return StructuredResponse.create(text);
+        }
+    }
+
     /**
      * Generate AI response for health checkup journey
+     * @param {string} customerId - Customer the appointment reminders are sent to
      */
-    async generateHealthCheckupResponse(conversationState, conversationHistory, query, isFirstMessage = false) {
+    async generateHealthCheckupResponse(conversationState, conversationHistory, query, isFirstMessage = false, customerId = null) {
         try {
             const currentStage = this.stages.find(stage => stage.id === conversationState.currentStageId);
             if (!currentStage) {
@@ -169,16 +274,12 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
             Object.assign(conversationState.collectedData, extractedData);
 
             // Check if current stage is complete and should transition
-            const shouldTransition = this.shouldTransitionStage(currentStage, conversationState.collectedData, query, isFirstMessage);
-
             let stageForPrompt = currentStage;
-            if (shouldTransition) {
-                const nextStageId = this.determineNextHealthCheckupStage(currentStage, conversationState.collectedData, query);
-                if (nextStageId && nextStageId !== conversationState.currentStageId) {
-                    console.log(`🔄 Stage complete, transitioning: ${conversationState.currentStageId} → ${nextStageId}`);
-                    conversationState.currentStageId = nextStageId;
-                    stageForPrompt = this.stages.find(stage => stage.id === nextStageId);
-                }
+            const nextStageId = this.determineNextHealthCheckupStage(currentStage, conversationState.collectedData, query, isFirstMessage);
+            if (nextStageId && nextStageId !== conversationState.currentStageId) {
+                console.log(`🔄 Stage complete, transitioning: ${conversationState.currentStageId} → ${nextStageId}`);
+                conversationState.currentStageId = nextStageId;
+                stageForPrompt = this.stages.find(stage => stage.id === nextStageId);
             }
 
             // Build stage-specific prompt using getStagePrompt
@@ -187,7 +288,7 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
             console.log(`\n📋 Stage Prompt Length: ${stagePrompt.length} characters`);
             console.log(`📋 Stage Prompt Preview: ${stagePrompt.substring(0, 200)}...`);
 
-            const customerName = this.policyInfo ? this.policyInfo.policyholder.split(' ')[0] : 'Vineet';
+            const customerName = this.policyInfo ? this.policyInfo.policyholder.split(' ')[0] : 'there';
 
             // Build full prompt with customer context
             let prompt = `You are a ${this.intentData.brand_voice?.persona || 'Health Concierge'}. Be ${this.intentData.brand_voice?.tone || 'friendly, professional, health-focused'}.\n\n`;
@@ -236,7 +337,7 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
                         appointmentDate,
                         customerFirstName,
                         conversationState.conversationId,
-                        '9830323302',
+                        customerId,
                         conversationState.collectedData,
                         conversationHistory  // Pass conversation history to add scheduled messages
                     );
@@ -264,23 +365,12 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
         const extractedData = {};
         const messageLower = message.toLowerCase();
 
-        // Family member selection
-        const memberNames = ['vineet', 'punita', 'aradhya', 'akshat', 'self', 'myself', 'spouse', 'wife', 'daughter', 'son'];
-        const foundMembers = [];
-
-        memberNames.forEach(name => {
-            if (messageLower.includes(name)) {
-                if (name === 'vineet' || name === 'self' || name === 'myself') {
-                    if (!foundMembers.includes('Vineet')) foundMembers.push('Vineet');
-                } else if (name === 'punita' || name === 'spouse' || name === 'wife') {
-                    if (!foundMembers.includes('Punita')) foundMembers.push('Punita');
-                } else if (name === 'aradhya' || name === 'daughter') {
-                    if (!foundMembers.includes('Aradhya')) foundMembers.push('Aradhya');
-                } else if (name === 'akshat' || name === 'son') {
-                    if (!foundMembers.includes('Akshat')) foundMembers.push('Akshat');
-                }
-            }
-        });
+        // Family member selection, by name or relationship
+        const members = this.getInsuredMembers();
+        const foundMembers = members
+            .filter(member => [member.firstName, ...(RELATIONSHIP_WORDS[member.relationship] || [])]
+                .some(word => new RegExp(`\\b${word}\\b`, 'i').test(message)))
+            .map(member => member.firstName);
 
         if (foundMembers.length > 0) {
             extractedData.selectedMembers = foundMembers;
@@ -288,7 +378,7 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
 
         // Check for "all" or "everyone" or "family"
         if (messageLower.includes('all') || messageLower.includes('everyone') || messageLower.includes('entire family') || messageLower.includes('whole family')) {
-            extractedData.selectedMembers = ['Vineet', 'Punita', 'Aradhya', 'Akshat'];
+            extractedData.selectedMembers = members.map(member => member.firstName);
         }
 
         // Package selection MUST NOT be auto-inferred here. Selection happens only in show_package_options on explicit user acceptance.
@@ -398,258 +488,20 @@ Your goal: Sound like a helpful, natural Indian person — not a robot.
     }
 
     /**
-     * Check if the current stage should transition to the next stage
-     * This is called BEFORE generating the response to decide if we should move forward
+     * Determine next stage for health checkup journey from the stage's
+     * transitionRules (see JourneyEngine). The first message never
+     * transitions, so it always gets its own stage template (greeting).
+     * @returns {string} - Next stage ID (the current one when staying)
      */
-    shouldTransitionStage(currentStage, collectedData, query, isFirstMessage = false) {
-        console.log(`\n🔍 Checking if stage ${currentStage.id} should transition...`);
-
-        // Special handling for first message - NEVER transition on first message
-        // The first message should always use its own stage template (greeting)
+    determineNextHealthCheckupStage(currentStage, collectedData, query, isFirstMessage = false) {
         if (isFirstMessage) {
             console.log(`   ⏸️ First message - staying in current stage to show greeting`);
-            return false;
-        }
-
-        // Special handling for each stage
-        switch (currentStage.id) {
-            case 'greeting':
-                // Transition if customer shows intent (positive response or mentions health checkup)
-                if (this.isPositiveResponse(query) || query.toLowerCase().includes('health checkup')) {
-                    console.log(`   ✅ Greeting complete - customer showed intent`);
-                    return true;
-                }
-                return false;
-
-            case 'identify_member':
-                // Transition if members are selected OR customer gives positive response
-                if (collectedData.selectedMembers && collectedData.selectedMembers.length > 0) {
-                    console.log(`   ✅ Members identified: ${collectedData.selectedMembers.join(', ')}`);
-                    return true;
-                }
-                if (this.isPositiveResponse(query)) {
-                    // Default to policyholder
-                    collectedData.selectedMembers = ['Vineet'];
-                    console.log(`   ✅ Defaulting to policyholder (Vineet)`);
-                    return true;
-                }
-                return false;
-
-            case 'show_package_options':
-                // Transition if customer accepts or declines the package
-                if (this.isPositiveResponse(query)) {
-                    // Mark package as selected
-                    if (this.healthCheckupPlans && this.healthCheckupPlans.length > 0) {
-                        collectedData.selectedPackage = this.healthCheckupPlans[0].name;
-                        collectedData.selectedPlanDetails = this.healthCheckupPlans[0];
-                    }
-                    console.log(`   ✅ Package accepted`);
-                    return true;
-                }
-                if (this.isNegativeResponse(query)) {
-                    console.log(`   ❌ Package declined`);
-                    return true;
-                }
-                return false;
-
-            case 'collect_scheduling_details':
-                // Transition if we have both date and time
-                const hasDate = !!collectedData.preferredDate;
-                const hasTime = !!collectedData.preferredTime;
-
-                if (hasDate && hasTime) {
-                    // Auto-set collection method
-                    if (!collectedData.collectionMethod) {
-                        collectedData.collectionMethod = 'home sample collection';
-                    }
-                    console.log(`   ✅ Scheduling details collected (date: ${collectedData.preferredDate}, time: ${collectedData.preferredTime})`);
-                    return true;
-                }
-                console.log(`   ⏸️ Still collecting scheduling details (hasDate: ${hasDate}, hasTime: ${hasTime})`);
-                return false;
-
-            case 'confirm_appointment':
-                // Auto-transition after confirmation
-                console.log(`   ✅ Appointment confirmed`);
-                return true;
-            case 'schedule_reminders':
-                // Transition based on customer's response to teleconsultation offer
-                if (this.isPositiveResponse(query)) {
-                    collectedData.teleconsultationInterest = 'yes';
-                    console.log(`   ✅ Teleconsultation accepted - transitioning to teleconsultation_call`);
-                    return true;
-                }
-                else if (this.isNegativeResponse(query)) {
-                    collectedData.teleconsultationInterest = 'no';
-                    console.log(`   ❌ Teleconsultation declined - transitioning to close_politely`);
-                    return true;
-                }
-                console.log(`   ⏸️ Waiting for customer response to teleconsultation offer`);
-                return false;
-
-            case 'teleconsultation_call':
-                // Auto-transition to end after confirming teleconsultation
-                console.log(`   ✅ Teleconsultation confirmed - journey complete`);
-                return true;
-
-            case 'close_politely':
-                // Auto-transition to end after closing politely
-                console.log(`   ✅ Closed politely - journey complete`);
-                return true;
-
-            case 'end':
-                // Journey is complete, no more transitions
-                console.log(`   ✅ Journey complete - no further transitions`);
-                return false;
-
-            default:
-                // For other stages, don't auto-transition
-                return false;
+            return currentStage.id;
         }
-    }
-
-    /**
-     * Determine next stage for health checkup journey
-     */
-    determineNextHealthCheckupStage(currentStage, collectedData, query) {
-        const transitions = currentStage.transitions;
 
         console.log(`\n🔄 Determining next stage from: ${currentStage.id}`);
         console.log(`   Query: "${query}"`);
-        console.log(`   Collected Data:`, JSON.stringify(collectedData, null, 2));
-        console.log(`   Available Transitions:`, JSON.stringify(transitions, null, 2));
-
-        // Universal check for negative responses across all stages
-        if (this.isNegativeResponse(query)) {
-            console.log(`❌ Customer declined at ${currentStage.id} stage, transitioning to offer_health_manager_call`);
-            return transitions.declined || 'offer_health_manager_call';
-        }
-
-        // Special handling for greeting stage
-        if (currentStage.id === 'greeting') {
-            if (this.isPositiveResponse(query)) {
-                collectedData.initialIntent = true; // Ensure it's set
-                return transitions.yes || 'identify_member';
-            } else if (this.isNegativeResponse(query)) {
-                return transitions.no || 'offer_health_manager_call';
-            }
-            // Default to identify_member if response is unclear
-            collectedData.initialIntent = true;
-            return transitions.default || 'identify_member';
-        }
-
-        // Check for specific transitions based on collected data
-        if (transitions.yes && this.isPositiveResponse(query)) {
-            return transitions.yes;
-        }
-
-        if (transitions.no && this.isNegativeResponse(query)) {
-            return transitions.no;
-        }
-
-        // Special handling for identify_member stage
-        if (currentStage.id === 'identify_member') {
-            if (collectedData.selectedMembers && collectedData.selectedMembers.length > 0) {
-                console.log(`✅ Members identified: ${collectedData.selectedMembers.join(', ')}`);
-                return transitions.collected || 'show_package_options';
-            }
-
-            // If user gives a positive response but no specific members mentioned, default to policyholder
-            if (this.isPositiveResponse(query)) {
-                collectedData.selectedMembers = ['Vineet']; // Default to policyholder
-                console.log(`✅ Defaulting to policyholder (Vineet) for health checkup`);
-                return transitions.collected || 'show_package_options';
-            }
-
-            // If no members extracted yet, stay in this stage
-            return currentStage.id;
-        }
-
-        // Special handling for show_package_options stage
-        if (currentStage.id === 'show_package_options') {
-
-            if (this.isPositiveResponse(query)) {
-                // Mark package as selected
-                if (this.healthCheckupPlans && this.healthCheckupPlans.length > 0) {
-                    collectedData.selectedPackage = this.healthCheckupPlans[0].name;
-                    collectedData.selectedPlanDetails = this.healthCheckupPlans[0];
-                }
-                console.log(`✅ Package accepted, transitioning to collect_scheduling_details`);
-                return transitions.accepted || 'collect_scheduling_details';
-            } else if (this.isNegativeResponse(query)) {
-                console.log(`❌ Package declined, offering health manager call`);
-                return transitions.declined || 'offer_health_manager_call';
-            }
-            // Stay in this stage if response is unclear
-            return currentStage.id;
-        }
-
-        // Special handling for confirm_appointment stage - auto-transition to schedule_reminders
-        if (currentStage.id === 'confirm_appointment') {
-            // Check if we have all required data (date and time)
-            const hasDate = !!collectedData.preferredDate;
-            const hasTime = !!collectedData.preferredTime;
-
-            if (hasDate && hasTime) {
-                console.log(`✅ Appointment confirmed with date and time, auto-transitioning to schedule_reminders`);
-                return transitions.complete || 'schedule_reminders';
-            }
-            // Stay in this stage if data is missing
-            return currentStage.id;
-        }
-
-        // Check for data-based transitions
-        if (transitions.collected) {
-            // Special handling for collect_scheduling_details stage
-            if (currentStage.id === 'collect_scheduling_details') {
-                // Only check for date and time, collection method is auto-set
-                const hasDate = !!collectedData.preferredDate;
-                const hasTime = !!collectedData.preferredTime;
-
-                if (hasDate && hasTime) {
-                    // Auto-set collection method if not already set
-                    if (!collectedData.collectionMethod) {
-                        collectedData.collectionMethod = 'home sample collection';
-                    }
-                    return transitions.collected;
-                }
-            } else {
-                // For other stages, check required data normally
-                const requiredData = currentStage.requiredData || [];
-                const hasRequiredData = requiredData.every(field => collectedData[field]);
-
-                if (hasRequiredData) {
-                    return transitions.collected;
-                }
-            }
-        }
-
-        if (transitions.complete) {
-            const requiredData = currentStage.requiredData || [];
-            const hasRequiredData = requiredData.every(field => collectedData[field]);
-
-            if (hasRequiredData) {
-                return transitions.complete;
-            }
-        }
-
-        if (transitions.default) {
-            console.log(`   ➡️ Using default transition: ${transitions.default}`);
-            return transitions.default;
-        }
-
-        // Special handling for tele-consultation response after scheduled messages
-        // This handles customer responses to the final scheduled message about tele-consultation
-        if (collectedData.scheduledMessagesSent &&
-            collectedData.lastScheduledMessage === 'teleconsultation' &&
-            (this.isPositiveResponse(query) || this.isNegativeResponse(query))) {
-
-            console.log(`📞 Customer responded to tele-consultation offer: ${this.isPositiveResponse(query) ? 'POSITIVE' : 'NEGATIVE'}`);
-            return 'teleconsultation_response';
-        }
-
-        console.log(`   ⏸️ Staying in current stage: ${currentStage.id}`);
-        return currentStage.id; // Stay in current stage
+        return this.journeyEngine.nextStage(currentStage, collectedData, query);
     }
 
     /**
@@ -864,9 +716,10 @@ Generate a helpful response for the health check-up journey:`;
             const finalConversationId = conversationId || this.generateConversationId();
             const finalCustomerId = customerId || '9830323302'; // Default customer ID for health checkup
 
-            await this.schedulingAgent.scheduleMessages(finalConversationId, finalCustomerId, messages);
+            const scheduled = await this.schedulingAgent.scheduleMessages(finalConversationId, finalCustomerId, messages);
 
-            // Add scheduled messages to conversation history
+            // Add scheduled messages to conversation history; the job ID links each entry to its
+            // delivery status, which the scheduling agent fills in once the reminder is sent
             if (conversationHistory) {
                 reminders.forEach((reminder, index) => {
                     conversationHistory.push({
@@ -875,7 +728,11 @@ Generate a helpful response for the health check-up journey:`;
                         timestamp: new Date(Date.now() + reminder.delayInSeconds * 1000).toISOString(),
                         messageType: 'scheduled',
                         scheduledMessageType: reminder.type,
-                        scheduledOrder: reminder.order
+                        scheduledOrder: reminder.order,
+                        ...(scheduled.success && {
+                            jobId: scheduled.scheduledMessages[index].id,
+                            deliveryStatus: 'scheduled'
+                        })
                     });
                 });
                 console.log(`✅ Added ${reminders.length} scheduled messages to conversation history`);
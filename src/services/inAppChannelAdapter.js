@@ -0,0 +1,74 @@
+const { v4: uuidv4 } = require('uuid');
+const BaseChannelAdapter = require('./baseChannelAdapter');
+
+/**
+ * In-app channel adapter
+ * Stores the message as a notification for the customer to read from
+ * GET /api/customers/:customerId/notifications. Notifications live in the
+ * conversation store ('inApp.notifications', keyed by customer ID) so they
+ * survive a restart; only the newest `maxPerCustomer` are kept.
+ */
+class InAppChannelAdapter extends BaseChannelAdapter {
+  /**
+   * @param {Object} options - { conversationStore, maxPerCustomer }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.notifications = options.conversationStore
+      ? options.conversationStore.collection('inApp.notifications')
+      : new Map();
+    this.maxPerCustomer = options.maxPerCustomer || 50;
+  }
+
+  get channel() {
+    return 'IN_APP';
+  }
+
+  resolveRecipient(customer, customerId) {
+    return customerId || customer?.id || null;
+  }
+
+  async send({ recipient, text, subject, conversationId }) {
+    const notification = {
+      id: uuidv4(),
+      text,
+      ...(subject && { subject }),
+      ...(conversationId && { conversationId }),
+      createdAt: new Date().toISOString(),
+      read: false
+    };
+
+    const existing = this.notifications.get(recipient) || [];
+    this.notifications.set(recipient, [...existing, notification].slice(-this.maxPerCustomer));
+
+    return { success: true, messageId: notification.id, data: notification };
+  }
+
+  /**
+   * Notifications for a customer, newest first
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { unreadOnly, markRead }
+   * @returns {Array<Object>} - Notifications
+   */
+  getNotifications(customerId, { unreadOnly = false, markRead = false } = {}) {
+    const notifications = this.notifications.get(customerId) || [];
+    const result = notifications
+      .filter(notification => !unreadOnly || !notification.read)
+      .map(notification => ({ ...notification }))
+      .reverse();
+
+    if (markRead && result.some(notification => !notification.read)) {
+      this.notifications.set(customerId, notifications.map(notification => ({ ...notification, read: true })));
+    }
+    return result;
+  }
+
+  getInfo() {
+    return {
+      channel: this.channel,
+      maxPerCustomer: this.maxPerCustomer
+    };
+  }
+}
+
+module.exports = InAppChannelAdapter;
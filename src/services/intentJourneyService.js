@@ -6,28 +6,51 @@ const SchedulingAgent = require("./schedulingAgent");
 const ClaimInitiationService = require("./claimInitiationService");
 const ConversationOrchestrator = require("./conversationOrchestrator");
 const HealthCheckupJourneyService = require("./healthCheckupJourneyService");
+const ConversationStore = require("./conversationStore");
+const StructuredResponse = require("./structuredResponse");
 
 /**
  * Intent Journey Service
- * Manages intent-based conversation journeys with customers
+ * Manages intent-based conversation journeys with customers.
+ * Journeys, histories and orchestrator state are kept in the conversation
+ * store, so a journey resumes at its saved stage after a restart.
  */
 class IntentJourneyService {
-  constructor(geminiService, hospitalService) {
+  /**
+   * @param {GeminiService} geminiService - Gemini service
+   * @param {HospitalService} hospitalService - Hospital service
+   * @param {Object} dependencies - Shared services, each optional:
+   *   conversationStore (in-memory store if omitted), jobQueue (durable queue for scheduled messages),
+   *   sendPolicy (quiet hours / DND / daily limit for scheduled messages),
+   *   communicationService (channel adapters; WhatsApp with defaults if omitted),
+   *   claimInitiationService (claims API client; e.g. a dry-run one for the journey simulator)
+   */
+  constructor(geminiService, hospitalService, dependencies = {}) {
     this.geminiService = geminiService;
     this.hospitalService = hospitalService;
-    this.communicationService = new CommunicationService();
-    this.claimInitiationService = new ClaimInitiationService(); // Auth token now in the service itself
+    this.conversationStore = dependencies.conversationStore || new ConversationStore({ backend: "memory" });
+    this.communicationService = dependencies.communicationService || new CommunicationService();
+    this.scheduling = {
+      ...(dependencies.jobQueue && { jobQueue: dependencies.jobQueue }),
+      ...(dependencies.sendPolicy && { sendPolicy: dependencies.sendPolicy }),
+      communicationService: this.communicationService,
+    };
+    this.claimInitiationService = dependencies.claimInitiationService || new ClaimInitiationService(); // Auth token now in the service itself
+    this.backgroundTasks = new Set(); // Work finishing after the reply (claim initiation)
     this.intentsData = [];
     this.policyInfo = null;
-    this.conversationHistories = new Map(); // Store conversation histories by conversationId
-    this.customerJourneys = new Map(); // Store active journeys by customerId
-    this.conversationStates = new Map(); // Store conversation state (stage, collected data) by conversationId
+    this.conversationHistories = this.conversationStore.collection("intent.histories"); // Store conversation histories by conversationId
+    this.customerJourneys = this.conversationStore.collection("intent.journeys"); // Store active journeys by customerId
+    this.conversationStates = this.conversationStore.collection("intent.states"); // Store conversation state (stage, collected data) by conversationId
     this.orchestrators = new Map(); // Store orchestrator instance per intent
     this.healthCheckupService = null; // Separate service for health checkup journey
     this.loadIntentsData();
     this.loadPolicyInfo();
     // Initialize scheduling agent after other properties are set (needs access to geminiService and this)
-    this.schedulingAgent = new SchedulingAgent(this.geminiService, this);
+    this.schedulingAgent = new SchedulingAgent(this.geminiService, this, {
+      ...this.scheduling,
+      jobType: "intent_journey_message",
+    });
   }
 
   /**
@@ -56,7 +79,8 @@ class IntentJourneyService {
       // Initialize health checkup service separately
       this.healthCheckupService = new HealthCheckupJourneyService(
         this.geminiService,
-        this.hospitalService
+        this.hospitalService,
+        { conversationStore: this.conversationStore, ...this.scheduling }
       );
       console.log(`Initialized health checkup journey service`);
     } catch (error) {
@@ -189,6 +213,7 @@ class IntentJourneyService {
           intent: intentName,
           customerId,
           status: "active",
+          communicationMode: options.communicationMode || "WHATSAPP",
           startedAt: new Date().toISOString(),
           updatedAt: new Date().toISOString(),
         };
@@ -282,7 +307,9 @@ class IntentJourneyService {
         conversationHistory
       );
 
-      // Update journey timestamp
+      // Update journey timestamp (and the channel, if the customer switched)
+      journeyData.communicationMode =
+        options.communicationMode || journeyData.communicationMode || "WHATSAPP";
       journeyData.updatedAt = new Date().toISOString();
       this.customerJourneys.set(customerId, journeyData);
 
@@ -297,7 +324,7 @@ class IntentJourneyService {
       console.log("TEXT TO SEND VIA WHATSAPP:", whatsappMessage);
       if (query == "Hospital locator journey viewed") {
         this.communicationService
-          .sendMessage(whatsappMessage)
+          .sendMessage(whatsappMessage, this.getSendOptions(customerId))
           .then((sendResult) => {
             console.log(
               "WhatsApp message send result:",
@@ -541,6 +568,26 @@ class IntentJourneyService {
     return prompt;
   }
 
+  /**
+   * Run work that finishes after the reply has been returned
+   * @param {Function} task - async () => void; must handle its own errors
+   */
+  trackBackgroundTask(task) {
+    const promise = task().finally(() => this.backgroundTasks.delete(promise));
+    this.backgroundTasks.add(promise);
+    return promise;
+  }
+
+  /**
+   * Wait for background work (e.g. claim initiation) started so far
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    while (this.backgroundTasks.size > 0) {
+      await Promise.all([...this.backgroundTasks]);
+    }
+  }
+
   /**
    * Get conversation history for a customer
    * @param {string} customerId - Customer ID
@@ -555,12 +602,33 @@ class IntentJourneyService {
   }
 
   /**
-   * Get active journey for a customer
+   * Get active journey for a customer (intent or health checkup journey,
+   * whichever was updated last; closed journeys are ignored)
    * @param {string} customerId - Customer ID
    * @returns {Object|null} - Journey data
    */
   getActiveJourney(customerId) {
-    return this.customerJourneys.get(customerId) || null;
+    const journeys = [
+      this.customerJourneys.get(customerId),
+      this.healthCheckupService?.customerJourneys.get(customerId),
+    ].filter((journey) => journey && journey.status === "active");
+    journeys.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    return journeys[0] || null;
+  }
+
+  /**
+   * Send options for messages to a customer: the channel their journey
+   * arrived on (communicationMode) and its conversation ID
+   * @param {string} customerId - Customer ID
+   * @returns {Object} - { channel, customerId, conversationId }
+   */
+  getSendOptions(customerId) {
+    const journeyData = this.customerJourneys.get(customerId);
+    return {
+      channel: journeyData?.communicationMode || "WHATSAPP",
+      customerId,
+      ...(journeyData && { conversationId: journeyData.conversationId }),
+    };
   }
 
   /**
@@ -669,7 +737,7 @@ Respond in JSON format:
 
 Only respond with the JSON, nothing else.`;
 
-      const response = await this.geminiService.model.generateContent({
+      const response = await this.geminiService.generateContent({
         contents: [{ role: "user", parts: [{ text: extractionPrompt }] }],
         generationConfig: {
           temperature: 0.1,
@@ -1062,7 +1130,7 @@ Only respond with the JSON, nothing else.`;
 
             console.log("Sending claim confirmation via WhatsApp...");
             this.communicationService
-              .sendMessage(notificationMessage)
+              .sendMessage(notificationMessage, this.getSendOptions(customerId))
               .then(() => {
                 console.log("✅ Claim confirmation sent via WhatsApp");
 
@@ -1084,7 +1152,8 @@ Only respond with the JSON, nothing else.`;
                   this.schedulingAgent.scheduleMessages(
                     conversationId,
                     customerId,
-                    updatedMessages
+                    updatedMessages,
+                    { channel: this.getSendOptions(customerId).channel }
                   );
 
                   console.log("✅ Follow-up messages scheduled successfully");
@@ -1260,7 +1329,7 @@ If no specific condition is mentioned, respond with "Medical treatment".
 
 Your response (medical condition only):`;
 
-      const response = await this.geminiService.model.generateContent({
+      const response = await this.geminiService.generateContent({
         contents: [{ role: "user", parts: [{ text: extractionPrompt }] }],
         generationConfig: {
           temperature: 0.1,
@@ -1461,17 +1530,11 @@ Your response (medical condition only):`;
       // Extract scheduled messages from recommended actions (to be scheduled after claim initiation)
       const scheduledMessages = [];
       intentConfig.recomendedAction.forEach((action, index) => {
-        // Check for "schedule messagae:" or "schedule message:" prefix (handling typo)
-        if (
-          action.toLowerCase().startsWith("schedule messagae:") ||
-          action.toLowerCase().startsWith("schedule message:")
-        ) {
-          // Extract the message text (remove the prefix)
-          let messageText = action.replace(/^schedule messagae:/i, "").trim();
-          messageText = messageText.replace(/^schedule message:/i, "").trim();
-
+        // "schedule messagae:" or "schedule message:" prefix (handling typo)
+        const scheduledAction = this.parseScheduledAction(action);
+        if (scheduledAction) {
           scheduledMessages.push({
-            text: messageText,
+            ...scheduledAction,
             delayInSeconds: 10, // 10 seconds delay between each message
           });
         }
@@ -1571,6 +1634,28 @@ Your response (medical condition only):`;
     return result;
   }
 
+  /**
+   * Parse a "schedule message:" recommended action. The optional
+   * "(if not read after N hours)" qualifier makes the message a nudge that is
+   * only sent if the previous scheduled message is still unread N hours
+   * after it went out, e.g.
+   * "schedule message (if not read after 24 hours): Just checking you saw my last message"
+   * @param {string} action - Recommended action text
+   * @returns {Object|null} - { text, ifNotRead } or null if the action is not a scheduled message
+   */
+  parseScheduledAction(action) {
+    const match = String(action).match(
+      /^\s*schedule\s+messa(?:ge|gae)\s*(?:\(\s*if\s+not\s+read\s+after\s+(\d+(?:\.\d+)?)\s*hours?\s*\))?\s*:\s*(.+)$/is
+    );
+    if (!match) {
+      return null;
+    }
+    return {
+      text: match[2].trim(),
+      ...(match[1] && { ifNotRead: { hours: parseFloat(match[1]) } }),
+    };
+  }
+
   /**
    * Close/end a journey
    * @param {string} customerId - Customer ID
@@ -1582,6 +1667,7 @@ Your response (medical condition only):`;
       journeyData.status = "closed";
       journeyData.closedAt = new Date().toISOString();
       // Keep history but mark as closed
+      this.customerJourneys.set(customerId, journeyData);
       return true;
     }
     return false;
@@ -1674,6 +1760,7 @@ Your response (medical condition only):`;
           intent: intentName,
           customerId,
           status: "active",
+          communicationMode: options.communicationMode || "WHATSAPP",
           startedAt: new Date().toISOString(),
           updatedAt: new Date().toISOString(),
         };
@@ -1683,6 +1770,9 @@ Your response (medical condition only):`;
           `✅ Started new journey with conversation ID: ${conversationId}`
         );
       }
+      // Replies and follow-ups go out on the channel the customer last wrote on
+      journeyData.communicationMode =
+        options.communicationMode || journeyData.communicationMode || "WHATSAPP";
 
       const conversationId = journeyData.conversationId;
       const conversationHistory =
@@ -1743,6 +1833,7 @@ Your response (medical condition only):`;
 
       // Check if we need to perform actions (like hospital search)
       // Execute actions when TRANSITIONING TO a stage, not when already in it
+      // (stage side effects call services, so they are code rather than transition rules)
       let actionResult = null;
       if (
         nextStageId === "show_hospitals" &&
@@ -1826,7 +1917,7 @@ Your response (medical condition only):`;
         );
 
         // Execute claim initiation in the background (async, non-blocking)
-        (async () => {
+        this.trackBackgroundTask(async () => {
           try {
             console.log("🔄 Background: Starting claim initiation...");
             const actionResult = await this.performClaimInitiation(
@@ -1870,7 +1961,10 @@ Your response (medical condition only):`;
                 /\\n/g,
                 "\n"
               );
-              await this.communicationService.sendMessage(whatsappConfirmation);
+              await this.communicationService.sendMessage(
+                whatsappConfirmation,
+                this.getSendOptions(customerId)
+              );
               console.log(
                 `✅ Background: Claim confirmation sent via WhatsApp with intimation ID: ${actionResult.intimationId}`
               );
@@ -1878,10 +1972,8 @@ Your response (medical condition only):`;
               // Schedule follow-up messages
               console.log("🔄 Background: Checking for scheduled messages...");
               const scheduledMessages =
-                intentConfig.recomendedAction?.filter(
-                  (action) =>
-                    action.toLowerCase().includes("schedule messagae:") ||
-                    action.toLowerCase().includes("schedule message:")
+                intentConfig.recomendedAction?.filter((action) =>
+                  this.parseScheduledAction(action)
                 ) || [];
 
               if (scheduledMessages.length > 0) {
@@ -1893,14 +1985,10 @@ Your response (medical condition only):`;
                 const messagesToSchedule = scheduledMessages
                   .map((action, index) => {
                     // Extract the message after "schedule messagae:" or "schedule message:"
-                    const messageMatch = action.match(
-                      /schedule\s+messagae?:\s*(.+)/i
-                    );
-                    if (messageMatch) {
-                      const scriptedMessage = messageMatch[1].trim();
-
+                    const scheduledAction = this.parseScheduledAction(action);
+                    if (scheduledAction) {
                       return {
-                        text: scriptedMessage,
+                        ...scheduledAction,
                         delayInSeconds: 10, // 10 seconds for all messages (for testing)
                         order: index + 1,
                       };
@@ -1914,7 +2002,8 @@ Your response (medical condition only):`;
                   this.schedulingAgent.scheduleMessages(
                     conversationId,
                     customerId,
-                    messagesToSchedule
+                    messagesToSchedule,
+                    { channel: this.getSendOptions(customerId).channel }
                   );
                   console.log(
                     `📅 Background: Scheduled ${messagesToSchedule.length} follow-up messages`
@@ -1937,18 +2026,22 @@ Your response (medical condition only):`;
           } catch (error) {
             console.error("❌ Background: Error in claim initiation:", error);
           }
-        })();
+        });
 
         // Mark stage as completed for state tracking
         conversationState.currentStageId = "end";
         finalStageId = "end";
+        this.updateConversationState(conversationId, conversationState);
       }
 
+      journeyData.updatedAt = new Date().toISOString();
+      this.customerJourneys.set(customerId, journeyData);
+
       // Send WhatsApp message (skip if already sent for claim initiation)
       if (query == "Hospital locator journey viewed") {
         const whatsappMessage = finalResponse.replace(/\\n/g, "\n");
         this.communicationService
-          .sendMessage(whatsappMessage)
+          .sendMessage(whatsappMessage, this.getSendOptions(customerId))
           .then((sendResult) => console.log("✅ WhatsApp message sent"))
           .catch((error) => console.error("❌ WhatsApp send error:", error));
       }
@@ -1956,6 +2049,11 @@ Your response (medical condition only):`;
       // Return response
       return {
         answer: finalResponse,
+        response: this.buildStructuredResponse(
+          finalStageId,
+          finalResponse,
+          conversationState.collectedData
+        ),
         conversationId,
         intent: intentName,
         currentStage: finalStageId,
@@ -1969,6 +2067,34 @@ Your response (medical condition only):`;
     }
   }
 
+  /**
+   * Structured response for the stage the journey is now in: the hospitals
+   * found while the customer is choosing one, and yes/no replies where the
+   * stage asks for a confirmation
+   * @param {string} stageId - Stage after this turn
+   * @param {string} text - Answer text
+   * @param {Object} collectedData - Collected data
+   * @returns {Object} - { text, choices }
+   */
+  buildStructuredResponse(stageId, text, collectedData = {}) {
+    const choosingHospital =
+      ["show_hospitals", "await_hospital_selection"].includes(stageId) &&
+      !collectedData.selectedHospital;
+    if (choosingHospital && collectedData.hospitalSearchResults?.length > 0) {
+      return StructuredResponse.create(
+        text,
+        StructuredResponse.hospitalChoices(collectedData.hospitalSearchResults)
+      );
+    }
+    if (stageId === "confirm_admission") {
+      return StructuredResponse.create(
+        text,
+        StructuredResponse.quickReplies(["Yes", "No"])
+      );
+    }
+    return StructuredResponse.create(text);
+  }
+
   /**
    * Perform hospital search action (using AI to identify department)
    * @param {Object} collectedData - Collected data
@@ -2103,7 +2229,7 @@ Examples:
 
 Department:`;
 
-      const response = await this.geminiService.model.generateContent({
+      const response = await this.geminiService.generateContent({
         contents: [{ role: "user", parts: [{ text: prompt }] }],
         generationConfig: {
           temperature: 0.1, // Low temperature for consistent classification
@@ -0,0 +1,480 @@
+const { v4: uuidv4 } = require('uuid');
+const ConversationStore = require('./conversationStore');
+
+const JOB_STATES = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+
+const ERROR_STATUSES = {
+  JOB_NOT_FOUND: 404,
+  JOB_TYPE_REQUIRED: 400,
+  INVALID_RUN_TIME: 400,
+  JOB_NOT_SCHEDULED: 409,
+  NO_HANDLER: 409
+};
+
+/**
+ * Error with a `code` (see ERROR_STATUSES) and the HTTP `status` to answer with
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function jobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERROR_STATUSES[code];
+  return error;
+}
+
+/**
+ * Job Queue
+ * Durable queue for scheduled work (follow-up messages, reminders). Jobs are
+ * persisted through a record store (the ConversationStore backends, without
+ * expiry) and picked up by a poller, so jobs due while the process was down
+ * are sent after the next boot.
+ *
+ * Lifecycle: scheduled -> sending -> sent
+ *                                 -> scheduled (retry with exponential backoff)
+ *                                 -> failed (after maxAttempts; moved to the dead-letter list)
+ *            scheduled -> cancelled
+ * Jobs left in 'sending' by a crash are retried on boot (at-least-once delivery).
+ *
+ * Handlers are registered per job type and must throw on failure. A handler
+ * can also return JobQueue.deferred(until, reason) to push the job back
+ * without using up an attempt, or JobQueue.skipped(reason) to cancel it.
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - { store, backend, file, sqliteFile, pollIntervalSeconds, maxAttempts, backoffBaseSeconds, backoffMaxSeconds, retentionDays }
+   */
+  constructor(options = {}) {
+    this.store = options.store || new ConversationStore({
+      backend: options.backend || 'memory',
+      file: options.file || './data/scheduled-jobs.json',
+      sqliteFile: options.sqliteFile || './data/scheduled-jobs.sqlite',
+      ttlHours: 0
+    });
+    this.jobs = this.store.collection('jobs');
+    this.deadLetters = this.store.collection('deadLetters');
+
+    this.pollIntervalMs = (options.pollIntervalSeconds || 5) * 1000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.backoffBaseMs = (options.backoffBaseSeconds || 30) * 1000;
+    this.backoffMaxMs = (options.backoffMaxSeconds || 1800) * 1000;
+    this.retentionMs = (options.retentionDays ?? 7) * 24 * 60 * 60 * 1000;
+
+    this.handlers = new Map(); // job type -> async (job) => result
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Load persisted jobs and requeue any interrupted mid-send (runs once)
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        await this.store.initialize();
+
+        let requeued = 0;
+        for (const job of this.list({ status: 'sending' })) {
+          this.saveJob({ ...job, status: 'scheduled', nextAttemptAt: new Date().toISOString() });
+          requeued++;
+        }
+        if (requeued > 0) {
+          console.log(`Requeued ${requeued} jobs interrupted while sending`);
+        }
+      })();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Register the handler that executes jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, context) => result; throw to fail the attempt
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Start polling for due jobs (idempotent)
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.pollTimer.unref();
+    this.initialize().then(() => this.poll());
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Add a job
+   * @param {Object} job - { type, runAt, ...payload }; runAt is a Date, ISO string or epoch ms
+   * @returns {Object} - Stored job
+   */
+  enqueue(job) {
+    if (!job.type) {
+      throw jobError('JOB_TYPE_REQUIRED', 'Job type is required');
+    }
+    const runAt = JobQueue.toDate(job.runAt);
+    if (!runAt) {
+      throw jobError('INVALID_RUN_TIME', `Invalid job run time: ${job.runAt}`);
+    }
+
+    const now = new Date().toISOString();
+    const { runAt: _runAt, ...payload } = job;
+    const stored = {
+      ...payload,
+      id: job.id || uuidv4(),
+      status: 'scheduled',
+      scheduledTime: runAt.toISOString(),
+      nextAttemptAt: runAt.toISOString(),
+      attempts: 0,
+      maxAttempts: job.maxAttempts || this.maxAttempts,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.saveJob(stored);
+    return stored;
+  }
+
+  saveJob(job) {
+    this.jobs.set(job.id, { ...job, updatedAt: new Date().toISOString() });
+    return this.jobs.get(job.id);
+  }
+
+  /**
+   * Merge fields into a stored job (handlers use this to cache work between retries)
+   * @param {string} id - Job ID
+   * @param {Object} updates - Fields to merge
+   * @returns {Object|null} - Updated job
+   */
+  updateJob(id, updates) {
+    const job = this.jobs.get(id);
+    return job ? this.saveJob({ ...job, ...updates }) : null;
+  }
+
+  /**
+   * Execute every due job once. Re-entrant calls while a poll is running are skipped.
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const now = Date.now();
+      const due = this.list({ status: 'scheduled' })
+        .filter(job => this.handlers.has(job.type) && new Date(job.nextAttemptAt).getTime() <= now)
+        .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+
+      for (const job of due) {
+        await this.runJob(job);
+      }
+
+      this.prune(now);
+    } catch (error) {
+      console.error('Error polling job queue:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run one job attempt and record the outcome
+   * @param {Object} job - Due job
+   * @param {Object} context - Passed to the handler (e.g. { force } from runNow)
+   */
+  async runJob(job, context = {}) {
+    // The job may have been cancelled, rescheduled or run by another caller since it was listed
+    const latest = this.jobs.get(job.id);
+    if (!latest || latest.status !== 'scheduled') {
+      return;
+    }
+    job = latest;
+
+    const attempt = job.attempts + 1;
+    this.saveJob({ ...job, status: 'sending', attempts: attempt, lastAttemptAt: new Date().toISOString() });
+
+    try {
+      const result = await this.handlers.get(job.type)(this.jobs.get(job.id), context);
+      const current = this.jobs.get(job.id);
+
+      if (result?.outcome === 'deferred') {
+        this.saveJob({
+          ...current,
+          status: 'scheduled',
+          attempts: attempt - 1,
+          nextAttemptAt: result.until.toISOString(),
+          deferrals: [...(current.deferrals || []), { reason: result.reason, until: result.until.toISOString(), at: new Date().toISOString() }]
+        });
+        console.log(`Job ${job.id} deferred until ${result.until.toISOString()} (${result.reason})`);
+        return;
+      }
+      if (result?.outcome === 'skipped') {
+        this.saveJob({ ...current, status: 'cancelled', cancelledAt: new Date().toISOString(), cancelReason: result.reason });
+        console.log(`Job ${job.id} cancelled by its handler (${result.reason})`);
+        return;
+      }
+
+      this.saveJob({
+        ...current,
+        status: 'sent',
+        sentAt: new Date().toISOString(),
+        ...(result !== undefined && { result })
+      });
+      console.log(`Job ${job.id} sent (attempt ${attempt})`);
+    } catch (error) {
+      const current = this.jobs.get(job.id);
+      const failure = { attempt, error: error.message, at: new Date().toISOString() };
+      const failures = [...(current.failures || []), failure];
+
+      if (attempt >= current.maxAttempts) {
+        this.jobs.delete(job.id);
+        this.deadLetters.set(job.id, {
+          ...current,
+          status: 'failed',
+          lastError: error.message,
+          failures,
+          failedAt: failure.at,
+          updatedAt: failure.at
+        });
+        console.error(`Job ${job.id} failed after ${attempt} attempts, moved to dead-letter list: ${error.message}`);
+        return;
+      }
+
+      const delay = this.getBackoffDelay(attempt);
+      this.saveJob({
+        ...current,
+        status: 'scheduled',
+        lastError: error.message,
+        failures,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+      console.warn(`Job ${job.id} attempt ${attempt} failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a scheduled job now instead of waiting for its send time. A
+   * dead-lettered job is requeued first.
+   * @param {string} id - Job ID
+   * @param {Object} context - Passed to the handler, e.g. { force: true }
+   * @returns {Promise<Object>} - Job after the attempt
+   */
+  async runNow(id, context = {}) {
+    if (this.deadLetters.has(id)) {
+      this.retryDeadLetter(id);
+    }
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw jobError('JOB_NOT_FOUND', `Job not found: ${id}`);
+    }
+    if (job.status !== 'scheduled') {
+      throw jobError('JOB_NOT_SCHEDULED', `Job ${id} is ${job.status}; only scheduled jobs can be run`);
+    }
+    if (!this.handlers.has(job.type)) {
+      throw jobError('NO_HANDLER', `No handler registered for job type: ${job.type}`);
+    }
+
+    await this.runJob(job, context);
+    return this.getJob(id);
+  }
+
+  /**
+   * Move a scheduled job to a new send time (a dead-lettered job is requeued)
+   * @param {string} id - Job ID
+   * @param {Date|string|number} runAt - New send time
+   * @returns {Object} - Updated job
+   */
+  reschedule(id, runAt) {
+    const sendAt = JobQueue.toDate(runAt);
+    if (!sendAt) {
+      throw jobError('INVALID_RUN_TIME', `Invalid job run time: ${runAt}`);
+    }
+    if (this.deadLetters.has(id)) {
+      return this.retryDeadLetter(id, sendAt);
+    }
+
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw jobError('JOB_NOT_FOUND', `Job not found: ${id}`);
+    }
+    if (job.status !== 'scheduled') {
+      throw jobError('JOB_NOT_SCHEDULED', `Job ${id} is ${job.status}; only scheduled jobs can be rescheduled`);
+    }
+    return this.saveJob({
+      ...job,
+      scheduledTime: sendAt.toISOString(),
+      nextAttemptAt: sendAt.toISOString(),
+      rescheduledAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Exponential backoff: base * 2^(attempt - 1), capped
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    return Math.min(this.backoffBaseMs * Math.pow(2, attempt - 1), this.backoffMaxMs);
+  }
+
+  /**
+   * Drop sent and cancelled jobs older than the retention period
+   * @param {number} now - Current time in ms
+   */
+  prune(now = Date.now()) {
+    if (!this.retentionMs) {
+      return;
+    }
+    for (const job of this.list()) {
+      if ((job.status === 'sent' || job.status === 'cancelled') && now - new Date(job.updatedAt).getTime() > this.retentionMs) {
+        this.jobs.delete(job.id);
+      }
+    }
+  }
+
+  /**
+   * List queued jobs (dead letters are listed with getDeadLetters)
+   * @param {Object} filter - { status, type, conversationId, customerId, from, to } (from/to bound scheduledTime)
+   * @returns {Array<Object>} - Jobs ordered by scheduled time
+   */
+  list(filter = {}) {
+    return JobQueue.applyFilter(Array.from(this.jobs.keys()).map(id => this.jobs.get(id)), filter);
+  }
+
+  /**
+   * List dead-lettered jobs
+   * @param {Object} filter - { type, conversationId, customerId, from, to }
+   * @returns {Array<Object>} - Failed jobs
+   */
+  getDeadLetters(filter = {}) {
+    return JobQueue.applyFilter(Array.from(this.deadLetters.keys()).map(id => this.deadLetters.get(id)), filter);
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || this.deadLetters.get(id) || null;
+  }
+
+  /**
+   * Cancel scheduled jobs
+   * @param {Object} filter - { id, conversationId, customerId, type }
+   * @returns {Array<Object>} - Cancelled jobs
+   */
+  cancel(filter = {}) {
+    const cancelled = [];
+    for (const job of this.list({ ...filter, status: 'scheduled' })) {
+      if (filter.id && job.id !== filter.id) {
+        continue;
+      }
+      cancelled.push(this.saveJob({ ...job, status: 'cancelled', cancelledAt: new Date().toISOString() }));
+    }
+    return cancelled;
+  }
+
+  /**
+   * Move a dead-lettered job back onto the queue with a fresh attempt budget
+   * @param {string} id - Job ID
+   * @param {Date|string|number} runAt - When to retry (default: now)
+   * @returns {Object|null} - Requeued job, or null if not dead-lettered
+   */
+  retryDeadLetter(id, runAt = new Date()) {
+    const job = this.deadLetters.get(id);
+    if (!job) {
+      return null;
+    }
+    const retryAt = JobQueue.toDate(runAt);
+    if (!retryAt) {
+      throw jobError('INVALID_RUN_TIME', `Invalid job run time: ${runAt}`);
+    }
+    this.deadLetters.delete(id);
+    return this.saveJob({
+      ...job,
+      status: 'scheduled',
+      attempts: 0,
+      nextAttemptAt: retryAt.toISOString(),
+      requeuedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Stop polling and flush the store
+   */
+  async close() {
+    this.stop();
+    await this.store.close();
+  }
+
+  getInfo() {
+    const byStatus = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+    for (const job of this.list()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+    byStatus.failed += this.deadLetters.size;
+
+    return {
+      backend: this.store.backend,
+      polling: Boolean(this.pollTimer),
+      pollIntervalSeconds: this.pollIntervalMs / 1000,
+      maxAttempts: this.maxAttempts,
+      jobs: byStatus,
+      deadLetters: this.deadLetters.size
+    };
+  }
+
+  /**
+   * Handler result: run the job again at `until` without counting an attempt
+   * @param {Date} until - Next run time
+   * @param {string} reason - Why the job was deferred
+   */
+  static deferred(until, reason) {
+    return { outcome: 'deferred', until, reason };
+  }
+
+  /**
+   * Handler result: cancel the job without sending it
+   * @param {string} reason - Why the job was skipped
+   */
+  static skipped(reason) {
+    return { outcome: 'skipped', reason };
+  }
+
+  static applyFilter(jobs, filter) {
+    const from = JobQueue.toDate(filter.from);
+    const to = JobQueue.toDate(filter.to);
+    return jobs
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.type || job.type === filter.type)
+      .filter(job => !filter.conversationId || job.conversationId === filter.conversationId)
+      .filter(job => !filter.customerId || job.customerId === filter.customerId)
+      .filter(job => !from || new Date(job.scheduledTime) >= from)
+      .filter(job => !to || new Date(job.scheduledTime) <= to)
+      .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
+  }
+
+  /**
+   * Parse a Date, ISO string or epoch milliseconds
+   * @returns {Date|null} - Date, or null if invalid
+   */
+  static toDate(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+JobQueue.STATES = JOB_STATES;
+
+module.exports = JobQueue;
@@ -0,0 +1,199 @@
+// Handlers an intent can be routed to
+const HANDLERS = ['health_checkup', 'claim', 'reschedule', 'policy_qa'];
+
+const CLAIM_INTENT = 'EVENT_DRIVEN_CLAIM_EPISODE';
+
+/**
+ * Journey Dispatcher
+ * Decides which journey handles a conversational (Dialogflow ES or CX)
+ * request and runs it. The customer comes from the request itself (an explicit customer
+ * ID, the session ID or the caller's number), falling back to the configured
+ * default customer. The handler comes from the intent routing table; intents
+ * without a route continue the customer's active journey, and requests with
+ * neither go to the default handler.
+ *
+ * Handlers:
+ * - health_checkup: health checkup booking journey
+ * - claim: EVENT_DRIVEN_CLAIM_EPISODE orchestrator
+ * - reschedule: reschedule the pending health checkup
+ * - policy_qa: policy Q&A over the customer's documents (queryDocuments)
+ */
+class JourneyDispatcher {
+  /**
+   * @param {CustomerService} customerService - Customer, journey and document services
+   * @param {Object} options - { routes: { intentName: handler }, defaultHandler, defaultCustomerId, channel }
+   */
+  constructor(customerService, options = {}) {
+    this.customerService = customerService;
+    this.defaultCustomerId = options.defaultCustomerId || null;
+    this.channel = options.channel || 'VOICE';
+    this.routes = new Map();
+    Object.entries(options.routes || {}).forEach(([intentName, handler]) => {
+      if (!HANDLERS.includes(handler)) {
+        console.warn(`Ignoring Dialogflow route ${intentName} -> ${handler}: unknown handler (supported: ${HANDLERS.join(', ')})`);
+        return;
+      }
+      this.routes.set(JourneyDispatcher.normalizeIntentName(intentName), handler);
+    });
+    this.defaultHandler = HANDLERS.includes(options.defaultHandler) ? options.defaultHandler : 'health_checkup';
+  }
+
+  /**
+   * Customer a request belongs to. Tried in order: an explicit customer ID,
+   * the session ID as a customer ID or phone number, the caller's number,
+   * then the default customer.
+   *
+   * The explicit ID comes from the Dialogflow agent (the webhook only accepts
+   * authenticated requests), but an intent or session parameter can be filled
+   * from what the caller said. It is therefore only trusted when the session
+   * and the caller's number do not identify a different customer; if they do,
+   * that customer wins.
+   * @param {Object} request - { customerId, sessionId, callerId }
+   * @returns {Object} - { customerId, source } (source: request | session | caller | default)
+   */
+  resolveCustomer(request = {}) {
+    const identified = this.identifyCustomer(request);
+
+    if (request.customerId) {
+      const customerId = String(request.customerId);
+      if (identified && identified.customerId !== customerId) {
+        console.warn(`Ignoring customer ID ${customerId} from the request: the ${identified.source} belongs to ${identified.customerId}`);
+        return identified;
+      }
+      return { customerId, source: 'request' };
+    }
+
+    return identified || { customerId: this.defaultCustomerId, source: 'default' };
+  }
+
+  /**
+   * Customer the session ID (as a customer ID or phone number) or the caller's number belongs to
+   * @param {Object} request - { sessionId, callerId }
+   * @returns {Object|null} - { customerId, source } (source: session | caller), or null when neither matches
+   */
+  identifyCustomer(request) {
+    const candidates = [
+      { value: request.sessionId, source: 'session' },
+      { value: request.callerId, source: 'caller' }
+    ];
+    for (const { value, source } of candidates) {
+      if (!value) {
+        continue;
+      }
+      const customer = this.customerService.getCustomer(String(value)) ||
+        this.customerService.findCustomerByPhone(value);
+      if (customer) {
+        return { customerId: customer.id, source };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handler for an intent: its route, else the customer's active journey,
+   * else the default handler
+   * @param {string} intentName - Intent display name (may be empty)
+   * @param {string} customerId - Customer ID
+   * @returns {Object} - { handler, source, journeyIntent } (source: route | active_journey | default)
+   */
+  resolveHandler(intentName, customerId) {
+    const routed = intentName ? this.routes.get(JourneyDispatcher.normalizeIntentName(intentName)) : null;
+    if (routed) {
+      return { handler: routed, source: 'route' };
+    }
+
+    const journey = this.customerService.intentJourneyService?.getActiveJourney(customerId);
+    if (journey) {
+      return { handler: 'journey', source: 'active_journey', journeyIntent: journey.intent };
+    }
+
+    return { handler: this.defaultHandler, source: 'default' };
+  }
+
+  /**
+   * Route a request to its journey
+   * @param {Object} request - { customerId, intentName, text, parameters }
+   * @returns {Promise<Object>} - { handler, source, result }
+   */
+  async dispatch(request) {
+    const route = this.resolveHandler(request.intentName, request.customerId);
+    console.log(`Dispatching intent "${request.intentName || '(none)'}" for ${request.customerId} to ${route.handler} (${route.source})`);
+
+    const result = await this.runHandler(route, request);
+    return { ...route, result };
+  }
+
+  async runHandler(route, request) {
+    const { customerId, text, parameters = {} } = request;
+    const intentJourneyService = this.customerService.intentJourneyService;
+
+    switch (route.handler) {
+      case 'journey':
+        return intentJourneyService.processIntentJourney(customerId, route.journeyIntent, text);
+      case 'health_checkup': {
+        const healthCheckupService = intentJourneyService?.healthCheckupService;
+        if (!healthCheckupService) {
+          throw new Error('Health checkup service not available');
+        }
+        return healthCheckupService.processHealthCheckupQuery(customerId, text);
+      }
+      case 'claim':
+        return intentJourneyService.processIntentJourney(customerId, CLAIM_INTENT, text);
+      case 'reschedule':
+        return this.customerService.handleRescheduleRequest(customerId, text, {
+          date: JourneyDispatcher.formatDateParameter(parameters.date)
+        });
+      case 'policy_qa':
+        return this.customerService.queryDocuments(customerId, text, { channel: this.channel });
+      default:
+        throw new Error(`Unknown journey handler: ${route.handler}`);
+    }
+  }
+
+  /**
+   * Describe the routing table for health output
+   * @returns {Object} - { routes, defaultHandler, defaultCustomerId }
+   */
+  getInfo() {
+    return {
+      routes: Object.fromEntries(this.routes),
+      defaultHandler: this.defaultHandler,
+      defaultCustomerId: this.defaultCustomerId
+    };
+  }
+
+  /**
+   * Routing key for an intent display name ("Book Health-Checkup" -> "book_health_checkup")
+   * @param {string} intentName - Intent display name
+   * @returns {string} - Routing key
+   */
+  static normalizeIntentName(intentName) {
+    return String(intentName || '').trim().toLowerCase().replace(/[\s.\-]+/g, '_');
+  }
+
+  /**
+   * Date in the format the policy timeline uses ("25 Nov 2025") from a
+   * Dialogflow date parameter: ES "2025-11-25T12:00:00+05:30" (or
+   * { date_time } / { startDate } objects), CX { year, month, day }
+   * @param {string|Object} value - sys.date / @sys.date value
+   * @returns {string|null} - Formatted date, or null when absent or unparseable
+   */
+  static formatDateParameter(value) {
+    if (value && typeof value === 'object' && value.year && value.month && value.day) {
+      value = `${value.year}-${String(value.month).padStart(2, '0')}-${String(value.day).padStart(2, '0')}`;
+    }
+    const raw = typeof value === 'object' && value !== null
+      ? (value.date_time || value.startDate || value.startDateTime)
+      : value;
+    const match = typeof raw === 'string' ? raw.match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+    if (!match) {
+      return null;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+}
+
+JourneyDispatcher.HANDLERS = HANDLERS;
+
+module.exports = JourneyDispatcher;
@@ -0,0 +1,184 @@
+/**
+ * Journey Engine
+ * Evaluates stage transitions from the journey JSON, so a journey's flow is
+ * data rather than orchestrator code. Each stage lists ordered
+ * `transitionRules`; the first rule whose `when` matches is applied:
+ *
+ *   { "when": { "response": "negative" }, "to": "no" }
+ *   { "when": { "has": ["preferredDate", "preferredTime"] },
+ *     "setDefault": { "collectionMethod": "home sample collection" }, "to": "collected" }
+ *
+ * Conditions (all keys of a `when` must hold; no `when` always matches):
+ * - response: response class of the user's message ('positive', 'negative',
+ *   'skip'), or an array meaning any of them
+ * - mentions: phrases, any of which the message contains (case-insensitive)
+ * - has: field(s) that must all be set (non-empty arrays count as set)
+ * - hasAny: fields, at least one of which is set
+ * - equals: { field: value } exact matches
+ * - requiredData: true when all of the stage's requiredData is set
+ * - any: array of conditions, at least one of which holds
+ * - not: a condition that must not hold
+ *
+ * Effects, applied to collectedData in this order when the rule matches:
+ * - set: values to assign
+ * - setDefault: values to assign only where the field is not set yet
+ * - action / actions: named actions registered by the orchestrator
+ *   (called with collectedData and the evaluation context)
+ *
+ * Target: `to` names a key of the stage's `transitions` (an array tries each
+ * in turn), `stage` names a stage ID directly. A rule whose target does not
+ * resolve, or no matching rule, keeps the journey in the current stage.
+ */
+class JourneyEngine {
+    /**
+     * @param {Object} options - { responses: { positive, negative, skip, ... } classifier functions, actions: { name: (collectedData, context) => void } }
+     */
+    constructor(options = {}) {
+        this.responses = options.responses || {};
+        this.actions = options.actions || {};
+    }
+
+    /**
+     * Evaluate a stage's transition rules
+     * @param {Object} stage - Stage definition
+     * @param {Object} collectedData - Data collected so far (effects are applied to it)
+     * @param {string} userResponse - User's latest message
+     * @returns {Object} - { stageId, rule (index of the matched rule, or null), transition }
+     */
+    evaluate(stage, collectedData, userResponse = '') {
+        const context = { stage, collectedData, userResponse: userResponse || '' };
+        const rules = stage.transitionRules || [];
+
+        for (let index = 0; index < rules.length; index++) {
+            const rule = rules[index];
+            if (!this.matches(rule.when, context)) {
+                continue;
+            }
+
+            this.applyEffects(rule, context);
+            const { stageId, transition } = this.resolveTarget(stage, rule);
+            console.log(`🧭 ${stage.id}: rule ${index} matched${transition ? ` (${transition})` : ''} → ${stageId}`);
+            return { stageId, rule: index, transition };
+        }
+
+        return { stageId: stage.id, rule: null, transition: null };
+    }
+
+    /**
+     * Next stage ID for a user response
+     * @param {Object} stage - Stage definition
+     * @param {Object} collectedData - Data collected so far
+     * @param {string} userResponse - User's latest message
+     * @returns {string} - Next stage ID (the current one when staying)
+     */
+    nextStage(stage, collectedData, userResponse) {
+        return this.evaluate(stage, collectedData, userResponse).stageId;
+    }
+
+    /**
+     * Check a `when` condition
+     * @param {Object} condition - Condition object (missing means always)
+     * @param {Object} context - { stage, collectedData, userResponse }
+     * @returns {boolean}
+     */
+    matches(condition, context) {
+        if (!condition) {
+            return true;
+        }
+
+        const { stage, collectedData, userResponse } = context;
+        return Object.entries(condition).every(([key, value]) => {
+            switch (key) {
+                case 'response':
+                    return JourneyEngine.toArray(value).some(name => this.classify(name, userResponse));
+                case 'mentions': {
+                    const text = userResponse.toLowerCase();
+                    return JourneyEngine.toArray(value).some(phrase => text.includes(String(phrase).toLowerCase()));
+                }
+                case 'has':
+                    return JourneyEngine.toArray(value).every(field => JourneyEngine.isSet(collectedData[field]));
+                case 'hasAny':
+                    return JourneyEngine.toArray(value).some(field => JourneyEngine.isSet(collectedData[field]));
+                case 'equals':
+                    return Object.entries(value).every(([field, expected]) => collectedData[field] === expected);
+                case 'requiredData':
+                    return (stage.requiredData || []).every(field => JourneyEngine.isSet(collectedData[field])) === Boolean(value);
+                case 'any':
+                    return value.some(inner => this.matches(inner, context));
+                case 'not':
+                    return !this.matches(value, context);
+                default:
+                    console.warn(`⚠️ Unknown transition condition "${key}" in stage ${stage.id}`);
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * Whether a message belongs to a response class
+     * @param {string} name - Response class, e.g. 'positive'
+     * @param {string} userResponse - User's message
+     * @returns {boolean}
+     */
+    classify(name, userResponse) {
+        const classifier = this.responses[name];
+        if (!classifier) {
+            console.warn(`⚠️ Unknown response class "${name}"`);
+            return false;
+        }
+        return Boolean(classifier(userResponse));
+    }
+
+    applyEffects(rule, context) {
+        const { collectedData } = context;
+
+        Object.assign(collectedData, JourneyEngine.clone(rule.set || {}));
+        Object.entries(rule.setDefault || {}).forEach(([field, value]) => {
+            if (!JourneyEngine.isSet(collectedData[field])) {
+                collectedData[field] = JourneyEngine.clone(value);
+            }
+        });
+
+        [...JourneyEngine.toArray(rule.action), ...JourneyEngine.toArray(rule.actions)].forEach(name => {
+            const action = this.actions[name];
+            if (!action) {
+                console.warn(`⚠️ Unknown journey action "${name}" in stage ${context.stage.id}`);
+                return;
+            }
+            action(collectedData, context);
+        });
+    }
+
+    resolveTarget(stage, rule) {
+        if (rule.stage) {
+            return { stageId: rule.stage, transition: null };
+        }
+
+        const transitions = stage.transitions || {};
+        const transition = JourneyEngine.toArray(rule.to).find(name => transitions[name]);
+        if (!transition) {
+            return { stageId: stage.id, transition: null };
+        }
+        return { stageId: transitions[transition], transition };
+    }
+
+    static isSet(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        return value !== undefined && value !== null && value !== '' && value !== false;
+    }
+
+    static toArray(value) {
+        if (value === undefined || value === null) {
+            return [];
+        }
+        return Array.isArray(value) ? value : [value];
+    }
+
+    static clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+module.exports = JourneyEngine;
@@ -0,0 +1,331 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JourneyValidator = require('./journeyValidator');
+
+const EVENT_JOURNEY_FILE = path.join(__dirname, '../../data/journeyDefinitions.json');
+
+/**
+ * Journey Graph
+ * Diagrams of the loaded journeys for product and compliance review:
+ * - conversation journeys (healthCheckupJourney.json, intentBasedJouneys.json):
+ *   a node per stage, an edge per declared transition or transition rule
+ *   jumping to a stage
+ * - event journeys (journeyDefinitions.json, e.g. NEW_CUSTOMER_ONBOARDING):
+ *   a node per event, dashed `dependsOn` edges (labelled with the event's
+ *   time offset) and solid edges for its CTAs
+ *
+ * Graphs render as Mermaid flowcharts or Graphviz DOT. With visit counts
+ * (countVisits) each stage is labelled with the number of stored
+ * conversations that reached it, and stages nobody reached are greyed out.
+ */
+class JourneyGraph {
+  /**
+   * Every journey definition on disk
+   * @returns {Array<Object>} - [{ id, title, kind: 'conversation'|'events', definition }]
+   */
+  static loadJourneys() {
+    const journeys = [];
+
+    JourneyValidator.JOURNEY_FILES.forEach(file => {
+      const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (Array.isArray(content) ? content : [content]).forEach(definition => {
+        journeys.push({
+          id: definition.intent,
+          title: definition.brand_voice?.persona ? `${definition.intent} (${definition.brand_voice.persona})` : definition.intent,
+          kind: 'conversation',
+          definition
+        });
+      });
+    });
+
+    if (fs.existsSync(EVENT_JOURNEY_FILE)) {
+      const content = JSON.parse(fs.readFileSync(EVENT_JOURNEY_FILE, 'utf8'));
+      Object.entries(content).forEach(([id, definition]) => {
+        journeys.push({
+          id: definition.journeyId || id,
+          title: definition.journeyName || id,
+          kind: 'events',
+          definition
+        });
+      });
+    }
+
+    return journeys;
+  }
+
+  /**
+   * Graph of a loaded journey
+   * @param {string} journeyId - Intent or journey ID
+   * @returns {Object|null} - Graph, or null for an unknown journey
+   */
+  static build(journeyId) {
+    const journey = JourneyGraph.loadJourneys().find(candidate => candidate.id === journeyId);
+    if (!journey) {
+      return null;
+    }
+    return journey.kind === 'events'
+      ? JourneyGraph.fromEventJourney(journey.definition)
+      : JourneyGraph.fromConversationJourney(journey.definition);
+  }
+
+  /**
+   * @param {Object} journey - Conversation journey definition
+   * @returns {Object} - { id, title, kind, entry, nodes: [{ id, label, terminal }], edges: [{ from, to, label, style }] }
+   */
+  static fromConversationJourney(journey) {
+    const stages = journey.conversationFlow?.stages || [];
+    const nodes = stages.map(stage => ({
+      id: stage.id,
+      label: stage.name || stage.id,
+      terminal: stage.id === JourneyValidator.END_STAGE || Object.keys(stage.transitions || {}).length === 0
+    }));
+    const edges = [];
+
+    stages.forEach(stage => {
+      Object.entries(stage.transitions || {}).forEach(([name, target]) => {
+        JourneyGraph.addEdge(edges, stage.id, target, name, 'solid');
+      });
+      (stage.transitionRules || []).forEach(rule => {
+        if (rule.stage) {
+          JourneyGraph.addEdge(edges, stage.id, rule.stage, JourneyGraph.describeCondition(rule.when), 'solid');
+        }
+      });
+    });
+
+    // 'end' may be targeted without being defined
+    const needsEnd = edges.some(edge => edge.to === JourneyValidator.END_STAGE) && !nodes.some(node => node.id === JourneyValidator.END_STAGE);
+    if (needsEnd) {
+      nodes.push({ id: JourneyValidator.END_STAGE, label: 'End', terminal: true });
+    }
+
+    return {
+      id: journey.intent,
+      title: journey.intent,
+      kind: 'conversation',
+      entry: JourneyValidator.getEntryStageId(stages),
+      nodes,
+      edges
+    };
+  }
+
+  /**
+   * @param {Object} definition - Event journey definition (journeyDefinitions.json entry)
+   * @returns {Object} - Graph (see fromConversationJourney)
+   */
+  static fromEventJourney(definition) {
+    const events = definition.events || [];
+    const nodes = events.map(event => ({
+      id: event.id,
+      // Offsets are relative to the event depended on, so only a root's offset has no edge to show it
+      label: `${event.title || event.id} (${[event.triggerType || 'system', !event.dependsOn && event.timeOffsetDays && `+${event.timeOffsetDays}d`].filter(Boolean).join(', ')})`,
+      terminal: (event.ctas || []).length === 0
+    }));
+    const edges = [];
+
+    events.forEach(event => {
+      if (event.dependsOn) {
+        const label = event.timeOffsetDays ? `after ${event.timeOffsetDays}d` : 'then';
+        JourneyGraph.addEdge(edges, event.dependsOn, event.id, label, 'dashed');
+      }
+      (event.ctas || []).forEach(cta => {
+        JourneyGraph.addEdge(edges, event.id, cta.action, cta.label, 'solid');
+      });
+    });
+
+    const entry = events.find(event => !event.dependsOn)?.id || events[0]?.id;
+    return {
+      id: definition.journeyId,
+      title: definition.journeyName || definition.journeyId,
+      kind: 'events',
+      entry,
+      nodes,
+      edges
+    };
+  }
+
+  /**
+   * Number of stored conversations that reached each stage
+   * @param {ConversationStore} conversationStore - Initialized conversation store
+   * @param {string} journeyId - Intent or journey ID
+   * @returns {Object} - { stageId: count }
+   */
+  static countVisits(conversationStore, journeyId) {
+    const states = [];
+    const collectStates = (namespace, filter = () => true) => {
+      conversationStore.keys(namespace).forEach(conversationId => {
+        const state = conversationStore.get(namespace, conversationId);
+        if (state && filter(conversationId)) {
+          states.push(state);
+        }
+      });
+    };
+
+    if (journeyId === 'HEALTH_CHECKUP_BOOKING_JOURNEY') {
+      collectStates('healthCheckup.states');
+    } else {
+      // Intent journeys share one namespace; the customer's journey record names the intent
+      const intentByConversation = new Map();
+      conversationStore.keys('intent.journeys').forEach(customerId => {
+        const journey = conversationStore.get('intent.journeys', customerId);
+        if (journey?.conversationId) {
+          intentByConversation.set(journey.conversationId, journey.intent);
+        }
+      });
+      collectStates('intent.states', conversationId => intentByConversation.get(conversationId) === journeyId);
+    }
+
+    const visits = {};
+    states.forEach(state => {
+      // Health checkup history holds the stage after each turn, intent history the stages left
+      const reached = new Set(
+        [...(state.stageHistory || []).map(entry => entry.stageId || entry.stage), state.currentStageId].filter(Boolean)
+      );
+      reached.forEach(stageId => {
+        visits[stageId] = (visits[stageId] || 0) + 1;
+      });
+    });
+    return visits;
+  }
+
+  /**
+   * Mermaid flowchart
+   * @param {Object} graph - Journey graph
+   * @param {Object} visits - Optional { stageId: count } overlay
+   * @returns {string}
+   */
+  static toMermaid(graph, visits = null) {
+    const lines = [`%% ${graph.title}`, 'flowchart TD'];
+
+    graph.nodes.forEach(node => {
+      const label = JourneyGraph.escapeMermaid(JourneyGraph.nodeLabel(node, visits, '<br/>'));
+      const key = JourneyGraph.mermaidId(node.id);
+      lines.push(node.terminal ? `    ${key}(["${label}"])` : `    ${key}["${label}"]`);
+    });
+
+    graph.edges.forEach(edge => {
+      const arrow = edge.style === 'dashed' ? '-.->' : '-->';
+      const label = edge.label ? `|"${JourneyGraph.escapeMermaid(edge.label)}"|` : '';
+      lines.push(`    ${JourneyGraph.mermaidId(edge.from)} ${arrow}${label} ${JourneyGraph.mermaidId(edge.to)}`);
+    });
+
+    if (graph.entry) {
+      lines.push('    classDef entry stroke-width:3px');
+      lines.push(`    class ${JourneyGraph.mermaidId(graph.entry)} entry`);
+    }
+    const unvisited = visits ? graph.nodes.filter(node => !visits[node.id]) : [];
+    if (unvisited.length > 0) {
+      lines.push('    classDef unvisited fill:#eee,stroke:#999,color:#888,stroke-dasharray:4 4');
+      lines.push(`    class ${unvisited.map(node => JourneyGraph.mermaidId(node.id)).join(',')} unvisited`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Graphviz DOT digraph
+   * @param {Object} graph - Journey graph
+   * @param {Object} visits - Optional { stageId: count } overlay
+   * @returns {string}
+   */
+  static toDot(graph, visits = null) {
+    const lines = [
+      `digraph ${JourneyGraph.quoteDot(graph.id)} {`,
+      `    label=${JourneyGraph.quoteDot(graph.title)};`,
+      '    labelloc=t;',
+      '    rankdir=TB;',
+      '    node [shape=box, style=rounded];'
+    ];
+
+    graph.nodes.forEach(node => {
+      const attributes = [`label=${JourneyGraph.quoteDot(JourneyGraph.nodeLabel(node, visits, '\n'))}`];
+      if (node.terminal) attributes.push('peripheries=2');
+      if (node.id === graph.entry) attributes.push('penwidth=2');
+      if (visits && !visits[node.id]) attributes.push('style="rounded,dashed"', 'fontcolor=gray50', 'color=gray60');
+      lines.push(`    ${JourneyGraph.quoteDot(node.id)} [${attributes.join(', ')}];`);
+    });
+
+    graph.edges.forEach(edge => {
+      const attributes = [
+        ...(edge.label ? [`label=${JourneyGraph.quoteDot(edge.label)}`] : []),
+        ...(edge.style === 'dashed' ? ['style=dashed'] : [])
+      ];
+      const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+      lines.push(`    ${JourneyGraph.quoteDot(edge.from)} -> ${JourneyGraph.quoteDot(edge.to)}${suffix};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Short label for a transition rule condition ("negative", "has selectedMembers", ...)
+   * @param {Object} condition - Rule `when`
+   * @returns {string}
+   */
+  static describeCondition(condition) {
+    if (!condition) {
+      return 'always';
+    }
+    return Object.entries(condition).map(([key, value]) => {
+      switch (key) {
+        case 'response':
+          return JourneyValidator.toArray(value).join(' or ');
+        case 'mentions':
+          return `mentions ${JourneyValidator.toArray(value).join('/')}`;
+        case 'has':
+        case 'hasAny':
+          return `${key} ${JourneyValidator.toArray(value).join(key === 'has' ? '+' : '/')}`;
+        case 'equals':
+          return Object.entries(value).map(([field, expected]) => `${field}=${expected}`).join(', ');
+        case 'requiredData':
+          return value ? 'data complete' : 'data incomplete';
+        case 'any':
+          return `(${value.map(inner => JourneyGraph.describeCondition(inner)).join(' or ')})`;
+        case 'not':
+          return `not ${JourneyGraph.describeCondition(value)}`;
+        default:
+          return key;
+      }
+    }).join(' and ');
+  }
+
+  static addEdge(edges, from, to, label, style) {
+    // Parallel transitions between the same stages share one edge
+    const existing = edges.find(edge => edge.from === from && edge.to === to && edge.style === style);
+    if (existing) {
+      if (label && !existing.label.split(' / ').includes(label)) {
+        existing.label = existing.label ? `${existing.label} / ${label}` : label;
+      }
+      return;
+    }
+    edges.push({ from, to, label: label || '', style });
+  }
+
+  static nodeLabel(node, visits, separator) {
+    if (!visits) {
+      return node.label;
+    }
+    const count = visits[node.id] || 0;
+    return `${node.label}${separator}${count} visit${count === 1 ? '' : 's'}`;
+  }
+
+  static mermaidId(id) {
+    // "end" is a Mermaid keyword
+    const key = String(id).replace(/[^A-Za-z0-9_]/g, '_');
+    return /^end$/i.test(key) ? `${key}_` : key;
+  }
+
+  static escapeMermaid(text) {
+    // Entity codes, so quotes and brackets cannot close the label's string or node shape
+    return String(text).replace(/"/g, '#quot;').replace(/\[/g, '#91;').replace(/\]/g, '#93;');
+  }
+
+  static quoteDot(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  }
+}
+
+JourneyGraph.FORMATS = ['mermaid', 'dot'];
+JourneyGraph.EVENT_JOURNEY_FILE = EVENT_JOURNEY_FILE;
+
+module.exports = JourneyGraph;
@@ -0,0 +1,272 @@
+const ConversationStore = require('./conversationStore');
+const JobQueue = require('./jobQueue');
+const CommunicationService = require('./communicationService');
+const ClaimInitiationService = require('./claimInitiationService');
+const IntentJourneyService = require('./intentJourneyService');
+const GeminiService = require('./geminiService');
+const HospitalService = require('./hospitalService');
+const LLMProviderFactory = require('./llmProviderFactory');
+
+const HEALTH_CHECKUP_JOURNEY = 'HEALTH_CHECKUP_BOOKING_JOURNEY';
+
+/**
+ * Journey Simulator
+ * Drives a conversation journey offline with a scripted list of customer
+ * turns: the fake LLM provider, an in-memory conversation store and job
+ * queue, in-app delivery and a dry-run claims client, so nothing leaves the
+ * process. Each turn reports the stage transition, collected data, messages
+ * sent, follow-ups scheduled and claim payloads built.
+ *
+ * Scenario format (JSON):
+ * { "journey": "EVENT_DRIVEN_CLAIM_EPISODE", "customerId": "9830323302",
+ *   "fakeLlm": { "rules": [...] },          // extra fake LLM script rules (optional)
+ *   "ignore": ["admissionDate"],             // fields left out of comparisons (optional)
+ *   "turns": ["I need a hospital", { "message": "For my wife", "expect": { "stage": "medical_reason" } }] }
+ *
+ * `expect` may hold stage, collectedData, scheduledMessages (texts) and
+ * claims (payloads); only the fields listed under collectedData and each
+ * claim are compared. Answers are not: they come from the (fake or live)
+ * model, not from the journey. toRecording() turns a run into a scenario with
+ * every expectation filled in; fromConversationStore() builds one from a
+ * stored conversation.
+ */
+class JourneySimulator {
+  /**
+   * @param {Object} options - { fakeScript (fake LLM script file or object), llmProvider }
+   */
+  constructor(options = {}) {
+    this.llmProvider = options.llmProvider || LLMProviderFactory.create({
+      provider: 'fake',
+      ...(options.fakeScript && { fakeScript: options.fakeScript })
+    });
+    this.conversationStore = new ConversationStore({ backend: 'memory', ttlHours: 0 });
+    this.jobQueue = new JobQueue({ store: new ConversationStore({ backend: 'memory', ttlHours: 0 }) });
+    this.communicationService = new CommunicationService({
+      defaultChannel: 'IN_APP',
+      conversationStore: this.conversationStore
+    });
+    this.claimInitiationService = new ClaimInitiationService({ dryRun: true });
+    this.intentJourneyService = new IntentJourneyService(new GeminiService(this.llmProvider), new HospitalService(), {
+      conversationStore: this.conversationStore,
+      jobQueue: this.jobQueue,
+      communicationService: this.communicationService,
+      claimInitiationService: this.claimInitiationService
+    });
+  }
+
+  /**
+   * Journeys the simulator can drive
+   * @returns {Array<string>} - Intent names
+   */
+  getJourneyIds() {
+    return [
+      ...this.intentJourneyService.intentsData.filter(intent => intent.conversationFlow).map(intent => intent.intent),
+      HEALTH_CHECKUP_JOURNEY
+    ];
+  }
+
+  /**
+   * Play a scenario's turns through its journey
+   * @param {Object} scenario - Scenario (see class comment)
+   * @returns {Promise<Object>} - { journey, customerId, conversationId, turns: [...] }
+   */
+  async run(scenario) {
+    const { journey, customerId = JourneySimulator.DEFAULT_CUSTOMER_ID } = scenario;
+    if (!this.getJourneyIds().includes(journey)) {
+      throw new Error(`Unknown journey: ${journey}. Supported: ${this.getJourneyIds().join(', ')}`);
+    }
+    if (scenario.fakeLlm && this.llmProvider.loadScript) {
+      this.llmProvider.loadScript(scenario.fakeLlm);
+    }
+
+    const turns = [];
+    let stage = null;
+    let conversationId = null;
+
+    for (const [index, turn] of JourneySimulator.normalizeTurns(scenario.turns).entries()) {
+      const jobsBefore = new Set(this.jobQueue.list({ customerId }).map(job => job.id));
+      const messagesBefore = new Set(this.communicationService.outbox.list({ customerId }).map(record => record.messageId));
+      const claimsBefore = this.claimInitiationService.dryRunClaims.length;
+
+      const result = await this.intentJourneyService.processIntentJourney(customerId, journey, turn.message, {
+        communicationMode: 'IN_APP'
+      });
+      // Claim initiation finishes after the reply; follow-ups are inspected, never sent
+      await this.intentJourneyService.whenIdle();
+      this.jobQueue.stop();
+
+      conversationId = result.conversationId;
+      const state = this.getState(journey, conversationId);
+      const nextStage = state?.currentStageId || result.currentStage;
+
+      turns.push({
+        index: index + 1,
+        message: turn.message,
+        answer: result.answer,
+        fromStage: stage,
+        stage: nextStage,
+        collectedData: JSON.parse(JSON.stringify(state?.collectedData || result.collectedData || {})),
+        sentMessages: this.communicationService.outbox.list({ customerId })
+          .filter(record => !messagesBefore.has(record.messageId))
+          .reverse()
+          .map(record => ({ channel: record.channel, text: record.text })),
+        scheduledMessages: this.jobQueue.list({ customerId })
+          .filter(job => !jobsBefore.has(job.id))
+          .map(job => ({ text: job.text, scheduledTime: job.scheduledTime, channel: job.channel })),
+        claims: this.claimInitiationService.dryRunClaims.slice(claimsBefore),
+        ...(turn.expect && { expect: turn.expect })
+      });
+      stage = nextStage;
+    }
+
+    return { journey, customerId, conversationId, turns };
+  }
+
+  getState(journey, conversationId) {
+    return journey === HEALTH_CHECKUP_JOURNEY
+      ? this.conversationStore.get('healthCheckup.states', conversationId)
+      : this.intentJourneyService.conversationStates.get(conversationId);
+  }
+
+  /**
+   * Check a run against the expectations in its scenario
+   * @param {Object} transcript - run() result
+   * @param {Object} options - { ignore: field names left out of collectedData and claim comparisons }
+   * @returns {Object} - { isValid, errors } (errors are prefixed with the turn number)
+   */
+  static compare(transcript, options = {}) {
+    const ignore = new Set(options.ignore || []);
+    const errors = [];
+
+    transcript.turns.filter(turn => turn.expect).forEach(turn => {
+      const { expect } = turn;
+      const prefix = `turn ${turn.index}`;
+
+      if (expect.stage !== undefined && expect.stage !== turn.stage) {
+        errors.push(`${prefix}: stage is ${turn.stage}, expected ${expect.stage}`);
+      }
+      if (expect.collectedData) {
+        JourneySimulator.diffFields(expect.collectedData, turn.collectedData, ignore)
+          .forEach(diff => errors.push(`${prefix}: collectedData.${diff}`));
+      }
+      if (expect.scheduledMessages) {
+        const texts = turn.scheduledMessages.map(message => message.text);
+        if (JSON.stringify(texts) !== JSON.stringify(expect.scheduledMessages)) {
+          errors.push(`${prefix}: scheduled ${JSON.stringify(texts)}, expected ${JSON.stringify(expect.scheduledMessages)}`);
+        }
+      }
+      if (expect.claims) {
+        if (expect.claims.length !== turn.claims.length) {
+          errors.push(`${prefix}: ${turn.claims.length} claim(s) initiated, expected ${expect.claims.length}`);
+        } else {
+          expect.claims.forEach((claim, index) => {
+            JourneySimulator.diffFields(claim, turn.claims[index], ignore)
+              .forEach(diff => errors.push(`${prefix}: claim ${index + 1} ${diff}`));
+          });
+        }
+      }
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Expected fields the actual object does not match; fields only the actual
+   * object has are not compared
+   * @returns {Array<string>} - e.g. 'patientRelation is "Self", expected "Spouse"'
+   */
+  static diffFields(expected, actual, ignore = new Set()) {
+    return Object.keys(expected || {})
+      .filter(key => !ignore.has(key))
+      .filter(key => JSON.stringify(expected[key]) !== JSON.stringify(actual?.[key]))
+      .map(key => actual?.[key] === undefined
+        ? `${key} is missing, expected ${JourneySimulator.preview(expected[key])}`
+        : `${key} is ${JourneySimulator.preview(actual[key])}, expected ${JourneySimulator.preview(expected[key])}`);
+  }
+
+  static preview(value) {
+    const text = JSON.stringify(value) ?? 'undefined';
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  /**
+   * A scenario whose expectations are this run's results, for replaying later
+   * @param {Object} scenario - Scenario that was run
+   * @param {Object} transcript - run() result
+   * @returns {Object} - Scenario
+   */
+  static toRecording(scenario, transcript) {
+    const { turns, ...rest } = scenario;
+    return {
+      ...rest,
+      journey: transcript.journey,
+      customerId: transcript.customerId,
+      recordedAt: new Date().toISOString(),
+      turns: transcript.turns.map(turn => ({
+        message: turn.message,
+        expect: {
+          stage: turn.stage,
+          collectedData: turn.collectedData,
+          scheduledMessages: turn.scheduledMessages.map(message => message.text),
+          claims: turn.claims
+        }
+      }))
+    };
+  }
+
+  /**
+   * Scenario from a conversation in the conversation store: the customer's
+   * messages, the stage after each turn (health checkup journeys record it
+   * per turn) and the final stage and data
+   * @param {ConversationStore} conversationStore - Initialized store
+   * @param {string} conversationId - Conversation ID
+   * @returns {Object|null} - Scenario, or null if the conversation is not stored
+   */
+  static fromConversationStore(conversationStore, conversationId) {
+    const findJourney = namespace => conversationStore.keys(namespace)
+      .map(customerId => conversationStore.get(namespace, customerId))
+      .find(journey => journey?.conversationId === conversationId);
+
+    const healthCheckup = findJourney('healthCheckup.journeys');
+    const journey = healthCheckup || findJourney('intent.journeys');
+    const prefix = healthCheckup ? 'healthCheckup' : 'intent';
+    const history = conversationStore.get(`${prefix}.histories`, conversationId);
+    if (!journey || !history) {
+      return null;
+    }
+    const state = conversationStore.get(`${prefix}.states`, conversationId);
+
+    const turns = history
+      .filter(entry => entry.incommingMessage !== undefined)
+      .map(entry => ({ message: entry.incommingMessage, expect: {} }));
+
+    const stageHistory = state?.stageHistory || [];
+    if (healthCheckup && stageHistory.length === turns.length) {
+      stageHistory.forEach((entry, index) => {
+        turns[index].expect.stage = entry.stageId;
+      });
+    }
+    if (state && turns.length > 0) {
+      Object.assign(turns[turns.length - 1].expect, {
+        stage: state.currentStageId,
+        collectedData: state.collectedData
+      });
+    }
+
+    return {
+      journey: healthCheckup ? HEALTH_CHECKUP_JOURNEY : journey.intent,
+      customerId: journey.customerId,
+      recordedFrom: conversationId,
+      turns
+    };
+  }
+
+  static normalizeTurns(turns = []) {
+    return turns.map(turn => (typeof turn === 'string' ? { message: turn } : turn));
+  }
+}
+
+JourneySimulator.HEALTH_CHECKUP_JOURNEY = HEALTH_CHECKUP_JOURNEY;
+JourneySimulator.DEFAULT_CUSTOMER_ID = '9830323302';
+
+module.exports = JourneySimulator;
@@ -0,0 +1,307 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Ajv = require('ajv');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Journey Validator
+ * Checks journey definitions (healthCheckupJourney.json,
+ * intentBasedJouneys.json) before they are run, so a typo in a stage ID or
+ * transition target is reported up front rather than as "Stage not found"
+ * mid-conversation. Two passes:
+ * - schema: data/journeySchema.json (JSON Schema, validated with Ajv)
+ * - lint: graph checks the schema cannot express
+ *
+ * Lint errors: duplicate stage IDs, transition targets that are not stages
+ * (dangling-target), no way to finish the journey (missing-terminal), and
+ * groups of stages that only lead to each other (cycle-without-exit).
+ * Lint warnings: stages unreachable from the entry stage, transition rules
+ * naming a transition the stage does not declare, and {{placeholders}} in
+ * prompt templates that are neither the customer's name nor collected data.
+ *
+ * 'end' is the journey's terminal stage and may be targeted without being
+ * defined. Issues are strings prefixed with their check, e.g.
+ * "[dangling-target] stage initiate_claim: ...".
+ */
+class JourneyValidator {
+  /**
+   * Validate one journey definition
+   * @param {Object} journey - Journey definition
+   * @returns {Object} - { isValid, errors, warnings }
+   */
+  static validate(journey) {
+    const schemaErrors = JourneyValidator.validateSchema(journey);
+    // The graph checks need a stage list to walk
+    if (!Array.isArray(journey?.conversationFlow?.stages)) {
+      return { isValid: false, errors: schemaErrors, warnings: [] };
+    }
+
+    const { errors, warnings } = JourneyValidator.lint(journey);
+    const allErrors = [...schemaErrors, ...errors];
+    return { isValid: allErrors.length === 0, errors: allErrors, warnings };
+  }
+
+  /**
+   * Check a journey against the JSON Schema
+   * @param {Object} journey - Journey definition
+   * @returns {Array<string>} - Schema errors
+   */
+  static validateSchema(journey) {
+    const validateFn = JourneyValidator.getSchemaValidator();
+    if (validateFn(journey)) {
+      return [];
+    }
+    return validateFn.errors.map(error => `[schema] ${error.instancePath || '/'} ${error.message}`);
+  }
+
+  /**
+   * Graph and template checks
+   * @param {Object} journey - Journey definition (with a stages array)
+   * @returns {Object} - { errors, warnings }
+   */
+  static lint(journey) {
+    const errors = [];
+    const warnings = [];
+    const stages = journey.conversationFlow.stages.filter(stage => stage && typeof stage.id === 'string');
+    const stageIds = new Set();
+
+    stages.forEach(stage => {
+      if (stageIds.has(stage.id)) {
+        errors.push(`[duplicate-stage] stage ${stage.id} is defined more than once`);
+      }
+      stageIds.add(stage.id);
+    });
+
+    // Transition targets and undeclared rule transitions
+    stages.forEach(stage => {
+      JourneyValidator.getTargets(stage).forEach(({ target, via }) => {
+        if (!stageIds.has(target) && target !== JourneyValidator.END_STAGE) {
+          errors.push(`[dangling-target] stage ${stage.id}: ${via} points to undefined stage "${target}"`);
+        }
+      });
+
+      (stage.transitionRules || []).forEach((rule, index) => {
+        JourneyValidator.toArray(rule.to)
+          .filter(name => !(stage.transitions || {})[name])
+          .forEach(name => {
+            warnings.push(`[undeclared-transition] stage ${stage.id}: rule ${index} uses transition "${name}", which the stage does not declare`);
+          });
+      });
+    });
+
+    const graph = JourneyValidator.buildGraph(stages, stageIds);
+
+    // Reachability from the entry stage
+    const entry = JourneyValidator.getEntryStageId(stages);
+    const reachable = JourneyValidator.walk(entry, graph);
+    stages
+      .filter(stage => !reachable.has(stage.id))
+      .forEach(stage => {
+        warnings.push(`[unreachable-stage] stage ${stage.id} cannot be reached from ${entry}`);
+      });
+
+    // Terminal stages: 'end', no way out, or a transition to 'end'
+    const isTerminal = id => id === JourneyValidator.END_STAGE || graph.get(id).size === 0 || graph.get(id).has(JourneyValidator.END_STAGE);
+    const terminals = stages.map(stage => stage.id).filter(isTerminal);
+    if (terminals.length === 0) {
+      errors.push(`[missing-terminal] no stage ends the journey (define an "${JourneyValidator.END_STAGE}" stage or a transition to it)`);
+    }
+
+    // Groups of stages with no terminal and no transition leaving the group
+    JourneyValidator.findCycles(graph).forEach(component => {
+      const members = new Set(component);
+      const hasExit = component.some(id =>
+        isTerminal(id) || [...graph.get(id)].some(target => !members.has(target))
+      );
+      if (!hasExit) {
+        errors.push(`[cycle-without-exit] stages ${component.join(' → ')} only lead to each other`);
+      }
+    });
+
+    // Prompt placeholders
+    const knownPlaceholders = JourneyValidator.getKnownPlaceholders(stages);
+    stages.forEach(stage => {
+      JourneyValidator.getPlaceholders(stage.promptTemplate)
+        .filter(name => !knownPlaceholders.has(name))
+        .forEach(name => {
+          warnings.push(`[undefined-placeholder] stage ${stage.id}: promptTemplate uses {{${name}}}, which is not customerName or collected data`);
+        });
+    });
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Validate the journey files
+   * @param {Array<string>} files - Journey files (defaults to JOURNEY_FILES)
+   * @returns {Object} - { isValid, journeys: [{ file, intent, isValid, errors, warnings }] }
+   */
+  static validateFiles(files = JourneyValidator.JOURNEY_FILES) {
+    const journeys = [];
+
+    files.forEach(file => {
+      let content;
+      try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        journeys.push({
+          file: path.basename(file),
+          intent: null,
+          isValid: false,
+          errors: [`[parse] ${error.message}`],
+          warnings: []
+        });
+        return;
+      }
+
+      // intentBasedJouneys.json holds an array of journeys, the others one each
+      (Array.isArray(content) ? content : [content]).forEach(journey => {
+        journeys.push({
+          file: path.basename(file),
+          intent: journey?.intent || null,
+          ...JourneyValidator.validate(journey)
+        });
+      });
+    });
+
+    return {
+      isValid: journeys.every(journey => journey.isValid),
+      journeys
+    };
+  }
+
+  /**
+   * Stages a stage can move to
+   * @param {Object} stage - Stage definition
+   * @returns {Array<Object>} - [{ target, via }]
+   */
+  static getTargets(stage) {
+    const targets = Object.entries(stage.transitions || {}).map(([name, target]) => ({
+      target,
+      via: `transition "${name}"`
+    }));
+    (stage.transitionRules || []).forEach((rule, index) => {
+      if (rule.stage) {
+        targets.push({ target: rule.stage, via: `rule ${index}` });
+      }
+    });
+    return targets;
+  }
+
+  static buildGraph(stages, stageIds) {
+    const graph = new Map();
+    stages.forEach(stage => {
+      const edges = graph.get(stage.id) || new Set();
+      JourneyValidator.getTargets(stage)
+        .map(({ target }) => target)
+        .filter(target => stageIds.has(target) || target === JourneyValidator.END_STAGE)
+        .forEach(target => edges.add(target));
+      graph.set(stage.id, edges);
+    });
+    return graph;
+  }
+
+  static getEntryStageId(stages) {
+    return stages.some(stage => stage.id === 'greeting') ? 'greeting' : stages[0]?.id;
+  }
+
+  static walk(start, graph) {
+    const seen = new Set();
+    const queue = start ? [start] : [];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      (graph.get(id) || []).forEach(target => queue.push(target));
+    }
+    return seen;
+  }
+
+  /**
+   * Strongly connected components that form a cycle (Tarjan)
+   * @param {Map<string, Set<string>>} graph - Stage graph
+   * @returns {Array<Array<string>>} - Stage IDs of each cycle
+   */
+  static findCycles(graph) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = id => {
+      index.set(id, counter);
+      lowLink.set(id, counter);
+      counter++;
+      stack.push(id);
+      onStack.add(id);
+
+      (graph.get(id) || []).forEach(target => {
+        if (!graph.has(target)) return;
+        if (!index.has(target)) {
+          visit(target);
+          lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(target)));
+        } else if (onStack.has(target)) {
+          lowLink.set(id, Math.min(lowLink.get(id), index.get(target)));
+        }
+      });
+
+      if (lowLink.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+
+        if (component.length > 1 || graph.get(id).has(id)) {
+          cycles.push(component.reverse());
+        }
+      }
+    };
+
+    graph.forEach((edges, id) => {
+      if (!index.has(id)) visit(id);
+    });
+    return cycles;
+  }
+
+  static getKnownPlaceholders(stages) {
+    const known = new Set(JourneyValidator.CONTEXT_PLACEHOLDERS);
+    stages.forEach(stage => {
+      [...(stage.requiredData || []), ...(stage.collectData || [])].forEach(field => known.add(field));
+    });
+    return known;
+  }
+
+  static getPlaceholders(template) {
+    const matches = String(template || '').match(/{{\s*([^}]+?)\s*}}/g) || [];
+    return [...new Set(matches.map(match => match.replace(/^{{\s*|\s*}}$/g, '')))];
+  }
+
+  static getSchemaValidator() {
+    if (!JourneyValidator.schemaValidator) {
+      const schema = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'journeySchema.json'), 'utf8'));
+      JourneyValidator.schemaValidator = new Ajv({ allErrors: true }).compile(schema);
+    }
+    return JourneyValidator.schemaValidator;
+  }
+
+  static toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+JourneyValidator.END_STAGE = 'end';
+JourneyValidator.CONTEXT_PLACEHOLDERS = ['customerName'];
+JourneyValidator.JOURNEY_FILES = [
+  path.join(DATA_DIR, 'healthCheckupJourney.json'),
+  path.join(DATA_DIR, 'intentBasedJouneys.json')
+];
+JourneyValidator.schemaValidator = null;
+
+module.exports = JourneyValidator;
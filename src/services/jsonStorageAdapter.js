@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const path = require('path');
+const BaseStorageAdapter = require('./baseStorageAdapter');
+
+/**
+ * JSON file storage adapter
+ * Keeps the original documents.json / chunks.json / customers.json layout as
+ * snapshots. Mutations are appended to a journal (store.journal, one JSON line
+ * per changed record), so a save only writes the records that changed. The
+ * journal is replayed on load and folded back into the snapshots then, and
+ * whenever it grows past `compactAfter` lines.
+ *
+ * The adapter holds no copy of the data: the Maps returned by loadAll() are
+ * the ones VectorStore reads and mutates, and compaction writes them out.
+ * Writes are serialized through a queue; snapshots are written via a temp
+ * file + rename so a crash mid-write never leaves a truncated file behind.
+ */
+class JsonStorageAdapter extends BaseStorageAdapter {
+  /**
+   * @param {string} storageDir - Directory holding the store files
+   * @param {Object} options - { compactAfter } journal lines before the snapshots are rewritten
+   */
+  constructor(storageDir = './data', options = {}) {
+    super(storageDir);
+    this.files = {
+      documents: path.join(storageDir, 'documents.json'),
+      chunks: path.join(storageDir, 'chunks.json'),
+      customers: path.join(storageDir, 'customers.json')
+    };
+    this.journalFile = path.join(storageDir, 'store.journal');
+    this.indexFile = path.join(storageDir, 'vector-index.json');
+    this.indexJournalFile = path.join(storageDir, 'vector-index.journal');
+    this.compactAfter = options.compactAfter || 5000;
+
+    this.collections = null; // Maps handed out by loadAll() (shared with VectorStore, not copied)
+    this.journalLines = 0;
+    this.compactionQueued = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Ensure the storage directory exists
+   */
+  async initialize() {
+    await fs.ensureDir(this.storageDir);
+  }
+
+  /**
+   * Load the snapshots with the journal replayed on top, and compact a
+   * non-empty journal into them
+   * @returns {Promise<Object>} - { documents, chunks, customers } Maps
+   */
+  async loadAll() {
+    const { collections, replayed } = await this.readCollections();
+    this.collections = collections;
+    if (replayed > 0) {
+      await this.compact();
+    }
+    return collections;
+  }
+
+  /**
+   * Read the snapshots and replay the journal without writing anything
+   * (also used by the SQLite adapter to import a JSON store)
+   * @returns {Promise<Object>} - { collections: { documents, chunks, customers }, replayed }
+   */
+  async readCollections() {
+    const collections = {};
+    for (const [name, file] of Object.entries(this.files)) {
+      collections[name] = (await fs.pathExists(file)) ? new Map(Object.entries(await fs.readJson(file))) : new Map();
+    }
+
+    let replayed = 0;
+    if (await fs.pathExists(this.journalFile)) {
+      const lines = (await fs.readFile(this.journalFile, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A crash mid-append can leave a partial last line; the rest is still valid
+          continue;
+        }
+        if (!collections[entry.collection]) {
+          continue;
+        }
+        if (entry.record) {
+          collections[entry.collection].set(entry.id, entry.record);
+        } else {
+          collections[entry.collection].delete(entry.id);
+        }
+        replayed++;
+      }
+    }
+
+    return { collections, replayed };
+  }
+
+  async saveCustomer(customer) {
+    await this.append([JsonStorageAdapter.put('customers', customer)]);
+  }
+
+  async saveDocument(document, customer = null) {
+    await this.append([
+      JsonStorageAdapter.put('documents', document),
+      ...(customer ? [JsonStorageAdapter.put('customers', customer)] : [])
+    ]);
+  }
+
+  async saveChunks(chunks, documents = []) {
+    await this.append([
+      ...chunks.map(chunk => JsonStorageAdapter.put('chunks', chunk)),
+      ...documents.map(document => JsonStorageAdapter.put('documents', document))
+    ]);
+  }
+
+  async deleteDocument(document, customer = null) {
+    await this.append([
+      ...(document.chunkIds || []).map(chunkId => ({ collection: 'chunks', id: chunkId })),
+      { collection: 'documents', id: document.id },
+      ...(customer ? [JsonStorageAdapter.put('customers', customer)] : [])
+    ]);
+  }
+
+  /**
+   * Load the index snapshot and replay the assignment journal on top of it.
+   * A non-empty journal is folded back into the snapshot so it never grows
+   * beyond one process lifetime.
+   */
+  async loadIndex() {
+    if (!(await fs.pathExists(this.indexFile))) {
+      return null;
+    }
+    const indexData = await fs.readJson(this.indexFile);
+    if (!(await fs.pathExists(this.indexJournalFile))) {
+      return indexData;
+    }
+
+    const lines = (await fs.readFile(this.indexJournalFile, 'utf8')).split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a partial last line; the rest is still valid
+        continue;
+      }
+      if (entry.list === null) {
+        delete indexData.assignments[entry.id];
+      } else {
+        indexData.assignments[entry.id] = entry.list;
+      }
+    }
+
+    await this.saveIndex(indexData);
+    return indexData;
+  }
+
+  /**
+   * Write a full index snapshot and drop the journal it supersedes
+   */
+  saveIndex(indexData) {
+    const write = this.writeQueue.then(async () => {
+      if (indexData) {
+        await this.writeAtomic(this.indexFile, indexData);
+      } else {
+        await fs.remove(this.indexFile);
+      }
+      await fs.remove(this.indexJournalFile);
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Append changed assignments to the journal (one JSON line per chunk)
+   */
+  saveIndexAssignments(changes) {
+    const lines = Array.from(changes, ([id, list]) => JSON.stringify({ id, list })).join('\n') + '\n';
+    const write = this.writeQueue.then(() => fs.appendFile(this.indexJournalFile, lines));
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Queue journal lines for changed records; schedules a compaction once the
+   * journal is long enough
+   * @param {Array<Object>} entries - { collection, id, record } (no record = deleted)
+   * @returns {Promise<void>}
+   */
+  append(entries) {
+    // Serialize now so the queued write reflects this mutation even if later ones land first
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    const write = this.writeQueue.then(() => fs.appendFile(this.journalFile, lines));
+
+    // Keep the queue alive after a failed write; the caller still sees the error
+    this.writeQueue = write.catch(() => {});
+    this.journalLines += entries.length;
+    if (this.journalLines >= this.compactAfter && this.collections && !this.compactionQueued) {
+      this.compactionQueued = true;
+      this.compact().catch(error => console.error('Error compacting JSON store journal:', error));
+    }
+    return write;
+  }
+
+  /**
+   * Rewrite the snapshots from the loaded Maps and drop the journal. Journal
+   * replay is idempotent, so lines appended after the snapshot was taken are
+   * simply applied again on the next load.
+   * @returns {Promise<void>}
+   */
+  compact() {
+    const write = this.writeQueue.then(async () => {
+      this.compactionQueued = false;
+      if (!this.collections) {
+        return;
+      }
+      for (const [name, file] of Object.entries(this.files)) {
+        await this.writeAtomic(file, Object.fromEntries(this.collections[name]));
+      }
+      await fs.remove(this.journalFile);
+      this.journalLines = 0;
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write JSON to a temp file and rename it over the target
+   * @param {string} filePath - Target file
+   * @param {Object} data - JSON-serialisable data
+   */
+  async writeAtomic(filePath, data) {
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempFile, data);
+    await fs.move(tempFile, filePath, { overwrite: true });
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  getInfo() {
+    return {
+      backend: 'json',
+      storageDir: this.storageDir,
+      journalLines: this.journalLines
+    };
+  }
+
+  static put(collection, record) {
+    return { collection, id: record.id, record };
+  }
+}
+
+module.exports = JsonStorageAdapter;
@@ -0,0 +1,197 @@
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'how', 'i', 'if', 'in',
+  'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'this', 'to', 'under',
+  'was', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * BM25 keyword index over chunk text, partitioned per customer
+ * Complements embedding search for exact policy terms ("room rent", "co-payment",
+ * "PED") and clause numbers ("4.2.1") that similarity scores tend to miss.
+ */
+class KeywordIndex {
+  constructor(options = {}) {
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+
+    // customerId -> { postings: Map(term -> Map(chunkId -> tf)), lengths: Map(chunkId -> length), totalLength }
+    this.customers = new Map();
+    this.chunkCustomers = new Map(); // chunkId -> customerId
+    this.chunkTerms = new Map(); // chunkId -> distinct terms, for removal
+  }
+
+  /**
+   * Split text into index terms. Hyphenated and dotted compounds ("co-payment",
+   * "4.2.1") are kept whole and also split into their parts.
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Terms
+   */
+  tokenize(text) {
+    if (!text) {
+      return [];
+    }
+
+    const terms = [];
+    const matches = text.toLowerCase().match(/[a-z0-9\u0900-\u097F]+(?:[.\-/][a-z0-9\u0900-\u097F]+)*/g) || [];
+
+    for (const match of matches) {
+      if (/[.\-/]/.test(match)) {
+        terms.push(match);
+        if (/[a-z]/.test(match)) {
+          // "co-payment" also matches "copayment"
+          terms.push(match.replace(/[.\-/]/g, ''));
+        }
+        for (const part of match.split(/[.\-/]/)) {
+          if (part && !STOP_WORDS.has(part)) {
+            terms.push(part);
+          }
+        }
+      } else if (!STOP_WORDS.has(match)) {
+        terms.push(match);
+      }
+    }
+
+    return terms;
+  }
+
+  getCustomerIndex(customerId) {
+    if (!this.customers.has(customerId)) {
+      this.customers.set(customerId, {
+        postings: new Map(),
+        lengths: new Map(),
+        totalLength: 0
+      });
+    }
+    return this.customers.get(customerId);
+  }
+
+  /**
+   * Rebuild the index from a set of chunks
+   * @param {Iterable<Object>} chunks - Chunks with id, customerId and text
+   */
+  build(chunks) {
+    this.customers = new Map();
+    this.chunkCustomers = new Map();
+    this.chunkTerms = new Map();
+    for (const chunk of chunks) {
+      this.add(chunk);
+    }
+  }
+
+  /**
+   * Index a chunk (its text plus any multimodal description)
+   * @param {Object} chunk - Chunk with id, customerId and text
+   */
+  add(chunk) {
+    if (!chunk || !chunk.id || !chunk.customerId) {
+      return;
+    }
+
+    this.remove(chunk.id);
+
+    const terms = this.tokenize([chunk.text, chunk.multimodalDescription].filter(Boolean).join(' '));
+    const index = this.getCustomerIndex(chunk.customerId);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!index.postings.has(term)) {
+        index.postings.set(term, new Map());
+      }
+      index.postings.get(term).set(chunk.id, frequency);
+    }
+
+    index.lengths.set(chunk.id, terms.length);
+    index.totalLength += terms.length;
+    this.chunkCustomers.set(chunk.id, chunk.customerId);
+    this.chunkTerms.set(chunk.id, Array.from(frequencies.keys()));
+  }
+
+  /**
+   * Remove a chunk from the index
+   * @param {string} chunkId - Chunk ID
+   */
+  remove(chunkId) {
+    const customerId = this.chunkCustomers.get(chunkId);
+    if (customerId === undefined) {
+      return;
+    }
+
+    const index = this.customers.get(customerId);
+    index.totalLength -= index.lengths.get(chunkId) || 0;
+    index.lengths.delete(chunkId);
+
+    for (const term of this.chunkTerms.get(chunkId) || []) {
+      const postings = index.postings.get(term);
+      if (postings && postings.delete(chunkId) && postings.size === 0) {
+        index.postings.delete(term);
+      }
+    }
+
+    this.chunkCustomers.delete(chunkId);
+    this.chunkTerms.delete(chunkId);
+  }
+
+  /**
+   * Score a customer's chunks against a query with BM25
+   * @param {string} customerId - Customer ID
+   * @param {string} query - Query text
+   * @param {number} topK - Number of results to return
+   * @param {Function} filter - Optional (chunkId) => boolean
+   * @returns {Array<Object>} - [{ id, score }] sorted by score desc
+   */
+  search(customerId, query, topK = 5, filter = null) {
+    const index = this.customers.get(customerId);
+    if (!index || index.lengths.size === 0) {
+      return [];
+    }
+
+    const documentCount = index.lengths.size;
+    const averageLength = index.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    for (const term of new Set(this.tokenize(query))) {
+      const postings = index.postings.get(term);
+      if (!postings) {
+        continue;
+      }
+
+      const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+
+      for (const [chunkId, frequency] of postings) {
+        if (filter && !filter(chunkId)) {
+          continue;
+        }
+        const length = index.lengths.get(chunkId);
+        const termScore = idf * (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * (length / averageLength)));
+        scores.set(chunkId, (scores.get(chunkId) || 0) + termScore);
+      }
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} - Index statistics
+   */
+  getStats() {
+    let terms = 0;
+    for (const index of this.customers.values()) {
+      terms += index.postings.size;
+    }
+    return {
+      type: 'bm25',
+      customers: this.customers.size,
+      chunks: this.chunkCustomers.size,
+      terms
+    };
+  }
+}
+
+module.exports = KeywordIndex;
@@ -0,0 +1,51 @@
+const GeminiProvider = require('./geminiProvider');
+const FakeLLMProvider = require('./fakeLLMProvider');
+
+const LLM_PROVIDERS = {
+  gemini: GeminiProvider,
+  fake: FakeLLMProvider
+};
+
+/**
+ * LLM Provider Factory
+ * Builds the provider that is injected into GeminiService, EmbeddingService
+ * and (through GeminiService) the journey orchestrators.
+ */
+class LLMProviderFactory {
+  /**
+   * Create a provider from configuration
+   * @param {Object} options - { provider: 'gemini' | 'fake', apiKey, generationModel, embeddingModel, fakeScript, dimensions }
+   * @returns {BaseLLMProvider} - Provider instance
+   */
+  static create(options = {}) {
+    const name = options.provider || process.env.LLM_PROVIDER || 'gemini';
+    const Provider = LLM_PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unsupported LLM provider: ${name}. Supported: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+    }
+
+    console.log(`Using ${name} LLM provider`);
+    return new Provider({
+      ...options,
+      ...(options.fakeScript && { script: options.fakeScript })
+    });
+  }
+
+  /**
+   * Accept either a provider instance or a Gemini API key (older call sites
+   * such as the test-*.js scripts construct services with a key or nothing)
+   * @param {BaseLLMProvider|string|undefined} providerOrApiKey - Provider or API key
+   * @returns {BaseLLMProvider} - Provider instance
+   */
+  static resolve(providerOrApiKey) {
+    if (providerOrApiKey && typeof providerOrApiKey === 'object') {
+      return providerOrApiKey;
+    }
+    return LLMProviderFactory.create({
+      apiKey: providerOrApiKey || process.env.GOOGLE_AI_API_KEY,
+      fakeScript: process.env.FAKE_LLM_SCRIPT
+    });
+  }
+}
+
+module.exports = LLMProviderFactory;
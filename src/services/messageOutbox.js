@@ -0,0 +1,244 @@
+const DELIVERY_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+// Reports can arrive out of order; a message never moves back down this ladder
+const STATUS_RANK = { sent: 1, failed: 2, delivered: 3, read: 4 };
+
+// Infobip delivery report status groups
+const INFOBIP_STATUS_GROUPS = {
+  PENDING: 'sent',
+  DELIVERED: 'delivered',
+  UNDELIVERABLE: 'failed',
+  EXPIRED: 'failed',
+  REJECTED: 'failed'
+};
+
+/**
+ * Status and raw timestamp of a delivery report (see MessageOutbox.parseReport)
+ * @param {Object} report - Delivery report
+ * @returns {Object} - { status, at }; status is null if not recognised
+ */
+function readReportStatus(report) {
+  if (report.seenAt) {
+    return { status: 'read', at: report.seenAt };
+  }
+  if (typeof report.status === 'string') {
+    const status = report.status.toLowerCase();
+    return { status: DELIVERY_STATUSES.includes(status) ? status : null, at: report.at };
+  }
+  if (report.status && typeof report.status === 'object') {
+    return {
+      status: INFOBIP_STATUS_GROUPS[String(report.status.groupName).toUpperCase()] || null,
+      at: report.doneAt || report.sentAt
+    };
+  }
+  return { status: null, at: null };
+}
+
+/**
+ * Message Outbox
+ * Record of every outbound message CommunicationService sends, keyed by
+ * message ID, with its delivery status: sent → delivered → read, or failed.
+ * Delivery reports (POST /api/webhook/delivery-reports) move a message along;
+ * listeners registered with onStatusChange() are told about each change so
+ * conversation histories can show it. Records are kept in the conversation
+ * store ('communication.outbox') and expire with its TTL.
+ */
+class MessageOutbox {
+  /**
+   * @param {Object} options - { conversationStore, maxTextLength }
+   */
+  constructor(options = {}) {
+    this.messages = options.conversationStore
+      ? options.conversationStore.collection('communication.outbox')
+      : new Map();
+    this.maxTextLength = options.maxTextLength || 500;
+    this.listeners = [];
+  }
+
+  /**
+   * Record an outbound message
+   * @param {Object} message - { messageId, channel, customerId, conversationId, jobId, recipient, text, status, error }
+   * @returns {Object} - Stored record
+   */
+  record(message) {
+    const now = new Date().toISOString();
+    const status = message.status || 'sent';
+    const record = {
+      messageId: message.messageId,
+      channel: message.channel,
+      ...(message.customerId && { customerId: message.customerId }),
+      ...(message.conversationId && { conversationId: message.conversationId }),
+      ...(message.jobId && { jobId: message.jobId }),
+      recipient: message.recipient || null,
+      text: typeof message.text === 'string' ? message.text.slice(0, this.maxTextLength) : null,
+      status,
+      ...(message.error && { error: message.error }),
+      createdAt: now,
+      updatedAt: now,
+      [`${status}At`]: now,
+      statusHistory: [{ status, at: now }]
+    };
+    this.messages.set(record.messageId, record);
+    return record;
+  }
+
+  /**
+   * Apply a delivery status to a message
+   * @param {string} messageId - Message ID
+   * @param {string} status - sent | delivered | read | failed
+   * @param {Object} details - { at, error }
+   * @returns {Object|null} - Updated record, or null for unknown messages
+   */
+  updateStatus(messageId, status, details = {}) {
+    const record = this.messages.get(messageId);
+    if (!record) {
+      return null;
+    }
+
+    const at = details.at || new Date().toISOString();
+    const updated = {
+      ...record,
+      updatedAt: new Date().toISOString(),
+      statusHistory: [...record.statusHistory, { status, at, ...(details.error && { error: details.error }) }]
+    };
+    if (!updated[`${status}At`]) {
+      updated[`${status}At`] = at;
+    }
+    if (STATUS_RANK[status] > STATUS_RANK[record.status]) {
+      updated.status = status;
+      if (details.error) {
+        updated.error = details.error;
+      }
+    }
+    this.messages.set(messageId, updated);
+
+    if (updated.status !== record.status) {
+      this.listeners.forEach(listener => {
+        try {
+          listener(updated, record.status);
+        } catch (error) {
+          console.error('Error in delivery status listener:', error);
+        }
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Apply an Infobip delivery or seen report
+   * @param {Object} report - One entry of the webhook `results` array
+   * @returns {Object} - { messageId, status, updated } (updated false for unknown messages)
+   */
+  applyReport(report) {
+    const parsed = MessageOutbox.parseReport(report);
+    if (!parsed.status) {
+      return { messageId: parsed.messageId, status: null, updated: false };
+    }
+    const record = this.updateStatus(parsed.messageId, parsed.status, parsed);
+    return {
+      messageId: parsed.messageId,
+      status: record ? record.status : parsed.status,
+      updated: Boolean(record)
+    };
+  }
+
+  get(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+
+  /**
+   * Whether a sent message is still unread `hours` after it was sent
+   * @param {string} messageId - Message ID
+   * @param {number} hours - Hours since sending
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isUnreadAfter(messageId, hours, now = new Date()) {
+    const record = this.get(messageId);
+    if (!record || record.status === 'read' || record.status === 'failed') {
+      return false;
+    }
+    return now.getTime() - new Date(record.sentAt).getTime() >= hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Outbound messages, newest first
+   * @param {Object} filter - { customerId, conversationId, status, channel }
+   * @returns {Array<Object>} - Records
+   */
+  list(filter = {}) {
+    return Array.from(this.messages.keys())
+      .map(messageId => this.messages.get(messageId))
+      .filter(record => record)
+      .filter(record => !filter.customerId || record.customerId === filter.customerId)
+      .filter(record => !filter.conversationId || record.conversationId === filter.conversationId)
+      .filter(record => !filter.status || record.status === filter.status)
+      .filter(record => !filter.channel || record.channel === filter.channel)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Register a listener for status changes
+   * @param {Function} listener - (record, previousStatus) => void
+   */
+  onStatusChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Flatten a delivery report into { messageId, status, at, error }.
+   * Accepts Infobip delivery reports ({ messageId, status: { groupName }, doneAt, error }),
+   * Infobip seen reports ({ messageId, seenAt }) and the plain form
+   * ({ messageId, status: 'delivered', at }).
+   * @param {Object} report - Delivery report
+   * @returns {Object} - Parsed report; status is null if not recognised
+   */
+  static parseReport(report) {
+    const { status, at } = readReportStatus(report);
+
+    const error = report.error && report.error.groupId !== 0 && report.error.name !== 'NO_ERROR'
+      ? (report.error.description || report.error.name || String(report.error))
+      : null;
+
+    return {
+      messageId: report.messageId,
+      status,
+      at: at ? new Date(at).toISOString() : null,
+      ...(error && status === 'failed' && { error })
+    };
+  }
+
+  /**
+   * Validate a delivery report webhook body
+   * @param {Object} body - { results: [...] }
+   * @returns {Object} - { isValid, errors }
+   */
+  static validateReports(body) {
+    const errors = [];
+
+    if (!body || !Array.isArray(body.results)) {
+      return { isValid: false, errors: ['results must be an array of delivery reports'] };
+    }
+
+    body.results.forEach((report, index) => {
+      if (!report || typeof report !== 'object') {
+        errors.push(`results[${index}] must be an object`);
+        return;
+      }
+      if (!report.messageId) {
+        errors.push(`results[${index}].messageId is required`);
+      }
+      // Check the timestamp parseReport will use, so a bad value is a 400 rather than a RangeError
+      const { at } = readReportStatus(report);
+      if (at && isNaN(new Date(at).getTime())) {
+        errors.push(`results[${index}] has an invalid timestamp: ${at}`);
+      }
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+}
+
+MessageOutbox.STATUSES = DELIVERY_STATUSES;
+
+module.exports = MessageOutbox;
@@ -0,0 +1,152 @@
+const CHUNK_TYPES = ['text', 'multimodal', 'image-only'];
+
+/**
+ * Field definitions: how each filter key reads its value from a chunk/document
+ * pair and how a filter value is matched against it. Array filter values match
+ * if any element matches.
+ */
+const FIELDS = {
+  documentId: {
+    read: (chunk) => chunk.documentId,
+    match: (actual, expected) => actual === expected
+  },
+  filename: {
+    read: (chunk, document) => document?.filename,
+    match: (actual, expected) => !!actual && actual.toLowerCase().includes(String(expected).toLowerCase())
+  },
+  documentType: {
+    // policyType from extractMetadata; multimodal uploads fall back to their contentType
+    read: (chunk, document) => document?.metadata?.policyType || document?.metadata?.contentType,
+    match: (actual, expected) => !!actual && actual.toLowerCase().includes(String(expected).toLowerCase())
+  },
+  policyNumber: {
+    read: (chunk, document) => document?.metadata?.policyNumber,
+    match: (actual, expected) => !!actual && actual.toLowerCase() === String(expected).toLowerCase()
+  },
+  chunkType: {
+    read: (chunk) => chunk.type || 'text',
+    match: (actual, expected) => actual === expected
+  },
+  section: {
+    // Section path from SectionChunker, e.g. "4 EXCLUSIONS > 4.2.1 Pre-existing Diseases"
+    read: (chunk) => chunk.section,
+    match: (actual, expected) => !!actual && actual.toLowerCase().includes(String(expected).toLowerCase())
+  }
+};
+
+const DATE_FIELDS = ['uploadedAfter', 'uploadedBefore'];
+
+/**
+ * Metadata Filter
+ * Restricts chunk search to documents/chunks matching a filter object, e.g.
+ * { documentType: 'health', chunkType: ['text', 'multimodal'], uploadedAfter: '2025-09-01' }.
+ * All given fields must match (AND); array values match any element (OR).
+ */
+class MetadataFilter {
+  constructor(filter = {}) {
+    const validation = MetadataFilter.validate(filter);
+    if (!validation.isValid) {
+      throw new Error(`Invalid filter: ${validation.errors.join(', ')}`);
+    }
+    this.filter = filter;
+    this.uploadedAfter = filter.uploadedAfter ? new Date(filter.uploadedAfter) : null;
+    this.uploadedBefore = filter.uploadedBefore ? new Date(filter.uploadedBefore) : null;
+  }
+
+  /**
+   * Validate a filter object
+   * @param {Object} filter - Filter to validate
+   * @returns {Object} - Validation result { isValid, errors }
+   */
+  static validate(filter) {
+    const validation = {
+      isValid: true,
+      errors: []
+    };
+
+    if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+      validation.isValid = false;
+      validation.errors.push('Filter must be an object');
+      return validation;
+    }
+
+    for (const [key, value] of Object.entries(filter)) {
+      if (DATE_FIELDS.includes(key)) {
+        if (isNaN(new Date(value).getTime())) {
+          validation.errors.push(`${key} must be a valid date`);
+        }
+      } else if (!FIELDS[key]) {
+        validation.errors.push(`Unknown filter field "${key}". Supported: ${[...Object.keys(FIELDS), ...DATE_FIELDS].join(', ')}`);
+      } else if (key === 'chunkType') {
+        const types = Array.isArray(value) ? value : [value];
+        const invalid = types.filter(type => !CHUNK_TYPES.includes(type));
+        if (invalid.length > 0) {
+          validation.errors.push(`chunkType must be one of: ${CHUNK_TYPES.join(', ')}`);
+        }
+      }
+    }
+
+    validation.isValid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Build a filter from request options, or null when no filter was given
+   * @param {Object|MetadataFilter|null} filter - Filter object or instance
+   * @returns {MetadataFilter|null}
+   */
+  static from(filter) {
+    if (!filter) {
+      return null;
+    }
+    if (filter instanceof MetadataFilter) {
+      return filter;
+    }
+    return Object.keys(filter).length > 0 ? new MetadataFilter(filter) : null;
+  }
+
+  /**
+   * Check whether a chunk (and its parent document) satisfies the filter
+   * @param {Object} chunk - Chunk
+   * @param {Object|null} document - Parent document
+   * @returns {boolean}
+   */
+  matches(chunk, document) {
+    if (!chunk) {
+      return false;
+    }
+
+    for (const [key, expected] of Object.entries(this.filter)) {
+      const field = FIELDS[key];
+      if (!field) {
+        continue;
+      }
+      const actual = field.read(chunk, document);
+      const values = Array.isArray(expected) ? expected : [expected];
+      if (!values.some(value => field.match(actual, value))) {
+        return false;
+      }
+    }
+
+    if (this.uploadedAfter || this.uploadedBefore) {
+      const uploadedAt = document?.metadata?.createdAt ? new Date(document.metadata.createdAt) : null;
+      if (!uploadedAt) {
+        return false;
+      }
+      if (this.uploadedAfter && uploadedAt < this.uploadedAfter) {
+        return false;
+      }
+      if (this.uploadedBefore && uploadedAt > this.uploadedBefore) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  toJSON() {
+    return this.filter;
+  }
+}
+
+module.exports = MetadataFilter;
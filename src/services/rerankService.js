@@ -0,0 +1,247 @@
+const KeywordIndex = require('./keywordIndex');
+
+const RERANK_STRATEGIES = ['none', 'local', 'llm'];
+
+/**
+ * Rerank Service
+ * Optional stage between retrieval and prompting. Re-scores the top N retrieved
+ * chunks against the query - with a local lexical/semantic blend or by asking
+ * Gemini to grade each passage - and can apply maximal marginal relevance (MMR)
+ * so overlapping chunks from chunkText don't crowd out other evidence.
+ */
+class RerankService {
+  constructor(geminiService, options = {}) {
+    this.geminiService = geminiService;
+    this.defaultStrategy = options.defaultStrategy || 'none';
+    this.candidates = options.candidates || 20;
+    this.mmrLambda = options.mmrLambda !== undefined ? options.mmrLambda : 0.7;
+    this.tokenizer = new KeywordIndex();
+  }
+
+  /**
+   * Whether a request asks for any reranking work
+   * @param {Object} options - { rerank, mmr }
+   * @returns {boolean}
+   */
+  isEnabled(options = {}) {
+    const strategy = options.rerank || this.defaultStrategy;
+    return strategy !== 'none' || !!options.mmr;
+  }
+
+  /**
+   * Rerank retrieved chunks
+   * @param {string} query - User query
+   * @param {Array<Object>} chunks - Retrieved chunks, best first
+   * @param {Object} options - { rerank: 'none' | 'local' | 'llm', mmr, mmrLambda, candidates, topK }
+   * @returns {Promise<Array<Object>>} - Top chunks annotated with preRerankScore/rerankScore
+   */
+  async rerank(query, chunks, options = {}) {
+    const {
+      rerank: strategy = this.defaultStrategy,
+      mmr = false,
+      mmrLambda = this.mmrLambda,
+      candidates: candidateCount = this.candidates,
+      topK = 5
+    } = options;
+
+    if (!RERANK_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid rerank strategy: ${strategy}. Supported: ${RERANK_STRATEGIES.join(', ')}`);
+    }
+
+    if (!chunks || chunks.length === 0) {
+      return [];
+    }
+
+    const candidates = chunks.slice(0, candidateCount).map((chunk, index) => ({
+      ...chunk,
+      preRerankRank: index + 1,
+      preRerankScore: chunk.fusedScore !== undefined ? chunk.fusedScore : chunk.similarity
+    }));
+
+    let scores;
+    let appliedStrategy = strategy;
+    if (strategy === 'llm') {
+      scores = await this.scoreWithLLM(query, candidates);
+      if (!scores) {
+        appliedStrategy = 'local';
+      }
+    }
+    if (appliedStrategy === 'local') {
+      scores = this.scoreLocally(query, candidates);
+    }
+    if (appliedStrategy === 'none') {
+      // Keep retrieval order; normalise so MMR can weigh it against redundancy
+      const maxScore = Math.max(...candidates.map(chunk => chunk.preRerankScore || 0)) || 1;
+      scores = candidates.map(chunk => (chunk.preRerankScore || 0) / maxScore);
+    }
+
+    const scored = candidates.map((chunk, index) => ({
+      ...chunk,
+      rerankScore: Math.round(scores[index] * 1000) / 1000,
+      rerankStrategy: appliedStrategy + (mmr ? '+mmr' : '')
+    }));
+
+    const ordered = mmr
+      ? this.applyMMR(scored, topK, mmrLambda)
+      : scored.sort((a, b) => b.rerankScore - a.rerankScore).slice(0, topK);
+
+    console.log(`Reranked ${candidates.length} chunks with ${appliedStrategy}${mmr ? ' + MMR' : ''}: ${ordered.map(chunk => chunk.preRerankRank).join(', ')}`);
+
+    return ordered.map((chunk, index) => ({ ...chunk, rerankRank: index + 1 }));
+  }
+
+  /**
+   * Local relevance model: blend of retrieval similarity, query-term coverage
+   * and exact phrase (bigram) matches.
+   * @param {string} query - User query
+   * @param {Array<Object>} chunks - Candidate chunks
+   * @returns {Array<number>} - Scores in [0, 1]
+   */
+  scoreLocally(query, chunks) {
+    const queryTerms = Array.from(new Set(this.tokenizer.tokenize(query)));
+    const queryBigrams = this.bigrams(queryTerms);
+
+    return chunks.map(chunk => {
+      const chunkTerms = this.tokenizer.tokenize([chunk.text, chunk.multimodalDescription].filter(Boolean).join(' '));
+      const chunkTermSet = new Set(chunkTerms);
+      const chunkBigrams = new Set(this.bigrams(chunkTerms));
+
+      const coverage = queryTerms.length > 0
+        ? queryTerms.filter(term => chunkTermSet.has(term)).length / queryTerms.length
+        : 0;
+      const phraseMatch = queryBigrams.length > 0
+        ? queryBigrams.filter(bigram => chunkBigrams.has(bigram)).length / queryBigrams.length
+        : 0;
+      const similarity = Math.max(0, Math.min(1, chunk.similarity || 0));
+
+      return 0.5 * similarity + 0.35 * coverage + 0.15 * phraseMatch;
+    });
+  }
+
+  bigrams(terms) {
+    const bigrams = [];
+    for (let i = 0; i < terms.length - 1; i++) {
+      bigrams.push(`${terms[i]} ${terms[i + 1]}`);
+    }
+    return bigrams;
+  }
+
+  /**
+   * Ask Gemini to grade each passage's relevance to the query
+   * @param {string} query - User query
+   * @param {Array<Object>} chunks - Candidate chunks
+   * @returns {Promise<Array<number>|null>} - Scores in [0, 1], or null if grading failed
+   */
+  async scoreWithLLM(query, chunks) {
+    try {
+      const passages = chunks
+        .map((chunk, index) => `[${index + 1}] ${(chunk.text || chunk.multimodalDescription || '').substring(0, 600)}`)
+        .join('\n\n');
+
+      const prompt = `You are grading insurance policy passages for how well they answer a customer's question.
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Score every passage from 0 (irrelevant) to 10 (directly answers the question). Respond with ONLY a JSON array like [{"index": 1, "score": 7}, ...] covering all ${chunks.length} passages.`;
+
+      const result = await this.geminiService.generateContentWithRetry({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: 0,
+          maxOutputTokens: 512
+        }
+      });
+
+      const match = result.response.text().match(/\[[\s\S]*\]/);
+      if (!match) {
+        throw new Error('No JSON array in rerank response');
+      }
+
+      const grades = JSON.parse(match[0]);
+      const scores = new Array(chunks.length).fill(0);
+      for (const grade of grades) {
+        const position = Number(grade.index) - 1;
+        if (position >= 0 && position < chunks.length) {
+          scores[position] = Math.max(0, Math.min(10, Number(grade.score) || 0)) / 10;
+        }
+      }
+      return scores;
+    } catch (error) {
+      console.error('Error scoring chunks with LLM, falling back to local rerank:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Maximal marginal relevance selection
+   * @param {Array<Object>} chunks - Chunks with rerankScore
+   * @param {number} topK - Number of chunks to select
+   * @param {number} lambda - Relevance vs. diversity trade-off (1 = relevance only)
+   * @returns {Array<Object>} - Selected chunks in selection order
+   */
+  applyMMR(chunks, topK, lambda) {
+    const remaining = [...chunks];
+    const selected = [];
+
+    while (selected.length < topK && remaining.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+
+      remaining.forEach((chunk, index) => {
+        const redundancy = selected.length > 0
+          ? Math.max(...selected.map(other => this.chunkSimilarity(chunk, other)))
+          : 0;
+        const score = lambda * chunk.rerankScore - (1 - lambda) * redundancy;
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+
+      selected.push(remaining.splice(bestIndex, 1)[0]);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Similarity between two chunks: embedding cosine when available, else term Jaccard
+   * @param {Object} a - Chunk
+   * @param {Object} b - Chunk
+   * @returns {number} - Similarity in [0, 1]
+   */
+  chunkSimilarity(a, b) {
+    if (a.embedding && b.embedding && a.embedding.length === b.embedding.length) {
+      let dot = 0;
+      let normA = 0;
+      let normB = 0;
+      for (let i = 0; i < a.embedding.length; i++) {
+        dot += a.embedding[i] * b.embedding[i];
+        normA += a.embedding[i] * a.embedding[i];
+        normB += b.embedding[i] * b.embedding[i];
+      }
+      return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+    }
+
+    const termsA = new Set(this.tokenizer.tokenize(a.text));
+    const termsB = new Set(this.tokenizer.tokenize(b.text));
+    const union = new Set([...termsA, ...termsB]).size;
+    if (union === 0) {
+      return 0;
+    }
+    let intersection = 0;
+    for (const term of termsA) {
+      if (termsB.has(term)) {
+        intersection++;
+      }
+    }
+    return intersection / union;
+  }
+}
+
+RerankService.STRATEGIES = RERANK_STRATEGIES;
+
+module.exports = RerankService;
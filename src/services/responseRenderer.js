@@ -0,0 +1,100 @@
+/**
+ * Response Renderer
+ * Renders a StructuredResponse ({ text, choices }) for channels that can
+ * show more than text:
+ * - toRichContent(): Dialogflow Messenger rich content - a list card per
+ *   hospital or package choice and suggestion chips for every choice
+ * - toSsml(): a voice-only variant with pauses between lines and, when the
+ *   text does not already name them, the options read out at the end
+ * Text channels (WhatsApp, SMS, email) send `text` as is.
+ */
+class ResponseRenderer {
+  /**
+   * Dialogflow Messenger rich content
+   * @param {Object} response - Structured response
+   * @returns {Array<Array<Object>>|null} - richContent, or null when there are no choices
+   */
+  static toRichContent(response) {
+    const choices = response?.choices || [];
+    if (choices.length === 0) {
+      return null;
+    }
+
+    const items = [];
+    choices
+      .filter(choice => choice.type !== 'quick_reply')
+      .forEach((choice, index) => {
+        if (index > 0) {
+          items.push({ type: 'divider' });
+        }
+        items.push({
+          type: 'list',
+          title: choice.label,
+          subtitle: ResponseRenderer.describeChoice(choice)
+        });
+      });
+
+    items.push({
+      type: 'chips',
+      options: choices.map(choice => ({ text: choice.value }))
+    });
+
+    return [items];
+  }
+
+  /**
+   * Voice-only SSML
+   * @param {Object} response - Structured response
+   * @returns {string} - <speak> document
+   */
+  static toSsml(response) {
+    const text = response?.text || '';
+    const lines = text
+      .replace(/[*_~`#]/g, '')
+      .split(/\n+/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => ResponseRenderer.escapeSsml(line));
+
+    let ssml = lines.join('<break time="300ms"/>');
+
+    // Read the options out unless the text already names them
+    const options = (response?.choices || []).filter(choice => choice.type !== 'quick_reply');
+    const lowerText = text.toLowerCase();
+    if (options.length > 0 && !options.every(choice => lowerText.includes(String(choice.label).toLowerCase()))) {
+      const spoken = options.map((choice, i) => `${i + 1}: ${ResponseRenderer.escapeSsml(choice.label)}`);
+      ssml += `<break time="500ms"/>Your options are<break time="200ms"/>${spoken.join('<break time="300ms"/>')}`;
+    }
+
+    return `<speak>${ssml}</speak>`;
+  }
+
+  /**
+   * One-line subtitle for a list card
+   * @param {Object} choice - Hospital or package choice
+   * @returns {string} - Subtitle
+   */
+  static describeChoice(choice) {
+    if (choice.type === 'hospital') {
+      return [choice.address, choice.networkType && `${choice.networkType} network`].filter(Boolean).join(' · ');
+    }
+    if (choice.type === 'package') {
+      return [
+        choice.price !== null && choice.price !== undefined && `₹${choice.price}`,
+        choice.tests?.length && `${choice.tests.length} tests`
+      ].filter(Boolean).join(' · ');
+    }
+    return '';
+  }
+
+  static escapeSsml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = ResponseRenderer;
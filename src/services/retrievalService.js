@@ -0,0 +1,148 @@
+const MetadataFilter = require('./metadataFilter');
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const FUSION_METHODS = ['rrf', 'weighted'];
+
+/**
+ * Retrieval Service
+ * Picks the chunks handed to GeminiService for a policy query. Combines
+ * embedding similarity from the vector index with BM25 keyword relevance,
+ * fused by reciprocal rank fusion (default) or a weighted score blend.
+ */
+class RetrievalService {
+  constructor(vectorStore, embeddingService, options = {}) {
+    this.vectorStore = vectorStore;
+    this.embeddingService = embeddingService;
+    this.defaultMode = options.defaultMode || 'hybrid';
+    this.defaultFusion = options.fusion || 'rrf';
+    this.rrfK = options.rrfK || 60;
+    this.vectorWeight = options.vectorWeight !== undefined ? options.vectorWeight : 0.6;
+    this.candidateMultiplier = options.candidateMultiplier || 3;
+  }
+
+  /**
+   * Retrieve relevant chunks for a customer query
+   * @param {string} customerId - Customer ID
+   * @param {string} queryText - Query text used for both embedding and keyword search
+   * @param {Object} options - { topK, similarityThreshold, retrievalMode, fusion, vectorWeight, filter }
+   * @returns {Promise<Object>} - { chunks, retrievalMode, embeddingResult, filter }
+   */
+  async retrieve(customerId, queryText, options = {}) {
+    const {
+      topK = 5,
+      similarityThreshold = 0.5,
+      retrievalMode = this.defaultMode,
+      fusion = this.defaultFusion,
+      vectorWeight = this.vectorWeight
+    } = options;
+    const filter = MetadataFilter.from(options.filter);
+
+    if (!RETRIEVAL_MODES.includes(retrievalMode)) {
+      throw new Error(`Invalid retrievalMode: ${retrievalMode}. Supported: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+    if (!FUSION_METHODS.includes(fusion)) {
+      throw new Error(`Invalid fusion: ${fusion}. Supported: ${FUSION_METHODS.join(', ')}`);
+    }
+
+    const candidateK = topK * this.candidateMultiplier;
+    let embeddingResult = null;
+    let vectorHits = [];
+    let keywordHits = [];
+
+    if (retrievalMode !== 'keyword') {
+      embeddingResult = await this.embeddingService.generateEmbedding(queryText);
+      vectorHits = this.vectorStore.searchSimilarChunks(customerId, embeddingResult.values, candidateK, similarityThreshold, filter);
+    }
+
+    if (retrievalMode !== 'vector') {
+      keywordHits = this.vectorStore.searchKeywordChunks(customerId, queryText, candidateK, filter);
+    }
+
+    let chunks;
+    if (retrievalMode === 'vector') {
+      chunks = vectorHits.slice(0, topK).map(chunk => ({ ...chunk, retrievalSources: ['vector'] }));
+    } else if (retrievalMode === 'keyword') {
+      // No query embedding in keyword mode: report BM25 normalised to the top hit as similarity
+      const maxScore = keywordHits.length > 0 ? keywordHits[0].keywordScore : 1;
+      chunks = keywordHits.slice(0, topK).map(chunk => ({
+        ...chunk,
+        similarity: chunk.keywordScore / maxScore,
+        retrievalSources: ['keyword']
+      }));
+    } else {
+      chunks = this.fuse(vectorHits, keywordHits, embeddingResult.values, { fusion, vectorWeight }).slice(0, topK);
+    }
+
+    console.log(`Retrieved ${chunks.length} chunks for customer ${customerId} (${retrievalMode}: ${vectorHits.length} vector, ${keywordHits.length} keyword candidates)${filter ? ` with filter ${JSON.stringify(filter)}` : ''}`);
+
+    return {
+      chunks,
+      retrievalMode,
+      embeddingResult,
+      filter: filter ? filter.toJSON() : null
+    };
+  }
+
+  /**
+   * Fuse vector and keyword result lists
+   * @param {Array<Object>} vectorHits - Chunks with similarity, best first
+   * @param {Array<Object>} keywordHits - Chunks with keywordScore, best first
+   * @param {Array<number>} queryVector - Query embedding, to score keyword-only hits
+   * @param {Object} options - { fusion: 'rrf' | 'weighted', vectorWeight }
+   * @returns {Array<Object>} - Fused chunks with fusedScore, best first
+   */
+  fuse(vectorHits, keywordHits, queryVector, options = {}) {
+    const { fusion = this.defaultFusion, vectorWeight = this.vectorWeight } = options;
+    const entries = new Map();
+
+    vectorHits.forEach((chunk, rank) => {
+      entries.set(chunk.id, { chunk, similarity: chunk.similarity, vectorRank: rank, keywordScore: 0, keywordRank: null });
+    });
+
+    keywordHits.forEach((chunk, rank) => {
+      const entry = entries.get(chunk.id);
+      if (entry) {
+        entry.keywordScore = chunk.keywordScore;
+        entry.keywordRank = rank;
+      } else {
+        entries.set(chunk.id, {
+          chunk,
+          similarity: this.vectorStore.calculateCosineSimilarity(queryVector, chunk.embedding),
+          vectorRank: null,
+          keywordScore: chunk.keywordScore,
+          keywordRank: rank
+        });
+      }
+    });
+
+    const maxKeywordScore = keywordHits.length > 0 ? keywordHits[0].keywordScore : 1;
+
+    return Array.from(entries.values())
+      .map(entry => {
+        let fusedScore;
+        if (fusion === 'weighted') {
+          fusedScore = vectorWeight * entry.similarity + (1 - vectorWeight) * (entry.keywordScore / maxKeywordScore);
+        } else {
+          fusedScore = (entry.vectorRank !== null ? 1 / (this.rrfK + entry.vectorRank + 1) : 0) +
+            (entry.keywordRank !== null ? 1 / (this.rrfK + entry.keywordRank + 1) : 0);
+        }
+
+        return {
+          ...entry.chunk,
+          similarity: entry.similarity,
+          keywordScore: entry.keywordScore,
+          fusedScore,
+          retrievalSources: [
+            ...(entry.vectorRank !== null ? ['vector'] : []),
+            ...(entry.keywordRank !== null ? ['keyword'] : [])
+          ]
+        };
+      })
+      .sort((a, b) => b.fusedScore - a.fusedScore);
+  }
+}
+
+RetrievalService.RETRIEVAL_MODES = RETRIEVAL_MODES;
+RetrievalService.FUSION_METHODS = FUSION_METHODS;
+
+module.exports = RetrievalService;
@@ -1,62 +1,101 @@
 const CommunicationService = require('./communicationService');
+const JobQueue = require('./jobQueue');
+const SendPolicy = require('./sendPolicy');
 
 /**
  * Scheduling Agent Service
- * Manages scheduled messages and automated follow-ups for customer journeys
+ * Manages scheduled messages and automated follow-ups for customer journeys.
+ * Messages are jobs on a durable JobQueue, so they survive restarts and are
+ * retried with backoff when sending fails. Before sending, the SendPolicy
+ * defers messages outside the customer's window or over their daily limit
+ * and drops them for customers on do-not-disturb.
+ *
+ * Sent messages are recorded in the conversation history with their message
+ * ID and delivery status, which delivery reports keep up to date. A message
+ * with `ifNotRead: { hours }` is only sent if an earlier message in its
+ * series is still unread that many hours after it went out.
  */
 class SchedulingAgent {
-  constructor(geminiService = null, intentJourneyService = null) {
-    this.communicationService = new CommunicationService();
+  /**
+   * @param {GeminiService} geminiService - Used to humanize scripted messages
+   * @param {Object} intentJourneyService - Supplies conversation history and policy info
+   * @param {Object} options - { jobQueue (shared queue; a private in-memory queue if omitted), jobType, sendPolicy (default 9am–9pm IST), communicationService }
+   */
+  constructor(geminiService = null, intentJourneyService = null, options = {}) {
+    this.communicationService = options.communicationService || new CommunicationService();
     this.geminiService = geminiService;
     this.intentJourneyService = intentJourneyService;
-    this.scheduledMessages = new Map(); // conversationId -> array of scheduled messages
-    this.executedMessages = new Map(); // conversationId -> array of executed messages
+    this.jobQueue = options.jobQueue || new JobQueue();
+    this.jobType = options.jobType || 'scheduled_message';
+    this.sendPolicy = options.sendPolicy || new SendPolicy();
     this.defaultDelay = 10000; // 10 seconds default delay between messages
+
+    this.jobQueue.registerHandler(this.jobType, (job, context) => this.sendScheduledMessage(job, context));
+    this.communicationService.outbox.onStatusChange(record => this.applyDeliveryStatus(record));
   }
 
   /**
-   * Schedule a series of follow-up messages
+   * Schedule a series of follow-up messages.
+   * A message is sent at `sendAt` when given (Date, ISO string or epoch ms);
+   * otherwise `delayInSeconds` after the previous message (or now).
    * @param {string} conversationId - Conversation ID
    * @param {string} customerId - Customer ID
-   * @param {Array} messages - Array of message objects {text, delayInSeconds}
+   * @param {Array} messages - Array of message objects {text, delayInSeconds, sendAt, channel, ifNotRead}.
+   *   `ifNotRead: { hours, messageIndex }` sends the message only if message `messageIndex` of this
+   *   series (default: the previous one) is still unread `hours` after it was sent
+   * @param {Object} options - { channel } for messages that don't set their own (default WHATSAPP)
    * @returns {Object} - Scheduling result
    */
-  scheduleMessages(conversationId, customerId, messages) {
+  scheduleMessages(conversationId, customerId, messages, options = {}) {
     try {
       console.log(`Scheduling ${messages.length} messages for conversation ${conversationId}`);
 
-      const scheduled = [];
-      let cumulativeDelay = 0;
-
-      messages.forEach((message, index) => {
-        const delay = message.delayInSeconds ? message.delayInSeconds * 1000 : this.defaultDelay;
-        cumulativeDelay += delay;
+      // Validate every send time before queueing any message
+      let previousTime = Date.now();
+      const sendTimes = messages.map((message) => {
+        if (message.sendAt !== undefined && message.sendAt !== null) {
+          const sendAt = JobQueue.toDate(message.sendAt);
+          if (!sendAt) {
+            throw new Error(`Invalid sendAt: ${message.sendAt}`);
+          }
+          previousTime = sendAt.getTime();
+        } else {
+          previousTime += message.delayInSeconds ? message.delayInSeconds * 1000 : this.defaultDelay;
+        }
+        return new Date(previousTime);
+      });
 
-        const scheduledTime = new Date(Date.now() + cumulativeDelay);
-        
-        const messageJob = {
-          id: `${conversationId}_${index}_${Date.now()}`,
-          conversationId,
-          customerId,
-          text: message.text,
-          scheduledTime: scheduledTime.toISOString(),
-          delayMs: cumulativeDelay,
-          status: 'scheduled',
-          createdAt: new Date().toISOString()
-        };
-
-        // Schedule the message to be sent
-        const timeoutId = setTimeout(() => {
-          this.sendScheduledMessage(messageJob);
-        }, cumulativeDelay);
-
-        messageJob.timeoutId = timeoutId;
-        scheduled.push(messageJob);
+      const batchTime = Date.now();
+      const jobIds = messages.map((message, index) => `${conversationId}_${index}_${batchTime}`);
+      const readConditions = messages.map((message, index) => {
+        if (!message.ifNotRead) {
+          return null;
+        }
+        const { hours, messageIndex = index - 1 } = message.ifNotRead;
+        if (typeof hours !== 'number' || hours <= 0) {
+          throw new Error(`ifNotRead.hours must be a positive number (message ${index})`);
+        }
+        if (!Number.isInteger(messageIndex) || messageIndex < 0 || messageIndex >= index) {
+          throw new Error(`ifNotRead.messageIndex must refer to an earlier message (message ${index})`);
+        }
+        return { jobId: jobIds[messageIndex], hours };
       });
 
-      // Store scheduled messages
-      const existing = this.scheduledMessages.get(conversationId) || [];
-      this.scheduledMessages.set(conversationId, [...existing, ...scheduled]);
+      const scheduled = messages.map((message, index) => this.jobQueue.enqueue({
+        id: jobIds[index],
+        type: this.jobType,
+        conversationId,
+        customerId,
+        text: message.text,
+        channel: message.channel || options.channel || 'WHATSAPP',
+        ...(readConditions[index] && { ifNotRead: readConditions[index] }),
+        runAt: sendTimes[index]
+      }));
+
+      console.log(`Scheduled jobs ${scheduled.map(job => job.id).join(', ')}`);
+
+      // Pick the jobs up even if nobody started the queue yet
+      this.jobQueue.start();
 
       return {
         success: true,
@@ -80,67 +119,177 @@ class SchedulingAgent {
   }
 
   /**
-   * Send a scheduled message
+   * Send a scheduled message (JobQueue handler; throws so the queue retries)
    * @param {Object} messageJob - Message job to execute
+   * @param {Object} context - { force: true } skips the read condition and send policy (admin send-now)
+   * @returns {Promise<Object>} - { finalText, sendResult }, or a deferred/skipped outcome
    */
-  async sendScheduledMessage(messageJob) {
-    try {
-      console.log(`Executing scheduled message ${messageJob.id}`);
-      console.log(`Scripted message: ${messageJob.text}`);
+  async sendScheduledMessage(messageJob, context = {}) {
+    if (!context.force && messageJob.ifNotRead) {
+      const condition = this.checkReadCondition(messageJob);
+      if (condition) {
+        return condition;
+      }
+    }
+
+    if (!context.force) {
+      const decision = this.sendPolicy.evaluate(messageJob.customerId, {
+        sentTimes: this.jobQueue.list({ customerId: messageJob.customerId, status: 'sent' }).map(job => job.sentAt)
+      });
+      if (decision.action === 'defer') {
+        return JobQueue.deferred(decision.until, decision.reason);
+      }
+      if (decision.action === 'cancel') {
+        return JobQueue.skipped(decision.reason);
+      }
+    }
 
-      let finalMessageText = messageJob.text;
+    console.log(`Executing scheduled message ${messageJob.id} (attempt ${messageJob.attempts})`);
 
-      // If Gemini service is available, generate a better version of the message
-      if (this.geminiService && this.intentJourneyService) {
-        console.log('Generating humanized message via Gemini...');
+    // Reuse the text generated by an earlier failed attempt
+    let finalMessageText = messageJob.finalText || messageJob.text;
+
+    // If Gemini service is available, generate a better version of the message
+    if (!messageJob.finalText && this.geminiService && this.intentJourneyService) {
+      console.log(`Generating humanized message for ${messageJob.id} via Gemini...`);
+      
+      try {
+        // Get conversation history
+        const conversationHistory = this.intentJourneyService.getConversationHistory(messageJob.customerId);
         
-        try {
-          // Get conversation history
-          const conversationHistory = this.intentJourneyService.getConversationHistory(messageJob.customerId);
-          
-          // Get policy info
-          const policyInfo = this.intentJourneyService.policyInfo;
-          
-          // Build prompt for Gemini to humanize the scripted message
-          const generatedMessage = await this.generateHumanizedMessage(
-            messageJob.text,
-            conversationHistory,
-            policyInfo,
-            messageJob.customerId
-          );
-          
-          finalMessageText = generatedMessage;
-          console.log(`Generated humanized message: ${finalMessageText}`);
-          
-        } catch (geminiError) {
-          console.error('Error generating message via Gemini, using scripted version:', geminiError);
-          // Fall back to scripted message
-        }
+        // Get policy info
+        const policyInfo = this.intentJourneyService.policyInfo;
+        
+        // Build prompt for Gemini to humanize the scripted message
+        const generatedMessage = await this.generateHumanizedMessage(
+          messageJob.text,
+          conversationHistory,
+          policyInfo,
+          messageJob.customerId
+        );
+        
+        finalMessageText = generatedMessage;
+        this.jobQueue.updateJob(messageJob.id, { finalText: finalMessageText });
+        console.log(`Generated humanized message for ${messageJob.id}`);
+        
+      } catch (geminiError) {
+        console.error(`Error generating message for ${messageJob.id} via Gemini, using scripted version:`, geminiError);
+        // Fall back to scripted message
       }
+    }
 
-      // Convert escaped newlines to actual newlines for WhatsApp
-      const whatsappMessage = finalMessageText.replace(/\\n/g, '\n');
-      
-      // Send message via WhatsApp
-      const sendResult = await this.communicationService.sendMessage(whatsappMessage);
+    // Convert escaped newlines to actual newlines
+    const outgoingMessage = finalMessageText.replace(/\\n/g, '\n');
+    
+    // Send on the journey's channel (jobs queued before channels existed were WhatsApp)
+    const channel = messageJob.channel || 'WHATSAPP';
+    const sendResult = await this.communicationService.sendMessage(outgoingMessage, {
+      channel,
+      customerId: messageJob.customerId,
+      conversationId: messageJob.conversationId,
+      jobId: messageJob.id
+    });
+    if (!sendResult.success) {
+      const reason = typeof sendResult.error === 'string' ? sendResult.error : JSON.stringify(sendResult.error);
+      throw new Error(`${channel} send failed: ${reason}`);
+    }
 
-      // Update message status
-      messageJob.status = sendResult.success ? 'sent' : 'failed';
-      messageJob.sentAt = new Date().toISOString();
-      messageJob.sendResult = sendResult;
-      messageJob.finalText = finalMessageText;
+    console.log(`Scheduled message ${messageJob.id} sent on ${channel} (${sendResult.messageId})`);
+    const deliveryStatus = this.communicationService.outbox.get(sendResult.messageId)?.status || 'sent';
+    this.jobQueue.updateJob(messageJob.id, { messageId: sendResult.messageId, deliveryStatus });
+    this.recordInHistory(messageJob, finalMessageText, sendResult, deliveryStatus);
+    return {
+      finalText: finalMessageText,
+      sendResult: { success: true, channel: sendResult.channel, messageId: sendResult.messageId, data: sendResult.data }
+    };
+  }
 
-      // Move to executed messages
-      const executed = this.executedMessages.get(messageJob.conversationId) || [];
-      executed.push(messageJob);
-      this.executedMessages.set(messageJob.conversationId, executed);
+  /**
+   * Decide whether an `ifNotRead` message is due: skipped once the earlier
+   * message has been read (or was never sent), deferred until `hours` after
+   * it was sent
+   * @param {Object} messageJob - Job with ifNotRead: { jobId, hours }
+   * @returns {Object|null} - Deferred/skipped outcome, or null to send now
+   */
+  checkReadCondition(messageJob) {
+    const { jobId, hours } = messageJob.ifNotRead;
+    const waitMs = hours * 60 * 60 * 1000;
+    const earlier = this.jobQueue.getJob(jobId);
 
-      console.log(`Scheduled message ${messageJob.id} status: ${messageJob.status}`);
+    if (!earlier || earlier.status === 'failed' || earlier.status === 'cancelled') {
+      return JobQueue.skipped('earlier_message_not_sent');
+    }
+    if (earlier.status !== 'sent') {
+      const earliestSend = JobQueue.toDate(earlier.nextAttemptAt || earlier.scheduledTime) || new Date();
+      return JobQueue.deferred(new Date(Math.max(earliestSend.getTime(), Date.now()) + waitMs), 'awaiting_earlier_message');
+    }
 
-    } catch (error) {
-      console.error(`Error sending scheduled message ${messageJob.id}:`, error);
-      messageJob.status = 'error';
-      messageJob.error = error.message;
+    const messageId = earlier.result?.sendResult?.messageId;
+    const record = messageId ? this.communicationService.outbox.get(messageId) : null;
+    if (record?.status === 'read') {
+      return JobQueue.skipped('earlier_message_read');
+    }
+
+    const due = new Date(new Date(earlier.sentAt).getTime() + waitMs);
+    return due > new Date() ? JobQueue.deferred(due, 'awaiting_read') : null;
+  }
+
+  /**
+   * Record a sent message in the journey's conversation history. Updates
+   * the entry written when the message was scheduled (matched by job ID), or
+   * appends one.
+   * @param {Object} messageJob - Sent job
+   * @param {string} text - Text that was sent
+   * @param {Object} sendResult - CommunicationService result
+   * @param {string} deliveryStatus - Status recorded in the message outbox
+   */
+  recordInHistory(messageJob, text, sendResult, deliveryStatus) {
+    const histories = this.intentJourneyService?.conversationHistories;
+    if (!histories || !histories.has(messageJob.conversationId)) {
+      return;
+    }
+
+    const history = histories.get(messageJob.conversationId);
+    const delivery = {
+      jobId: messageJob.id,
+      messageId: sendResult.messageId,
+      deliveryStatus,
+      sentAt: new Date().toISOString()
+    };
+    const entry = history.find(item => item.jobId === messageJob.id);
+    if (entry) {
+      Object.assign(entry, delivery, { sentMessage: text });
+    } else {
+      history.push({
+        communicationMode: sendResult.channel,
+        sentMessage: text,
+        timestamp: delivery.sentAt,
+        messageType: 'scheduled',
+        ...delivery
+      });
+    }
+    histories.set(messageJob.conversationId, history);
+  }
+
+  /**
+   * Delivery report listener: copy a message's new status onto its job and
+   * conversation history entry
+   * @param {Object} record - Message outbox record
+   */
+  applyDeliveryStatus(record) {
+    const job = record.jobId ? this.jobQueue.getJob(record.jobId) : null;
+    if (!job || job.type !== this.jobType) {
+      return;
+    }
+    this.jobQueue.updateJob(record.jobId, { deliveryStatus: record.status });
+
+    const histories = this.intentJourneyService?.conversationHistories;
+    const history = record.conversationId && histories ? histories.get(record.conversationId) : null;
+    const entry = history?.find(item => item.messageId === record.messageId);
+    if (entry) {
+      entry.deliveryStatus = record.status;
+      entry[`${record.status}At`] = record[`${record.status}At`];
+      histories.set(record.conversationId, history);
     }
   }
 
@@ -193,7 +342,7 @@ ${scriptedMessage}
 
 **Your Response (WhatsApp message only, no explanations):**`;
 
-    const result = await this.geminiService.model.generateContent({
+    const result = await this.geminiService.generateContent({
       contents: [{ role: 'user', parts: [{ text: prompt }] }],
       generationConfig: {
         temperature: 0.8,
@@ -288,17 +437,10 @@ ${scriptedMessage}
    * @returns {boolean} - Success status
    */
   cancelScheduledMessages(conversationId) {
-    const scheduled = this.scheduledMessages.get(conversationId);
+    const cancelled = this.jobQueue.cancel({ conversationId, type: this.jobType });
     
-    if (scheduled) {
-      scheduled.forEach(message => {
-        if (message.timeoutId && message.status === 'scheduled') {
-          clearTimeout(message.timeoutId);
-          message.status = 'cancelled';
-        }
-      });
-      
-      console.log(`Cancelled ${scheduled.length} scheduled messages for conversation ${conversationId}`);
+    if (cancelled.length > 0) {
+      console.log(`Cancelled ${cancelled.length} scheduled messages for conversation ${conversationId}`);
       return true;
     }
     
@@ -306,21 +448,25 @@ ${scriptedMessage}
   }
 
   /**
-   * Get scheduled messages for a conversation
+   * Get scheduled messages for a conversation (every state, including dead letters)
    * @param {string} conversationId - Conversation ID
    * @returns {Array} - Array of scheduled messages
    */
   getScheduledMessages(conversationId) {
-    return this.scheduledMessages.get(conversationId) || [];
+    return [
+      ...this.jobQueue.list({ conversationId, type: this.jobType }),
+      ...this.jobQueue.getDeadLetters({ conversationId, type: this.jobType })
+    ];
   }
 
   /**
-   * Get executed messages for a conversation
+   * Get executed messages (sent or permanently failed) for a conversation
    * @param {string} conversationId - Conversation ID
    * @returns {Array} - Array of executed messages
    */
   getExecutedMessages(conversationId) {
-    return this.executedMessages.get(conversationId) || [];
+    return this.getScheduledMessages(conversationId)
+      .filter(job => job.status === 'sent' || job.status === 'failed');
   }
 
   /**
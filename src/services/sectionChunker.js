@@ -0,0 +1,359 @@
+// Words that end with a period without ending the sentence ("Rs. 5,000", "Policy No. 123")
+const ABBREVIATIONS = new Set([
+  'rs', 'no', 'nos', 'sr', 'dr', 'mr', 'mrs', 'ms', 'st', 'vs', 'viz', 'etc', 'e.g', 'i.e', 'approx',
+  'incl', 'excl', 'max', 'min', 'sec', 'cl', 'art', 'para', 'sch', 'fig', 'pg', 'ref', 'govt', 'ltd',
+  'pvt', 'co', 'inc', 'dept', 'hosp', 'yr', 'yrs', 'mth', 'mths', 'p.a', 'sl', 'ch', 'vol', 'amt'
+]);
+
+const NUMBERED_LINE = /^((?:\d{1,2}\.)(?:\d{1,3}\.)*\d{0,3}|\d{1,2})\.?\s+(\S.*)$/;
+const NAMED_HEADING = /^(?:section|part|chapter|schedule|annexure|appendix|article)\s+[\w.-]+\b/i;
+const LIST_ITEM = /^(?:[-•*▪●◦·►✓]|\(?[a-z]\)|\((?:i|ii|iii|iv|v|vi|vii|viii|ix|x|xi|xii)\)|(?:i|ii|iii|iv|v|vi|vii|viii|ix|x|xi|xii)\)|\d{1,2}\))\s+/i;
+const MAX_HEADING_LENGTH = 80;
+
+/**
+ * Section Chunker
+ * Splits policy wordings along their own structure: headings, numbered clauses
+ * ("4.2.1 Exclusions"), tables and bullet lists. Each chunk stays inside one
+ * section and is tagged with its section path. Returns null for text without
+ * recognisable structure so DocumentProcessor can fall back to sentence chunking.
+ * Expects line breaks preserved by DocumentProcessor.cleanText (tabs mark table columns).
+ */
+class SectionChunker {
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || 1000;
+    this.chunkOverlap = options.chunkOverlap || 200;
+    this.minHeadings = options.minHeadings || 2;
+  }
+
+  /**
+   * Chunk structured policy text
+   * @param {string} text - Text with line breaks preserved
+   * @param {string} documentId - Document ID
+   * @param {string} customerId - Customer ID
+   * @returns {Array<Object>|null} - Chunks with sectionPath, or null if the text is unstructured
+   */
+  chunk(text, documentId, customerId) {
+    const { blocks, headingCount } = this.parseBlocks(text);
+    if (headingCount < this.minHeadings || blocks.length === 0) {
+      return null;
+    }
+
+    const chunks = [];
+    for (const group of this.groupBySection(blocks)) {
+      const header = group.sectionPath.join(' > ');
+      const budget = Math.max(200, this.chunkSize - header.length - 1);
+      const pieces = group.blocks.flatMap(block => this.splitBlock(block, budget));
+
+      let current = [];
+      let currentLength = 0;
+      const flush = () => {
+        if (current.length === 0) {
+          return;
+        }
+        const body = current.map(piece => piece.text).join('\n');
+        const chunkText = header ? `${header}\n${body}` : body;
+        chunks.push({
+          id: `${documentId}_chunk_${chunks.length}`,
+          text: chunkText,
+          documentId,
+          customerId,
+          chunkIndex: chunks.length,
+          length: chunkText.length,
+          ...(header && {
+            section: header,
+            sectionPath: group.sectionPath
+          }),
+          ...(group.clause && { clause: group.clause }),
+          blockTypes: Array.from(new Set(current.map(piece => piece.type)))
+        });
+        current = [];
+        currentLength = 0;
+      };
+
+      for (const piece of pieces) {
+        if (currentLength > 0 && currentLength + piece.text.length + 1 > budget) {
+          flush();
+        }
+        current.push(piece);
+        currentLength += piece.text.length + 1;
+      }
+      flush();
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Parse text into paragraph, list and table blocks under a heading stack
+   * @param {string} text - Text with line breaks preserved
+   * @returns {Object} - { blocks, headingCount }
+   */
+  parseBlocks(text) {
+    const blocks = [];
+    const stack = []; // [{ level, label, clause }]
+    let headingCount = 0;
+    let current = null;
+
+    const sectionPath = () => stack.map(entry => entry.label);
+    const currentClause = () => {
+      const numbered = stack.filter(entry => entry.clause);
+      return numbered.length > 0 ? numbered[numbered.length - 1].clause : null;
+    };
+    const startBlock = (type) => {
+      current = { type, lines: [], items: [], rows: [], sectionPath: sectionPath(), clause: currentClause() };
+      blocks.push(current);
+      return current;
+    };
+    const pushHeading = (level, label, clause = null) => {
+      // Pop deeper or same-level headings, and numbered clauses that are not a parent ("4.1" before "4.2.1")
+      const isNotParent = (entry) => entry.level >= level ||
+        (clause && entry.clause && !clause.startsWith(`${entry.clause}.`));
+      while (stack.length > 0 && isNotParent(stack[stack.length - 1])) {
+        stack.pop();
+      }
+      stack.push({ level, label, clause });
+      headingCount++;
+      current = null;
+    };
+
+    for (const rawLine of (text || '').split('\n')) {
+      const line = rawLine.trim();
+
+      if (!line) {
+        // Blank line ends paragraphs and tables; lists may continue after a gap
+        if (current && current.type !== 'list') {
+          current = null;
+        }
+        continue;
+      }
+
+      const cells = line.split('\t').map(cell => cell.trim()).filter(Boolean);
+      const pipeCells = line.includes('|') ? line.split('|').map(cell => cell.trim()).filter(Boolean) : [];
+      if (cells.length >= 3 || pipeCells.length >= 3 || (current && current.type === 'table' && Math.max(cells.length, pipeCells.length) >= 2)) {
+        const block = current && current.type === 'table' ? current : startBlock('table');
+        block.rows.push(pipeCells.length >= cells.length ? pipeCells : cells);
+        continue;
+      }
+
+      const flatLine = line.replace(/\t+/g, ' ');
+      const numbered = flatLine.match(NUMBERED_LINE);
+      if (numbered && /^[A-Z(]/.test(numbered[2])) {
+        const clause = numbered[1].replace(/\.$/, '');
+        const title = numbered[2];
+        const depth = clause.split('.').length;
+        // "30 Days waiting period" is not a heading; "4. Exclusions" and "4 EXCLUSIONS" are
+        const isTitle = title.length <= MAX_HEADING_LENGTH && !/[.,;:]$/.test(title) &&
+          (depth > 1 || /^\d{1,2}\./.test(flatLine) || this.isCapsHeading(title));
+
+        if (isTitle) {
+          pushHeading(depth + 1, `${clause} ${title}`, clause);
+          continue;
+        }
+        if (depth > 1) {
+          // Clause with body text on the same line: "4.2.1 Any expenses related to..."
+          pushHeading(depth + 1, clause, clause);
+          startBlock('paragraph').lines.push(title);
+          continue;
+        }
+      }
+
+      if (flatLine.length <= MAX_HEADING_LENGTH && (NAMED_HEADING.test(flatLine) || this.isCapsHeading(flatLine))) {
+        pushHeading(1, flatLine.replace(/[:\s]+$/, ''));
+        continue;
+      }
+
+      // "1. Room rent up to ..." - a single-level numbered line with body text is a list item
+      if (LIST_ITEM.test(flatLine) || (numbered && /^\d{1,2}\.\s/.test(flatLine))) {
+        let block = current && current.type === 'list' ? current : null;
+        if (!block) {
+          // Attach a lead-in sentence ("The following are excluded:") to its list
+          const previous = current && current.type === 'paragraph' && /:$/.test(current.lines.join(' ')) ? current : null;
+          block = startBlock('list');
+          if (previous) {
+            blocks.splice(blocks.indexOf(previous), 1);
+            block.lead = previous.lines.join(' ');
+          }
+        }
+        block.items.push(flatLine);
+        continue;
+      }
+
+      if (current && current.type === 'list') {
+        // Wrapped continuation of the last list item
+        current.items[current.items.length - 1] += ` ${flatLine}`;
+        continue;
+      }
+
+      const block = current && current.type === 'paragraph' ? current : startBlock('paragraph');
+      block.lines.push(flatLine);
+    }
+
+    return {
+      blocks: blocks.map(block => ({ ...block, text: this.renderBlock(block) })).filter(block => block.text),
+      headingCount
+    };
+  }
+
+  isCapsHeading(line) {
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    return letters.length >= 4 && letters === letters.toUpperCase() && /[A-Z]{3}/.test(line) && !/[.;]$/.test(line);
+  }
+
+  renderBlock(block) {
+    if (block.type === 'table') {
+      return block.rows.map(row => row.join(' | ')).join('\n');
+    }
+    if (block.type === 'list') {
+      return [block.lead, ...block.items].filter(Boolean).join('\n');
+    }
+    return block.lines.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Group consecutive blocks that share a section path
+   * @param {Array<Object>} blocks - Parsed blocks
+   * @returns {Array<Object>} - [{ sectionPath, clause, blocks }]
+   */
+  groupBySection(blocks) {
+    const groups = [];
+    for (const block of blocks) {
+      const last = groups[groups.length - 1];
+      if (last && last.sectionPath.join('\u0000') === block.sectionPath.join('\u0000')) {
+        last.blocks.push(block);
+      } else {
+        groups.push({ sectionPath: block.sectionPath, clause: block.clause, blocks: [block] });
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Split a block that does not fit the chunk budget along its natural units:
+   * sentences for paragraphs, items for lists, rows (with the header repeated) for tables.
+   * @param {Object} block - Parsed block
+   * @param {number} budget - Maximum characters per piece
+   * @returns {Array<Object>} - [{ type, text }]
+   */
+  splitBlock(block, budget) {
+    if (block.text.length <= budget) {
+      return [{ type: block.type, text: block.text }];
+    }
+
+    if (block.type === 'paragraph') {
+      return this.packSentences(this.splitSentences(block.text), budget, this.chunkOverlap)
+        .map(text => ({ type: 'paragraph', text }));
+    }
+
+    if (block.type === 'list') {
+      const lead = block.lead ? `${block.lead}\n` : '';
+      return this.packLines(block.items, budget - lead.length)
+        .map(text => ({ type: 'list', text: lead + text }));
+    }
+
+    const [headerRow, ...rows] = block.rows.map(row => row.join(' | '));
+    return this.packLines(rows, budget - headerRow.length - 1)
+      .map(text => ({ type: 'table', text: `${headerRow}\n${text}` }));
+  }
+
+  packLines(lines, budget) {
+    const pieces = [];
+    let current = '';
+    for (const line of lines) {
+      if (current && current.length + line.length + 1 > budget) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${line}` : line;
+    }
+    if (current) {
+      pieces.push(current);
+    }
+    return pieces;
+  }
+
+  /**
+   * Split text into sentences without breaking on decimals ("₹5.5 lakh"),
+   * clause numbers ("4.2.1") or abbreviations ("Rs.", "No.", "e.g.").
+   * @param {string} text - Text to split
+   * @returns {Array<string>} - Sentences with their punctuation
+   */
+  splitSentences(text) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+    if (!normalized) {
+      return [];
+    }
+
+    const sentences = [];
+    const boundary = /[.!?]+(?=\s|$)/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(normalized)) !== null) {
+      const end = match.index + match[0].length;
+      const nextChar = normalized.charAt(end + 1);
+      const word = (normalized.slice(start, match.index).match(/([A-Za-z.]+)$/) || [])[1] || '';
+
+      const isAbbreviation = match[0] === '.' && (
+        ABBREVIATIONS.has(word.toLowerCase()) ||
+        /^[A-Z]$/.test(word) || // initials: "A. K. Sharma"
+        /^[a-z]/.test(nextChar) // sentences don't continue in lower case
+      );
+      if (isAbbreviation && end < normalized.length) {
+        continue;
+      }
+
+      const sentence = normalized.slice(start, end).trim();
+      if (sentence) {
+        sentences.push(sentence);
+      }
+      start = end;
+    }
+
+    const rest = normalized.slice(start).trim();
+    if (rest) {
+      sentences.push(rest);
+    }
+    return sentences;
+  }
+
+  /**
+   * Pack sentences into pieces of at most maxSize characters, carrying
+   * trailing sentences up to overlapSize characters into the next piece.
+   * @param {Array<string>} sentences - Sentences
+   * @param {number} maxSize - Maximum characters per piece
+   * @param {number} overlapSize - Overlap in characters
+   * @returns {Array<string>} - Pieces
+   */
+  packSentences(sentences, maxSize, overlapSize) {
+    const pieces = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const sentence of sentences) {
+      if (current.length > 0 && currentLength + sentence.length + 1 > maxSize) {
+        pieces.push(current.join(' '));
+
+        const overlap = [];
+        let overlapLength = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          if (overlapLength + current[i].length + 1 > overlapSize) {
+            break;
+          }
+          overlap.unshift(current[i]);
+          overlapLength += current[i].length + 1;
+        }
+        current = overlap;
+        currentLength = overlapLength;
+      }
+      current.push(sentence);
+      currentLength += sentence.length + 1;
+    }
+
+    if (current.length > 0) {
+      pieces.push(current.join(' '));
+    }
+    return pieces;
+  }
+}
+
+module.exports = SectionChunker;
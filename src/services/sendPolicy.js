@@ -0,0 +1,233 @@
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Send Policy
+ * Decides whether a proactive (scheduled) message may go out now. Messages
+ * outside the customer's allowed window are deferred to the next window
+ * start, customers with do-not-disturb set get nothing, and each customer
+ * receives at most `maxMessagesPerDay` proactive messages per local day.
+ *
+ * Defaults apply to everyone (9am–9pm IST); a customer's
+ * `contactPreferences` override them:
+ * { timezone, windowStart: 'HH:MM', windowEnd: 'HH:MM', doNotDisturb, doNotDisturbUntil, maxMessagesPerDay }
+ * A window whose end is before its start wraps past midnight (e.g. 22:00–06:00).
+ */
+class SendPolicy {
+  /**
+   * @param {Object} options - { timezone, windowStart, windowEnd, maxMessagesPerDay, getCustomerPreferences(customerId) }
+   */
+  constructor(options = {}) {
+    this.defaults = {
+      timezone: options.timezone || 'Asia/Kolkata',
+      windowStart: options.windowStart || '09:00',
+      windowEnd: options.windowEnd || '21:00',
+      maxMessagesPerDay: options.maxMessagesPerDay ?? 5 // 0 = unlimited
+    };
+    this.getCustomerPreferences = options.getCustomerPreferences || (() => null);
+  }
+
+  /**
+   * Effective settings for a customer (defaults merged with their preferences)
+   * @param {string} customerId - Customer ID
+   * @returns {Object} - { timezone, windowStart, windowEnd, maxMessagesPerDay, doNotDisturb, doNotDisturbUntil }
+   */
+  getSettings(customerId) {
+    const preferences = this.getCustomerPreferences(customerId) || {};
+    return {
+      ...this.defaults,
+      doNotDisturb: false,
+      doNotDisturbUntil: null,
+      ...Object.fromEntries(Object.entries(preferences).filter(([, value]) => value !== undefined && value !== null))
+    };
+  }
+
+  /**
+   * Decide what to do with a proactive message
+   * @param {string} customerId - Customer ID
+   * @param {Object} context - { now: Date, sentTimes: Array<string|Date> of proactive messages already sent to this customer }
+   * @returns {Object} - { action: 'send' } | { action: 'defer', until: Date, reason } | { action: 'cancel', reason }
+   */
+  evaluate(customerId, { now = new Date(), sentTimes = [] } = {}) {
+    const settings = this.getSettings(customerId);
+
+    if (settings.doNotDisturb === true) {
+      return { action: 'cancel', reason: 'do_not_disturb' };
+    }
+
+    if (settings.doNotDisturbUntil) {
+      const until = new Date(settings.doNotDisturbUntil);
+      if (!isNaN(until.getTime()) && until > now) {
+        // Re-evaluated then, so the window still applies after DND ends
+        return { action: 'defer', until, reason: 'do_not_disturb' };
+      }
+    }
+
+    if (!this.isWithinWindow(now, settings)) {
+      return { action: 'defer', until: this.nextWindowStart(now, settings), reason: 'quiet_hours' };
+    }
+
+    if (settings.maxMessagesPerDay > 0) {
+      const today = this.localDate(now, settings.timezone);
+      const sentToday = sentTimes.filter(time => this.localDate(new Date(time), settings.timezone) === today).length;
+      if (sentToday >= settings.maxMessagesPerDay) {
+        // Inside the window, the next window start is tomorrow's
+        return { action: 'defer', until: this.nextWindowStart(now, settings), reason: 'daily_limit' };
+      }
+    }
+
+    return { action: 'send' };
+  }
+
+  /**
+   * Whether a moment falls inside the allowed window
+   * @param {Date} date - Moment to check
+   * @param {Object} settings - Result of getSettings()
+   * @returns {boolean}
+   */
+  isWithinWindow(date, settings) {
+    const minutes = this.localMinutes(date, settings.timezone);
+    const start = SendPolicy.parseTime(settings.windowStart);
+    const end = SendPolicy.parseTime(settings.windowEnd);
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * Next moment the window opens (strictly after `date`). The start time is
+   * resolved on the local calendar of the customer's time zone, so it stays
+   * at windowStart local time across DST changes.
+   * @param {Date} date - Current moment
+   * @param {Object} settings - Result of getSettings()
+   * @returns {Date} - Window start
+   */
+  nextWindowStart(date, settings) {
+    const start = SendPolicy.parseTime(settings.windowStart);
+    const [year, month, day] = this.localDate(date, settings.timezone).split('-').map(Number);
+
+    // Today's start if it is still ahead, otherwise tomorrow's (Date.UTC rolls the day over month ends)
+    for (let offset = 0; offset <= 2; offset++) {
+      const candidate = this.zonedTime(year, month, day + offset, start, settings.timezone);
+      if (candidate > date) {
+        return candidate;
+      }
+    }
+    return new Date(date.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * The instant a local wall-clock time occurs in a time zone
+   * @param {number} year - Local year
+   * @param {number} month - Local month (1-12)
+   * @param {number} day - Local day of month (may overflow into the next month)
+   * @param {number} minutes - Minutes since local midnight
+   * @param {string} timezone - IANA time zone
+   * @returns {Date} - UTC instant
+   */
+  zonedTime(year, month, day, minutes, timezone) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    // Offsets differ on either side of a DST change, so correct with the offset at the first guess
+    const guess = wallClock - this.timezoneOffset(new Date(wallClock), timezone);
+    return new Date(wallClock - this.timezoneOffset(new Date(guess), timezone));
+  }
+
+  /**
+   * Offset of a time zone from UTC at a moment, in milliseconds
+   */
+  timezoneOffset(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+    return local - Math.floor(date.getTime() / 60000) * 60000;
+  }
+
+  /**
+   * Minutes since local midnight in a time zone
+   */
+  localMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return value('hour') * 60 + value('minute');
+  }
+
+  /**
+   * Local calendar date (YYYY-MM-DD) in a time zone
+   */
+  localDate(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(date);
+  }
+
+  static parseTime(value) {
+    const [, hours, minutes] = value.match(TIME_PATTERN);
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+  }
+
+  /**
+   * Validate customer contact preferences
+   * @param {Object} preferences - contactPreferences object
+   * @param {Object} defaults - Policy defaults the preferences are merged with (SendPolicy#defaults)
+   * @returns {Object} - { isValid, errors }
+   */
+  static validatePreferences(preferences, defaults = {}) {
+    const errors = [];
+
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return { isValid: false, errors: ['contactPreferences must be an object'] };
+    }
+
+    const allowed = ['timezone', 'windowStart', 'windowEnd', 'doNotDisturb', 'doNotDisturbUntil', 'maxMessagesPerDay'];
+    Object.keys(preferences)
+      .filter(key => !allowed.includes(key))
+      .forEach(key => errors.push(`Unknown contact preference: ${key}. Supported: ${allowed.join(', ')}`));
+
+    if (preferences.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: preferences.timezone });
+      } catch (error) {
+        errors.push(`Invalid timezone: ${preferences.timezone}`);
+      }
+    }
+    ['windowStart', 'windowEnd'].forEach(field => {
+      if (preferences[field] !== undefined && !TIME_PATTERN.test(preferences[field])) {
+        errors.push(`${field} must be a 24-hour time (HH:MM)`);
+      }
+    });
+    // An empty window would defer every message forever, including one half set against a default
+    const windowStart = preferences.windowStart ?? defaults.windowStart;
+    const windowEnd = preferences.windowEnd ?? defaults.windowEnd;
+    if ((preferences.windowStart !== undefined || preferences.windowEnd !== undefined) &&
+        windowStart !== undefined && windowStart === windowEnd) {
+      errors.push(preferences.windowStart !== undefined && preferences.windowEnd !== undefined
+        ? 'windowStart and windowEnd must differ'
+        : `windowStart and windowEnd must differ (the default ${preferences.windowStart === undefined ? 'windowStart' : 'windowEnd'} is ${windowStart})`);
+    }
+    if (preferences.doNotDisturb !== undefined && typeof preferences.doNotDisturb !== 'boolean') {
+      errors.push('doNotDisturb must be a boolean');
+    }
+    if (preferences.doNotDisturbUntil !== undefined && preferences.doNotDisturbUntil !== null &&
+        isNaN(new Date(preferences.doNotDisturbUntil).getTime())) {
+      errors.push('doNotDisturbUntil must be an ISO 8601 timestamp');
+    }
+    if (preferences.maxMessagesPerDay !== undefined &&
+        (!Number.isInteger(preferences.maxMessagesPerDay) || preferences.maxMessagesPerDay < 0)) {
+      errors.push('maxMessagesPerDay must be a non-negative integer (0 = unlimited)');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+}
+
+module.exports = SendPolicy;
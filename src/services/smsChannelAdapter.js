@@ -0,0 +1,80 @@
+const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const BaseChannelAdapter = require('./baseChannelAdapter');
+
+/**
+ * SMS channel adapter
+ * Sends text messages through the Infobip SMS API
+ * (POST {baseUrl}/sms/2/text/advanced). The recipient is the customer's
+ * `phone` (or `whatsappNumber`).
+ */
+class SmsChannelAdapter extends BaseChannelAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = (options.baseUrl || 'https://api.infobip.com').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.SMS_API_KEY || null;
+    this.sender = options.sender || null;
+    this.defaultCountryCode = options.defaultCountryCode || '91';
+  }
+
+  get channel() {
+    return 'SMS';
+  }
+
+  resolveRecipient(customer) {
+    const number = customer?.phone || customer?.whatsappNumber;
+    if (!number) {
+      return null;
+    }
+    const digits = String(number).replace(/\D/g, '');
+    return digits.length === 10 ? `${this.defaultCountryCode}${digits}` : digits;
+  }
+
+  async send({ recipient, text }) {
+    if (!this.apiKey) {
+      return { success: false, error: 'SMS API key is not configured' };
+    }
+
+    const messageId = uuidv4();
+    const payload = {
+      messages: [{
+        destinations: [{ to: recipient, messageId }],
+        ...(this.sender && { from: this.sender }),
+        text
+      }]
+    };
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/sms/2/text/advanced`, payload, {
+        headers: {
+          'Authorization': `App ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        }
+      });
+
+      return {
+        success: true,
+        messageId: response.data?.messages?.[0]?.messageId || messageId,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('Error sending SMS:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data || error.message
+      };
+    }
+  }
+
+  getInfo() {
+    return {
+      channel: this.channel,
+      baseUrl: this.baseUrl,
+      sender: this.sender,
+      configured: Boolean(this.apiKey)
+    };
+  }
+}
+
+module.exports = SmsChannelAdapter;
@@ -0,0 +1,222 @@
+const fs = require('fs-extra');
+const path = require('path');
+const BaseStorageAdapter = require('./baseStorageAdapter');
+const JsonStorageAdapter = require('./jsonStorageAdapter');
+
+/**
+ * Embedded SQLite storage adapter (better-sqlite3)
+ * Every mutation runs as a single transaction that touches only the affected
+ * rows. WAL mode plus a busy timeout lets several processes share one file.
+ * On first start against an empty database, existing JSON store files in the
+ * same directory are imported.
+ */
+class SqliteStorageAdapter extends BaseStorageAdapter {
+  constructor(storageDir = './data', options = {}) {
+    super(storageDir);
+    this.dbFile = options.sqliteFile || path.join(storageDir, 'vector-store.sqlite');
+    this.db = null;
+  }
+
+  /**
+   * Open the database, create the schema and import legacy JSON data if empty
+   */
+  async initialize() {
+    if (this.db) {
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(this.dbFile));
+
+    // Required lazily so the JSON backend works without the native module
+    const Database = require('better-sqlite3');
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS documents (
+        id TEXT PRIMARY KEY,
+        customer_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS chunks (
+        id TEXT PRIMARY KEY,
+        document_id TEXT NOT NULL,
+        customer_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS store_state (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS index_assignments (
+        chunk_id TEXT PRIMARY KEY,
+        list INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_documents_customer ON documents (customer_id);
+      CREATE INDEX IF NOT EXISTS idx_chunks_document ON chunks (document_id);
+      CREATE INDEX IF NOT EXISTS idx_chunks_customer ON chunks (customer_id);
+    `);
+
+    this.statements = {
+      upsertCustomer: this.db.prepare('INSERT OR REPLACE INTO customers (id, data) VALUES (?, ?)'),
+      upsertDocument: this.db.prepare('INSERT OR REPLACE INTO documents (id, customer_id, data) VALUES (?, ?, ?)'),
+      upsertChunk: this.db.prepare('INSERT OR REPLACE INTO chunks (id, document_id, customer_id, data) VALUES (?, ?, ?, ?)'),
+      deleteDocument: this.db.prepare('DELETE FROM documents WHERE id = ?'),
+      deleteDocumentChunks: this.db.prepare('DELETE FROM chunks WHERE document_id = ?'),
+      upsertAssignment: this.db.prepare('INSERT OR REPLACE INTO index_assignments (chunk_id, list) VALUES (?, ?)'),
+      deleteAssignment: this.db.prepare('DELETE FROM index_assignments WHERE chunk_id = ?')
+    };
+
+    await this.importLegacyJson();
+  }
+
+  /**
+   * Import documents.json / chunks.json / customers.json into an empty database
+   */
+  async importLegacyJson() {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM customers').get();
+    if (count > 0) {
+      return;
+    }
+
+    // Snapshots plus any journaled changes not yet compacted into them
+    const { collections } = await new JsonStorageAdapter(this.storageDir).readCollections();
+    const customers = Array.from(collections.customers.values());
+    const documents = Array.from(collections.documents.values());
+    const chunks = Array.from(collections.chunks.values());
+
+    if (customers.length === 0 && documents.length === 0 && chunks.length === 0) {
+      return;
+    }
+
+    this.db.transaction(() => {
+      customers.forEach(customer => this.writeCustomer(customer));
+      documents.forEach(document => this.writeDocument(document));
+      chunks.forEach(chunk => this.writeChunk(chunk));
+    })();
+
+    console.log(`Imported ${customers.length} customers, ${documents.length} documents, ${chunks.length} chunks from JSON store into ${this.dbFile}`);
+  }
+
+  async loadAll() {
+    const toMap = (rows) => new Map(rows.map(row => {
+      const record = JSON.parse(row.data);
+      return [record.id, record];
+    }));
+
+    return {
+      customers: toMap(this.db.prepare('SELECT data FROM customers').all()),
+      documents: toMap(this.db.prepare('SELECT data FROM documents').all()),
+      chunks: toMap(this.db.prepare('SELECT data FROM chunks').all())
+    };
+  }
+
+  async saveCustomer(customer) {
+    this.writeCustomer(customer);
+  }
+
+  async saveDocument(document, customer = null) {
+    this.db.transaction(() => {
+      this.writeDocument(document);
+      if (customer) {
+        this.writeCustomer(customer);
+      }
+    })();
+  }
+
+  async saveChunks(chunks, documents = []) {
+    this.db.transaction(() => {
+      chunks.forEach(chunk => this.writeChunk(chunk));
+      documents.forEach(document => this.writeDocument(document));
+    })();
+  }
+
+  async deleteDocument(document, customer = null) {
+    this.db.transaction(() => {
+      this.statements.deleteDocumentChunks.run(document.id);
+      this.statements.deleteDocument.run(document.id);
+      if (customer) {
+        this.writeCustomer(customer);
+      }
+    })();
+  }
+
+  async loadIndex() {
+    const row = this.db.prepare("SELECT data FROM store_state WHERE key = 'vector_index'").get();
+    if (!row) {
+      return null;
+    }
+
+    const indexData = JSON.parse(row.data);
+    // Databases written before assignments had their own table keep them inline
+    if (!indexData.assignments) {
+      const rows = this.db.prepare('SELECT chunk_id, list FROM index_assignments').all();
+      indexData.assignments = Object.fromEntries(rows.map(({ chunk_id: chunkId, list }) => [chunkId, list]));
+    }
+    return indexData;
+  }
+
+  /**
+   * Store the clustering in store_state and its assignments one row per chunk
+   */
+  async saveIndex(indexData) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM index_assignments').run();
+      if (!indexData) {
+        this.db.prepare("DELETE FROM store_state WHERE key = 'vector_index'").run();
+        return;
+      }
+      const { assignments = {}, ...clustering } = indexData;
+      this.db.prepare("INSERT OR REPLACE INTO store_state (key, data) VALUES ('vector_index', ?)").run(JSON.stringify(clustering));
+      for (const [chunkId, list] of Object.entries(assignments)) {
+        this.statements.upsertAssignment.run(chunkId, list);
+      }
+    })();
+  }
+
+  async saveIndexAssignments(changes) {
+    this.db.transaction(() => {
+      for (const [chunkId, list] of changes) {
+        if (list === null) {
+          this.statements.deleteAssignment.run(chunkId);
+        } else {
+          this.statements.upsertAssignment.run(chunkId, list);
+        }
+      }
+    })();
+  }
+
+  writeCustomer(customer) {
+    this.statements.upsertCustomer.run(customer.id, JSON.stringify(customer));
+  }
+
+  writeDocument(document) {
+    this.statements.upsertDocument.run(document.id, document.customerId, JSON.stringify(document));
+  }
+
+  writeChunk(chunk) {
+    this.statements.upsertChunk.run(chunk.id, chunk.documentId, chunk.customerId, JSON.stringify(chunk));
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  getInfo() {
+    return {
+      backend: 'sqlite',
+      storageDir: this.storageDir,
+      dbFile: this.dbFile
+    };
+  }
+}
+
+module.exports = SqliteStorageAdapter;
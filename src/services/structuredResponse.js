@@ -0,0 +1,84 @@
+// Choice types a structured response can carry
+const CHOICE_TYPES = ['quick_reply', 'hospital', 'package'];
+
+/**
+ * Structured Response
+ * What a journey offers the customer on a turn, independent of channel:
+ * { text, choices }, where each choice is typed:
+ * - quick_reply: { label, value } - a short reply the customer can tap
+ * - hospital: { id, label, value, address, networkType, zone, city, pincode }
+ * - package: { id, label, value, description, price, tests }
+ * `value` is what the customer "says" by picking the choice, so journeys
+ * handle a picked choice exactly like typed text. Channels render the
+ * response themselves (see ResponseRenderer); text-only channels use `text`.
+ */
+class StructuredResponse {
+  /**
+   * @param {string} text - Answer text
+   * @param {Array<Object>} choices - Typed choices
+   * @returns {Object} - { text, choices }
+   */
+  static create(text, choices = []) {
+    return {
+      text: text || '',
+      choices: choices.filter(choice => choice && CHOICE_TYPES.includes(choice.type))
+    };
+  }
+
+  /**
+   * Quick replies from labels
+   * @param {Array<string>} labels - Reply labels
+   * @returns {Array<Object>} - quick_reply choices
+   */
+  static quickReplies(labels) {
+    return labels.map(label => ({ type: 'quick_reply', label, value: label }));
+  }
+
+  /**
+   * Hospital choices from hospital records (HospitalData.json shape)
+   * @param {Array<Object>} hospitals - Hospitals, e.g. from searchHospitalsByDepartment
+   * @returns {Array<Object>} - hospital choices
+   */
+  static hospitalChoices(hospitals = []) {
+    return hospitals.map(hospital => ({
+      type: 'hospital',
+      id: hospital.rohini || hospital.hospitalName,
+      label: hospital.hospitalName,
+      value: hospital.hospitalName,
+      address: [hospital.hospitalAddress, hospital.city, hospital.pincode]
+        .filter(Boolean)
+        .join(', ')
+        .replace(/\s*,(\s*,)+/g, ',')
+        .replace(/\s+/g, ' ')
+        .trim(),
+      networkType: hospital.networkType || null,
+      zone: hospital.zone || null,
+      city: hospital.city || null,
+      pincode: hospital.pincode || null
+    }));
+  }
+
+  /**
+   * Package choices from health checkup plans (healthCheckupPlans.json shape)
+   * @param {Array<Object>} plans - Health checkup plans
+   * @returns {Array<Object>} - package choices
+   */
+  static packageChoices(plans = []) {
+    return plans
+      .filter(plan => plan.isEnabled !== false)
+      .map(plan => ({
+        type: 'package',
+        id: plan.planId,
+        label: plan.name,
+        // Picking a package accepts it
+        value: `Yes, book ${plan.name}`,
+        description: plan.description || null,
+        price: plan.eligibilityValue ?? null,
+        tests: plan.testDetails || []
+      }));
+  }
+}
+
+StructuredResponse.CHOICE_TYPES = CHOICE_TYPES;
+
+module.exports = StructuredResponse;
@@ -0,0 +1,347 @@
+/**
+ * In-process approximate nearest-neighbour index (IVF - inverted file)
+ * Vectors are L2-normalised and partitioned into `nlist` clusters by k-means;
+ * a query only scores the vectors in its `nprobe` closest clusters. Below
+ * `minIndexSize` vectors the index stays untrained and search() returns null
+ * so callers use their linear scan instead.
+ */
+class VectorIndex {
+  constructor(options = {}) {
+    this.minIndexSize = options.minIndexSize || 1000;
+    this.numLists = options.numLists || 0; // 0 = sqrt(n), capped at maxLists
+    this.maxLists = options.maxLists || 64;
+    this.numProbes = options.numProbes || 8;
+    this.trainingSampleSize = options.trainingSampleSize || 2048;
+    this.kmeansIterations = options.kmeansIterations || 8;
+
+    this.vectors = new Map(); // id -> Float32Array (normalised)
+    this.assignments = new Map(); // id -> list number
+    this.centroids = [];
+    this.lists = [];
+    this.trainedSize = 0;
+    this.dimension = null;
+    this.pendingAssignments = new Map(); // id -> list, or null for a removal
+  }
+
+  /**
+   * Whether the index has been trained and can answer queries
+   * @returns {boolean}
+   */
+  isTrained() {
+    return this.centroids.length > 0;
+  }
+
+  /**
+   * Normalise a vector to unit length
+   * @param {Array<number>} vector - Input vector
+   * @returns {Float32Array|null} - Normalised copy or null for an empty/zero vector
+   */
+  normalize(vector) {
+    if (!vector || vector.length === 0) {
+      return null;
+    }
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm === 0) {
+      return null;
+    }
+    const normalized = new Float32Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+      normalized[i] = vector[i] / norm;
+    }
+    return normalized;
+  }
+
+  dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Find the closest centroids to a normalised vector
+   * @param {Float32Array} vector - Normalised vector
+   * @param {number} count - Number of centroids to return
+   * @returns {Array<number>} - List numbers ordered by closeness
+   */
+  nearestLists(vector, count = 1) {
+    return this.centroids
+      .map((centroid, list) => ({ list, score: this.dot(vector, centroid) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(entry => entry.list);
+  }
+
+  /**
+   * Build the index from scratch, optionally restoring a persisted clustering
+   * @param {Iterable<Object>} chunks - Chunks with `id` and `embedding`
+   * @param {Object|null} persisted - Output of toJSON() from a previous run
+   * @returns {boolean} - True if the clustering was (re)trained rather than restored
+   */
+  build(chunks, persisted = null) {
+    this.vectors = new Map();
+    for (const chunk of chunks) {
+      const normalized = this.normalize(chunk.embedding);
+      if (normalized && (this.dimension === null || normalized.length === this.dimension)) {
+        this.dimension = normalized.length;
+        this.vectors.set(chunk.id, normalized);
+      }
+    }
+
+    if (persisted && this.restore(persisted)) {
+      return false;
+    }
+
+    this.train();
+    return true;
+  }
+
+  /**
+   * Restore centroids and list assignments if they still cover the stored vectors
+   * @param {Object} persisted - Output of toJSON()
+   * @returns {boolean} - Whether the persisted clustering was usable
+   */
+  restore(persisted) {
+    if (!persisted.centroids || persisted.centroids.length === 0 || persisted.dimension !== this.dimension) {
+      return false;
+    }
+
+    const assignments = new Map(Object.entries(persisted.assignments || {}));
+    if (assignments.size !== this.vectors.size) {
+      return false;
+    }
+    for (const id of this.vectors.keys()) {
+      if (!assignments.has(id)) {
+        return false;
+      }
+    }
+
+    this.centroids = persisted.centroids.map(centroid => Float32Array.from(centroid));
+    this.trainedSize = persisted.trainedSize || this.vectors.size;
+    this.assignments = new Map();
+    this.pendingAssignments = new Map();
+    this.lists = this.centroids.map(() => new Set());
+    for (const [id, list] of assignments) {
+      this.assignments.set(id, list);
+      this.lists[list].add(id);
+    }
+    return true;
+  }
+
+  /**
+   * Train k-means centroids on a sample and assign every vector to a list
+   */
+  train() {
+    this.centroids = [];
+    this.lists = [];
+    this.assignments = new Map();
+    this.pendingAssignments = new Map();
+    this.trainedSize = 0;
+
+    const ids = Array.from(this.vectors.keys());
+    if (ids.length < this.minIndexSize) {
+      return;
+    }
+
+    const numLists = this.numLists || Math.min(this.maxLists, Math.max(1, Math.round(Math.sqrt(ids.length))));
+
+    // Deterministic stride sample keeps training time bounded for large stores
+    const stride = Math.max(1, Math.floor(ids.length / this.trainingSampleSize));
+    const sample = [];
+    for (let i = 0; i < ids.length && sample.length < this.trainingSampleSize; i += stride) {
+      sample.push(this.vectors.get(ids[i]));
+    }
+
+    const centroidStride = Math.max(1, Math.floor(sample.length / numLists));
+    let centroids = [];
+    for (let i = 0; i < numLists; i++) {
+      centroids.push(Float32Array.from(sample[(i * centroidStride) % sample.length]));
+    }
+
+    for (let iteration = 0; iteration < this.kmeansIterations; iteration++) {
+      const sums = centroids.map(() => new Float32Array(this.dimension));
+      const counts = new Array(centroids.length).fill(0);
+
+      for (const vector of sample) {
+        let best = 0;
+        let bestScore = -Infinity;
+        for (let c = 0; c < centroids.length; c++) {
+          const score = this.dot(vector, centroids[c]);
+          if (score > bestScore) {
+            bestScore = score;
+            best = c;
+          }
+        }
+        counts[best]++;
+        const sum = sums[best];
+        for (let i = 0; i < vector.length; i++) {
+          sum[i] += vector[i];
+        }
+      }
+
+      // Spherical k-means: re-normalise the mean; keep empty clusters where they were
+      centroids = centroids.map((centroid, c) => (counts[c] > 0 ? this.normalize(sums[c]) || centroid : centroid));
+    }
+
+    this.centroids = centroids;
+    this.lists = centroids.map(() => new Set());
+    for (const [id, vector] of this.vectors) {
+      this.assignToList(id, vector);
+    }
+    this.trainedSize = this.vectors.size;
+    // A fresh clustering is saved whole, so there are no incremental changes to carry
+    this.pendingAssignments = new Map();
+  }
+
+  assignToList(id, vector) {
+    const [list] = this.nearestLists(vector, 1);
+    this.assignments.set(id, list);
+    this.lists[list].add(id);
+    this.pendingAssignments.set(id, list);
+  }
+
+  /**
+   * Add or replace a vector
+   * @param {string} id - Chunk ID
+   * @param {Array<number>} vector - Embedding
+   */
+  add(id, vector) {
+    const normalized = this.normalize(vector);
+    if (!normalized) {
+      return;
+    }
+    if (this.dimension === null) {
+      this.dimension = normalized.length;
+    }
+    if (normalized.length !== this.dimension) {
+      return;
+    }
+
+    this.remove(id);
+    this.vectors.set(id, normalized);
+
+    if (this.isTrained()) {
+      this.assignToList(id, normalized);
+    }
+  }
+
+  /**
+   * Remove a vector
+   * @param {string} id - Chunk ID
+   */
+  remove(id) {
+    this.vectors.delete(id);
+    const list = this.assignments.get(id);
+    if (list !== undefined) {
+      this.lists[list].delete(id);
+      this.assignments.delete(id);
+      this.pendingAssignments.set(id, null);
+    }
+  }
+
+  /**
+   * Take the list assignments changed since the last call (or the last training)
+   * so callers can persist them without rewriting the whole clustering
+   * @returns {Map<string, number|null>} - id -> list number, null for removed vectors
+   */
+  takeAssignmentChanges() {
+    const changes = this.pendingAssignments;
+    this.pendingAssignments = new Map();
+    return changes;
+  }
+
+  /**
+   * Retrain when the index crossed the training threshold or has grown 4x since
+   * the last training, so clusters keep tracking the data distribution.
+   * @returns {boolean} - Whether retraining happened
+   */
+  retrainIfNeeded() {
+    const shouldTrain = this.isTrained()
+      ? this.vectors.size > this.trainedSize * 4
+      : this.vectors.size >= this.minIndexSize;
+
+    if (shouldTrain) {
+      this.train();
+    }
+    return shouldTrain;
+  }
+
+  /**
+   * Approximate top-K search
+   * @param {Array<number>} queryVector - Query embedding
+   * @param {number} topK - Number of results wanted
+   * @param {Object} options - { filter: (id) => boolean, numProbes }
+   * @returns {Array<Object>|null} - [{ id, similarity }] by similarity desc, or null
+   *   when the index is untrained or the probed lists hold fewer than topK matches
+   */
+  search(queryVector, topK = 5, options = {}) {
+    if (!this.isTrained()) {
+      return null;
+    }
+
+    const query = this.normalize(queryVector);
+    if (!query || query.length !== this.dimension) {
+      return null;
+    }
+
+    const { filter = null, numProbes = this.numProbes } = options;
+    const results = [];
+
+    for (const list of this.nearestLists(query, numProbes)) {
+      for (const id of this.lists[list]) {
+        if (filter && !filter(id)) {
+          continue;
+        }
+        results.push({ id, similarity: this.dot(query, this.vectors.get(id)) });
+      }
+    }
+
+    if (results.length < topK) {
+      return null;
+    }
+
+    return results
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+  }
+
+  /**
+   * Serialise the clustering (vectors themselves live in the chunk store)
+   * @returns {Object|null} - Persistable index state, or null when untrained
+   */
+  toJSON() {
+    if (!this.isTrained()) {
+      return null;
+    }
+    return {
+      type: 'ivf',
+      dimension: this.dimension,
+      trainedSize: this.trainedSize,
+      centroids: this.centroids.map(centroid => Array.from(centroid)),
+      assignments: Object.fromEntries(this.assignments),
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} - Index statistics
+   */
+  getStats() {
+    return {
+      type: 'ivf',
+      trained: this.isTrained(),
+      vectors: this.vectors.size,
+      lists: this.centroids.length,
+      numProbes: this.numProbes,
+      minIndexSize: this.minIndexSize
+    };
+  }
+}
+
+module.exports = VectorIndex;
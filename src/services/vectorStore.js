@@ -1,75 +1,143 @@
-const fs = require('fs-extra');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const JsonStorageAdapter = require('./jsonStorageAdapter');
+const SqliteStorageAdapter = require('./sqliteStorageAdapter');
+const VectorIndex = require('./vectorIndex');
+const KeywordIndex = require('./keywordIndex');
+const MetadataFilter = require('./metadataFilter');
+
+const STORAGE_ADAPTERS = {
+  json: JsonStorageAdapter,
+  sqlite: SqliteStorageAdapter
+};
 
 class VectorStore {
-  constructor(storageDir = './data') {
+  /**
+   * @param {string} storageDir - Directory holding the store files
+   * @param {Object} options - { backend: 'json' | 'sqlite', sqliteFile, adapter, index }
+   */
+  constructor(storageDir = './data', options = {}) {
     this.storageDir = storageDir;
-    this.documentsFile = path.join(storageDir, 'documents.json');
-    this.chunksFile = path.join(storageDir, 'chunks.json');
-    this.customersFile = path.join(storageDir, 'customers.json');
+    this.adapter = options.adapter || this.createAdapter(options.backend || 'json', storageDir, options);
+    this.index = new VectorIndex(options.index);
+    this.keywordIndex = new KeywordIndex(options.keywordIndex);
     
     this.documents = new Map();
     this.chunks = new Map();
     this.customers = new Map();
+    this.customerChunkIds = new Map(); // customerId -> Set of chunk IDs
     
     this.initializeStorage();
   }
 
   /**
-   * Initialize storage directory and load existing data
+   * Create the storage adapter for a backend name
+   * @param {string} backend - Backend name ('json' or 'sqlite')
+   * @param {string} storageDir - Storage directory
+   * @param {Object} options - Adapter options
+   * @returns {BaseStorageAdapter} - Storage adapter instance
+   */
+  createAdapter(backend, storageDir, options) {
+    const Adapter = STORAGE_ADAPTERS[backend];
+    if (!Adapter) {
+      throw new Error(`Unknown storage backend: ${backend}. Supported: ${Object.keys(STORAGE_ADAPTERS).join(', ')}`);
+    }
+    return new Adapter(storageDir, options);
+  }
+
+  /**
+   * Initialize storage and load existing data (runs once; later calls await the same load)
    */
   async initializeStorage() {
-    try {
-      await fs.ensureDir(this.storageDir);
-      await this.loadData();
-    } catch (error) {
-      console.error('Error initializing storage:', error);
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          await this.adapter.initialize();
+          await this.loadData();
+        } catch (error) {
+          console.error('Error initializing storage:', error);
+        }
+      })();
     }
+    return this.initPromise;
   }
 
   /**
-   * Load existing data from storage files
+   * Load existing data through the storage adapter
    */
   async loadData() {
     try {
-      // Load documents
-      if (await fs.pathExists(this.documentsFile)) {
-        const documentsData = await fs.readJson(this.documentsFile);
-        this.documents = new Map(Object.entries(documentsData));
-      }
-
-      // Load chunks
-      if (await fs.pathExists(this.chunksFile)) {
-        const chunksData = await fs.readJson(this.chunksFile);
-        this.chunks = new Map(Object.entries(chunksData));
+      const { documents, chunks, customers } = await this.adapter.loadAll();
+      this.documents = documents;
+      this.chunks = chunks;
+      this.customers = customers;
+
+      this.customerChunkIds = new Map();
+      for (const chunk of this.chunks.values()) {
+        this.trackChunk(chunk);
       }
 
-      // Load customers
-      if (await fs.pathExists(this.customersFile)) {
-        const customersData = await fs.readJson(this.customersFile);
-        this.customers = new Map(Object.entries(customersData));
-      }
+      console.log(`Loaded ${this.documents.size} documents, ${this.chunks.size} chunks, ${this.customers.size} customers (${this.adapter.getInfo().backend} backend)`);
 
-      console.log(`Loaded ${this.documents.size} documents, ${this.chunks.size} chunks, ${this.customers.size} customers`);
+      await this.buildIndex();
+      this.keywordIndex.build(this.chunks.values());
     } catch (error) {
       console.error('Error loading data:', error);
     }
   }
 
   /**
-   * Save data to storage files
+   * Build the ANN index from loaded chunks, reusing the persisted clustering when it still matches
    */
-  async saveData() {
-    try {
-      await Promise.all([
-        fs.writeJson(this.documentsFile, Object.fromEntries(this.documents)),
-        fs.writeJson(this.chunksFile, Object.fromEntries(this.chunks)),
-        fs.writeJson(this.customersFile, Object.fromEntries(this.customers))
-      ]);
-    } catch (error) {
-      console.error('Error saving data:', error);
-      throw error;
+  async buildIndex() {
+    const persisted = await this.adapter.loadIndex();
+    const retrained = this.index.build(this.chunks.values(), persisted);
+
+    if (retrained) {
+      await this.adapter.saveIndex(this.index.toJSON());
+    }
+
+    const stats = this.index.getStats();
+    console.log(`Vector index ${stats.trained ? `ready (${stats.lists} lists, ${retrained ? 'trained' : 'restored'})` : 'not trained - using linear search'} over ${stats.vectors} vectors`);
+  }
+
+  /**
+   * Persist the index after a mutation. A retrain saves the whole clustering;
+   * otherwise only the list assignments that changed are written.
+   */
+  async persistIndex() {
+    if (this.index.retrainIfNeeded()) {
+      await this.adapter.saveIndex(this.index.toJSON());
+      return;
+    }
+
+    const changes = this.index.takeAssignmentChanges();
+    if (changes.size > 0) {
+      await this.adapter.saveIndexAssignments(changes);
+    }
+  }
+
+  /**
+   * Record a chunk under its customer so per-customer lookups avoid a full scan
+   * @param {Object} chunk - Chunk record
+   */
+  trackChunk(chunk) {
+    if (!this.customerChunkIds.has(chunk.customerId)) {
+      this.customerChunkIds.set(chunk.customerId, new Set());
+    }
+    this.customerChunkIds.get(chunk.customerId).add(chunk.id);
+  }
+
+  /**
+   * Drop a chunk from its customer's lookup set
+   * @param {Object} chunk - Chunk record
+   */
+  untrackChunk(chunk) {
+    const chunkIds = this.customerChunkIds.get(chunk.customerId);
+    if (chunkIds) {
+      chunkIds.delete(chunk.id);
+      if (chunkIds.size === 0) {
+        this.customerChunkIds.delete(chunk.customerId);
+      }
     }
   }
 
@@ -88,7 +156,7 @@ class VectorStore {
     };
 
     this.customers.set(customerId, customer);
-    await this.saveData();
+    await this.adapter.saveCustomer(customer);
     return customer;
   }
 
@@ -134,7 +202,7 @@ class VectorStore {
       this.customers.set(customerId, customer);
     }
 
-    await this.saveData();
+    await this.adapter.saveDocument(document, customer || null);
     return documentId;
   }
 
@@ -145,6 +213,8 @@ class VectorStore {
    */
   async addChunks(chunks) {
     const chunkIds = [];
+    const storedChunks = [];
+    const updatedDocuments = new Map();
 
     for (const chunk of chunks) {
       const chunkId = chunk.id || uuidv4();
@@ -154,17 +224,37 @@ class VectorStore {
         createdAt: new Date().toISOString()
       };
 
+      const previous = this.chunks.get(chunkId);
+      if (previous) {
+        this.untrackChunk(previous);
+      }
       this.chunks.set(chunkId, chunkData);
+      this.trackChunk(chunkData);
       chunkIds.push(chunkId);
+      storedChunks.push(chunkData);
+
+      // A re-added chunk that moved to another document leaves the old one's chunk list
+      const previousDocument = previous && previous.documentId !== chunk.documentId && this.documents.get(previous.documentId);
+      if (previousDocument) {
+        previousDocument.chunkIds = previousDocument.chunkIds.filter(id => id !== chunkId);
+        updatedDocuments.set(previousDocument.id, previousDocument);
+      }
 
-      // Update document's chunk list
+      // Update document's chunk list (re-adding a chunk replaces it, so its ID is listed once)
       const document = this.documents.get(chunk.documentId);
-      if (document) {
+      if (document && !document.chunkIds.includes(chunkId)) {
         document.chunkIds.push(chunkId);
+        updatedDocuments.set(document.id, document);
       }
     }
 
-    await this.saveData();
+    await this.adapter.saveChunks(storedChunks, Array.from(updatedDocuments.values()));
+
+    for (const chunk of storedChunks) {
+      this.index.add(chunk.id, chunk.embedding);
+      this.keywordIndex.add(chunk);
+    }
+    await this.persistIndex();
     return chunkIds;
   }
 
@@ -175,10 +265,8 @@ class VectorStore {
    */
   getCustomerChunks(customerId) {
     const chunks = [];
-    for (const chunk of this.chunks.values()) {
-      if (chunk.customerId === customerId) {
-        chunks.push(chunk);
-      }
+    for (const chunkId of this.customerChunkIds.get(customerId) || []) {
+      chunks.push(this.chunks.get(chunkId));
     }
     return chunks;
   }
@@ -236,7 +324,13 @@ class VectorStore {
 
       // Delete associated chunks
       for (const chunkId of document.chunkIds) {
+        const chunk = this.chunks.get(chunkId);
+        if (chunk) {
+          this.untrackChunk(chunk);
+        }
         this.chunks.delete(chunkId);
+        this.index.remove(chunkId);
+        this.keywordIndex.remove(chunkId);
       }
 
       // Remove document from customer's list
@@ -250,7 +344,8 @@ class VectorStore {
       // Delete document
       this.documents.delete(documentId);
 
-      await this.saveData();
+      await this.adapter.deleteDocument(document, customer || null);
+      await this.persistIndex();
       return true;
     } catch (error) {
       console.error('Error deleting document:', error);
@@ -258,22 +353,115 @@ class VectorStore {
     }
   }
 
+  /**
+   * Build a chunk predicate from a metadata filter
+   * @param {Object|MetadataFilter|null} filter - Metadata filter
+   * @returns {Function|null} - (chunk) => boolean, or null when unfiltered
+   */
+  buildChunkPredicate(filter) {
+    const metadataFilter = MetadataFilter.from(filter);
+    if (!metadataFilter) {
+      return null;
+    }
+    return chunk => metadataFilter.matches(chunk, this.documents.get(chunk.documentId));
+  }
+
   /**
    * Search for similar chunks across all customer documents
    * @param {string} customerId - Customer ID
    * @param {Array<number>} queryVector - Query vector
    * @param {number} topK - Number of top results to return
    * @param {number} threshold - Similarity threshold
+   * @param {Object|MetadataFilter} filter - Optional document/chunk metadata filter
    * @returns {Array<Object>} - Array of similar chunks with similarity scores
    */
-  searchSimilarChunks(customerId, queryVector, topK = 5, threshold = 0.5) {
-    const customerChunks = this.getCustomerChunks(customerId);
-    
-    if (customerChunks.length === 0) {
-      return [];
+  searchSimilarChunks(customerId, queryVector, topK = 5, threshold = 0.5, filter = null) {
+    const matchesFilter = this.buildChunkPredicate(filter);
+
+    // The index only scores the probed lists; it returns null when those hold
+    // fewer than topK of this customer's chunks, and we fall back to an exact scan
+    const approximate = this.searchIndex(queryVector, topK, threshold,
+      chunk => chunk.customerId === customerId && (!matchesFilter || matchesFilter(chunk)));
+    if (approximate) {
+      return approximate;
+    }
+
+    const customerChunks = this.getCustomerChunks(customerId)
+      .filter(chunk => !matchesFilter || matchesFilter(chunk));
+    return this.linearSearch(customerChunks, queryVector, topK, threshold);
+  }
+
+  /**
+   * Search a customer's chunks by BM25 keyword relevance
+   * @param {string} customerId - Customer ID
+   * @param {string} query - Query text
+   * @param {number} topK - Number of top results to return
+   * @param {Object|MetadataFilter} filter - Optional document/chunk metadata filter
+   * @returns {Array<Object>} - Array of chunks with keywordScore
+   */
+  searchKeywordChunks(customerId, query, topK = 5, filter = null) {
+    const matchesFilter = this.buildChunkPredicate(filter);
+    const idFilter = matchesFilter ? (id => matchesFilter(this.chunks.get(id))) : null;
+
+    return this.keywordIndex.search(customerId, query, topK, idFilter)
+      .map(hit => ({
+        ...this.chunks.get(hit.id),
+        keywordScore: hit.score
+      }));
+  }
+
+  /**
+   * Search for similar chunks across every customer (admin search)
+   * @param {Array<number>} queryVector - Query vector
+   * @param {number} topK - Number of top results to return
+   * @param {number} threshold - Similarity threshold
+   * @param {Object|MetadataFilter} filter - Optional document/chunk metadata filter
+   * @returns {Array<Object>} - Array of similar chunks with similarity scores
+   */
+  searchAllChunks(queryVector, topK = 10, threshold = 0.5, filter = null) {
+    const matchesFilter = this.buildChunkPredicate(filter);
+    const approximate = this.searchIndex(queryVector, topK, threshold, matchesFilter);
+    if (approximate) {
+      return approximate;
     }
 
-    const similarities = customerChunks.map(chunk => {
+    const chunks = Array.from(this.chunks.values()).filter(chunk => !matchesFilter || matchesFilter(chunk));
+    return this.linearSearch(chunks, queryVector, topK, threshold);
+  }
+
+  /**
+   * Query the ANN index and hydrate the hits into chunks
+   * @param {Array<number>} queryVector - Query vector
+   * @param {number} topK - Number of top results to return
+   * @param {number} threshold - Similarity threshold
+   * @param {Function} predicate - Optional chunk filter
+   * @returns {Array<Object>|null} - Similar chunks, or null when the caller should scan linearly
+   */
+  searchIndex(queryVector, topK, threshold, predicate = null) {
+    const filter = predicate ? (id => predicate(this.chunks.get(id))) : null;
+    const hits = this.index.search(queryVector, topK, { filter });
+    if (!hits) {
+      return null;
+    }
+
+    return hits
+      .filter(hit => hit.similarity >= threshold)
+      .map(hit => ({
+        ...this.chunks.get(hit.id),
+        similarity: hit.similarity
+      }));
+  }
+
+  /**
+   * Exact cosine-similarity scan over a set of chunks
+   * @param {Array<Object>} chunks - Candidate chunks
+   * @param {Array<number>} queryVector - Query vector
+   * @param {number} topK - Number of top results to return
+   * @param {number} threshold - Similarity threshold
+   * @returns {Array<Object>} - Array of similar chunks with similarity scores
+   */
+  linearSearch(chunks, queryVector, topK, threshold) {
+    const similarities = chunks.map(chunk => {
       const similarity = this.calculateCosineSimilarity(queryVector, chunk.embedding);
       return {
         ...chunk,
@@ -318,6 +506,13 @@ class VectorStore {
     return dotProduct / (normA * normB);
   }
 
+  /**
+   * Flush pending writes and close the storage adapter
+   */
+  async close() {
+    await this.adapter.close();
+  }
+
   /**
    * Get storage statistics
    * @returns {Object} - Storage statistics
@@ -327,7 +522,10 @@ class VectorStore {
       customers: this.customers.size,
       documents: this.documents.size,
       chunks: this.chunks.size,
-      storageDir: this.storageDir
+      storageDir: this.storageDir,
+      storage: this.adapter.getInfo(),
+      index: this.index.getStats(),
+      keywordIndex: this.keywordIndex.getStats()
     };
   }
 }
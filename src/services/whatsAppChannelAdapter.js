@@ -0,0 +1,123 @@
+const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const BaseChannelAdapter = require('./baseChannelAdapter');
+
+/**
+ * WhatsApp channel adapter
+ * Posts the message to the bot's WhatsApp endpoint in the Infobip message
+ * shape. The recipient is the customer's `whatsappNumber` (or `phone`);
+ * customers without one are not messaged.
+ */
+class WhatsAppChannelAdapter extends BaseChannelAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.apiEndpoint = options.apiEndpoint || 'http://localhost:9000/api/bot/whatsapp/incoming-messages';
+    this.apiKey = options.apiKey || process.env.WHATSAPP_API_KEY || null;
+    this.sender = options.sender || null;
+    this.defaultCountryCode = options.defaultCountryCode || '91';
+  }
+
+  get channel() {
+    return 'WHATSAPP';
+  }
+
+  resolveRecipient(customer) {
+    const number = customer?.whatsappNumber || customer?.phone;
+    return number ? this.normalizeNumber(number) : null;
+  }
+
+  /**
+   * Digits only, with the default country code added to 10-digit numbers
+   * @param {string} number - Phone number
+   * @returns {string} - MSISDN
+   */
+  normalizeNumber(number) {
+    const digits = String(number).replace(/\D/g, '');
+    return digits.length === 10 ? `${this.defaultCountryCode}${digits}` : digits;
+  }
+
+  buildPayload({ recipient, text, conversationId, contactName }) {
+    const now = new Date().toISOString();
+    return {
+      id: `${uuidv4()}`,
+      channel: 'WHATSAPP',
+      from: this.sender ? this.sender.replace(new RegExp(`^${this.defaultCountryCode}`), '') : null,
+      to: recipient,
+      direction: 'INBOUND',
+      conversationId: conversationId || null,
+      createdAt: now,
+      updatedAt: now,
+      content: {
+        text: text
+      },
+      singleSendMessage: {
+        from: {
+          phoneNumber: this.sender,
+          type: 'PHONE_NUMBER'
+        },
+        to: {
+          phoneNumber: recipient,
+          type: 'PHONE_NUMBER'
+        },
+        content: {
+          text: text,
+          type: 'TEXT'
+        },
+        contact: {
+          name: contactName || null
+        },
+        identity: null,
+        channel: 'WHATSAPP',
+        direction: 'INBOUND'
+      },
+      contentType: 'TEXT',
+      disableAIAgentCall: true
+    };
+  }
+
+  async send(message) {
+    if (!this.apiKey) {
+      return { success: false, error: 'WhatsApp API key is not configured (set WHATSAPP_API_KEY)' };
+    }
+
+    const payload = this.buildPayload(message);
+
+    console.log('Sending WhatsApp message to:', this.apiEndpoint);
+    console.log('Message payload:', JSON.stringify(payload, null, 2));
+
+    try {
+      const response = await axios.post(this.apiEndpoint, payload, {
+        headers: {
+          'apikey': this.apiKey,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      console.log('Message sent successfully:', response.data);
+      return {
+        success: true,
+        messageId: payload.id,
+        data: response.data,
+        payload: payload
+      };
+    } catch (error) {
+      console.error('Error sending message:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data || error.message,
+        payload: payload
+      };
+    }
+  }
+
+  getInfo() {
+    return {
+      channel: this.channel,
+      apiEndpoint: this.apiEndpoint,
+      sender: this.sender,
+      configured: Boolean(this.apiKey)
+    };
+  }
+}
+
+module.exports = WhatsAppChannelAdapter;
@@ -0,0 +1,349 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Extensions the document pipeline accepts, by media MIME type
+const MEDIA_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'text/plain': '.txt',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'image/heif': '.heif'
+};
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif'];
+
+/**
+ * WhatsApp Inbound Service
+ * Handles messages Infobip forwards to POST /api/webhook/whatsapp. The sender
+ * number is matched to a customer record (whatsappNumber, phone or a
+ * phone-number customer ID); text and button replies go into the customer's
+ * active journey (or the policy Q&A when there is none) and the answer is
+ * sent back on WhatsApp. Images and documents are downloaded and stored as
+ * policy documents through processMultimodalDocument. Media URLs come from
+ * the (possibly unsigned) webhook body, so they are only fetched from the
+ * Infobip base URL's host, the only host that is sent the API key, or an
+ * explicitly allowed media host.
+ *
+ * Infobip redelivers a message until it gets a 2xx, so message IDs are
+ * recorded in the conversation store before processing starts and repeats
+ * (including ones that arrive while the first delivery is still running)
+ * are ignored. A failed message is forgotten so a redelivery can retry it.
+ */
+class WhatsAppInboundService {
+  /**
+   * @param {CustomerService} customerService - Customer, journey, document and messaging services
+   * @param {Object} options - { mediaApiKey, mediaBaseUrl, mediaHosts, uploadDir, maxMediaSize, fallbackCustomerId }
+   */
+  constructor(customerService, options = {}) {
+    this.customerService = customerService;
+    this.mediaApiKey = options.mediaApiKey || process.env.INFOBIP_API_KEY || null;
+    this.mediaApiHost = new URL(options.mediaBaseUrl || process.env.INFOBIP_BASE_URL || 'https://api.infobip.com').hostname.toLowerCase();
+    this.mediaHosts = (options.mediaHosts || []).map(host => host.toLowerCase());
+    this.uploadDir = options.uploadDir || './uploads';
+    this.maxMediaSize = options.maxMediaSize || 10485760;
+    this.fallbackCustomerId = options.fallbackCustomerId || null;
+    this.processedMessages = customerService.conversationStore.collection('whatsapp.inbound');
+  }
+
+  /**
+   * Handle an Infobip inbound webhook body
+   * @param {Object} body - { results: [...], messageCount, pendingMessageCount }
+   * @returns {Promise<Array<Object>>} - One result per message
+   */
+  async handlePayload(body) {
+    const results = [];
+    // Sequential, so two messages from one customer reach the journey in order
+    for (const result of body.results) {
+      results.push(await this.handleMessage(WhatsAppInboundService.normalizeMessage(result)));
+    }
+    return results;
+  }
+
+  /**
+   * Handle one inbound message
+   * @param {Object} message - Normalized message (see normalizeMessage)
+   * @returns {Promise<Object>} - { messageId, status, customerId, ... }
+   */
+  async handleMessage(message) {
+    const summary = { messageId: message.messageId, type: message.type };
+
+    if (message.messageId && this.processedMessages.has(message.messageId)) {
+      return { ...summary, status: 'duplicate' };
+    }
+
+    const customer = this.findCustomer(message.from);
+    if (!customer) {
+      console.warn(`WhatsApp message from unknown number ${message.from} ignored`);
+      return { ...summary, status: 'unknown_customer', from: message.from };
+    }
+
+    // Claim the message before the first await so a concurrent redelivery sees it as a duplicate
+    if (message.messageId) {
+      this.processedMessages.set(message.messageId, {
+        customerId: customer.id,
+        status: 'processing',
+        receivedAt: message.receivedAt
+      });
+    }
+
+    let result;
+    try {
+      if (message.media) {
+        result = await this.storeMedia(customer.id, message);
+      } else if (message.text) {
+        result = await this.routeText(customer.id, message);
+      } else {
+        result = { status: 'unsupported' };
+      }
+    } catch (error) {
+      console.error(`Error handling WhatsApp message ${message.messageId}:`, error);
+      if (message.messageId) {
+        this.processedMessages.delete(message.messageId);
+      }
+      return { ...summary, status: 'failed', customerId: customer.id, error: error.message };
+    }
+
+    if (message.messageId) {
+      this.processedMessages.set(message.messageId, {
+        customerId: customer.id,
+        status: result.status,
+        receivedAt: message.receivedAt
+      });
+    }
+    return { ...summary, customerId: customer.id, ...result };
+  }
+
+  /**
+   * Customer for a WhatsApp number
+   * @param {string} number - Sender MSISDN (e.g. 919876543210)
+   * @returns {Object|null} - Customer record
+   */
+  findCustomer(number) {
+    const customer = this.customerService.findCustomerByPhone(number);
+    if (customer) {
+      return customer;
+    }
+    return this.fallbackCustomerId ? this.customerService.getCustomer(this.fallbackCustomerId) : null;
+  }
+
+  /**
+   * Route a text (or button reply) into the customer's conversation and reply on WhatsApp
+   * @param {string} customerId - Customer ID
+   * @param {Object} message - Normalized message
+   * @returns {Promise<Object>} - { status: 'processed', intent, answer, reply }
+   */
+  async routeText(customerId, message) {
+    const journey = this.customerService.intentJourneyService.getActiveJourney(customerId);
+
+    let response;
+    if (journey) {
+      console.log(`Routing WhatsApp message from ${customerId} into journey ${journey.intent}`);
+      response = await this.customerService.intentJourneyService.processIntentJourney(
+        customerId,
+        journey.intent,
+        message.text,
+        { communicationMode: 'WHATSAPP' }
+      );
+    } else {
+      response = await this.customerService.queryDocuments(customerId, message.text, { channel: 'WHATSAPP' });
+    }
+
+    const reply = response.answer
+      ? await this.reply(customerId, message, response.answer)
+      : null;
+
+    return {
+      status: 'processed',
+      ...(journey && { intent: journey.intent }),
+      answer: response.answer,
+      ...(reply && { reply: { success: reply.success, messageId: reply.messageId, ...(reply.error && { error: reply.error }) } })
+    };
+  }
+
+  /**
+   * Download an image or document and add it to the customer's policy documents
+   * @param {string} customerId - Customer ID
+   * @param {Object} message - Normalized message with `media`
+   * @returns {Promise<Object>} - { status: 'stored', documentId, filename }, { status: 'unsupported' } or { status: 'rejected' }
+   */
+  async storeMedia(customerId, message) {
+    const mediaUrl = this.parseMediaUrl(message.media.url);
+    if (!mediaUrl) {
+      console.warn(`WhatsApp media URL rejected for message ${message.messageId}: ${message.media.url}`);
+      return { status: 'rejected', reason: 'Media URL is not on an allowed Infobip host' };
+    }
+
+    const file = await this.downloadMedia(customerId, message);
+    if (!file) {
+      return { status: 'unsupported', reason: `Unsupported media type: ${message.type}` };
+    }
+
+    try {
+      const isImage = IMAGE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+      const description = message.media.caption || `Shared on WhatsApp (${message.type.toLowerCase()})`;
+      const result = isImage
+        ? await this.customerService.processMultimodalDocument(customerId, null, [file], description)
+        : await this.customerService.processMultimodalDocument(customerId, file, [], description);
+
+      await this.reply(customerId, message, `Thanks, I've saved ${file.originalname} to your policy documents. ✅`);
+
+      return { status: 'stored', documentId: result.documentId, filename: file.originalname };
+    } finally {
+      await fs.remove(file.path);
+    }
+  }
+
+  /**
+   * Parse a media URL and check it against the allowed hosts
+   * @param {string} url - Media URL from the webhook body
+   * @returns {URL|null} - Parsed URL, or null if it must not be fetched
+   */
+  parseMediaUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    const host = parsed.hostname.toLowerCase();
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password) {
+      return null;
+    }
+    return host === this.mediaApiHost || this.mediaHosts.includes(host) ? parsed : null;
+  }
+
+  /**
+   * Download a media URL into the customer's upload directory
+   * @param {string} customerId - Customer ID
+   * @param {Object} message - Normalized message with `media`
+   * @returns {Promise<Object|null>} - { path, originalname } (multer-like), or null for unsupported types
+   */
+  async downloadMedia(customerId, message) {
+    const mediaUrl = this.parseMediaUrl(message.media.url);
+    if (!mediaUrl) {
+      throw new Error(`Media URL is not on an allowed Infobip host: ${message.media.url}`);
+    }
+    // Only the Infobip API host gets the key (axios drops it if a redirect leaves that host)
+    const sendApiKey = this.mediaApiKey && mediaUrl.hostname.toLowerCase() === this.mediaApiHost;
+
+    const response = await axios.get(mediaUrl.href, {
+      responseType: 'arraybuffer',
+      maxContentLength: this.maxMediaSize,
+      headers: {
+        ...(sendApiKey && { 'Authorization': `App ${this.mediaApiKey}` })
+      }
+    });
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const nameExtension = path.extname(message.media.filename || '').toLowerCase();
+    const extension = MEDIA_EXTENSIONS[contentType] ||
+      (Object.values(MEDIA_EXTENSIONS).includes(nameExtension) || nameExtension === '.jpeg' ? nameExtension : null);
+    if (!extension) {
+      return null;
+    }
+
+    const basename = path.basename(message.media.filename || `whatsapp_${message.type.toLowerCase()}`, nameExtension)
+      .replace(/[^\w.-]+/g, '_') || 'whatsapp_media';
+    const originalname = `${basename}${extension}`;
+    const dir = path.join(this.uploadDir, customerId);
+    await fs.ensureDir(dir);
+    const filePath = path.join(dir, `${basename}_${Date.now()}${extension}`);
+    await fs.writeFile(filePath, Buffer.from(response.data));
+
+    return { path: filePath, originalname };
+  }
+
+  async reply(customerId, message, text) {
+    return this.customerService.communicationService.sendMessage(text.replace(/\\n/g, '\n'), {
+      channel: 'WHATSAPP',
+      customerId,
+      recipient: message.from
+    });
+  }
+
+  /**
+   * Flatten an Infobip inbound result into { messageId, from, to, receivedAt, contactName, type, text, media }
+   * Button and list replies carry their title (or payload) as `text`;
+   * images and documents carry { url, caption, filename } as `media`.
+   * @param {Object} result - One entry of the webhook `results` array
+   * @returns {Object} - Normalized message
+   */
+  static normalizeMessage(result) {
+    const message = result.message || {};
+    const type = String(message.type || 'TEXT').toUpperCase();
+    const normalized = {
+      messageId: result.messageId,
+      from: String(result.from || ''),
+      to: result.to,
+      receivedAt: result.receivedAt || new Date().toISOString(),
+      contactName: result.contact?.name || null,
+      type,
+      text: null,
+      media: null
+    };
+
+    switch (type) {
+      case 'TEXT':
+        normalized.text = message.text;
+        break;
+      case 'BUTTON':
+        normalized.text = message.text || message.payload;
+        break;
+      case 'INTERACTIVE_BUTTON_REPLY':
+      case 'INTERACTIVE_LIST_REPLY':
+        normalized.text = message.title || message.id;
+        break;
+      case 'IMAGE':
+      case 'DOCUMENT':
+        normalized.media = {
+          url: message.url,
+          caption: message.caption || null,
+          filename: message.filename || message.caption || null
+        };
+        break;
+      default:
+        // Audio, video, stickers, locations, contacts: acknowledged but not handled
+        break;
+    }
+
+    if (typeof normalized.text === 'string') {
+      normalized.text = normalized.text.trim() || null;
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate an Infobip inbound webhook body
+   * @param {Object} body - Request body
+   * @returns {Object} - { isValid, errors }
+   */
+  static validatePayload(body) {
+    const errors = [];
+
+    if (!body || !Array.isArray(body.results)) {
+      return { isValid: false, errors: ['results must be an array of inbound messages'] };
+    }
+
+    body.results.forEach((result, index) => {
+      if (!result || typeof result !== 'object') {
+        errors.push(`results[${index}] must be an object`);
+        return;
+      }
+      if (!result.from) {
+        errors.push(`results[${index}].from is required`);
+      }
+      if (!result.message || typeof result.message !== 'object') {
+        errors.push(`results[${index}].message is required`);
+      } else if (['IMAGE', 'DOCUMENT'].includes(String(result.message.type).toUpperCase()) && !result.message.url) {
+        errors.push(`results[${index}].message.url is required for ${result.message.type} messages`);
+      }
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+}
+
+module.exports = WhatsAppInboundService;
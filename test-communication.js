@@ -1,12 +1,26 @@
 const CommunicationService = require('./src/services/communicationService');
+const CONFIG = require('./config/constants');
 
 /**
  * Test script for Communication Service
  */
 
 async function runTests() {
+  // Messages go to this number only; there is no built-in default recipient
+  const recipient = process.argv[2] || process.env.TEST_WHATSAPP_NUMBER;
+  if (!recipient) {
+    console.error('Usage: node test-communication.js <whatsapp-number> (or set TEST_WHATSAPP_NUMBER)');
+    process.exit(1);
+  }
+
   // Create an instance of the service
-  const communicationService = new CommunicationService();
+  const communicationService = new CommunicationService({
+    whatsapp: {
+      apiEndpoint: CONFIG.COMMUNICATION.WHATSAPP.API_ENDPOINT,
+      apiKey: CONFIG.COMMUNICATION.WHATSAPP.API_KEY,
+      sender: CONFIG.COMMUNICATION.WHATSAPP.SENDER
+    }
+  });
 
   // Test the sendMessage function
   console.log('🚀 Testing Communication Service\n');
@@ -14,13 +28,13 @@ async function runTests() {
 
   // Test 1: Send message with default text
   console.log('\n📱 Test 1: Send message with default text');
-  const result1 = await communicationService.sendMessage('I want my policy summary');
+  const result1 = await communicationService.sendMessage('I want my policy summary', { recipient });
   console.log('Result:', result1.success ? '✅ Success' : '❌ Failed');
   console.log('\n');
 
   // Test 2: Send message with custom text
   console.log('\n📱 Test 2: Send message with custom text');
-  const result2 = await communicationService.sendMessage('What is my premium amount?');
+  const result2 = await communicationService.sendMessage('What is my premium amount?', { recipient });
   console.log('Result:', result2.success ? '✅ Success' : '❌ Failed');
   console.log('\n');
 
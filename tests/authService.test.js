@@ -0,0 +1,90 @@
+const express = require('express');
+const AuthService = require('../src/services/authService');
+const { startRouteApp } = require('./helpers/routeApp');
+
+function buildRouter(authService) {
+  const customers = express.Router();
+  customers.param('customerId', AuthService.authorizeCustomer);
+  customers.get('/:customerId', (req, res) => res.json({ customerId: req.params.customerId, auth: req.auth || null }));
+
+  const router = express.Router();
+  router.use('/customers', authService.requireRole('customer'), customers);
+  router.use('/admin', authService.requireRole('admin'), (req, res) => res.json({ ok: true }));
+  return router;
+}
+
+describe('AuthService customer key scopes', () => {
+  let app;
+
+  beforeAll(async () => {
+    const authService = new AuthService({
+      apiKeys: 'agent-key:cust-1|cust-2, service-key:*',
+      adminApiKeys: 'admin-key'
+    });
+    app = await startRouteApp('/api', buildRouter(authService));
+  });
+
+  afterAll(() => app.close());
+
+  test('a customer key reaches the customers it is scoped to', async () => {
+    const response = await app.request('GET', '/api/customers/cust-2', undefined, { 'X-API-Key': 'agent-key' });
+    expect(response.status).toBe(200);
+    expect(response.body.auth).toEqual({ role: 'customer', customerIds: ['cust-1', 'cust-2'] });
+  });
+
+  test('a customer key gets 403 for any other customer', async () => {
+    const response = await app.request('GET', '/api/customers/cust-3', undefined, { Authorization: 'Bearer agent-key' });
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('This API key does not have access to customer cust-3');
+  });
+
+  test('wildcard and admin keys reach every customer', async () => {
+    expect((await app.request('GET', '/api/customers/cust-3', undefined, { 'X-API-Key': 'service-key' })).status).toBe(200);
+    expect((await app.request('GET', '/api/customers/cust-3', undefined, { 'X-API-Key': 'admin-key' })).status).toBe(200);
+  });
+
+  test('customer keys are refused on the admin API', async () => {
+    expect((await app.request('GET', '/api/admin/health', undefined, { 'X-API-Key': 'service-key' })).status).toBe(403);
+    expect((await app.request('GET', '/api/admin/health', undefined, { 'X-API-Key': 'admin-key' })).status).toBe(200);
+    expect((await app.request('GET', '/api/admin/health')).status).toBe(401);
+  });
+
+  test('an entry without a customer scope is a configuration error', () => {
+    expect(() => new AuthService({ apiKeys: 'agent-key:cust-1,legacy-key' }))
+      .toThrow('API_KEYS entry 2 has no customer scope');
+    expect(() => new AuthService({ apiKeys: 'agent-key:' })).toThrow('API_KEYS entry 1 has no customer scope');
+  });
+});
+
+describe('AuthService admin API without admin keys', () => {
+  test.each([
+    ['customer API keys', { apiKeys: 'agent-key:cust-1' }],
+    ['a Dialogflow secret', { dialogflow: { secret: 'df-secret' } }],
+    ['an inbound signing secret', { signingSecret: 'sign-secret' }]
+  ])('is refused once %s are configured', async (label, options) => {
+    const authService = new AuthService(options);
+    const app = await startRouteApp('/api', buildRouter(authService));
+    try {
+      const response = await app.request('GET', '/api/admin/health', undefined, { 'X-API-Key': 'agent-key' });
+      expect(response.status).toBe(403);
+      expect(response.body.message).toMatch(/ADMIN_API_KEYS is not set/);
+      expect(authService.getLockedSurfaces()).toEqual(['/api/admin']);
+      expect(authService.getOpenSurfaces()).not.toContain('/api/admin');
+    } finally {
+      await app.close();
+    }
+  });
+
+  test('stays open only when no authentication is configured at all', async () => {
+    const authService = new AuthService({});
+    const app = await startRouteApp('/api', buildRouter(authService));
+    try {
+      expect((await app.request('GET', '/api/admin/health')).status).toBe(200);
+      expect((await app.request('GET', '/api/customers/cust-1')).status).toBe(200);
+      expect(authService.getOpenSurfaces()).toContain('/api/admin');
+      expect(authService.getLockedSurfaces()).toEqual([]);
+    } finally {
+      await app.close();
+    }
+  });
+});
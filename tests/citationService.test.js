@@ -0,0 +1,86 @@
+const CitationService = require('../src/services/citationService');
+const CustomerService = require('../src/services/customerService');
+
+const chunks = [
+  { id: 'c1', documentId: 'doc-1', filename: 'wording.pdf', section: '4 EXCLUSIONS > 4.2 Permanent Exclusions', clause: '4.2', text: 'Cosmetic surgery is excluded.' },
+  { id: 'c2', documentId: 'doc-1', filename: 'wording.pdf', text: 'Room rent is capped at 1% of the sum insured.' }
+];
+
+describe('CitationService', () => {
+  const service = new CitationService();
+
+  beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('extract validates markers against the supplied chunks', () => {
+    const { answer, citations, invalidMarkers } = service.extract(
+      'Cosmetic surgery is not covered by your policy [Source 1]. Room rent is capped at one percent [2, 7]. Ask me anything [9].',
+      chunks
+    );
+
+    expect(answer).toBe('Cosmetic surgery is not covered by your policy [1]. Room rent is capped at one percent [2]. Ask me anything.');
+    expect(citations.map(citation => citation.marker)).toEqual([1, 2]);
+    expect(citations[0]).toMatchObject({ chunkId: 'c1', clause: '4.2', section: chunks[0].section });
+    expect(invalidMarkers).toEqual([7, 9]);
+  });
+
+  test('parseMarkerNumbers expands lists and ranges', () => {
+    expect(service.parseMarkerNumbers('1, 3')).toEqual([1, 3]);
+    expect(service.parseMarkerNumbers('2-4')).toEqual([2, 3, 4]);
+  });
+
+  test('measureCoverage counts factual sentences with and without markers', () => {
+    const coverage = service.measureCoverage('Cosmetic surgery is excluded under the policy [1]. Room rent is capped at one percent daily. Anything else?');
+    expect(coverage).toEqual({ claims: 2, cited: 1, uncited: 1, ratio: 0.5 });
+    expect(service.adjustConfidence(0.8, coverage)).toBe(0.6);
+  });
+
+  test('render keeps, strips or footnotes markers per channel', () => {
+    const { answer, citations } = service.extract('Cosmetic surgery is excluded [1].', chunks);
+    expect(service.render(answer, citations, 'API')).toBe('Cosmetic surgery is excluded [1].');
+    expect(service.render(answer, citations, 'voice')).toBe('Cosmetic surgery is excluded.');
+    expect(service.render(answer, citations, 'WHATSAPP')).toBe('Cosmetic surgery is excluded [1].\n\n_Sources:_\n[1] wording.pdf - 4.2 Permanent Exclusions');
+    expect(() => service.render(answer, citations, 'FAX')).toThrow('Invalid channel');
+  });
+
+  test('stream filter normalizes markers split across deltas once sources are known', () => {
+    const filter = service.createStreamFilter('API');
+    filter.setSources(2);
+    const streamed = ['Cosmetic surgery is excluded [', 'Source 1, 9', ']. Room rent is capped ', '[5].'].map(filter.push).join('') + filter.flush();
+    expect(streamed).toBe('Cosmetic surgery is excluded [1]. Room rent is capped.');
+  });
+
+  test('stream filter strips markers for voice', () => {
+    const filter = service.createStreamFilter('VOICE');
+    expect(['Excluded [', '1].'].map(filter.push).join('') + filter.flush()).toBe('Excluded.');
+  });
+});
+
+describe('CustomerService.streamQueryDocuments', () => {
+  test('streams normalized deltas and ends WhatsApp answers with the same footer as done', async () => {
+    const citationService = new CitationService();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const raw = 'Cosmetic surgery is excluded [1, 4]. Room rent is capped [2].';
+    const context = {
+      geminiService: { citationService },
+      async queryDocuments(customerId, query, options) {
+        options.stream.onRetrieval({ sourceChunks: chunks });
+        for (const piece of raw.match(/.{1,7}/g)) {
+          options.stream.onDelta(piece);
+        }
+        const { answer, citations } = citationService.extract(raw, chunks);
+        return { answer: citationService.render(answer, citations, options.channel), citations, channel: 'WHATSAPP' };
+      }
+    };
+
+    const events = [];
+    await CustomerService.prototype.streamQueryDocuments.call(context, 'cust-1', 'q', { channel: 'WHATSAPP' },
+      (event, data) => events.push({ event, data }));
+
+    const streamed = events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+    const done = events.find(e => e.event === 'done').data;
+    expect(streamed).toBe(done.answer);
+    expect(streamed).toContain('_Sources:_');
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,59 @@
+const CommunicationService = require('../src/services/communicationService');
+const WhatsAppChannelAdapter = require('../src/services/whatsAppChannelAdapter');
+
+describe('CommunicationService recipients', () => {
+  const customers = {
+    'with-number': { id: 'with-number', name: 'Asha', whatsappNumber: '98765 43210' },
+    'without-number': { id: 'without-number', name: 'Ravi', email: 'ravi@example.com' }
+  };
+  let service;
+
+  beforeEach(() => {
+    service = new CommunicationService({
+      getCustomer: (customerId) => customers[customerId] || null,
+      whatsapp: { apiKey: 'test-key', sender: '910000000000' }
+    });
+  });
+
+  test('WhatsApp recipient comes from the customer record', () => {
+    const adapter = service.getAdapter('WHATSAPP');
+    expect(adapter.resolveRecipient(customers['with-number'])).toBe('919876543210');
+  });
+
+  test('a customer without a WhatsApp number is not messaged', async () => {
+    const adapter = service.getAdapter('WHATSAPP');
+    const send = jest.spyOn(adapter, 'send');
+
+    const result = await service.sendMessage('Your claim details', { customerId: 'without-number' });
+
+    expect(result).toEqual({ success: false, channel: 'WHATSAPP', error: 'No WHATSAPP address for customer without-number' });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('unknown channels are rejected', async () => {
+    const result = await service.sendMessage('hello', { customerId: 'with-number', channel: 'PIGEON' });
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Unknown channel: PIGEON/);
+  });
+});
+
+describe('WhatsAppChannelAdapter', () => {
+  const originalKey = process.env.WHATSAPP_API_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.WHATSAPP_API_KEY;
+    } else {
+      process.env.WHATSAPP_API_KEY = originalKey;
+    }
+  });
+
+  test('fails clearly when no API key is configured', async () => {
+    delete process.env.WHATSAPP_API_KEY;
+    const adapter = new WhatsAppChannelAdapter({});
+
+    expect(adapter.getInfo().configured).toBe(false);
+    expect(await adapter.send({ recipient: '919876543210', text: 'hi' }))
+      .toEqual({ success: false, error: 'WhatsApp API key is not configured (set WHATSAPP_API_KEY)' });
+  });
+});
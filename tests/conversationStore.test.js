@@ -0,0 +1,111 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ConversationStore = require('../src/services/conversationStore');
+
+describe('ConversationStore TTL', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2026-01-01T00:00:00.000Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('records expire ttlHours after their last write', () => {
+    const store = new ConversationStore({ backend: 'memory', ttlHours: 1 });
+    store.set('intent.states', 'cust-1', { stage: 'greeting' });
+
+    now += 59 * 60 * 1000;
+    expect(store.get('intent.states', 'cust-1')).toEqual({ stage: 'greeting' });
+
+    // A write restarts the TTL
+    store.set('intent.states', 'cust-1', { stage: 'collect' });
+    now += 59 * 60 * 1000;
+    expect(store.has('intent.states', 'cust-1')).toBe(true);
+
+    now += 2 * 60 * 1000;
+    expect(store.get('intent.states', 'cust-1')).toBeUndefined();
+    expect(store.keys('intent.states')).toEqual([]);
+  });
+
+  test('ttlHours 0 never expires', () => {
+    const store = new ConversationStore({ backend: 'memory', ttlHours: 0 });
+    store.set('chat', 'cust-1', ['hi']);
+    now += 365 * 24 * 60 * 60 * 1000;
+    expect(store.get('chat', 'cust-1')).toEqual(['hi']);
+  });
+
+  test('sweep drops expired records across namespaces', () => {
+    const store = new ConversationStore({ backend: 'memory', ttlHours: 1 });
+    store.set('a', 'old', 1);
+    now += 30 * 60 * 1000;
+    store.set('b', 'fresh', 2);
+    now += 31 * 60 * 1000;
+
+    expect(store.sweep()).toBe(1);
+    expect(store.getInfo().records).toEqual({ a: 0, b: 1 });
+  });
+
+  test('collection views behave like a Map over one namespace', () => {
+    const store = new ConversationStore({ backend: 'memory' });
+    const states = store.collection('intent.states');
+    states.set('cust-1', { stage: 'greeting' }).set('cust-2', { stage: 'done' });
+
+    expect(states.size).toBe(2);
+    expect(Array.from(states.keys())).toEqual(['cust-1', 'cust-2']);
+    expect(states.delete('cust-1')).toBe(true);
+    expect(store.get('intent.states', 'cust-1')).toBeUndefined();
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => new ConversationStore({ backend: 'redis' })).toThrow('Unknown conversation store backend');
+  });
+});
+
+describe.each(['json', 'sqlite'])('ConversationStore persistence (%s)', (backend) => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), `conversations-${backend}-`));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const open = async () => {
+    const store = new ConversationStore({
+      backend,
+      file: path.join(dir, 'conversations.json'),
+      sqliteFile: path.join(dir, 'conversations.sqlite'),
+      ttlHours: 1
+    });
+    await store.initialize();
+    return store;
+  };
+
+  test('reloads live records and skips ones that expired while closed', async () => {
+    const store = await open();
+    store.set('intent.states', 'live', { stage: 'collect' });
+    store.set('intent.states', 'stale', { stage: 'greeting' });
+    // Backdate one record so it is already expired on the next load
+    const staleRecord = store.getNamespace('intent.states').get('stale');
+    staleRecord.expiresAt = Date.now() - 1000;
+    if (backend === 'sqlite') {
+      store.statements.upsert.run('intent.states', 'stale', JSON.stringify(staleRecord.value), staleRecord.updatedAt, staleRecord.expiresAt);
+    } else {
+      await store.scheduleSave();
+    }
+    await store.close();
+
+    const reopened = await open();
+    expect(reopened.get('intent.states', 'live')).toEqual({ stage: 'collect' });
+    expect(reopened.get('intent.states', 'stale')).toBeUndefined();
+    await reopened.close();
+  });
+});
@@ -0,0 +1,198 @@
+const path = require('path');
+const fs = require('fs-extra');
+const DialogflowCxAdapter = require('../src/services/dialogflowCxAdapter');
+const DialogflowEsAdapter = require('../src/services/dialogflowEsAdapter');
+const JourneyDispatcher = require('../src/services/journeyDispatcher');
+const StructuredResponse = require('../src/services/structuredResponse');
+const webhookRouter = require('../src/routes/webhook');
+const { startRouteApp } = require('./helpers/routeApp');
+
+const FIXTURES = path.join(__dirname, 'fixtures/dialogflow');
+const fixture = name => fs.readJsonSync(path.join(FIXTURES, name));
+
+const PACKAGE_CHOICES = StructuredResponse.packageChoices([
+  { planId: 'HC-1', name: 'Annual Health Checkup', eligibilityValue: 2500, testDetails: ['CBC', 'Lipid profile'] }
+]);
+
+function createCustomerService() {
+  return {
+    getCustomer: jest.fn(id => (id === 'cust-1' ? { id: 'cust-1' } : null)),
+    findCustomerByPhone: jest.fn(phone => (String(phone).endsWith('9876543210') ? { id: 'cust-1' } : null)),
+    handleRescheduleRequest: jest.fn(async (customerId, text, { date }) => ({ answer: `Moved to ${date}`, queryType: 'reschedule' })),
+    queryDocuments: jest.fn(async () => ({ answer: 'Cataract surgery is covered as a day care procedure.', queryType: 'policy', confidence: 0.8 })),
+    intentJourneyService: {
+      getActiveJourney: () => null,
+      healthCheckupService: {
+        processHealthCheckupQuery: jest.fn(async () => ({
+          answer: 'Shall I book the Annual Health Checkup?',
+          queryType: 'health_checkup',
+          currentStage: 'offer_plan',
+          collectedData: { preferredTime: '10 AM' },
+          response: { choices: PACKAGE_CHOICES }
+        }))
+      }
+    }
+  };
+}
+
+describe('Dialogflow adapters', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('CX: session parameters and resolved intent parameters become the turn parameters', () => {
+    const turn = new DialogflowCxAdapter().parseRequest(fixture('cx-webhook-request.json'));
+
+    expect(turn).toEqual({
+      queryText: 'Book my checkup for the 25th',
+      intentName: 'Health Checkup',
+      session: 'projects/care-agent/locations/asia-south1/agents/a1/sessions/web-7f3a',
+      sessionId: 'web-7f3a',
+      customerId: 'cust-1',
+      callerId: null,
+      parameters: { customerId: 'cust-1', preferredTime: '10 AM', date: { year: 2025, month: 11, day: 25 } },
+      context: { page: 'Book Checkup', languageCode: 'en' }
+    });
+  });
+
+  test('CX: the fulfillment tag routes the turn, else the matched intent', () => {
+    const body = fixture('cx-webhook-request.json');
+    const adapter = new DialogflowCxAdapter();
+    expect(adapter.parseRequest(body).intentName).toBe('Health Checkup');
+
+    delete body.fulfillmentInfo;
+    expect(adapter.parseRequest(body).intentName).toBe('book.health.checkup');
+  });
+
+  test('ES: the payload, intent parameters and output contexts are read in that order', () => {
+    const body = fixture('es-webhook-request.json');
+    body.queryResult.outputContexts = [
+      { name: `${body.session}/contexts/customer-session`, parameters: { customerId: 'cust-from-context', lastQuery: 'Hi' } }
+    ];
+    const adapter = new DialogflowEsAdapter();
+
+    const turn = adapter.parseRequest(body);
+    expect(turn).toMatchObject({
+      intentName: 'Policy Question',
+      sessionId: 'call-5521',
+      customerId: 'cust-from-context',
+      callerId: '+919876543210',
+      parameters: { procedure: 'cataract' }
+    });
+    expect(turn.context.conversationHistory).toEqual([expect.objectContaining({ query: 'Hi' })]);
+
+    body.queryResult.parameters.customerId = 'cust-from-intent';
+    expect(adapter.parseRequest(body).customerId).toBe('cust-from-intent');
+    body.originalDetectIntentRequest.payload.customerId = 'cust-from-payload';
+    expect(adapter.parseRequest(body).customerId).toBe('cust-from-payload');
+  });
+
+  test.each([
+    ['ES', new DialogflowEsAdapter(), { queryResult: {} }],
+    ['CX', new DialogflowCxAdapter(), { text: 'hi', sessionInfo: {} }]
+  ])('%s: incomplete requests are rejected', (name, adapter, body) => {
+    expect(adapter.validateRequest(body).isValid).toBe(false);
+    expect(adapter.validateRequest(null).isValid).toBe(false);
+  });
+});
+
+describe('Dialogflow webhook routes', () => {
+  let customerService;
+  let app;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    customerService = createCustomerService();
+    const journeyDispatcher = new JourneyDispatcher(customerService, {
+      routes: { 'Health Checkup': 'health_checkup', 'book.health.checkup': 'reschedule', 'Policy Question': 'policy_qa' }
+    });
+    app = await startRouteApp('/api/webhook', webhookRouter, { customerService, journeyDispatcher });
+  });
+
+  afterEach(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  test('CX: the tagged handler answers and the journey stage is written to the session parameters', async () => {
+    const { status, body } = await app.request('POST', '/api/webhook/dialogflow-cx', fixture('cx-webhook-request.json'));
+
+    expect(status).toBe(200);
+    expect(customerService.intentJourneyService.healthCheckupService.processHealthCheckupQuery)
+      .toHaveBeenCalledWith('cust-1', 'Book my checkup for the 25th');
+    expect(body.sessionInfo.parameters).toEqual({
+      customerId: 'cust-1',
+      lastHandler: 'health_checkup',
+      lastQueryType: 'health_checkup',
+      currentStageId: 'offer_plan',
+      collectedData: { preferredTime: '10 AM' }
+    });
+
+    const [text, rich, audio] = body.fulfillmentResponse.messages;
+    expect(body.fulfillmentResponse.mergeBehavior).toBe('REPLACE');
+    expect(text).toEqual({ text: { text: ['Shall I book the Annual Health Checkup?'] } });
+    expect(rich.payload.richContent[0]).toContainEqual({ type: 'chips', options: [{ text: 'Yes, book Annual Health Checkup' }] });
+    expect(audio.outputAudioText.ssml).toBe('<speak>Shall I book the Annual Health Checkup?</speak>');
+  });
+
+  test('CX: without a tag the matched intent routes the turn and gets the resolved date parameter', async () => {
+    const request = fixture('cx-webhook-request.json');
+    delete request.fulfillmentInfo;
+
+    const { status, body } = await app.request('POST', '/api/webhook/dialogflow-cx', request);
+
+    expect(status).toBe(200);
+    expect(customerService.handleRescheduleRequest).toHaveBeenCalledWith('cust-1', 'Book my checkup for the 25th', { date: '25 Nov 2025' });
+    expect(body.sessionInfo.parameters).toMatchObject({ lastHandler: 'reschedule', lastQueryType: 'reschedule' });
+    expect(body.fulfillmentResponse.messages[0].text.text).toEqual(['Moved to 25 Nov 2025']);
+  });
+
+  test('ES: output contexts round-trip the customer, the turn counter and the history', async () => {
+    const first = fixture('es-webhook-request.json');
+    const firstResponse = await app.request('POST', '/api/webhook/dialogflow', first);
+
+    expect(firstResponse.status).toBe(200);
+    expect(customerService.queryDocuments).toHaveBeenCalledWith('cust-1', first.queryResult.queryText, { channel: 'VOICE' });
+    expect(firstResponse.body.fulfillmentText).toBe('Cataract surgery is covered as a day care procedure.');
+    expect(firstResponse.body.fulfillmentMessages.map(message => Object.keys(message)[0])).toEqual(['text', 'platform']);
+    const [session, history] = firstResponse.body.outputContexts;
+    expect(session.name).toBe('projects/care-agent/agent/sessions/call-5521/contexts/customer-session');
+    expect(session.parameters).toMatchObject({
+      customerId: 'cust-1',
+      lastIntent: 'Policy Question',
+      lastHandler: 'policy_qa',
+      lastQuery: first.queryResult.queryText,
+      conversationTurn: 1
+    });
+    expect(JSON.parse(history.parameters.conversationHistory)).toHaveLength(1);
+
+    // The next turn comes back with those contexts and no caller ID
+    const second = fixture('es-webhook-request.json');
+    second.queryResult.queryText = 'And for knee replacement?';
+    second.queryResult.outputContexts = firstResponse.body.outputContexts;
+    delete second.originalDetectIntentRequest.payload.telephony;
+
+    const secondResponse = await app.request('POST', '/api/webhook/dialogflow', second);
+
+    expect(secondResponse.status).toBe(200);
+    expect(customerService.queryDocuments).toHaveBeenLastCalledWith('cust-1', 'And for knee replacement?', { channel: 'VOICE' });
+    const [nextSession, nextHistory] = secondResponse.body.outputContexts;
+    expect(nextSession.parameters).toMatchObject({ customerId: 'cust-1', lastQuery: 'And for knee replacement?', conversationTurn: 2 });
+    expect(JSON.parse(nextHistory.parameters.conversationHistory).map(entry => entry.query))
+      .toEqual([first.queryResult.queryText, 'And for knee replacement?']);
+  });
+
+  test.each([
+    ['/api/webhook/dialogflow', { queryResult: {} }, body => body.fulfillmentText],
+    ['/api/webhook/dialogflow-cx', { text: 'hi' }, body => body.fulfillmentResponse.messages[0].text.text[0]]
+  ])('%s answers invalid requests with 400 in its own response shape', async (url, request, messageOf) => {
+    const { status, body } = await app.request('POST', url, request);
+    expect(status).toBe(400);
+    expect(messageOf(body)).toMatch(/didn't understand/);
+  });
+});
@@ -0,0 +1,214 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JobQueue = require('../src/services/jobQueue');
+const EventJourneyService = require('../src/services/eventJourneyService');
+const customersRouter = require('../src/routes/customers');
+const { startRouteApp } = require('./helpers/routeApp');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-03-02T10:00:00.000Z');
+
+async function createService(dataDir, sendMessage) {
+  const jobQueue = new JobQueue({ backend: 'memory' });
+  jest.spyOn(jobQueue, 'start').mockImplementation(() => {});
+  const communicationService = {
+    sendMessage: jest.fn(sendMessage || (async (text, options) => ({
+      success: true,
+      channel: options.channel,
+      messageId: `msg-${communicationService.sendMessage.mock.calls.length}`
+    })))
+  };
+  const service = new EventJourneyService({
+    definitionsFile: path.join(__dirname, '../data/journeyDefinitions.json'),
+    dataFile: path.join(dataDir, 'journeyData.json')
+  }, {
+    jobQueue,
+    communicationService,
+    sendPolicy: { evaluate: () => ({ action: 'send' }) },
+    getCustomer: customerId => ({ id: customerId, name: 'Asha Rao' })
+  });
+  await service.initialize();
+  return { service, jobQueue, communicationService };
+}
+
+describe('EventJourneyService runner', () => {
+  let dataDir;
+  let service;
+  let jobQueue;
+  let communicationService;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'event-journeys-'));
+    ({ service, jobQueue, communicationService } = await createService(dataDir));
+  });
+
+  afterEach(async () => {
+    await service.close();
+    await jobQueue.close();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await fs.remove(dataDir);
+  });
+
+  test('root system events are queued timeOffsetDays after the start and sent by the queue', async () => {
+    const record = service.startJourney('cust-1', 'NEW_CUSTOMER_ONBOARDING');
+    expect(record.currentEventId).toBe('WELCOME_EXPERIENCE_INITIATED');
+    expect(record.scheduledEvents.WELCOME_EXPERIENCE_INITIATED.sendAt).toBe(new Date(START + 3 * DAY_MS).toISOString());
+
+    jest.setSystemTime(START + 2 * DAY_MS);
+    await jobQueue.poll();
+    expect(communicationService.sendMessage).not.toHaveBeenCalled();
+
+    jest.setSystemTime(START + 3 * DAY_MS);
+    await jobQueue.poll();
+    expect(communicationService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(communicationService.sendMessage.mock.calls[0][0]).toMatch(/Asha/);
+    expect(record.completedEvents).toEqual(['WELCOME_EXPERIENCE_INITIATED']);
+    expect(record.eventLog[0]).toMatchObject({ eventId: 'WELCOME_EXPERIENCE_INITIATED', trigger: 'schedule', messageId: 'msg-1' });
+    // The welcome event has no system dependants, so the journey waits for its first CTA
+    expect(record.currentEventId).toBe('POLICY_COVERAGE_VIEWED');
+  });
+
+  test('a CTA fires its event and queues the system events that depend on it', async () => {
+    const record = service.startJourney('cust-1', 'NEW_CUSTOMER_ONBOARDING');
+    jest.setSystemTime(START + 3 * DAY_MS);
+    await jobQueue.poll();
+
+    const { fired, cta } = await service.recordCtaClick('cust-1', {
+      eventId: 'WELCOME_EXPERIENCE_INITIATED',
+      action: 'POLICY_COVERAGE_VIEWED',
+      userData: { viewedFrom: 'app' }
+    });
+
+    expect(fired).toBe(true);
+    expect(cta.action).toBe('POLICY_COVERAGE_VIEWED');
+    expect(record.userData).toEqual({ viewedFrom: 'app' });
+    expect(record.scheduledEvents.FAMILIARITY_BUILDING_INITIATED.sendAt).toBe(new Date(START + 18 * DAY_MS).toISOString());
+    expect(record.currentEventId).toBe('FAMILIARITY_BUILDING_INITIATED');
+
+    // Tapping it again records the click without sending twice
+    const again = await service.recordCtaClick('cust-1', { eventId: 'WELCOME_EXPERIENCE_INITIATED', action: 'POLICY_COVERAGE_VIEWED' });
+    expect(again.fired).toBe(false);
+    expect(record.ctaClicks).toHaveLength(2);
+    expect(communicationService.sendMessage).toHaveBeenCalledTimes(2);
+  });
+
+  test('steps that do not fit the journey throw coded errors', async () => {
+    service.startJourney('cust-1', 'NEW_CUSTOMER_ONBOARDING');
+
+    const codeOf = async (action) => {
+      try {
+        await action();
+      } catch (error) {
+        return `${error.code} ${error.status}`;
+      }
+      return null;
+    };
+
+    expect(await codeOf(() => service.startJourney('cust-1', 'NEW_CUSTOMER_ONBOARDING'))).toBe('JOURNEY_ALREADY_ACTIVE 409');
+    expect(await codeOf(() => service.startJourney('cust-2', 'NO_SUCH_JOURNEY'))).toBe('JOURNEY_NOT_FOUND 404');
+    expect(await codeOf(() => service.startJourney('cust-2', 'NEW_CUSTOMER_ONBOARDING', { startAt: 'soon' }))).toBe('INVALID_START_TIME 400');
+    expect(await codeOf(() => service.triggerEvent('cust-1', 'NO_SUCH_EVENT'))).toBe('EVENT_NOT_FOUND 404');
+    expect(await codeOf(() => service.triggerEvent('cust-1', 'POLICY_COVERAGE_VIEWED'))).toBe('DEPENDENCY_NOT_SENT 409');
+    expect(await codeOf(() => service.recordCtaClick('cust-1', { eventId: 'WELCOME_EXPERIENCE_INITIATED', action: 'POLICY_COVERAGE_VIEWED' })))
+      .toBe('EVENT_NOT_SENT 409');
+
+    jest.setSystemTime(START + 3 * DAY_MS);
+    await jobQueue.poll();
+    expect(await codeOf(() => service.recordCtaClick('cust-1', { eventId: 'WELCOME_EXPERIENCE_INITIATED', action: 'Call me' })))
+      .toBe('UNKNOWN_CTA 400');
+    expect(await codeOf(() => service.triggerEvent('cust-1', 'WELCOME_EXPERIENCE_INITIATED'))).toBe('EVENT_ALREADY_SENT 409');
+
+    service.cancelJourney('cust-1');
+    expect(await codeOf(() => service.triggerEvent('cust-1', 'POLICY_COVERAGE_VIEWED'))).toBe('JOURNEY_NOT_ACTIVE 409');
+    expect(await codeOf(() => service.cancelJourney('cust-3'))).toBe('JOURNEY_NOT_FOUND 404');
+  });
+
+  test('a failed send records nothing and has no HTTP status', async () => {
+    communicationService.sendMessage.mockResolvedValue({ success: false, channel: 'IN_APP', error: 'store unavailable' });
+    const record = service.startJourney('cust-1', 'NEW_CUSTOMER_ONBOARDING');
+
+    const error = await service.triggerEvent('cust-1', 'WELCOME_EXPERIENCE_INITIATED').catch(thrown => thrown);
+    expect(error.message).toBe('IN_APP send failed: store unavailable');
+    expect(error.code).toBe('SEND_FAILED');
+    expect(error.status).toBeUndefined();
+    expect(record.completedEvents).toEqual([]);
+    expect(record.eventLog).toEqual([]);
+  });
+
+  test('an event is marked as sending before the send is awaited', async () => {
+    const record = service.startJourney('cust-1', 'NEW_CUSTOMER_ONBOARDING');
+    let finishSend;
+    communicationService.sendMessage.mockImplementationOnce((text, options) => new Promise(resolve => {
+      finishSend = () => resolve({ success: true, channel: options.channel, messageId: 'msg-slow' });
+    }));
+
+    const first = service.triggerEvent('cust-1', 'WELCOME_EXPERIENCE_INITIATED');
+    await expect(service.triggerEvent('cust-1', 'WELCOME_EXPERIENCE_INITIATED')).rejects.toMatchObject({ code: 'EVENT_SENDING', status: 409 });
+
+    // The queued send of the same event waits for the running one instead of sending again
+    const job = jobQueue.getJob(record.scheduledEvents.WELCOME_EXPERIENCE_INITIATED.jobId);
+    const outcome = await service.sendScheduledEvent(job);
+    expect(outcome).toMatchObject({ outcome: 'deferred', reason: 'event_sending' });
+
+    finishSend();
+    await first;
+    expect(communicationService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(record.completedEvents).toEqual(['WELCOME_EXPERIENCE_INITIATED']);
+    expect(await service.sendScheduledEvent(job)).toMatchObject({ outcome: 'skipped', reason: 'event_already_sent' });
+  });
+
+  test('progress is written to the journey data file', async () => {
+    service.startJourney('cust-1', 'NEW_CUSTOMER_ONBOARDING');
+    await service.triggerEvent('cust-1', 'WELCOME_EXPERIENCE_INITIATED');
+    await service.close();
+
+    const saved = await fs.readJson(path.join(dataDir, 'journeyData.json'));
+    expect(saved['cust-1']).toMatchObject({ status: 'active', completedEvents: ['WELCOME_EXPERIENCE_INITIATED'] });
+  });
+});
+
+describe('event journey routes', () => {
+  let dataDir;
+  let service;
+  let jobQueue;
+  let app;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'event-journey-routes-'));
+    ({ service, jobQueue } = await createService(dataDir));
+    app = await startRouteApp('/api/customers', customersRouter, {
+      customerService: { eventJourneyService: service, getCustomer: customerId => ({ id: customerId }) }
+    });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await service.close();
+    await jobQueue.close();
+    jest.restoreAllMocks();
+    await fs.remove(dataDir);
+  });
+
+  test('errors are answered with the status and code the service sets', async () => {
+    const started = await app.request('POST', '/api/customers/cust-1/event-journey', {});
+    expect(started.status).toBe(201);
+
+    const conflict = await app.request('POST', '/api/customers/cust-1/event-journey', {});
+    expect(conflict.status).toBe(409);
+    expect(conflict.body).toMatchObject({ error: 'Cannot start event journey', code: 'JOURNEY_ALREADY_ACTIVE' });
+
+    const missing = await app.request('POST', '/api/customers/cust-1/event-journey/events/NO_SUCH_EVENT', {});
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('EVENT_NOT_FOUND');
+
+    const unknownJourney = await app.request('POST', '/api/customers/cust-2/event-journey/cancel');
+    expect(unknownJourney.status).toBe(404);
+    expect(unknownJourney.body.code).toBe('JOURNEY_NOT_FOUND');
+  });
+});
@@ -0,0 +1,45 @@
+const express = require('express');
+
+/**
+ * Mount a router on a throwaway express app and listen on an ephemeral port
+ * @param {string} mountPath - Path to mount the router at
+ * @param {express.Router} router - Router under test
+ * @param {Object} settings - app.set() values (services the routes read)
+ * @returns {Promise<Object>} - { request(method, path, body), close() }
+ */
+async function startRouteApp(mountPath, router, settings = {}) {
+  const app = express();
+  app.use(express.json());
+  for (const [key, value] of Object.entries(settings)) {
+    app.set(key, value);
+  }
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    async request(method, path, body, headers = {}) {
+      const response = await fetch(baseUrl + path, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        // Non-JSON responses (SSE, plain text) are returned as text only
+      }
+      return { status: response.status, body: json, text };
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startRouteApp };
@@ -0,0 +1,238 @@
+const JobQueue = require('../src/services/jobQueue');
+const adminRouter = require('../src/routes/admin');
+const { startRouteApp } = require('./helpers/routeApp');
+
+describe('JobQueue', () => {
+  let now;
+  let queue;
+
+  beforeEach(() => {
+    now = Date.parse('2026-01-01T09:00:00.000Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queue = new JobQueue({ backend: 'memory', maxAttempts: 3, backoffBaseSeconds: 30, backoffMaxSeconds: 100 });
+  });
+
+  afterEach(async () => {
+    await queue.close();
+    jest.restoreAllMocks();
+  });
+
+  test('backoff doubles per attempt and is capped', () => {
+    expect([1, 2, 3, 4].map(attempt => queue.getBackoffDelay(attempt))).toEqual([30000, 60000, 100000, 100000]);
+  });
+
+  test('enqueue validates type and run time', () => {
+    expect(() => queue.enqueue({ runAt: now })).toThrow('Job type is required');
+    expect(() => queue.enqueue({ type: 'message', runAt: 'soon' })).toThrow('Invalid job run time');
+    expect(() => queue.enqueue({ type: 'message', runAt: 'soon' })).toThrow(expect.objectContaining({ code: 'INVALID_RUN_TIME', status: 400 }));
+  });
+
+  test('poll only runs due jobs with a registered handler', async () => {
+    const handler = jest.fn(async () => 'delivered');
+    queue.registerHandler('message', handler);
+    const due = queue.enqueue({ type: 'message', runAt: now - 1000 });
+    const later = queue.enqueue({ type: 'message', runAt: now + 60000 });
+    const unhandled = queue.enqueue({ type: 'other', runAt: now - 1000 });
+
+    await queue.poll();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(queue.getJob(due.id)).toMatchObject({ status: 'sent', attempts: 1, result: 'delivered' });
+    expect(queue.getJob(later.id).status).toBe('scheduled');
+    expect(queue.getJob(unhandled.id).status).toBe('scheduled');
+  });
+
+  test('failed attempts retry with backoff and dead-letter after maxAttempts', async () => {
+    queue.registerHandler('message', async () => {
+      throw new Error('gateway down');
+    });
+    const job = queue.enqueue({ type: 'message', runAt: now });
+
+    await queue.poll();
+    expect(queue.getJob(job.id)).toMatchObject({ status: 'scheduled', attempts: 1, lastError: 'gateway down' });
+    expect(queue.getJob(job.id).nextAttemptAt).toBe(new Date(now + 30000).toISOString());
+
+    // Not due yet: nothing happens
+    await queue.poll();
+    expect(queue.getJob(job.id).attempts).toBe(1);
+
+    now += 30000;
+    await queue.poll();
+    expect(queue.getJob(job.id).nextAttemptAt).toBe(new Date(now + 60000).toISOString());
+
+    now += 60000;
+    await queue.poll();
+    expect(queue.list()).toEqual([]);
+    const [deadLetter] = queue.getDeadLetters();
+    expect(deadLetter).toMatchObject({ id: job.id, status: 'failed', attempts: 3 });
+    expect(deadLetter.failures).toHaveLength(3);
+    expect(queue.getInfo().jobs.failed).toBe(1);
+  });
+
+  test('retryDeadLetter requeues with a fresh attempt budget', async () => {
+    queue.registerHandler('message', async () => {
+      throw new Error('nope');
+    });
+    const job = queue.enqueue({ type: 'message', runAt: now, maxAttempts: 1 });
+    await queue.poll();
+
+    const requeued = queue.retryDeadLetter(job.id);
+    expect(requeued).toMatchObject({ status: 'scheduled', attempts: 0 });
+    expect(queue.getDeadLetters()).toEqual([]);
+  });
+
+  test('deferred results push the job back without using an attempt; skipped cancels it', async () => {
+    const until = new Date(now + 3600000);
+    queue.registerHandler('deferred', async () => JobQueue.deferred(until, 'quiet hours'));
+    queue.registerHandler('skipped', async () => JobQueue.skipped('opted out'));
+    const deferred = queue.enqueue({ type: 'deferred', runAt: now });
+    const skipped = queue.enqueue({ type: 'skipped', runAt: now });
+
+    await queue.poll();
+
+    expect(queue.getJob(deferred.id)).toMatchObject({ status: 'scheduled', attempts: 0, nextAttemptAt: until.toISOString() });
+    expect(queue.getJob(deferred.id).deferrals[0].reason).toBe('quiet hours');
+    expect(queue.getJob(skipped.id)).toMatchObject({ status: 'cancelled', cancelReason: 'opted out' });
+  });
+
+  test('jobs interrupted mid-send are requeued on initialize', async () => {
+    const job = queue.enqueue({ type: 'message', runAt: now });
+    queue.saveJob({ ...queue.getJob(job.id), status: 'sending' });
+
+    await queue.initialize();
+    expect(queue.getJob(job.id).status).toBe('scheduled');
+  });
+
+  test('cancel and reschedule only touch scheduled jobs', () => {
+    const job = queue.enqueue({ type: 'message', runAt: now, customerId: 'cust-1' });
+    const moved = queue.reschedule(job.id, now + 5000);
+    expect(moved.scheduledTime).toBe(new Date(now + 5000).toISOString());
+
+    expect(queue.cancel({ customerId: 'cust-1' })).toHaveLength(1);
+    expect(() => queue.reschedule(job.id, now)).toThrow('only scheduled jobs can be rescheduled');
+    expect(() => queue.reschedule(job.id, now)).toThrow(expect.objectContaining({ code: 'JOB_NOT_SCHEDULED', status: 409 }));
+    expect(() => queue.reschedule('missing', now)).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND', status: 404 }));
+  });
+});
+
+describe('scheduled message routes', () => {
+  let now;
+  let queue;
+  let handler;
+  let app;
+
+  beforeEach(async () => {
+    now = Date.parse('2026-01-01T09:00:00.000Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queue = new JobQueue({ backend: 'memory', maxAttempts: 1 });
+    handler = jest.fn(async () => ({ finalText: 'Your claim was approved.' }));
+    queue.registerHandler('message', handler);
+    app = await startRouteApp('/api/admin', adminRouter, { customerService: { jobQueue: queue } });
+  });
+
+  afterEach(async () => {
+    await app.close();
+    await queue.close();
+    jest.restoreAllMocks();
+  });
+
+  test('list returns queued and dead-lettered jobs in send order, filtered', async () => {
+    const later = queue.enqueue({ type: 'message', runAt: now + 60000, customerId: 'cust-1', text: 'Later' });
+    const sooner = queue.enqueue({ type: 'message', runAt: now + 1000, customerId: 'cust-1', text: 'Sooner' });
+    queue.enqueue({ type: 'message', runAt: now + 1000, customerId: 'cust-2', text: 'Other customer' });
+    handler.mockRejectedValueOnce(new Error('gateway down'));
+    const dead = queue.enqueue({ type: 'message', runAt: now - 1000, customerId: 'cust-1', text: 'Failed' });
+    await queue.runJob(queue.getJob(dead.id));
+
+    const listed = await app.request('GET', '/api/admin/schedules?customerId=cust-1');
+    expect(listed.status).toBe(200);
+    expect(listed.body.filter).toEqual({ customerId: 'cust-1' });
+    expect(listed.body.jobs.map(job => [job.id, job.status])).toEqual([
+      [dead.id, 'failed'],
+      [sooner.id, 'scheduled'],
+      [later.id, 'scheduled']
+    ]);
+    expect(listed.body.jobs[1].scriptedText).toBe('Sooner');
+
+    const invalid = await app.request('GET', '/api/admin/schedules?status=pending&from=yesterday');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toHaveLength(2);
+  });
+
+  test('get returns one job or 404', async () => {
+    const job = queue.enqueue({ type: 'message', runAt: now + 1000, text: 'Hello' });
+
+    const found = await app.request('GET', `/api/admin/schedules/${job.id}`);
+    expect(found.status).toBe(200);
+    expect(found.body.job).toMatchObject({ id: job.id, status: 'scheduled', scriptedText: 'Hello' });
+
+    const missing = await app.request('GET', '/api/admin/schedules/missing');
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('JOB_NOT_FOUND');
+  });
+
+  test('cancel only cancels scheduled jobs', async () => {
+    const job = queue.enqueue({ type: 'message', runAt: now + 1000, conversationId: 'conv-1' });
+
+    const cancelled = await app.request('POST', `/api/admin/schedules/${job.id}/cancel`);
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.job.status).toBe('cancelled');
+
+    const again = await app.request('POST', `/api/admin/schedules/${job.id}/cancel`);
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('JOB_NOT_SCHEDULED');
+
+    expect((await app.request('POST', '/api/admin/schedules/missing/cancel')).status).toBe(404);
+  });
+
+  test('reschedule moves the send time and maps queue errors by code', async () => {
+    const job = queue.enqueue({ type: 'message', runAt: now + 1000 });
+
+    const moved = await app.request('POST', `/api/admin/schedules/${job.id}/reschedule`, { delayInSeconds: 600 });
+    expect(moved.status).toBe(200);
+    expect(moved.body.job.scheduledTime).toBe(new Date(now + 600000).toISOString());
+
+    const bothGiven = await app.request('POST', `/api/admin/schedules/${job.id}/reschedule`, { sendAt: '2026-01-02T09:00:00Z', delayInSeconds: 5 });
+    expect(bothGiven.status).toBe(400);
+
+    // Valid input whose send time overflows the Date range is rejected by the queue
+    const overflow = await app.request('POST', `/api/admin/schedules/${job.id}/reschedule`, { delayInSeconds: 1e308 });
+    expect(overflow.status).toBe(400);
+    expect(overflow.body).toMatchObject({ code: 'INVALID_RUN_TIME', details: ['Invalid job run time: Infinity'] });
+
+    const missing = await app.request('POST', '/api/admin/schedules/missing/reschedule', { sendAt: '2026-01-02T09:00:00Z' });
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('JOB_NOT_FOUND');
+
+    queue.cancel({ id: job.id });
+    const cancelled = await app.request('POST', `/api/admin/schedules/${job.id}/reschedule`, { sendAt: '2026-01-02T09:00:00Z' });
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.code).toBe('JOB_NOT_SCHEDULED');
+  });
+
+  test('send-now runs the handler with force and reports the outcome', async () => {
+    const job = queue.enqueue({ type: 'message', runAt: now + 60000 });
+
+    const invalid = await app.request('POST', `/api/admin/schedules/${job.id}/send-now`, { force: 'yes' });
+    expect(invalid.status).toBe(400);
+
+    const sent = await app.request('POST', `/api/admin/schedules/${job.id}/send-now`, { force: true });
+    expect(sent.status).toBe(200);
+    expect(sent.body).toMatchObject({ success: true, job: { status: 'sent', humanizedText: 'Your claim was approved.' } });
+    expect(handler.mock.calls[0][1]).toEqual({ force: true });
+
+    const again = await app.request('POST', `/api/admin/schedules/${job.id}/send-now`, {});
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('JOB_NOT_SCHEDULED');
+
+    const unhandled = queue.enqueue({ type: 'reminder', runAt: now + 60000 });
+    const noHandler = await app.request('POST', `/api/admin/schedules/${unhandled.id}/send-now`, {});
+    expect(noHandler.status).toBe(409);
+    expect(noHandler.body.code).toBe('NO_HANDLER');
+  });
+});
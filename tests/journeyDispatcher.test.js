@@ -0,0 +1,138 @@
+const JourneyDispatcher = require('../src/services/journeyDispatcher');
+
+const CUSTOMERS = [
+  { id: 'cust-1', phone: '+91 98765 43210' },
+  { id: 'cust-2', whatsappNumber: '919812345678' }
+];
+
+function createCustomerService() {
+  const activeJourneys = new Map();
+  return {
+    activeJourneys,
+    getCustomer: jest.fn(id => CUSTOMERS.find(customer => customer.id === id) || null),
+    findCustomerByPhone: jest.fn(phone => {
+      const digits = String(phone).replace(/\D/g, '').slice(-10);
+      return digits.length === 10
+        ? CUSTOMERS.find(customer => String(customer.phone || customer.whatsappNumber).replace(/\D/g, '').endsWith(digits)) || null
+        : null;
+    }),
+    handleRescheduleRequest: jest.fn(async () => ({ answer: 'rescheduled' })),
+    queryDocuments: jest.fn(async () => ({ answer: 'policy answer' })),
+    intentJourneyService: {
+      getActiveJourney: jest.fn(customerId => activeJourneys.get(customerId) || null),
+      processIntentJourney: jest.fn(async (customerId, intent) => ({ answer: `journey ${intent}` })),
+      healthCheckupService: {
+        processHealthCheckupQuery: jest.fn(async () => ({ answer: 'health checkup' }))
+      }
+    }
+  };
+}
+
+describe('JourneyDispatcher', () => {
+  let customerService;
+  let dispatcher;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    customerService = createCustomerService();
+    dispatcher = new JourneyDispatcher(customerService, {
+      routes: { 'Book Health-Checkup': 'health_checkup', 'claim.start': 'claim', 'Reschedule': 'reschedule' },
+      defaultHandler: 'policy_qa',
+      defaultCustomerId: 'cust-default'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveCustomer', () => {
+    test('an explicit customer ID comes first when the session and caller identify nobody else', () => {
+      expect(dispatcher.resolveCustomer({ customerId: 'cust-2', sessionId: 'web-session-1' }))
+        .toEqual({ customerId: 'cust-2', source: 'request' });
+      expect(dispatcher.resolveCustomer({ customerId: 'cust-1', sessionId: '919876543210' }))
+        .toEqual({ customerId: 'cust-1', source: 'request' });
+      expect(dispatcher.resolveCustomer({ customerId: 42 })).toEqual({ customerId: '42', source: 'request' });
+    });
+
+    test('a session or caller number that belongs to another customer overrides the explicit ID', () => {
+      expect(dispatcher.resolveCustomer({ customerId: 'cust-2', callerId: '+919876543210' }))
+        .toEqual({ customerId: 'cust-1', source: 'caller' });
+      expect(dispatcher.resolveCustomer({ customerId: 'cust-1', sessionId: 'cust-2' }))
+        .toEqual({ customerId: 'cust-2', source: 'session' });
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('the session ID is tried as a customer ID, then as a phone number, before the caller ID', () => {
+      expect(dispatcher.resolveCustomer({ sessionId: 'cust-2', callerId: '9876543210' }))
+        .toEqual({ customerId: 'cust-2', source: 'session' });
+      expect(dispatcher.resolveCustomer({ sessionId: '9812345678', callerId: '9876543210' }))
+        .toEqual({ customerId: 'cust-2', source: 'session' });
+      expect(dispatcher.resolveCustomer({ sessionId: 'web-session-1', callerId: '9876543210' }))
+        .toEqual({ customerId: 'cust-1', source: 'caller' });
+    });
+
+    test('requests that identify nobody fall back to the default customer', () => {
+      expect(dispatcher.resolveCustomer({ sessionId: 'web-session-1', callerId: '12345' }))
+        .toEqual({ customerId: 'cust-default', source: 'default' });
+      expect(new JourneyDispatcher(customerService).resolveCustomer())
+        .toEqual({ customerId: null, source: 'default' });
+    });
+  });
+
+  describe('routing', () => {
+    test('intent names are normalized before the routing table lookup', async () => {
+      const { handler, source, result } = await dispatcher.dispatch({ customerId: 'cust-1', intentName: ' book health checkup ', text: 'hi' });
+      expect({ handler, source }).toEqual({ handler: 'health_checkup', source: 'route' });
+      expect(result.answer).toBe('health checkup');
+
+      await dispatcher.dispatch({ customerId: 'cust-1', intentName: 'Claim Start', text: 'I was admitted' });
+      expect(customerService.intentJourneyService.processIntentJourney)
+        .toHaveBeenCalledWith('cust-1', 'EVENT_DRIVEN_CLAIM_EPISODE', 'I was admitted');
+    });
+
+    test('unrouted intents continue the active journey, else go to the default handler', async () => {
+      customerService.activeJourneys.set('cust-1', { intent: 'HEALTH_CHECKUP_BOOKING_JOURNEY' });
+
+      const active = await dispatcher.dispatch({ customerId: 'cust-1', intentName: 'Default Fallback Intent', text: 'yes' });
+      expect(active).toMatchObject({ handler: 'journey', source: 'active_journey', journeyIntent: 'HEALTH_CHECKUP_BOOKING_JOURNEY' });
+      expect(active.result.answer).toBe('journey HEALTH_CHECKUP_BOOKING_JOURNEY');
+
+      const fallback = await dispatcher.dispatch({ customerId: 'cust-2', intentName: 'Unknown Journey', text: 'what is covered?' });
+      expect(fallback).toMatchObject({ handler: 'policy_qa', source: 'default' });
+      expect(customerService.queryDocuments).toHaveBeenCalledWith('cust-2', 'what is covered?', { channel: 'VOICE' });
+    });
+
+    test('routes to unknown handlers are ignored and an unknown default handler falls back to health_checkup', () => {
+      const misconfigured = new JourneyDispatcher(customerService, {
+        routes: { 'Book Flight': 'travel', Claim: 'claim' },
+        defaultHandler: 'travel'
+      });
+
+      expect(misconfigured.getInfo()).toEqual({ routes: { claim: 'claim' }, defaultHandler: 'health_checkup', defaultCustomerId: null });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Book Flight -> travel'));
+      expect(misconfigured.resolveHandler('Book Flight', 'cust-1')).toEqual({ handler: 'health_checkup', source: 'default' });
+    });
+
+    test('reschedule passes the formatted date parameter on', async () => {
+      await dispatcher.dispatch({ customerId: 'cust-1', intentName: 'Reschedule', text: 'move it', parameters: { date: { year: 2025, month: 11, day: 5 } } });
+      expect(customerService.handleRescheduleRequest).toHaveBeenCalledWith('cust-1', 'move it', { date: '5 Nov 2025' });
+    });
+  });
+
+  describe('formatDateParameter', () => {
+    test.each([
+      ['ES date-time string', '2025-11-25T12:00:00+05:30', '25 Nov 2025'],
+      ['ES date_time object', { date_time: '2025-12-01T09:30:00+05:30' }, '1 Dec 2025'],
+      ['ES date period', { startDate: '2026-01-10T00:00:00+05:30', endDate: '2026-01-12T23:59:59+05:30' }, '10 Jan 2026'],
+      ['CX date object', { year: 2025, month: 2, day: 9 }, '9 Feb 2025'],
+      ['missing value', undefined, null],
+      ['empty string', '', null],
+      ['unparseable text', 'next tuesday', null],
+      ['incomplete CX object', { year: 2025, month: 2 }, null]
+    ])('%s', (label, value, expected) => {
+      expect(JourneyDispatcher.formatDateParameter(value)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const JourneyEngine = require('../src/services/journeyEngine');
+const BaseOrchestrator = require('../src/services/baseOrchestrator');
+const HealthCheckupOrchestrator = require('../src/services/healthCheckupOrchestrator');
+const healthCheckupJourney = require('../data/healthCheckupJourney.json');
+
+const classifiers = {
+  positive: message => /^(yes|ok|sure)\b/i.test(message),
+  negative: message => /^(no|nope)\b/i.test(message),
+  skip: message => /^skip\b/i.test(message)
+};
+
+function stage(transitionRules, extra = {}) {
+  return {
+    id: 'current',
+    transitions: { accepted: 'next', declined: 'exit', fallback: 'help' },
+    transitionRules,
+    ...extra
+  };
+}
+
+describe('JourneyEngine rules', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new JourneyEngine({ responses: classifiers });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the first matching rule wins', () => {
+    const rules = [
+      { when: { response: 'negative' }, to: 'declined' },
+      { when: { response: ['positive', 'skip'] }, to: 'accepted' },
+      { to: 'fallback' }
+    ];
+
+    expect(engine.evaluate(stage(rules), {}, 'no thanks')).toEqual({ stageId: 'exit', rule: 0, transition: 'declined' });
+    expect(engine.evaluate(stage(rules), {}, 'skip this')).toEqual({ stageId: 'next', rule: 1, transition: 'accepted' });
+    expect(engine.evaluate(stage(rules), {}, 'what?')).toEqual({ stageId: 'help', rule: 2, transition: 'fallback' });
+  });
+
+  test('no matching rule keeps the current stage', () => {
+    const result = engine.evaluate(stage([{ when: { response: 'positive' }, to: 'accepted' }]), {}, 'maybe later');
+    expect(result).toEqual({ stageId: 'current', rule: null, transition: null });
+  });
+
+  test('all keys of a condition must hold', () => {
+    const rules = [{ when: { has: ['date', 'time'], response: 'positive' }, to: 'accepted' }];
+
+    expect(engine.nextStage(stage(rules), { date: '2026-03-01' }, 'yes')).toBe('current');
+    expect(engine.nextStage(stage(rules), { date: '2026-03-01', time: '10:00' }, 'no')).toBe('current');
+    expect(engine.nextStage(stage(rules), { date: '2026-03-01', time: '10:00' }, 'yes')).toBe('next');
+  });
+
+  test('has and hasAny treat empty values as unset', () => {
+    const has = stage([{ when: { has: 'members' }, to: 'accepted' }]);
+    const hasAny = stage([{ when: { hasAny: ['email', 'phone'] }, to: 'accepted' }]);
+
+    expect(engine.nextStage(has, { members: [] }, '')).toBe('current');
+    expect(engine.nextStage(has, { members: ['Punita'] }, '')).toBe('next');
+    expect(engine.nextStage(hasAny, { email: '', phone: null }, '')).toBe('current');
+    expect(engine.nextStage(hasAny, { email: '', phone: '9876543210' }, '')).toBe('next');
+  });
+
+  test('mentions, equals, requiredData, any and not', () => {
+    const mentions = stage([{ when: { mentions: ['Hospital', 'clinic'] }, to: 'accepted' }]);
+    expect(engine.nextStage(mentions, {}, 'Which HOSPITAL is near me?')).toBe('next');
+    expect(engine.nextStage(mentions, {}, 'Which doctor?')).toBe('current');
+
+    const equals = stage([{ when: { equals: { claimType: 'cashless' } }, to: 'accepted' }]);
+    expect(engine.nextStage(equals, { claimType: 'cashless' }, '')).toBe('next');
+    expect(engine.nextStage(equals, { claimType: 'reimbursement' }, '')).toBe('current');
+
+    const required = stage([{ when: { requiredData: false }, to: 'fallback' }], { requiredData: ['policyNumber'] });
+    expect(engine.nextStage(required, {}, '')).toBe('help');
+    expect(engine.nextStage(required, { policyNumber: 'P-1' }, '')).toBe('current');
+
+    const combined = stage([{ when: { any: [{ response: 'positive' }, { mentions: 'go ahead' }], not: { has: 'blocked' } }, to: 'accepted' }]);
+    expect(engine.nextStage(combined, {}, 'Please go ahead')).toBe('next');
+    expect(engine.nextStage(combined, { blocked: true }, 'yes')).toBe('current');
+  });
+
+  test('unknown conditions and response classes never match', () => {
+    expect(engine.nextStage(stage([{ when: { sentiment: 'happy' }, to: 'accepted' }]), {}, 'yes')).toBe('current');
+    expect(engine.nextStage(stage([{ when: { response: 'grateful' }, to: 'accepted' }]), {}, 'thanks')).toBe('current');
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('effects apply set, then setDefault, then actions', () => {
+    const calls = [];
+    engine = new JourneyEngine({
+      responses: classifiers,
+      actions: { record: (collectedData, context) => calls.push({ ...collectedData, stage: context.stage.id }) }
+    });
+    const collectedData = { method: 'walk-in' };
+    const rules = [{
+      when: { response: 'positive' },
+      set: { confirmed: true, tags: ['a'] },
+      setDefault: { method: 'home sample collection', slot: 'morning' },
+      action: 'record',
+      to: 'accepted'
+    }];
+
+    engine.evaluate(stage(rules), collectedData, 'yes');
+
+    expect(collectedData).toEqual({ method: 'walk-in', confirmed: true, tags: ['a'], slot: 'morning' });
+    expect(calls).toEqual([{ ...collectedData, stage: 'current' }]);
+    // set values are copied, so one conversation cannot change the journey definition
+    collectedData.tags.push('b');
+    expect(rules[0].set.tags).toEqual(['a']);
+  });
+
+  test('an unknown action is skipped but the transition still applies', () => {
+    const result = engine.evaluate(stage([{ action: 'missing', to: 'accepted' }]), {}, '');
+    expect(result.stageId).toBe('next');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown journey action "missing"'));
+  });
+
+  test('targets: transition keys in order, a direct stage, or stay when unresolved', () => {
+    expect(engine.evaluate(stage([{ to: ['missing', 'declined'] }]), {}, '')).toEqual({ stageId: 'exit', rule: 0, transition: 'declined' });
+    expect(engine.evaluate(stage([{ stage: 'end' }]), {}, '')).toEqual({ stageId: 'end', rule: 0, transition: null });
+    expect(engine.evaluate(stage([{ to: 'missing' }]), {}, '')).toEqual({ stageId: 'current', rule: 0, transition: null });
+  });
+});
+
+describe('JourneyEngine with the health checkup journey', () => {
+  const stages = new Map(healthCheckupJourney.conversationFlow.stages.map(entry => [entry.id, entry]));
+  let engine;
+  let selectPlan;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const orchestrator = new BaseOrchestrator({ brand_voice: {} }, null, null);
+    selectPlan = jest.fn(collectedData => { collectedData.selectedPackage = 'Plan A'; });
+    engine = new JourneyEngine({
+      responses: orchestrator.getResponseClassifiers(),
+      actions: { selectFirstHealthCheckupPlan: selectPlan }
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('accepting the package selects a plan and moves on to scheduling', () => {
+    const collectedData = {};
+    expect(engine.nextStage(stages.get('show_package_options'), collectedData, 'yes')).toBe('collect_scheduling_details');
+    expect(selectPlan).toHaveBeenCalledTimes(1);
+    expect(collectedData.selectedPackage).toBe('Plan A');
+  });
+
+  test('declining the package offers a health manager call', () => {
+    expect(engine.nextStage(stages.get('show_package_options'), {}, 'no')).toBe('offer_health_manager_call');
+    expect(selectPlan).not.toHaveBeenCalled();
+  });
+
+  test('scheduling waits for both date and time and defaults the collection method', () => {
+    const scheduling = stages.get('collect_scheduling_details');
+    const collectedData = { preferredDate: '2026-03-01' };
+    expect(engine.nextStage(scheduling, collectedData, 'March 1st')).toBe('collect_scheduling_details');
+
+    collectedData.preferredTime = '09:00';
+    expect(engine.nextStage(scheduling, collectedData, '9 am')).toBe('confirm_appointment');
+    expect(collectedData.collectionMethod).toBe('home sample collection');
+  });
+});
+
+describe('HealthCheckupOrchestrator family members', () => {
+  const stages = new Map(healthCheckupJourney.conversationFlow.stages.map(entry => [entry.id, entry]));
+  let orchestrator;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    orchestrator = new HealthCheckupOrchestrator(healthCheckupJourney, null, null);
+    orchestrator.policyInfo = {
+      policyholder: 'Meera Iyer',
+      insuredMembers: [
+        { name: 'Meera Iyer', relationship: 'Self' },
+        { name: 'Arjun Iyer', relationship: 'Spouse' },
+        { name: 'Kavya Iyer', relationship: 'Daughter' }
+      ]
+    };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a plain yes books for the policyholder named in the policy', () => {
+    const collectedData = { initialIntent: true };
+    expect(orchestrator.journeyEngine.nextStage(stages.get('identify_member'), collectedData, 'yes')).toBe('show_package_options');
+    expect(collectedData.selectedMembers).toEqual(['Meera']);
+  });
+
+  test('members are picked by name or relationship from the policy', () => {
+    expect(orchestrator.extractHealthCheckupData('For Kavya and my husband', {}).selectedMembers).toEqual(['Arjun', 'Kavya']);
+    expect(orchestrator.extractHealthCheckupData('everyone please', {}).selectedMembers).toEqual(['Meera', 'Arjun', 'Kavya']);
+    expect(orchestrator.extractHealthCheckupData('my son', {}).selectedMembers).toBeUndefined();
+  });
+});
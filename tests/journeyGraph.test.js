@@ -0,0 +1,175 @@
+const JourneyGraph = require('../src/services/journeyGraph');
+const ConversationStore = require('../src/services/conversationStore');
+
+const JOURNEY = {
+  intent: 'TEST_JOURNEY',
+  conversationFlow: {
+    stages: [
+      {
+        id: 'greeting',
+        name: 'Say "hello"',
+        promptTemplate: 'Greet the customer.',
+        transitions: { yes: 'pick_plan', no: 'end' }
+      },
+      {
+        id: 'pick_plan',
+        name: 'Pick [plan]',
+        promptTemplate: 'Offer the plans.',
+        transitions: { picked: 'confirm', skipped: 'confirm' },
+        transitionRules: [
+          { when: { mentions: ['"start over"'] }, stage: 'greeting' },
+          { when: { has: 'selectedPlan' }, to: 'picked' }
+        ]
+      },
+      {
+        id: 'confirm',
+        name: 'Confirm',
+        promptTemplate: 'Confirm the plan.',
+        transitions: { complete: 'end' }
+      }
+    ]
+  }
+};
+
+const EVENT_JOURNEY = {
+  journeyId: 'TEST_EVENTS',
+  journeyName: 'Test "events"',
+  events: [
+    { id: 'WELCOME', title: 'Welcome', timeOffsetDays: 3, ctas: [{ label: 'View [policy]', action: 'POLICY_VIEWED' }] },
+    { id: 'POLICY_VIEWED', title: 'Policy viewed', triggerType: 'cta', dependsOn: 'WELCOME' },
+    { id: 'REMINDER', title: 'Reminder', dependsOn: 'WELCOME', timeOffsetDays: 7 }
+  ]
+};
+
+describe('JourneyGraph', () => {
+  const graph = JourneyGraph.fromConversationJourney(JOURNEY);
+
+  test('conversation journeys: a node per stage, merged parallel transitions and an implicit end', () => {
+    expect(graph).toEqual({
+      id: 'TEST_JOURNEY',
+      title: 'TEST_JOURNEY',
+      kind: 'conversation',
+      entry: 'greeting',
+      nodes: [
+        { id: 'greeting', label: 'Say "hello"', terminal: false },
+        { id: 'pick_plan', label: 'Pick [plan]', terminal: false },
+        { id: 'confirm', label: 'Confirm', terminal: false },
+        { id: 'end', label: 'End', terminal: true }
+      ],
+      edges: [
+        { from: 'greeting', to: 'pick_plan', label: 'yes', style: 'solid' },
+        { from: 'greeting', to: 'end', label: 'no', style: 'solid' },
+        { from: 'pick_plan', to: 'confirm', label: 'picked / skipped', style: 'solid' },
+        { from: 'pick_plan', to: 'greeting', label: 'mentions "start over"', style: 'solid' },
+        { from: 'confirm', to: 'end', label: 'complete', style: 'solid' }
+      ]
+    });
+  });
+
+  test('toMermaid escapes quotes and brackets and renames the end keyword', () => {
+    expect(JourneyGraph.toMermaid(graph)).toBe([
+      '%% TEST_JOURNEY',
+      'flowchart TD',
+      '    greeting["Say #quot;hello#quot;"]',
+      '    pick_plan["Pick #91;plan#93;"]',
+      '    confirm["Confirm"]',
+      '    end_(["End"])',
+      '    greeting -->|"yes"| pick_plan',
+      '    greeting -->|"no"| end_',
+      '    pick_plan -->|"picked / skipped"| confirm',
+      '    pick_plan -->|"mentions #quot;start over#quot;"| greeting',
+      '    confirm -->|"complete"| end_',
+      '    classDef entry stroke-width:3px',
+      '    class greeting entry',
+      ''
+    ].join('\n'));
+  });
+
+  test('toDot quotes IDs and escapes quotes in labels', () => {
+    expect(JourneyGraph.toDot(graph)).toBe([
+      'digraph "TEST_JOURNEY" {',
+      '    label="TEST_JOURNEY";',
+      '    labelloc=t;',
+      '    rankdir=TB;',
+      '    node [shape=box, style=rounded];',
+      '    "greeting" [label="Say \\"hello\\"", penwidth=2];',
+      '    "pick_plan" [label="Pick [plan]"];',
+      '    "confirm" [label="Confirm"];',
+      '    "end" [label="End", peripheries=2];',
+      '    "greeting" -> "pick_plan" [label="yes"];',
+      '    "greeting" -> "end" [label="no"];',
+      '    "pick_plan" -> "confirm" [label="picked / skipped"];',
+      '    "pick_plan" -> "greeting" [label="mentions \\"start over\\""];',
+      '    "confirm" -> "end" [label="complete"];',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  test('visit counts label each stage and grey out the ones nobody reached', () => {
+    const visits = { greeting: 3, pick_plan: 1 };
+
+    const mermaid = JourneyGraph.toMermaid(graph, visits).split('\n');
+    expect(mermaid.slice(2, 6)).toEqual([
+      '    greeting["Say #quot;hello#quot;<br/>3 visits"]',
+      '    pick_plan["Pick #91;plan#93;<br/>1 visit"]',
+      '    confirm["Confirm<br/>0 visits"]',
+      '    end_(["End<br/>0 visits"])'
+    ]);
+    expect(mermaid.slice(-3)).toEqual([
+      '    classDef unvisited fill:#eee,stroke:#999,color:#888,stroke-dasharray:4 4',
+      '    class confirm,end_ unvisited',
+      ''
+    ]);
+
+    const dot = JourneyGraph.toDot(graph, visits).split('\n');
+    expect(dot.slice(5, 9)).toEqual([
+      '    "greeting" [label="Say \\"hello\\"\\n3 visits", penwidth=2];',
+      '    "pick_plan" [label="Pick [plan]\\n1 visit"];',
+      '    "confirm" [label="Confirm\\n0 visits", style="rounded,dashed", fontcolor=gray50, color=gray60];',
+      '    "end" [label="End\\n0 visits", peripheries=2, style="rounded,dashed", fontcolor=gray50, color=gray60];'
+    ]);
+  });
+
+  test('event journeys: dashed dependsOn edges with their offset and solid CTA edges', () => {
+    const events = JourneyGraph.fromEventJourney(EVENT_JOURNEY);
+
+    expect(events.entry).toBe('WELCOME');
+    expect(events.nodes.map(node => node.label)).toEqual(['Welcome (system, +3d)', 'Policy viewed (cta)', 'Reminder (system)']);
+    expect(JourneyGraph.toMermaid(events).split('\n').slice(0, 9)).toEqual([
+      '%% Test "events"',
+      'flowchart TD',
+      '    WELCOME["Welcome (system, +3d)"]',
+      '    POLICY_VIEWED(["Policy viewed (cta)"])',
+      '    REMINDER(["Reminder (system)"])',
+      '    WELCOME -->|"View #91;policy#93;"| POLICY_VIEWED',
+      '    WELCOME -.->|"then"| POLICY_VIEWED',
+      '    WELCOME -.->|"after 7d"| REMINDER',
+      '    classDef entry stroke-width:3px'
+    ]);
+  });
+
+  test('countVisits counts each conversation once per stage it reached', () => {
+    const store = new ConversationStore({ backend: 'memory' });
+    store.set('intent.journeys', 'cust-1', { conversationId: 'conv-1', intent: 'TEST_JOURNEY' });
+    store.set('intent.journeys', 'cust-2', { conversationId: 'conv-2', intent: 'TEST_JOURNEY' });
+    store.set('intent.journeys', 'cust-3', { conversationId: 'conv-3', intent: 'OTHER_JOURNEY' });
+    store.set('intent.states', 'conv-1', { currentStageId: 'confirm', stageHistory: [{ stage: 'greeting' }, { stage: 'pick_plan' }] });
+    store.set('intent.states', 'conv-2', { currentStageId: 'pick_plan', stageHistory: [{ stage: 'greeting' }] });
+    store.set('intent.states', 'conv-3', { currentStageId: 'greeting', stageHistory: [] });
+    store.set('healthCheckup.states', 'hc-1', {
+      currentStageId: 'identify_member',
+      stageHistory: [{ stageId: 'greeting' }, { stageId: 'greeting' }, { stageId: 'identify_member' }]
+    });
+
+    expect(JourneyGraph.countVisits(store, 'TEST_JOURNEY')).toEqual({ greeting: 2, pick_plan: 2, confirm: 1 });
+    expect(JourneyGraph.countVisits(store, 'HEALTH_CHECKUP_BOOKING_JOURNEY')).toEqual({ greeting: 1, identify_member: 1 });
+    expect(JourneyGraph.countVisits(store, 'UNKNOWN')).toEqual({});
+  });
+
+  test('build finds the journeys on disk by ID', () => {
+    expect(JourneyGraph.build('HEALTH_CHECKUP_BOOKING_JOURNEY')).toMatchObject({ kind: 'conversation', entry: 'greeting' });
+    expect(JourneyGraph.build('NEW_CUSTOMER_ONBOARDING')).toMatchObject({ kind: 'events' });
+    expect(JourneyGraph.build('NO_SUCH_JOURNEY')).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+const path = require('path');
+const fs = require('fs-extra');
+const JourneySimulator = require('../src/services/journeySimulator');
+
+const SCENARIOS = path.join(__dirname, '../sample-data/journey-scenarios');
+const FAKE_LLM_SCRIPT = path.join(__dirname, '../sample-data/fake-llm-script.json');
+
+describe('JourneySimulator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(fs.readdirSync(SCENARIOS).filter(file => file.endsWith('.json')))('%s replays without mismatches', async file => {
+    const scenario = fs.readJsonSync(path.join(SCENARIOS, file));
+    const transcript = await new JourneySimulator({ fakeScript: FAKE_LLM_SCRIPT }).run(scenario);
+
+    expect(transcript.turns).toHaveLength(scenario.turns.length);
+    expect(JourneySimulator.compare(transcript, { ignore: scenario.ignore })).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('compare reports the stage, listed fields, scheduled messages and claims that differ', () => {
+    const transcript = {
+      turns: [
+        {
+          index: 1,
+          stage: 'show_hospitals',
+          collectedData: { patientRelation: 'Self', medicalReason: 'Fever', admissionDate: '20 October' },
+          scheduledMessages: [{ text: 'Carry your ID proof' }],
+          claims: [{ hospitalName: 'Jaslok', estimatedCost: '20000', dateOfAdmission: '20-10-2026' }],
+          expect: {
+            stage: 'medical_reason',
+            collectedData: { patientRelation: 'Spouse', departmentSearched: 'General Medicine', admissionDate: '21 October' },
+            scheduledMessages: [],
+            claims: [{ hospitalName: 'Jaslok', estimatedCost: '25000', dateOfAdmission: '21-10-2026' }]
+          }
+        },
+        { index: 2, stage: 'end', collectedData: {}, scheduledMessages: [], claims: [] }
+      ]
+    };
+
+    expect(JourneySimulator.compare(transcript, { ignore: ['admissionDate', 'dateOfAdmission'] }).errors).toEqual([
+      'turn 1: stage is show_hospitals, expected medical_reason',
+      'turn 1: collectedData.patientRelation is "Self", expected "Spouse"',
+      'turn 1: collectedData.departmentSearched is missing, expected "General Medicine"',
+      'turn 1: scheduled ["Carry your ID proof"], expected []',
+      'turn 1: claim 1 estimatedCost is "20000", expected "25000"'
+    ]);
+  });
+
+  test('recordings expect everything the run produced, and replay cleanly', async () => {
+    const scenario = { journey: 'HEALTH_CHECKUP_BOOKING_JOURNEY', turns: ['Hi', 'Yes, book a health checkup'] };
+    const transcript = await new JourneySimulator({ fakeScript: FAKE_LLM_SCRIPT }).run(scenario);
+    const recording = JourneySimulator.toRecording(scenario, transcript);
+
+    expect(recording.turns[1]).toEqual({
+      message: 'Yes, book a health checkup',
+      expect: {
+        stage: 'identify_member',
+        collectedData: transcript.turns[1].collectedData,
+        scheduledMessages: [],
+        claims: []
+      }
+    });
+
+    const replay = await new JourneySimulator({ fakeScript: FAKE_LLM_SCRIPT }).run(recording);
+    expect(JourneySimulator.compare(replay).isValid).toBe(true);
+  });
+});
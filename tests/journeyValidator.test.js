@@ -0,0 +1,166 @@
+const JourneyValidator = require('../src/services/journeyValidator');
+
+/**
+ * Small journey: greeting -> collect_date -> confirm -> end
+ */
+function journey(overrides = {}) {
+  return {
+    intent: 'TEST_JOURNEY',
+    conversationFlow: {
+      stages: [
+        {
+          id: 'greeting',
+          name: 'Greeting',
+          promptTemplate: 'Greet {{customerName}}.',
+          transitions: { yes: 'collect_date', no: 'end' },
+          transitionRules: [
+            { when: { response: 'negative' }, to: 'no' },
+            { when: { response: 'positive' }, to: 'yes' }
+          ]
+        },
+        {
+          id: 'collect_date',
+          name: 'Collect Date',
+          collectData: ['preferredDate'],
+          promptTemplate: 'Ask for a date.',
+          transitions: { collected: 'confirm' },
+          transitionRules: [{ when: { has: 'preferredDate' }, to: 'collected' }]
+        },
+        {
+          id: 'confirm',
+          name: 'Confirm',
+          requiredData: ['preferredDate'],
+          promptTemplate: 'Confirm the visit on {{preferredDate}}.',
+          transitions: { complete: 'end' },
+          transitionRules: [{ to: 'complete' }]
+        }
+      ]
+    },
+    ...overrides
+  };
+}
+
+function stageOf(definition, id) {
+  return definition.conversationFlow.stages.find(stage => stage.id === id);
+}
+
+describe('JourneyValidator', () => {
+  test('a well-formed journey has no errors or warnings', () => {
+    expect(JourneyValidator.validate(journey())).toEqual({ isValid: true, errors: [], warnings: [] });
+  });
+
+  test('a transition to an undefined stage is a dangling-target error', () => {
+    const definition = journey();
+    stageOf(definition, 'collect_date').transitions.collected = 'confrim';
+    stageOf(definition, 'confirm').transitionRules.unshift({ when: { response: 'negative' }, stage: 'cancelled' });
+
+    const result = JourneyValidator.validate(definition);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      '[dangling-target] stage collect_date: transition "collected" points to undefined stage "confrim"',
+      '[dangling-target] stage confirm: rule 0 points to undefined stage "cancelled"'
+    ]);
+  });
+
+  test('a stage nothing leads to is an unreachable-stage warning', () => {
+    const definition = journey();
+    definition.conversationFlow.stages.push({
+      id: 'orphan',
+      name: 'Orphan',
+      promptTemplate: 'Never shown.',
+      transitions: { complete: 'end' }
+    });
+
+    const result = JourneyValidator.validate(definition);
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toEqual(['[unreachable-stage] stage orphan cannot be reached from greeting']);
+  });
+
+  test('a journey no stage finishes is a missing-terminal error', () => {
+    const definition = journey();
+    stageOf(definition, 'greeting').transitions.no = 'collect_date';
+    stageOf(definition, 'confirm').transitions.complete = 'greeting';
+
+    const result = JourneyValidator.validate(definition);
+
+    expect(result.errors).toContain('[missing-terminal] no stage ends the journey (define an "end" stage or a transition to it)');
+  });
+
+  test('stages that only lead to each other are a cycle-without-exit error', () => {
+    const definition = journey();
+    stageOf(definition, 'collect_date').transitions.collected = 'collect_time';
+    definition.conversationFlow.stages.push({
+      id: 'collect_time',
+      name: 'Collect Time',
+      promptTemplate: 'Ask for a time.',
+      transitions: { back: 'collect_date' }
+    });
+
+    const result = JourneyValidator.validate(definition);
+
+    expect(result.errors).toEqual(['[cycle-without-exit] stages collect_date → collect_time only lead to each other']);
+    // confirm is now unreachable as well
+    expect(result.warnings).toEqual(['[unreachable-stage] stage confirm cannot be reached from greeting']);
+  });
+
+  test('a cycle with a way out is allowed', () => {
+    const definition = journey();
+    stageOf(definition, 'confirm').transitions.change = 'collect_date';
+    expect(JourneyValidator.validate(definition).isValid).toBe(true);
+  });
+
+  test('a placeholder that is not collected data is an undefined-placeholder warning', () => {
+    const definition = journey();
+    stageOf(definition, 'confirm').promptTemplate = 'Confirm the visit on {{preferredDate}} at {{ date and time }}.';
+
+    expect(JourneyValidator.validate(definition).warnings).toEqual([
+      '[undefined-placeholder] stage confirm: promptTemplate uses {{date and time}}, which is not customerName or collected data'
+    ]);
+  });
+
+  test('a rule naming a transition the stage does not declare is an undeclared-transition warning', () => {
+    const definition = journey();
+    stageOf(definition, 'confirm').transitionRules.unshift({ when: { mentions: 'admit' }, to: 'initialIntent' });
+
+    expect(JourneyValidator.validate(definition).warnings).toEqual([
+      '[undeclared-transition] stage confirm: rule 0 uses transition "initialIntent", which the stage does not declare'
+    ]);
+  });
+
+  test('schema failures are reported with their path, next to the lint errors', () => {
+    const definition = journey({ intent: 'test journey' });
+    delete stageOf(definition, 'collect_date').name;
+    stageOf(definition, 'confirm').transitionRules = [{ when: { response: 'maybe' } }];
+    definition.conversationFlow.stages.push({ ...stageOf(definition, 'confirm') });
+
+    const result = JourneyValidator.validate(definition);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      '[schema] /intent must match pattern "^[A-Z][A-Z0-9_]*$"',
+      "[schema] /conversationFlow/stages/1 must have required property 'name'",
+      "[schema] /conversationFlow/stages/2/transitionRules/0 must have required property 'to'",
+      '[duplicate-stage] stage confirm is defined more than once'
+    ]));
+    expect(result.errors.some(error => error.startsWith('[schema] /conversationFlow/stages/2/transitionRules/0/when/response'))).toBe(true);
+  });
+
+  test('a journey without a stage list only gets the schema errors', () => {
+    expect(JourneyValidator.validate({ intent: 'TEST_JOURNEY' })).toEqual({
+      isValid: false,
+      errors: ["[schema] / must have required property 'conversationFlow'"],
+      warnings: []
+    });
+  });
+
+  test('the journey files in data/ are valid', () => {
+    const result = JourneyValidator.validateFiles();
+    expect(result.journeys.map(entry => [entry.intent, entry.errors])).toEqual([
+      ['HEALTH_CHECKUP_BOOKING_JOURNEY', []],
+      ['EVENT_DRIVEN_CLAIM_EPISODE', []]
+    ]);
+    expect(result.isValid).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+const path = require('path');
+const LLMProviderFactory = require('../src/services/llmProviderFactory');
+const FakeLLMProvider = require('../src/services/fakeLLMProvider');
+
+const SCRIPT = path.join(__dirname, '../sample-data/fake-llm-script.json');
+
+const request = text => ({ contents: [{ role: 'user', parts: [{ text }] }] });
+
+describe('LLMProviderFactory', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('LLM_PROVIDER=fake returns the scripted responses', async () => {
+    process.env.LLM_PROVIDER = 'fake';
+    const provider = LLMProviderFactory.create({ fakeScript: SCRIPT });
+
+    expect(provider).toBeInstanceOf(FakeLLMProvider);
+    expect(provider.getInfo().provider).toBe('fake');
+    expect((await provider.generate(request('Respond with ONLY the department name for: chest pain'))).text).toBe('General Medicine');
+    expect(JSON.parse((await provider.generate(request('Respond in JSON format: { "department": ..., "location": ... }'))).text))
+      .toEqual({ department: null, location: null });
+    expect((await provider.generate(request('Something unscripted'))).text)
+      .toBe('I can help you with that. Let me take care of it for you.');
+  });
+
+  test('an explicit provider option wins over LLM_PROVIDER', () => {
+    process.env.LLM_PROVIDER = 'gemini';
+    expect(LLMProviderFactory.create({ provider: 'fake' })).toBeInstanceOf(FakeLLMProvider);
+  });
+
+  test.each([
+    ['the provider option', () => LLMProviderFactory.create({ provider: 'openai' }), 'openai'],
+    ['LLM_PROVIDER', () => { process.env.LLM_PROVIDER = 'FAKE'; return LLMProviderFactory.create(); }, 'FAKE']
+  ])('an unknown provider name in %s fails clearly', (label, create, name) => {
+    expect(create).toThrow(`Unsupported LLM provider: ${name}. Supported: gemini, fake`);
+  });
+
+  test('resolve passes provider instances through', () => {
+    const provider = new FakeLLMProvider();
+    expect(LLMProviderFactory.resolve(provider)).toBe(provider);
+  });
+});
+
+describe('FakeLLMProvider', () => {
+  test('queued responses come first, then the first matching rule, then the default', async () => {
+    const provider = new FakeLLMProvider({
+      script: {
+        default: 'fallback',
+        rules: [
+          { match: 'CLAIM status', response: 'substring rule' },
+          { pattern: '^Score every', response: [{ index: 1, score: 8 }] },
+          { match: 'claim', response: 'shadowed rule' }
+        ]
+      }
+    });
+    provider.enqueue('queued', { ok: true });
+
+    const answers = [];
+    for (const prompt of ['claim status?', 'claim status?', 'What is my claim status?', 'Score every chunk', 'hello']) {
+      answers.push((await provider.generate(request(prompt))).text);
+    }
+
+    expect(answers).toEqual(['queued', '{"ok":true}', 'substring rule', '[{"index":1,"score":8}]', 'fallback']);
+    expect(provider.calls.filter(call => call.type === 'generate')).toHaveLength(5);
+  });
+
+  test('function rules receive the prompt', async () => {
+    const provider = new FakeLLMProvider();
+    provider.addRule(/echo: (.*)/, prompt => prompt.toUpperCase());
+    expect((await provider.generate('echo: hi')).text).toBe('ECHO: HI');
+  });
+
+  test('streams the completion as word deltas', async () => {
+    const provider = new FakeLLMProvider({ script: { default: 'Your policy covers day care procedures.' } });
+    const deltas = [];
+    for await (const delta of provider.generateStream(request('anything'))) {
+      deltas.push(delta);
+    }
+    expect(deltas.length).toBe(6);
+    expect(deltas.join('')).toBe('Your policy covers day care procedures.');
+  });
+
+  test('embeddings are deterministic unit vectors that rank shared terms higher', async () => {
+    const provider = new FakeLLMProvider({ dimensions: 64 });
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    const [room, roomAgain, unrelated] = await provider.embedBatch([
+      'room rent limit per day',
+      'room rent limit per day',
+      'maternity waiting period'
+    ]);
+    const query = await provider.embed('what is the room rent limit');
+
+    expect(room.values).toEqual(roomAgain.values);
+    expect(room.values).toHaveLength(64);
+    expect(dot(room.values, room.values)).toBeCloseTo(1, 6);
+    expect(dot(query.values, room.values)).toBeGreaterThan(dot(query.values, unrelated.values));
+  });
+});
@@ -0,0 +1,103 @@
+const MessageOutbox = require('../src/services/messageOutbox');
+const webhookRouter = require('../src/routes/webhook');
+const { startRouteApp } = require('./helpers/routeApp');
+
+describe('MessageOutbox.parseReport', () => {
+  test('Infobip delivery reports map status groups and use doneAt', () => {
+    expect(MessageOutbox.parseReport({
+      messageId: 'm1',
+      status: { groupName: 'DELIVERED' },
+      doneAt: '2026-03-01T10:00:05.000+0000',
+      sentAt: '2026-03-01T10:00:00.000+0000',
+      error: { groupId: 0, name: 'NO_ERROR' }
+    })).toEqual({ messageId: 'm1', status: 'delivered', at: '2026-03-01T10:00:05.000Z' });
+  });
+
+  test('undeliverable reports carry the error description', () => {
+    expect(MessageOutbox.parseReport({
+      messageId: 'm1',
+      status: { groupName: 'UNDELIVERABLE' },
+      sentAt: '2026-03-01T10:00:00.000Z',
+      error: { groupId: 2, name: 'EC_ABSENT_SUBSCRIBER', description: 'Absent subscriber' }
+    })).toEqual({ messageId: 'm1', status: 'failed', at: '2026-03-01T10:00:00.000Z', error: 'Absent subscriber' });
+  });
+
+  test('seen reports and the plain form are recognised', () => {
+    expect(MessageOutbox.parseReport({ messageId: 'm1', seenAt: '2026-03-01T10:01:00.000Z' }).status).toBe('read');
+    expect(MessageOutbox.parseReport({ messageId: 'm1', status: 'Delivered', at: '2026-03-01T10:01:00.000Z' }))
+      .toEqual({ messageId: 'm1', status: 'delivered', at: '2026-03-01T10:01:00.000Z' });
+    expect(MessageOutbox.parseReport({ messageId: 'm1', status: 'bounced' }).status).toBeNull();
+  });
+});
+
+describe('MessageOutbox.validateReports', () => {
+  test.each([
+    ['sentAt of an Infobip report without doneAt', { messageId: 'm1', status: { groupName: 'PENDING' }, sentAt: 'yesterday-ish' }],
+    ['doneAt of an Infobip report', { messageId: 'm1', status: { groupName: 'DELIVERED' }, doneAt: 'not a date' }],
+    ['seenAt', { messageId: 'm1', seenAt: 'soon' }],
+    ['at of a plain report', { messageId: 'm1', status: 'read', at: '31/02/2026' }]
+  ])('rejects an invalid %s', (label, report) => {
+    const validation = MessageOutbox.validateReports({ results: [report] });
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors[0]).toMatch(/^results\[0\] has an invalid timestamp/);
+  });
+
+  test('every report it accepts can be parsed', () => {
+    const body = {
+      results: [
+        { messageId: 'm1', status: { groupName: 'DELIVERED' }, doneAt: '2026-03-01T10:00:05.000Z' },
+        { messageId: 'm2', status: { groupName: 'PENDING' }, sentAt: '2026-03-01T10:00:00.000Z' },
+        { messageId: 'm3', seenAt: '2026-03-01T10:01:00.000Z' },
+        { messageId: 'm4', status: 'delivered' }
+      ]
+    };
+    expect(MessageOutbox.validateReports(body)).toEqual({ isValid: true, errors: [] });
+    expect(() => body.results.map(report => MessageOutbox.parseReport(report))).not.toThrow();
+  });
+
+  test('requires results and message IDs', () => {
+    expect(MessageOutbox.validateReports({}).isValid).toBe(false);
+    expect(MessageOutbox.validateReports({ results: [{ seenAt: '2026-03-01T10:01:00.000Z' }] }).errors)
+      .toEqual(['results[0].messageId is required']);
+  });
+});
+
+describe('MessageOutbox delivery status', () => {
+  test('reports move a message up the status ladder but never back down', () => {
+    const outbox = new MessageOutbox();
+    const changes = [];
+    outbox.onStatusChange((record, previous) => changes.push(`${previous}->${record.status}`));
+    outbox.record({ messageId: 'm1', channel: 'WHATSAPP', text: 'hello' });
+
+    outbox.applyReport({ messageId: 'm1', seenAt: '2026-03-01T10:01:00.000Z' });
+    const result = outbox.applyReport({ messageId: 'm1', status: { groupName: 'DELIVERED' }, doneAt: '2026-03-01T10:00:05.000Z' });
+
+    expect(result).toEqual({ messageId: 'm1', status: 'read', updated: true });
+    expect(outbox.get('m1').deliveredAt).toBe('2026-03-01T10:00:05.000Z');
+    expect(changes).toEqual(['sent->read']);
+    expect(outbox.applyReport({ messageId: 'unknown', status: 'delivered' }).updated).toBe(false);
+  });
+});
+
+describe('POST /delivery-reports', () => {
+  let app;
+
+  beforeAll(async () => {
+    const outbox = new MessageOutbox();
+    outbox.record({ messageId: 'm1', channel: 'WHATSAPP', text: 'hello' });
+    app = await startRouteApp('/api/webhook', webhookRouter, {
+      customerService: { communicationService: { outbox } }
+    });
+  });
+
+  afterAll(() => app.close());
+
+  test('an invalid sentAt is a 400, not a 500', async () => {
+    const response = await app.request('POST', '/api/webhook/delivery-reports', {
+      results: [{ messageId: 'm1', status: { groupName: 'PENDING' }, sentAt: 'yesterday-ish' }]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['results[0] has an invalid timestamp: yesterday-ish']);
+  });
+});
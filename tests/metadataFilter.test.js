@@ -0,0 +1,51 @@
+const MetadataFilter = require('../src/services/metadataFilter');
+
+const document = {
+  id: 'doc-1',
+  filename: 'Health_Policy_Wording.pdf',
+  metadata: { policyType: 'Health', policyNumber: 'HP-123', createdAt: '2025-09-15T10:00:00.000Z' }
+};
+const chunk = { id: 'chunk-1', documentId: 'doc-1', type: 'text', section: '4 EXCLUSIONS > 4.2.1 Pre-existing Diseases' };
+
+describe('MetadataFilter', () => {
+  test('validate reports unknown fields, bad dates and chunk types', () => {
+    expect(MetadataFilter.validate({ documentType: 'health' })).toEqual({ isValid: true, errors: [] });
+    expect(MetadataFilter.validate([]).errors).toEqual(['Filter must be an object']);
+
+    const { isValid, errors } = MetadataFilter.validate({ colour: 'red', uploadedAfter: 'yesterday', chunkType: 'video' });
+    expect(isValid).toBe(false);
+    expect(errors).toHaveLength(3);
+  });
+
+  test('constructor throws on an invalid filter', () => {
+    expect(() => new MetadataFilter({ colour: 'red' })).toThrow('Invalid filter');
+  });
+
+  test('from returns null for empty filters and reuses instances', () => {
+    expect(MetadataFilter.from(null)).toBeNull();
+    expect(MetadataFilter.from({})).toBeNull();
+    const filter = new MetadataFilter({ chunkType: 'text' });
+    expect(MetadataFilter.from(filter)).toBe(filter);
+  });
+
+  test('matches all fields (AND) with case-insensitive partial text matches', () => {
+    expect(new MetadataFilter({ documentType: 'health', filename: 'wording', section: 'exclusions' }).matches(chunk, document)).toBe(true);
+    expect(new MetadataFilter({ documentType: 'health', policyNumber: 'HP-999' }).matches(chunk, document)).toBe(false);
+    expect(new MetadataFilter({ policyNumber: 'hp-123' }).matches(chunk, document)).toBe(true);
+  });
+
+  test('array values match any element (OR)', () => {
+    expect(new MetadataFilter({ chunkType: ['multimodal', 'text'] }).matches(chunk, document)).toBe(true);
+    expect(new MetadataFilter({ chunkType: ['multimodal', 'image-only'] }).matches(chunk, document)).toBe(false);
+  });
+
+  test('upload date range uses the document createdAt and rejects undated documents', () => {
+    expect(new MetadataFilter({ uploadedAfter: '2025-09-01' }).matches(chunk, document)).toBe(true);
+    expect(new MetadataFilter({ uploadedBefore: '2025-09-01' }).matches(chunk, document)).toBe(false);
+    expect(new MetadataFilter({ uploadedAfter: '2025-09-01' }).matches(chunk, { ...document, metadata: {} })).toBe(false);
+  });
+
+  test('a missing chunk never matches', () => {
+    expect(new MetadataFilter({ chunkType: 'text' }).matches(null, document)).toBe(false);
+  });
+});
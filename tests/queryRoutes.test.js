@@ -0,0 +1,40 @@
+const customersRouter = require('../src/routes/customers');
+const { startRouteApp } = require('./helpers/routeApp');
+
+describe('POST /api/customers/:customerId/query validation', () => {
+  let app;
+  const customerService = {
+    getCustomer: jest.fn(() => ({ id: 'cust-1' })),
+    queryDocuments: jest.fn(async () => ({ answer: 'ok' }))
+  };
+
+  beforeAll(async () => {
+    app = await startRouteApp('/api/customers', customersRouter, { customerService });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => jest.clearAllMocks());
+
+  test.each([
+    [{ retrievalMode: 'semantic' }, 'Invalid retrievalMode'],
+    [{ fusion: 'max' }, 'Invalid fusion'],
+    [{ rerank: 'cohere' }, 'Invalid rerank']
+  ])('rejects %j with 400', async (options, error) => {
+    for (const path of ['/api/customers/cust-1/query', '/api/customers/cust-1/query/stream']) {
+      const response = await app.request('POST', path, { query: 'room rent', options });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(error);
+    }
+    expect(customerService.queryDocuments).not.toHaveBeenCalled();
+  });
+
+  test('passes valid retrieval options through', async () => {
+    const response = await app.request('POST', '/api/customers/cust-1/query', {
+      query: 'room rent',
+      options: { retrievalMode: 'keyword', fusion: 'weighted' }
+    });
+    expect(response.status).toBe(200);
+    expect(customerService.queryDocuments).toHaveBeenCalledWith('cust-1', 'room rent', { retrievalMode: 'keyword', fusion: 'weighted' });
+  });
+});
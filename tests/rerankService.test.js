@@ -0,0 +1,59 @@
+const RerankService = require('../src/services/rerankService');
+
+describe('RerankService', () => {
+  let service;
+  const geminiService = { generateContentWithRetry: jest.fn() };
+
+  beforeEach(() => {
+    service = new RerankService(geminiService, { candidates: 10, mmrLambda: 0.7 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const chunks = [
+    { id: 'a', text: 'General terms and definitions of the policy', similarity: 0.9, embedding: [1, 0, 0] },
+    { id: 'b', text: 'Room rent is capped at one percent of the sum insured', similarity: 0.7, embedding: [0, 1, 0] },
+    { id: 'c', text: 'Room rent capping applies per day of hospitalisation', similarity: 0.6, embedding: [0, 0.99, 0.14] }
+  ];
+
+  test('isEnabled when a strategy or MMR is requested', () => {
+    expect(service.isEnabled({})).toBe(false);
+    expect(service.isEnabled({ rerank: 'local' })).toBe(true);
+    expect(service.isEnabled({ mmr: true })).toBe(true);
+  });
+
+  test('rejects unknown strategies', async () => {
+    await expect(service.rerank('room rent', chunks, { rerank: 'cohere' })).rejects.toThrow('Invalid rerank strategy');
+  });
+
+  test('local strategy promotes chunks that cover the query terms', async () => {
+    const ranked = await service.rerank('room rent cap', chunks, { rerank: 'local', topK: 3 });
+    expect(ranked[0].id).toBe('b');
+    expect(ranked[0]).toMatchObject({ rerankRank: 1, preRerankRank: 2, rerankStrategy: 'local' });
+  });
+
+  test('MMR skips a near-duplicate of an already selected chunk', async () => {
+    const relevanceOnly = await service.rerank('room rent', chunks, { rerank: 'none', topK: 2 });
+    expect(relevanceOnly.map(chunk => chunk.id)).toEqual(['a', 'b']);
+
+    const duplicates = [chunks[1], chunks[2], chunks[0]].map((chunk, i) => ({ ...chunk, similarity: 0.9 - i * 0.05 }));
+    const diverse = await service.rerank('room rent', duplicates, { rerank: 'none', mmr: true, mmrLambda: 0.5, topK: 2 });
+    expect(diverse.map(chunk => chunk.id)).toEqual(['b', 'a']);
+    expect(diverse[0].rerankStrategy).toBe('none+mmr');
+  });
+
+  test('llm strategy uses the graded scores and falls back to local on failure', async () => {
+    geminiService.generateContentWithRetry.mockResolvedValueOnce({
+      response: { text: () => '[{"index": 1, "score": 1}, {"index": 2, "score": 3}, {"index": 3, "score": 9}]' }
+    });
+    const graded = await service.rerank('room rent', chunks, { rerank: 'llm', topK: 3 });
+    expect(graded.map(chunk => chunk.id)).toEqual(['c', 'b', 'a']);
+    expect(graded[0].rerankScore).toBe(0.9);
+
+    geminiService.generateContentWithRetry.mockResolvedValueOnce({ response: { text: () => 'no idea' } });
+    const fallback = await service.rerank('room rent', chunks, { rerank: 'llm', topK: 3 });
+    expect(fallback[0].rerankStrategy).toBe('local');
+  });
+});
@@ -0,0 +1,77 @@
+const KeywordIndex = require('../src/services/keywordIndex');
+const RetrievalService = require('../src/services/retrievalService');
+const VectorStore = require('../src/services/vectorStore');
+
+const chunks = [
+  { id: 'room', customerId: 'cust-1', text: 'Room rent is capped at 1% of the sum insured per day.' },
+  { id: 'copay', customerId: 'cust-1', text: 'A co-payment of 20% applies to claims under clause 4.2.1.' },
+  { id: 'ped', customerId: 'cust-1', text: 'Pre-existing diseases are covered after a waiting period of 36 months.' },
+  { id: 'other', customerId: 'cust-2', text: 'Room rent for this customer is unlimited.' }
+];
+
+describe('KeywordIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new KeywordIndex();
+    index.build(chunks);
+  });
+
+  test('tokenize keeps hyphenated and dotted compounds whole and split', () => {
+    const terms = index.tokenize('Co-payment under clause 4.2.1');
+    expect(terms).toEqual(expect.arrayContaining(['co-payment', 'copayment', 'payment', '4.2.1', 'clause']));
+    expect(terms).not.toContain('under');
+  });
+
+  test('search ranks matching chunks and stays within the customer', () => {
+    const hits = index.search('cust-1', 'room rent limit', 5);
+    expect(hits[0].id).toBe('room');
+    expect(hits.map(hit => hit.id)).not.toContain('other');
+  });
+
+  test('matches compound terms written without the hyphen', () => {
+    expect(index.search('cust-1', 'copayment', 5)[0].id).toBe('copay');
+    expect(index.search('cust-1', '4.2.1', 5)[0].id).toBe('copay');
+  });
+
+  test('remove drops a chunk from results and applies the id filter', () => {
+    index.remove('room');
+    expect(index.search('cust-1', 'room rent', 5)).toEqual([]);
+    expect(index.search('cust-1', 'waiting period', 5, id => id !== 'ped')).toEqual([]);
+  });
+});
+
+describe('RetrievalService.fuse', () => {
+  const vectorStore = { calculateCosineSimilarity: VectorStore.prototype.calculateCosineSimilarity };
+  const service = new RetrievalService(vectorStore, null, { rrfK: 60, vectorWeight: 0.5 });
+
+  const vectorHits = [
+    { id: 'a', similarity: 0.9, embedding: [1, 0] },
+    { id: 'b', similarity: 0.8, embedding: [0.8, 0.6] }
+  ];
+  const keywordHits = [
+    { id: 'b', keywordScore: 4, embedding: [0.8, 0.6] },
+    { id: 'c', keywordScore: 2, embedding: [0, 1] }
+  ];
+
+  test('reciprocal rank fusion favours chunks found by both retrievers', () => {
+    const fused = service.fuse(vectorHits, keywordHits, [1, 0], { fusion: 'rrf' });
+    expect(fused.map(chunk => chunk.id)).toEqual(['b', 'a', 'c']);
+    expect(fused[0].retrievalSources).toEqual(['vector', 'keyword']);
+    expect(fused[0].fusedScore).toBeCloseTo(1 / 62 + 1 / 61, 10);
+  });
+
+  test('weighted fusion blends similarity with normalised BM25', () => {
+    const fused = service.fuse(vectorHits, keywordHits, [1, 0], { fusion: 'weighted', vectorWeight: 0.5 });
+    const byId = Object.fromEntries(fused.map(chunk => [chunk.id, chunk]));
+    expect(byId.b.fusedScore).toBeCloseTo(0.5 * 0.8 + 0.5 * 1, 10);
+    expect(byId.a.fusedScore).toBeCloseTo(0.45, 10);
+    // Keyword-only hits are scored against the query embedding
+    expect(byId.c.similarity).toBeCloseTo(0, 10);
+  });
+
+  test('retrieve rejects unknown modes and fusion methods', async () => {
+    await expect(service.retrieve('cust-1', 'room rent', { retrievalMode: 'semantic' })).rejects.toThrow('Invalid retrievalMode');
+    await expect(service.retrieve('cust-1', 'room rent', { fusion: 'max' })).rejects.toThrow('Invalid fusion');
+  });
+});
@@ -0,0 +1,81 @@
+const DocumentProcessor = require('../src/services/documentProcessor');
+const SectionChunker = require('../src/services/sectionChunker');
+
+describe('DocumentProcessor.cleanText', () => {
+  const processor = new DocumentProcessor();
+
+  test('collapses spacing in justified prose instead of inventing columns', () => {
+    // Same number of words per line, so only alignment tells it apart from a table
+    const prose = [
+      'The  Company  will  pay  the  reasonable  and  customary  charges',
+      'incurred  towards  hospitalisation  of  the  Insured  Person  for  the',
+      'treatment of an illness.'
+    ].join('\n');
+
+    const cleaned = processor.cleanText(prose);
+    expect(cleaned).not.toContain('\t');
+    expect(cleaned.split('\n')[0]).toBe('The Company will pay the reasonable and customary charges');
+  });
+
+  test('turns column gaps into tabs for consecutive rows whose columns line up', () => {
+    const table = [
+      'Benefit        Limit        Waiting period',
+      'Room rent      1% of SI     None',
+      'Cataract       Rs. 40,000   24 months',
+      '',
+      'Claims  are  settled  within  30  days.'
+    ].join('\n');
+
+    const lines = processor.cleanText(table).split('\n');
+    expect(lines[0]).toBe('Benefit\tLimit\tWaiting period');
+    expect(lines[2]).toBe('Cataract\tRs. 40,000\t24 months');
+    expect(lines[4]).toBe('Claims are settled within 30 days.');
+  });
+
+  test('keeps literal tabs as column separators', () => {
+    expect(processor.cleanText('Plan\t  Premium\nSilver\tRs.  5,000')).toBe('Plan\tPremium\nSilver\tRs. 5,000');
+  });
+});
+
+describe('SectionChunker', () => {
+  const chunker = new SectionChunker({ chunkSize: 400 });
+  const processor = new DocumentProcessor();
+
+  const wording = processor.cleanText([
+    '4 EXCLUSIONS',
+    '4.1 Waiting Periods',
+    'Treatment  of  the  following  illnesses  is  excluded  for  the  first',
+    'two  years  of  continuous  coverage  under  this  policy  wording.',
+    '4.2 Permanent Exclusions',
+    'The following are excluded:',
+    'a) Cosmetic surgery',
+    'b) Dental treatment',
+    '5 BENEFIT TABLE',
+    'Benefit      Limit       Co-payment',
+    'Room rent    1% of SI    None',
+    'ICU          2% of SI    10%'
+  ].join('\n'));
+
+  test('returns null for text without enough headings', () => {
+    expect(chunker.chunk('Just a paragraph of plain text.', 'doc', 'cust')).toBeNull();
+  });
+
+  test('tags chunks with section paths and clause numbers', () => {
+    const chunks = chunker.chunk(wording, 'doc', 'cust');
+    const waiting = chunks.find(chunk => chunk.clause === '4.1');
+
+    expect(waiting.sectionPath).toEqual(['4 EXCLUSIONS', '4.1 Waiting Periods']);
+    expect(waiting.blockTypes).toEqual(['paragraph']);
+  });
+
+  test('keeps lists with their lead-in and only treats aligned rows as tables', () => {
+    const chunks = chunker.chunk(wording, 'doc', 'cust');
+    const list = chunks.find(chunk => chunk.clause === '4.2');
+    const table = chunks.find(chunk => chunk.section === '5 BENEFIT TABLE');
+
+    expect(list.text).toContain('The following are excluded:\na) Cosmetic surgery');
+    expect(table.blockTypes).toEqual(['table']);
+    expect(table.text).toContain('Room rent | 1% of SI | None');
+    expect(chunks.flatMap(chunk => chunk.blockTypes).filter(type => type === 'table')).toHaveLength(1);
+  });
+});
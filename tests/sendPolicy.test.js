@@ -0,0 +1,93 @@
+const SendPolicy = require('../src/services/sendPolicy');
+
+const at = (iso) => new Date(iso);
+
+describe('SendPolicy windows', () => {
+  const policy = new SendPolicy();
+
+  test('sends inside the default 9am-9pm IST window and defers outside it', () => {
+    expect(policy.evaluate('cust-1', { now: at('2026-03-10T05:00:00Z') })).toEqual({ action: 'send' }); // 10:30 IST
+
+    const decision = policy.evaluate('cust-1', { now: at('2026-03-10T16:00:00Z') }); // 21:30 IST
+    expect(decision).toEqual({ action: 'defer', reason: 'quiet_hours', until: at('2026-03-11T03:30:00Z') });
+  });
+
+  test('wrap-around windows span midnight', () => {
+    const night = new SendPolicy({ timezone: 'UTC', windowStart: '22:00', windowEnd: '06:00' });
+    const settings = night.getSettings('cust-1');
+
+    expect(night.isWithinWindow(at('2026-03-10T23:30:00Z'), settings)).toBe(true);
+    expect(night.isWithinWindow(at('2026-03-10T05:59:00Z'), settings)).toBe(true);
+    expect(night.isWithinWindow(at('2026-03-10T06:00:00Z'), settings)).toBe(false);
+    expect(night.evaluate('cust-1', { now: at('2026-03-10T12:00:00Z') }).until).toEqual(at('2026-03-10T22:00:00Z'));
+  });
+
+  test('next window start keeps local time across a DST change', () => {
+    const newYork = new SendPolicy({ timezone: 'America/New_York' });
+    // 22:00 EST on the evening before clocks go forward (2026-03-08 02:00 local)
+    const until = newYork.nextWindowStart(at('2026-03-08T03:00:00Z'), newYork.getSettings('cust-1'));
+    expect(until).toEqual(at('2026-03-08T13:00:00Z')); // 09:00 EDT
+
+    const autumn = newYork.nextWindowStart(at('2026-11-01T02:00:00Z'), newYork.getSettings('cust-1'));
+    expect(autumn).toEqual(at('2026-11-01T14:00:00Z')); // 09:00 EST
+  });
+
+  test('customer preferences override the defaults', () => {
+    const custom = new SendPolicy({
+      getCustomerPreferences: () => ({ timezone: 'Europe/London', windowStart: '07:00', windowEnd: '08:00' })
+    });
+    expect(custom.evaluate('cust-1', { now: at('2026-06-01T06:30:00Z') })).toEqual({ action: 'send' }); // 07:30 BST
+  });
+});
+
+describe('SendPolicy do-not-disturb and daily limit', () => {
+  const now = at('2026-03-10T06:00:00Z'); // 11:30 IST
+
+  test('doNotDisturb cancels and doNotDisturbUntil defers', () => {
+    const dnd = new SendPolicy({ getCustomerPreferences: () => ({ doNotDisturb: true }) });
+    expect(dnd.evaluate('cust-1', { now })).toEqual({ action: 'cancel', reason: 'do_not_disturb' });
+
+    const until = '2026-03-12T00:00:00.000Z';
+    const paused = new SendPolicy({ getCustomerPreferences: () => ({ doNotDisturbUntil: until }) });
+    expect(paused.evaluate('cust-1', { now })).toEqual({ action: 'defer', until: at(until), reason: 'do_not_disturb' });
+  });
+
+  test('daily limit counts messages sent on the same local day', () => {
+    const policy = new SendPolicy({ maxMessagesPerDay: 2 });
+    // 23:00 IST the previous day is a different local day even though it is the same UTC date
+    const sentTimes = ['2026-03-09T17:30:00Z', '2026-03-10T04:00:00Z'];
+    expect(policy.evaluate('cust-1', { now, sentTimes }).action).toBe('send');
+
+    const decision = policy.evaluate('cust-1', { now, sentTimes: [...sentTimes, '2026-03-10T05:00:00Z'] });
+    expect(decision).toEqual({ action: 'defer', reason: 'daily_limit', until: at('2026-03-11T03:30:00Z') });
+  });
+
+  test('maxMessagesPerDay 0 is unlimited', () => {
+    const policy = new SendPolicy({ maxMessagesPerDay: 0 });
+    expect(policy.evaluate('cust-1', { now, sentTimes: new Array(50).fill(now) }).action).toBe('send');
+  });
+});
+
+describe('SendPolicy.validatePreferences', () => {
+  const defaults = new SendPolicy().defaults;
+
+  test('accepts valid preferences', () => {
+    expect(SendPolicy.validatePreferences({ timezone: 'Asia/Dubai', windowStart: '08:00', maxMessagesPerDay: 3 }, defaults))
+      .toEqual({ isValid: true, errors: [] });
+  });
+
+  test('reports invalid fields', () => {
+    const { errors } = SendPolicy.validatePreferences({
+      timezone: 'Mars/Olympus', windowEnd: '25:00', doNotDisturb: 'yes', doNotDisturbUntil: 'later', maxMessagesPerDay: -1, colour: 'red'
+    }, defaults);
+    expect(errors).toHaveLength(6);
+  });
+
+  test('rejects an empty window formed with a default', () => {
+    expect(SendPolicy.validatePreferences({ windowStart: '21:00' }, defaults).errors)
+      .toEqual(['windowStart and windowEnd must differ (the default windowEnd is 21:00)']);
+    expect(SendPolicy.validatePreferences({ windowEnd: '09:00' }, defaults).isValid).toBe(false);
+    expect(SendPolicy.validatePreferences({ windowStart: '10:00', windowEnd: '10:00' }, defaults).errors)
+      .toEqual(['windowStart and windowEnd must differ']);
+  });
+});
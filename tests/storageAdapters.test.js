@@ -0,0 +1,199 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonStorageAdapter = require('../src/services/jsonStorageAdapter');
+const SqliteStorageAdapter = require('../src/services/sqliteStorageAdapter');
+
+const customer = { id: 'cust-1', name: 'Test Customer', documents: ['doc-1'] };
+const document = { id: 'doc-1', customerId: 'cust-1', chunkIds: ['chunk-1', 'chunk-2'] };
+const chunks = [
+  { id: 'chunk-1', documentId: 'doc-1', customerId: 'cust-1', text: 'first', embedding: [1, 0] },
+  { id: 'chunk-2', documentId: 'doc-1', customerId: 'cust-1', text: 'second', embedding: [0, 1] }
+];
+
+const adapters = {
+  json: (dir) => new JsonStorageAdapter(dir),
+  sqlite: (dir) => new SqliteStorageAdapter(dir)
+};
+
+describe.each(Object.keys(adapters))('%s storage adapter', (backend) => {
+  let dir;
+  let adapter;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), `storage-${backend}-`));
+    adapter = adapters[backend](dir);
+    await adapter.initialize();
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+    await fs.remove(dir);
+  });
+
+  const reopen = async () => {
+    await adapter.close();
+    adapter = adapters[backend](dir);
+    await adapter.initialize();
+    return adapter.loadAll();
+  };
+
+  test('persists customers, documents and chunks across reopen', async () => {
+    await adapter.saveCustomer(customer);
+    await adapter.saveDocument(document, customer);
+    await adapter.saveChunks(chunks, [document]);
+
+    const { customers, documents, chunks: loadedChunks } = await reopen();
+    expect(customers.get('cust-1')).toEqual(customer);
+    expect(documents.get('doc-1')).toEqual(document);
+    expect(loadedChunks.size).toBe(2);
+    expect(loadedChunks.get('chunk-2').embedding).toEqual([0, 1]);
+  });
+
+  test('deleteDocument removes the document and its chunks', async () => {
+    await adapter.saveCustomer(customer);
+    await adapter.saveDocument(document, customer);
+    await adapter.saveChunks(chunks, [document]);
+    await adapter.deleteDocument(document, { ...customer, documents: [] });
+
+    const { customers, documents, chunks: loadedChunks } = await reopen();
+    expect(documents.size).toBe(0);
+    expect(loadedChunks.size).toBe(0);
+    expect(customers.get('cust-1').documents).toEqual([]);
+  });
+
+  test('saveIndex round-trips and clears with null', async () => {
+    expect(await adapter.loadIndex()).toBeNull();
+
+    const indexData = { type: 'ivf', dimension: 2, centroids: [[1, 0]], assignments: { 'chunk-1': 0 } };
+    await adapter.saveIndex(indexData);
+    expect(await adapter.loadIndex()).toEqual(indexData);
+
+    await adapter.saveIndex(null);
+    expect(await adapter.loadIndex()).toBeNull();
+  });
+
+  test('saveIndexAssignments merges changes into the loaded index', async () => {
+    await adapter.saveIndex({ type: 'ivf', dimension: 2, centroids: [[1, 0], [0, 1]], assignments: { 'chunk-1': 0 } });
+    await adapter.saveIndexAssignments(new Map([['chunk-2', 1]]));
+    await adapter.saveIndexAssignments(new Map([['chunk-1', null]]));
+
+    await adapter.close();
+    adapter = adapters[backend](dir);
+    await adapter.initialize();
+    expect((await adapter.loadIndex()).assignments).toEqual({ 'chunk-2': 1 });
+  });
+});
+
+describe('JsonStorageAdapter journal', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-journal-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('saves append changed records instead of rewriting the collection files', async () => {
+    const adapter = new JsonStorageAdapter(dir);
+    await adapter.initialize();
+    await adapter.loadAll();
+    await adapter.saveChunks(chunks, [document]);
+    await adapter.deleteDocument(document, customer);
+    await adapter.close();
+
+    expect(await fs.pathExists(path.join(dir, 'chunks.json'))).toBe(false);
+    const lines = (await fs.readFile(path.join(dir, 'store.journal'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(({ collection, id, record }) => `${collection}:${id}:${record ? 'put' : 'delete'}`)).toEqual([
+      'chunks:chunk-1:put', 'chunks:chunk-2:put', 'documents:doc-1:put',
+      'chunks:chunk-1:delete', 'chunks:chunk-2:delete', 'documents:doc-1:delete', 'customers:cust-1:put'
+    ]);
+  });
+
+  test('loadAll replays the journal and folds it into the snapshots', async () => {
+    const writer = new JsonStorageAdapter(dir);
+    await writer.initialize();
+    await writer.saveCustomer(customer);
+    await writer.saveChunks(chunks, [document]);
+    await writer.close();
+    // A crash mid-append leaves a partial last line
+    await fs.appendFile(path.join(dir, 'store.journal'), '{"collection":"chunks","id":"chu');
+
+    const reader = new JsonStorageAdapter(dir);
+    await reader.initialize();
+    const loaded = await reader.loadAll();
+    await reader.close();
+
+    expect(loaded.chunks.size).toBe(2);
+    expect(await fs.pathExists(path.join(dir, 'store.journal'))).toBe(false);
+    expect(Object.keys(await fs.readJson(path.join(dir, 'chunks.json')))).toEqual(['chunk-1', 'chunk-2']);
+  });
+
+  test('compacts from the Maps it handed out once the journal is long enough', async () => {
+    const adapter = new JsonStorageAdapter(dir, { compactAfter: 3 });
+    await adapter.initialize();
+    const loaded = await adapter.loadAll();
+
+    // The caller mutates the returned Maps and then reports the change, as VectorStore does
+    loaded.customers.set(customer.id, customer);
+    await adapter.saveCustomer(customer);
+    loaded.documents.set(document.id, document);
+    chunks.forEach(chunk => loaded.chunks.set(chunk.id, chunk));
+    await adapter.saveChunks(chunks, [document]);
+    await adapter.close();
+
+    expect(adapter.collections.chunks).toBe(loaded.chunks);
+    expect(await fs.pathExists(path.join(dir, 'store.journal'))).toBe(false);
+    expect(await fs.readJson(path.join(dir, 'customers.json'))).toEqual({ 'cust-1': customer });
+    expect(Object.keys(await fs.readJson(path.join(dir, 'chunks.json')))).toEqual(['chunk-1', 'chunk-2']);
+  });
+});
+
+describe('SqliteStorageAdapter legacy import', () => {
+  test('imports existing JSON store files into an empty database', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-import-'));
+    try {
+      await fs.writeJson(path.join(dir, 'customers.json'), { 'cust-1': customer });
+      await fs.writeJson(path.join(dir, 'documents.json'), { 'doc-1': document });
+      await fs.writeJson(path.join(dir, 'chunks.json'), Object.fromEntries(chunks.map(chunk => [chunk.id, chunk])));
+
+      const adapter = new SqliteStorageAdapter(dir);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await adapter.initialize();
+      const loaded = await adapter.loadAll();
+      await adapter.close();
+
+      expect(loaded.customers.size).toBe(1);
+      expect(loaded.documents.size).toBe(1);
+      expect(loaded.chunks.size).toBe(2);
+    } finally {
+      jest.restoreAllMocks();
+      await fs.remove(dir);
+    }
+  });
+
+  test('includes journaled changes not yet compacted into the JSON files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-import-'));
+    try {
+      const json = new JsonStorageAdapter(dir);
+      await json.initialize();
+      await json.saveCustomer(customer);
+      await json.saveChunks(chunks, [document]);
+      await json.close();
+
+      const adapter = new SqliteStorageAdapter(dir);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await adapter.initialize();
+      const loaded = await adapter.loadAll();
+      await adapter.close();
+
+      expect(loaded.customers.get('cust-1')).toEqual(customer);
+      expect(loaded.chunks.size).toBe(2);
+    } finally {
+      jest.restoreAllMocks();
+      await fs.remove(dir);
+    }
+  });
+});
@@ -0,0 +1,162 @@
+const StructuredResponse = require('../src/services/structuredResponse');
+const ResponseRenderer = require('../src/services/responseRenderer');
+
+const HOSPITALS = [
+  {
+    rohini: '8900080123456',
+    hospitalName: 'Lilavati Hospital',
+    hospitalAddress: 'A-791, Bandra Reclamation, ',
+    city: 'Mumbai',
+    pincode: '400050',
+    networkType: 'Preferred',
+    zone: 'West'
+  },
+  { hospitalName: 'Nanavati Max Hospital', hospitalAddress: 'S.V. Road,  Vile Parle West', city: 'Mumbai' }
+];
+
+const PLANS = [
+  { planId: 'HC-1', name: 'Annual Health Checkup', description: 'Yearly screening', eligibilityValue: 2500, testDetails: ['CBC', 'Lipid profile', 'HbA1c'] },
+  { planId: 'HC-2', name: 'Cardiac Checkup', eligibilityValue: 0 },
+  { planId: 'HC-3', name: 'Retired Plan', isEnabled: false }
+];
+
+describe('StructuredResponse', () => {
+  test('create keeps only typed choices and defaults the text', () => {
+    const choices = [
+      { type: 'quick_reply', label: 'Yes', value: 'Yes' },
+      { type: 'carousel', label: 'Unknown' },
+      null,
+      { label: 'Untyped' }
+    ];
+    expect(StructuredResponse.create(null, choices)).toEqual({ text: '', choices: [choices[0]] });
+    expect(StructuredResponse.create('Hello')).toEqual({ text: 'Hello', choices: [] });
+  });
+
+  test('quick replies send their label back', () => {
+    expect(StructuredResponse.quickReplies(['Yes', 'No'])).toEqual([
+      { type: 'quick_reply', label: 'Yes', value: 'Yes' },
+      { type: 'quick_reply', label: 'No', value: 'No' }
+    ]);
+  });
+
+  test('hospital choices join and tidy the address', () => {
+    expect(StructuredResponse.hospitalChoices(HOSPITALS)).toEqual([
+      {
+        type: 'hospital',
+        id: '8900080123456',
+        label: 'Lilavati Hospital',
+        value: 'Lilavati Hospital',
+        address: 'A-791, Bandra Reclamation, Mumbai, 400050',
+        networkType: 'Preferred',
+        zone: 'West',
+        city: 'Mumbai',
+        pincode: '400050'
+      },
+      {
+        type: 'hospital',
+        id: 'Nanavati Max Hospital',
+        label: 'Nanavati Max Hospital',
+        value: 'Nanavati Max Hospital',
+        address: 'S.V. Road, Vile Parle West, Mumbai',
+        networkType: null,
+        zone: null,
+        city: 'Mumbai',
+        pincode: null
+      }
+    ]);
+  });
+
+  test('package choices skip disabled plans and accept the package when picked', () => {
+    expect(StructuredResponse.packageChoices(PLANS)).toEqual([
+      {
+        type: 'package',
+        id: 'HC-1',
+        label: 'Annual Health Checkup',
+        value: 'Yes, book Annual Health Checkup',
+        description: 'Yearly screening',
+        price: 2500,
+        tests: ['CBC', 'Lipid profile', 'HbA1c']
+      },
+      {
+        type: 'package',
+        id: 'HC-2',
+        label: 'Cardiac Checkup',
+        value: 'Yes, book Cardiac Checkup',
+        description: null,
+        price: 0,
+        tests: []
+      }
+    ]);
+  });
+});
+
+describe('ResponseRenderer', () => {
+  describe('toSsml', () => {
+    test('escapes XML special characters', () => {
+      expect(ResponseRenderer.toSsml({ text: 'Room rent < 1% & ICU > 2% of "sum" insured\'s' }))
+        .toBe('<speak>Room rent &lt; 1% &amp; ICU &gt; 2% of &quot;sum&quot; insured&apos;s</speak>');
+    });
+
+    test('drops markdown and pauses between lines', () => {
+      expect(ResponseRenderer.toSsml({ text: '**Claim approved**\n\n- Amount: _₹40,000_\n' }))
+        .toBe('<speak>Claim approved<break time="300ms"/>- Amount: ₹40,000</speak>');
+    });
+
+    test('reads the options out unless the text names them all', () => {
+      const choices = [
+        ...StructuredResponse.hospitalChoices([{ hospitalName: 'Breach Candy <Trust>' }, { hospitalName: 'Jaslok' }]),
+        ...StructuredResponse.quickReplies(['Other'])
+      ];
+
+      expect(ResponseRenderer.toSsml(StructuredResponse.create('Which hospital?', choices))).toBe(
+        '<speak>Which hospital?<break time="500ms"/>Your options are<break time="200ms"/>' +
+        '1: Breach Candy &lt;Trust&gt;<break time="300ms"/>2: Jaslok</speak>'
+      );
+      expect(ResponseRenderer.toSsml(StructuredResponse.create('Breach Candy <Trust> or Jaslok?', choices)))
+        .toBe('<speak>Breach Candy &lt;Trust&gt; or Jaslok?</speak>');
+    });
+
+    test('handles a missing response', () => {
+      expect(ResponseRenderer.toSsml(undefined)).toBe('<speak></speak>');
+    });
+  });
+
+  describe('toRichContent', () => {
+    test('is null without choices', () => {
+      expect(ResponseRenderer.toRichContent(StructuredResponse.create('Done'))).toBeNull();
+      expect(ResponseRenderer.toRichContent(null)).toBeNull();
+    });
+
+    test('quick replies only become chips', () => {
+      const response = StructuredResponse.create('Book it?', StructuredResponse.quickReplies(['Yes', 'No']));
+      expect(ResponseRenderer.toRichContent(response)).toEqual([[
+        { type: 'chips', options: [{ text: 'Yes' }, { text: 'No' }] }
+      ]]);
+    });
+
+    test('hospitals and packages get list cards with dividers, and every choice a chip', () => {
+      const response = StructuredResponse.create('Pick one', [
+        ...StructuredResponse.hospitalChoices(HOSPITALS.slice(0, 1)),
+        ...StructuredResponse.packageChoices(PLANS.slice(0, 1)),
+        ...StructuredResponse.quickReplies(['None of these'])
+      ]);
+
+      expect(ResponseRenderer.toRichContent(response)).toEqual([[
+        { type: 'list', title: 'Lilavati Hospital', subtitle: 'A-791, Bandra Reclamation, Mumbai, 400050 · Preferred network' },
+        { type: 'divider' },
+        { type: 'list', title: 'Annual Health Checkup', subtitle: '₹2500 · 3 tests' },
+        {
+          type: 'chips',
+          options: [{ text: 'Lilavati Hospital' }, { text: 'Yes, book Annual Health Checkup' }, { text: 'None of these' }]
+        }
+      ]]);
+    });
+
+    test('card subtitles leave out what a choice does not have', () => {
+      const [hospital] = StructuredResponse.hospitalChoices([{ hospitalName: 'Jaslok' }]);
+      const [freePlan] = StructuredResponse.packageChoices(PLANS.slice(1, 2));
+      expect(ResponseRenderer.describeChoice(hospital)).toBe('');
+      expect(ResponseRenderer.describeChoice(freePlan)).toBe('₹0');
+    });
+  });
+});
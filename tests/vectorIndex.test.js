@@ -0,0 +1,180 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const VectorIndex = require('../src/services/vectorIndex');
+const VectorStore = require('../src/services/vectorStore');
+
+// Deterministic pseudo-random vectors so clustering is reproducible
+function makeVectors(count, dimension = 8, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dimension }, random));
+}
+
+describe('VectorIndex', () => {
+  test('stays untrained below minIndexSize and search returns null', () => {
+    const index = new VectorIndex({ minIndexSize: 10 });
+    index.build(makeVectors(5).map((embedding, i) => ({ id: `c${i}`, embedding })));
+
+    expect(index.isTrained()).toBe(false);
+    expect(index.search(makeVectors(1)[0], 3)).toBeNull();
+  });
+
+  test('finds the exact vector as the top hit once trained', () => {
+    const vectors = makeVectors(200);
+    const index = new VectorIndex({ minIndexSize: 50, numLists: 8, numProbes: 8 });
+    index.build(vectors.map((embedding, i) => ({ id: `c${i}`, embedding })));
+
+    expect(index.isTrained()).toBe(true);
+    const [top] = index.search(vectors[42], 5);
+    expect(top.id).toBe('c42');
+    expect(top.similarity).toBeCloseTo(1, 5);
+  });
+
+  test('restores a persisted clustering that still covers the vectors', () => {
+    const chunks = makeVectors(100).map((embedding, i) => ({ id: `c${i}`, embedding }));
+    const trained = new VectorIndex({ minIndexSize: 50, numLists: 4 });
+    trained.build(chunks);
+
+    const restored = new VectorIndex({ minIndexSize: 50, numLists: 4 });
+    expect(restored.build(chunks, trained.toJSON())).toBe(false);
+    expect(restored.assignments).toEqual(trained.assignments);
+
+    const stale = new VectorIndex({ minIndexSize: 50, numLists: 4 });
+    expect(stale.build(chunks.slice(1), trained.toJSON())).toBe(true);
+  });
+
+  test('tracks assignment changes for incremental persistence', () => {
+    const vectors = makeVectors(60);
+    const index = new VectorIndex({ minIndexSize: 50, numLists: 4 });
+    index.build(vectors.slice(0, 55).map((embedding, i) => ({ id: `c${i}`, embedding })));
+    expect(index.takeAssignmentChanges().size).toBe(0);
+
+    index.add('new', vectors[59]);
+    index.remove('c0');
+    const changes = index.takeAssignmentChanges();
+    expect(changes.get('new')).toBe(index.assignments.get('new'));
+    expect(changes.get('c0')).toBeNull();
+    expect(index.takeAssignmentChanges().size).toBe(0);
+  });
+
+  test('search applies the filter and returns null when too few matches remain', () => {
+    const vectors = makeVectors(100);
+    const index = new VectorIndex({ minIndexSize: 50, numLists: 4, numProbes: 4 });
+    index.build(vectors.map((embedding, i) => ({ id: `c${i}`, embedding })));
+
+    const even = index.search(vectors[10], 5, { filter: id => Number(id.slice(1)) % 2 === 0 });
+    expect(even.every(hit => Number(hit.id.slice(1)) % 2 === 0)).toBe(true);
+    expect(index.search(vectors[10], 5, { filter: id => id === 'c10' })).toBeNull();
+  });
+});
+
+describe.each(['json', 'sqlite'])('VectorStore index persistence (%s)', (backend) => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), `vector-store-${backend}-`));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const openStore = async () => {
+    const store = new VectorStore(dir, { backend, index: { minIndexSize: 30, numLists: 4, numProbes: 4 } });
+    await store.initializeStorage();
+    return store;
+  };
+
+  test('writes only changed assignments after training and reloads them', async () => {
+    const vectors = makeVectors(45);
+    const store = await openStore();
+    await store.addChunks(vectors.slice(0, 40).map((embedding, i) => ({
+      id: `c${i}`, customerId: i < 20 ? 'cust-a' : 'cust-b', documentId: 'doc', text: `chunk ${i}`, embedding
+    })));
+    expect(store.index.isTrained()).toBe(true);
+
+    const saveIndex = jest.spyOn(store.adapter, 'saveIndex');
+    const saveAssignments = jest.spyOn(store.adapter, 'saveIndexAssignments');
+    await store.addChunks([{ id: 'late', customerId: 'cust-a', documentId: 'doc', text: 'late', embedding: vectors[44] }]);
+
+    expect(saveIndex).not.toHaveBeenCalled();
+    expect(Array.from(saveAssignments.mock.calls[0][0].keys())).toEqual(['late']);
+    await store.close();
+
+    const reopened = await openStore();
+    expect(reopened.index.assignments.get('late')).toBe(store.index.assignments.get('late'));
+    expect(reopened.index.assignments.size).toBe(41);
+    await reopened.close();
+  });
+
+  test('customer search only returns that customer\'s chunks via index or fallback', async () => {
+    const vectors = makeVectors(40);
+    const store = await openStore();
+    await store.addChunks(vectors.map((embedding, i) => ({
+      id: `c${i}`, customerId: i < 35 ? 'cust-a' : 'cust-b', documentId: 'doc', text: `chunk ${i}`, embedding
+    })));
+
+    const results = store.searchSimilarChunks('cust-b', vectors[36], 3, -1);
+    expect(results[0].id).toBe('c36');
+    expect(results.every(chunk => chunk.customerId === 'cust-b')).toBe(true);
+    expect(store.getCustomerChunks('cust-b')).toHaveLength(5);
+    await store.close();
+  });
+});
+
+describe('VectorStore re-added chunks', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-store-readd-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('re-adding a chunk replaces it without listing it twice', async () => {
+    const store = new VectorStore(dir, { backend: 'json' });
+    await store.initializeStorage();
+    await store.addCustomer('cust-a', { name: 'A' });
+    const documentId = await store.addDocument('cust-a', 'policy.pdf', 'text');
+    const chunk = { id: 'c1', customerId: 'cust-a', documentId, text: 'room rent', embedding: [1, 0, 0] };
+
+    await store.addChunks([chunk]);
+    await store.addChunks([{ ...chunk, text: 'room rent limit' }]);
+
+    expect(store.getDocument(documentId).chunkIds).toEqual(['c1']);
+    const results = store.searchSimilarChunks('cust-a', [1, 0, 0], 5, -1);
+    expect(results.map(result => result.id)).toEqual(['c1']);
+    expect(results[0].text).toBe('room rent limit');
+    await store.close();
+
+    const reopened = new VectorStore(dir, { backend: 'json' });
+    await reopened.initializeStorage();
+    expect(reopened.getDocument(documentId).chunkIds).toEqual(['c1']);
+    await reopened.close();
+  });
+
+  test('a chunk re-added under another document moves between chunk lists', async () => {
+    const store = new VectorStore(dir, { backend: 'json' });
+    await store.initializeStorage();
+    const first = await store.addDocument('cust-a', 'old.pdf', 'text');
+    const second = await store.addDocument('cust-a', 'new.pdf', 'text');
+    const chunk = { id: 'c1', customerId: 'cust-a', documentId: first, text: 'copay', embedding: [0, 1, 0] };
+
+    await store.addChunks([chunk]);
+    await store.addChunks([{ ...chunk, documentId: second }]);
+
+    expect(store.getDocument(first).chunkIds).toEqual([]);
+    expect(store.getDocument(second).chunkIds).toEqual(['c1']);
+    await store.close();
+  });
+});